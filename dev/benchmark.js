@@ -0,0 +1,92 @@
+// Pose-accuracy benchmark: renders hiro and a generated pattern at known poses and reports
+// detection rate, pose error and ID confusion.
+// Usage: node dev/benchmark.js [--worker] [--json]
+import { readFileSync } from 'node:fs';
+import { ArtoolkitPlugin } from '../src/plugin.js';
+import { encodePattern } from '../src/utils/pattern.js';
+import { markerPose } from '../src/utils/synthetic.js';
+import { runDetectionBenchmark } from '../src/utils/benchmark.js';
+
+const MARKER_SIZE = 80;
+
+const eventBus = {
+    _h: new Map(),
+    on(e, h) { if (!this._h.has(e)) this._h.set(e, []); this._h.get(e).push(h); },
+    off(e, h) { if (!this._h.has(e)) return; const a = this._h.get(e); this._h.set(e, a.filter(x => x !== h)); },
+    emit(e, p) { (this._h.get(e) || []).forEach(h => { try { h(p); } catch (err) { console.error(err); } }); }
+};
+
+// 4x4 block pattern, asymmetric so its rotation is unambiguous
+function blockPattern() {
+    const cells = [1, 0, 0, 1, 1, 1, 0, 0, 0, 1, 0, 1, 1, 1, 1, 0];
+    const data = new Uint8ClampedArray(16 * 16 * 4);
+    for (let y = 0; y < 16; y++) {
+        for (let x = 0; x < 16; x++) {
+            const v = cells[(y >> 2) * 4 + (x >> 2)] ? 0 : 255;
+            data.set([v, v, v, 255], (y * 16 + x) * 4);
+        }
+    }
+    return encodePattern({ data, width: 16, height: 16 }, { borderPercent: 0 });
+}
+
+function createCases(markers) {
+    const cases = [];
+    const distances = [200, 350, 500];
+    const rotations = [[0, 0, 0], [0.5, 0, 0.3], [0, -0.6, 1.2], [0.7, 0.4, -2.5]];
+    const conditions = [{}, { noise: 6, blur: 0.8 }, { background: 200, lighting: { brightness: 0.8, gradient: [0.4, 0.2] } }];
+    let seed = 1;
+    for (const { id, pattern } of markers) {
+        for (const z of distances) {
+            for (const rotation of rotations) {
+                for (const condition of conditions) {
+                    const pose = markerPose({ translation: [z / 10, -z / 20, z], rotation });
+                    cases.push({ expectedId: id, scene: { marker: pattern, pose, size: MARKER_SIZE, seed: seed++, ...condition } });
+                }
+            }
+        }
+    }
+    // frames without a marker count false positives
+    cases.push({ expectedId: null });
+    return cases;
+}
+
+async function run() {
+    const json = process.argv.includes('--json');
+    const plugin = new ArtoolkitPlugin({ worker: process.argv.includes('--worker') });
+    await plugin.init({ eventBus });
+    await plugin.enable();
+
+    const hiro = readFileSync(new URL('../examples/simple-marker/data/patt.hiro', import.meta.url), 'utf8');
+    const blocks = blockPattern();
+    const markers = [
+        { id: (await plugin.loadMarker(hiro, MARKER_SIZE)).markerId, pattern: hiro },
+        { id: (await plugin.loadMarker(blocks, MARKER_SIZE)).markerId, pattern: blocks }
+    ];
+
+    const cases = createCases(markers);
+    const report = await runDetectionBenchmark(eventBus, cases, {
+        onProgress: ({ completed, total }) => { if (!json && completed % 10 === 0) process.stderr.write(`${completed}/${total}\n`); }
+    });
+    await plugin.disable();
+
+    if (json) {
+        process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+        return;
+    }
+    const deg = (r) => (r == null ? '-' : (r * 180 / Math.PI).toFixed(2) + '°');
+    const mm = (t) => (t == null ? '-' : t.toFixed(2));
+    process.stdout.write([
+        `frames:              ${report.frames}`,
+        `detection rate:      ${(report.detectionRate * 100).toFixed(1)}%`,
+        `false positive rate: ${(report.falsePositiveRate * 100).toFixed(1)}%`,
+        `ID confusion rate:   ${(report.confusionRate * 100).toFixed(1)}%`,
+        `translation error:   mean ${mm(report.translationError.mean)}, median ${mm(report.translationError.median)}, max ${mm(report.translationError.max)} (marker size ${MARKER_SIZE})`,
+        `rotation error:      mean ${deg(report.rotationError.mean)}, median ${deg(report.rotationError.median)}, max ${deg(report.rotationError.max)}`,
+        `confusion:           ${JSON.stringify(report.confusion)}`
+    ].join('\n') + '\n');
+}
+
+run().then(() => process.exit(0), (err) => {
+    console.error(err);
+    process.exit(1);
+});
@@ -24,7 +24,9 @@ async function run() {
     // Emit engine:update frames periodically to trigger worker processing
     let id = 0;
     const iv = setInterval(() => {
-        eventBus.emit('engine:update', { id: ++id, timestamp: Date.now() });
+        // Node has no ImageBitmap: send raw RGBA pixels (transferred to the worker)
+        const width = 640, height = 480;
+        eventBus.emit('engine:update', { id: ++id, timestamp: Date.now(), data: new Uint8ClampedArray(width * height * 4), width, height });
         if (id >= 10) {
             clearInterval(iv);
             // wait a bit and then stop plugin
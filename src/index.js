@@ -1,2 +1,45 @@
-export { ArtoolkitPlugin } from './plugin.js';
-export { convertModelViewToThreeMatrix } from './utils/matrix.js';
\ No newline at end of file
+export { ArtoolkitPlugin, markerKey } from './plugin.js';
+export {
+    convertModelViewToThreeMatrix,
+    convertModelViewToGLMatrix,
+    convertModelViewToBabylonMatrix,
+    convertPoseMatrix,
+    projectionMatrixFromIntrinsics,
+    projectionMatrixWithClipPlanes
+} from './utils/matrix.js';
+export { PoseSmoother, OneEuroFilter, ExponentialFilter } from './utils/smoothing.js';
+export {
+    DEFAULT_CAMERA_PARAMETERS,
+    parseCameraParameters,
+    serializeCameraParameters,
+    cameraParametersFromIntrinsics,
+    rotateCameraParameters,
+    scaleCameraParameters,
+    distortPoint,
+    undistortPoint
+} from './utils/camera.js';
+export { encodePattern, decodePattern, renderMarkerImage, checkDetectorPattern, DETECTOR_PATTERN_RESOLUTION } from './utils/pattern.js';
+export {
+    SessionRecorder,
+    SessionReplay,
+    encodeSession,
+    decodeSession,
+    diffSessionEvents,
+    captureFramePixels
+} from './utils/session.js';
+export { renderMarkerScene, markerPose, poseError, projectMarkerPoints } from './utils/synthetic.js';
+export { runDetectionBenchmark, createBenchmarkReport } from './utils/benchmark.js';
+export { ArtoolkitError, ERROR_CODES, PROTOCOL_VERSION } from './utils/protocol.js';
+export { createLogger, LOG_LEVELS } from './utils/logger.js';
+export { MarkerEntities, createEcsAdapter, MARKER_COMPONENTS } from './utils/ecs.js';
+export { WorldAnchors } from './utils/anchors.js';
+export { FRAME_FORMATS, describeFrame } from './utils/image.js';
+export { normalizeManifest, MANIFEST_MARKER_TYPES } from './utils/manifest.js';
+export { calibrateCamera, CameraCalibrator } from './utils/calibration.js';
+export {
+    MATRIX_CODE_TYPES,
+    PATTERN_DETECTION_MODES,
+    THRESHOLD_MODES,
+    LABELING_MODES,
+    IMAGE_PROC_MODES
+} from './utils/constants.js';
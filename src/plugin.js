@@ -1,9 +1,25 @@
 // src/plugin.js
+import { normalizeMultiMarkerLayout } from './utils/multimarker.js';
+import { convertPoseMatrix, projectionMatrixWithClipPlanes, MATRIX_CONVENTIONS } from './utils/matrix.js';
+import { PoseSmoother } from './utils/smoothing.js';
+import { cameraParametersToBytes, parseCameraParameters } from './utils/camera.js';
+import { normalizeDetectorConfig } from './utils/constants.js';
+import { SessionRecorder } from './utils/session.js';
+import { PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, RESPONSES, ERROR_CODES, ArtoolkitError, supportsMessage } from './utils/protocol.js';
+import { createLogger } from './utils/logger.js';
+import { SampleWindow } from './utils/stats.js';
+import { MarkerEntities } from './utils/ecs.js';
+import { WorldAnchors } from './utils/anchors.js';
+import { describeFrame, normalizeProcessingResolution } from './utils/image.js';
+import { normalizeManifest, readManifest } from './utils/manifest.js';
+import { CameraCalibrator } from './utils/calibration.js';
+import { InThreadWorker } from './worker/in-thread.js';
+
 /**
  * ArtoolkitPlugin
  * - maintains plugin lifecycle (init, enable, disable, dispose)
- * - optionally runs detection inside a Worker (src/worker/worker.js)
- * - subscribes to engine:update to send frames (ImageBitmap or frame metadata) to the worker
+ * - runs detection inside a Worker (src/worker/worker.js), or on the calling thread when options.worker === false
+ * - subscribes to engine:update to send frames to the worker
  * - emits ar:markerFound / ar:markerUpdated / ar:markerLost on the engine eventBus
  *
  * Works both in browsers (global Worker) and in Node (worker_threads.Worker).
@@ -14,6 +30,10 @@ export class ArtoolkitPlugin {
         this.core = null;
         this.enabled = false;
 
+        // logger: object with debug/info/warn/error (default: console); logLevel: lowest level written (default: 'info').
+        // Per-frame messages are logged at 'debug'. Worker threads log to their own console at the same level.
+        this.logger = createLogger({ level: options.logLevel ?? 'info', sink: options.logger ?? console });
+
         // Worker and handlers
         this._worker = null;
         this._onWorkerMessage = this._onWorkerMessage.bind(this);
@@ -21,31 +41,147 @@ export class ArtoolkitPlugin {
         // Engine update subscription
         this._onEngineUpdate = this._onEngineUpdate.bind(this);
 
-        // Marker state tracking: Map<id, { lastSeen: number, visible: boolean }>
+        // Marker state tracking of the primary source: Map<id, { lastSeen, visible, lostCount, kind, lastSeq, confirmCount }>
+        // Markers with visible: false are candidates still waiting for confirmFrames detections
         this._markers = new Map();
 
         // configuration (defaults)
-        // lostThreshold: number of frames to consider a marker lost
+        // lostThreshold: number of consecutive processed frames without the marker before it is lost
         this.lostThreshold = options.lostThreshold ?? 5; // frames
-        // frameDurationMs: how many milliseconds to consider a single 'frame' (used to convert lostThreshold -> ms)
-        // Default 200ms per frame is a conservative default (5 fps). Consumers can adjust to match their capture rate.
+        // confirmFrames: consecutive frames a marker must be detected in before ar:markerFound fires
+        this.confirmFrames = Math.max(1, options.confirmFrames ?? 1);
+        // frameDurationMs: expected milliseconds per frame, only used to derive the lostTimeoutMs default
+        // (200ms, i.e. 5 fps, is conservative); lost/found itself is counted in processed frames
         this.frameDurationMs = options.frameDurationMs ?? 200;
+        // lostTimeoutMs: fallback when no frames are processed at all (e.g. the camera stopped)
+        this.lostTimeoutMs = options.lostTimeoutMs ?? this.lostThreshold * this.frameDurationMs;
         // sweepIntervalMs: how often to run the lost-marker sweep (ms)
         this.sweepIntervalMs = options.sweepIntervalMs ?? 100;
 
-        // Worker enabled toggle
+        // Frame backpressure
+        // maxInFlightFrames: frames posted to the worker and not yet acknowledged
+        this.maxInFlightFrames = Math.max(1, options.maxInFlightFrames ?? 1);
+        // framePolicy when the worker is busy: 'drop-oldest' keeps the latest frame waiting, 'drop-newest' drops incoming frames
+        this.framePolicy = options.framePolicy ?? 'drop-oldest';
+        if (this.framePolicy !== 'drop-oldest' && this.framePolicy !== 'drop-newest') {
+            throw new Error(`Unknown framePolicy: ${this.framePolicy}`);
+        }
+        // targetFps: optional detection rate cap; adapts down to the measured worker processing time
+        this.targetFps = options.targetFps ?? 0;
+        // frameTimeoutMs: in-flight frames not acknowledged within this time are considered lost
+        this.frameTimeoutMs = options.frameTimeoutMs ?? 2000;
+        this._nextFrameSeq = 0;
+        this.frameStats = { framesReceived: 0, framesSent: 0, framesProcessed: 0, framesDropped: 0, avgProcessingMs: 0 };
+
+        // Worker enabled toggle; when false the same detector runs in-thread (src/worker/in-thread.js)
         this.workerEnabled = options.worker !== false; // default true
+        // workerPoolSize: workers camera sources are spread over; this._worker is the first one
+        this.workerPoolSize = Math.max(1, options.workerPoolSize ?? 1);
+        this._poolWorkers = [];
+        this._workerHandlers = new Map(); // worker -> { message, error, messageerror, exit } listeners
+
+        // Worker health: missed heartbeats, error/exit events and ARToolKit init failures restart the worker
+        // heartbeatIntervalMs: ping interval (0 disables heartbeats); heartbeatTimeoutMs: silence before a restart
+        this.heartbeatIntervalMs = options.heartbeatIntervalMs ?? 2000;
+        this.heartbeatTimeoutMs = options.heartbeatTimeoutMs ?? 10000;
+        // maxWorkerRestarts within workerRestartWindowMs, then ar:workerFailed; the delay doubles with each restart
+        this.maxWorkerRestarts = options.maxWorkerRestarts ?? 3;
+        this.workerRestartWindowMs = options.workerRestartWindowMs ?? 60000;
+        this.workerRestartDelayMs = options.workerRestartDelayMs ?? 250;
+        this._workerHealth = new Map(); // worker index -> { lastSeen, restarting }
+        this._restartTimes = [];
+        this._heartbeatInterval = null;
+
+        // Pending worker requests (init, marker loads, configure):
+        // Map<requestId, { type, payload, workerIndex, logged, resolve, reject, cleanup }>
+        this._pendingRequests = new Map();
+        this._nextRequestId = 0;
+        // requestTimeoutMs: default time a request waits for its response; public methods take their own timeoutMs
+        this.requestTimeoutMs = options.requestTimeoutMs ?? 10000;
+        // Requests the caller aborted or that timed out, until the worker answers: Map<requestId, { type, logged }>
+        this._abandonedRequests = new Map();
+        // Protocol versions agreed with each worker at init: Map<worker index, version>; pool workers negotiate
+        // separately and may be of another release
+        this._protocolVersions = new Map();
+        this._unknownMessageTypes = new Set();
 
-        // Pending loadMarker requests: Map<requestId, { resolve, reject }>
-        this._pendingMarkerLoads = new Map();
-        this._nextLoadRequestId = 0;
+        // Loaded markers: Map<event id, { id, kind, markerId, url, size, loadedAt, markerCount? }>
+        this._registry = new Map();
+        // Marker load/unload requests in order ({ type, payload, requestId }), replayed into detectors of sources
+        // added later and of restarted workers; ARToolKit numbers markers by load order, so every detector ends up
+        // with the same marker ids
+        this._markerRequests = [];
 
         // Track worker readiness (used by examples to avoid UI race)
         this.workerReady = false;
+
+        // matrixConvention: when set, marker events also carry convertedMatrix in that renderer convention
+        if (options.matrixConvention != null && !MATRIX_CONVENTIONS.includes(options.matrixConvention)) {
+            throw new Error(`Unknown matrixConvention: ${options.matrixConvention}`);
+        }
+        this.matrixConvention = options.matrixConvention ?? null;
+
+        // smoothing: false (default) or PoseSmoother options plus keepRaw (also emit rawPoseMatrix)
+        this._smoother = options.smoothing ? new PoseSmoother(options.smoothing) : null;
+        this.keepRawPose = !!options.smoothing?.keepRaw;
+
+        // Detector settings applied through configure(); re-sent with init so a new worker starts with them
+        this._detectorConfig = {};
+
+        // Session recorder while startRecording() is active
+        this._recorder = null;
+        // Calibration view collector while startCalibration() is active
+        this._calibrator = null;
+
+        // ecs: true (core.ecs) or an ECS adapter; the plugin then keeps an entity per tracked marker and source
+        // ecsComponents: component names overriding MARKER_COMPONENTS
+        this.ecs = options.ecs ?? false;
+        this._entities = null;
+
+        // World anchoring: worldAnchors lists marker ids or names (or { marker, pose } with the marker's world pose);
+        // while any anchor is set, markers seen together are linked in a graph and every processed frame with a
+        // marker connected to an anchor emits ar:cameraPose. markerGraphWindow: observations each edge averages over
+        this._world = new WorldAnchors({ window: options.markerGraphWindow ?? 30, resolveId: (key) => this._markerIdByName(key) });
+        for (const anchor of options.worldAnchors ?? []) {
+            if (anchor !== null && typeof anchor === 'object') this._world.setAnchor(anchor.marker, anchor.pose);
+            else this._world.setAnchor(anchor);
+        }
+
+        // Runtime statistics (getStats); statsIntervalMs > 0 also emits them as ar:stats
+        this.statsIntervalMs = options.statsIntervalMs ?? 0;
+        this._statsInterval = null;
+        this._stats = createRuntimeStats();
+
+        // processingResolution: scale factor, { scale } or fixed { width, height } frames are processed at; validated here,
+        // applied by the detectors
+        this._processingResolution = normalizeProcessingResolution(options.processingResolution);
+
+        // cameraParameters option: camera_para.dat bytes, parsed parameters or intrinsics; sent to the worker as .dat bytes
+        this._cameraParametersData = options.cameraParameters != null ? cameraParametersToBytes(options.cameraParameters) : null;
+
+        // Camera parameters reported by the worker after ARToolKit init: { width, height, projectionMatrix, near, far }
+        this.cameraParameters = null;
+
+        // Camera sources. The primary source is served by the default detector of this._worker: frames without a
+        // sourceRef, and the first sourceRef seen if it arrives before any other frame. Other sources get their own
+        // detector: Map<sourceRef, stream>, and Map<key, stream> for the key sent to the worker as payload.source.
+        this._primaryStream = createStream({ key: undefined, ref: null, workerIndex: 0, markers: this._markers, smoother: this._smoother });
+        this._streams = new Map();
+        this._streamsByKey = new Map();
+        this._nextStreamKey = 1;
     }
 
     async init(core) {
         this.core = core;
+        if (this.ecs) {
+            const adapter = this.ecs === true ? core?.ecs : this.ecs;
+            if (!adapter) throw new Error('ecs option is true but the core has no ecs');
+            this._entities = new MarkerEntities(adapter, {
+                components: this.options.ecsComponents,
+                convention: this.matrixConvention ?? 'artoolkit',
+                nameOf: (id) => this._registry.get(id)?.name ?? null
+            });
+        }
         // Nothing heavy here; defer worker setup to enable()
         return this;
     }
@@ -54,17 +190,24 @@ export class ArtoolkitPlugin {
         if (!this.core) throw new Error('Plugin not initialized');
         if (this.enabled) return this;
         this.enabled = true;
+        this._stats = createRuntimeStats();
 
         // subscribe to engine update to send frames to worker
         this.core.eventBus.on('engine:update', this._onEngineUpdate);
+        this._entities?.start(this.core.eventBus);
 
-        // start worker if configured
-        if (this.workerEnabled) {
-            await this._startWorker();
-        }
+        // start the worker, or the in-thread backend when workers are disabled
+        await this._startWorker();
+        for (let i = 1; i < this.workerPoolSize; i++) this._poolWorkers.push(await this._createWorker(i));
 
-        // start a simple interval to sweep lost markers by time computed from frameDurationMs
+        // sweep markers not updated for lostTimeoutMs, for when no frames are processed to count them lost
         this._sweepInterval = setInterval(() => this._sweepMarkers(), this.sweepIntervalMs);
+        if (this.heartbeatIntervalMs > 0) {
+            this._heartbeatInterval = setInterval(() => this._checkWorkers(), this.heartbeatIntervalMs);
+        }
+        if (this.statsIntervalMs > 0) {
+            this._statsInterval = setInterval(() => this.core?.eventBus?.emit('ar:stats', this.getStats()), this.statsIntervalMs);
+        }
         return this;
     }
 
@@ -73,15 +216,49 @@ export class ArtoolkitPlugin {
         this.enabled = false;
 
         this.core.eventBus.off('engine:update', this._onEngineUpdate);
+        this._entities?.stop();
 
         if (this._worker) {
             this._stopWorker();
         }
+        for (const worker of this._poolWorkers) {
+            if (worker) this._terminateWorker(worker);
+        }
+        this._poolWorkers = [];
+        this._protocolVersions.clear();
+        // pending restarts see the cleared health entries and stop
+        this._workerHealth.clear();
+        this._restartTimes = [];
+        this.workerReady = false;
+        // markers and source detectors live in the workers, which are gone now
+        this._registry.clear();
+        this._markerRequests = [];
+        this._abandonedRequests.clear();
+        // marker ids may differ after the next enable(); anchors stay
+        this._world.reset();
+
+        for (const stream of this._allStreams()) {
+            if (stream.pendingFrame) this._dropFrame(stream.pendingFrame);
+            stream.pendingFrame = null;
+            stream.inFlightFrames.clear();
+        }
+        this._streams.clear();
+        this._streamsByKey.clear();
+        this._primaryStream.ref = null;
+        this._primaryStream.framesSent = 0;
 
         if (this._sweepInterval) {
             clearInterval(this._sweepInterval);
             this._sweepInterval = null;
         }
+        if (this._heartbeatInterval) {
+            clearInterval(this._heartbeatInterval);
+            this._heartbeatInterval = null;
+        }
+        if (this._statsInterval) {
+            clearInterval(this._statsInterval);
+            this._statsInterval = null;
+        }
 
         return this;
     }
@@ -90,164 +267,816 @@ export class ArtoolkitPlugin {
         return this.disable();
     }
 
-    // Engine frame handler: forward frame info or ImageBitmap to the worker
+    // Engine frame handler: apply backpressure, then forward the frame to the worker
     _onEngineUpdate(frame) {
         // frame is expected to be an object provided by the capture system, e.g.:
-        // { id: number, timestamp, imageBitmap?, width, height, sourceRef }
+        // { id: number, timestamp, imageBitmap?, videoFrame?, imageData?, data?, format?, stride?, width, height, sourceRef }
+        // data: pixels (Uint8ClampedArray | ArrayBuffer) in frame.format ('rgba' by default, or a luma/YUV format of
+        // utils/image.js) with rows of frame.stride bytes; data, imageBitmap and videoFrame are transferred, so the
+        // caller must not reuse them
+        // sourceRef (or streamId): camera the frame comes from; each source is detected and tracked separately
         if (!frame) return;
+        this.frameStats.framesReceived++;
+        if (!this._worker && !this.enabled) return;
+
+        const stream = this._streamForFrame(frame);
+        if (!this._workerFor(stream)) {
+            // the stream's worker is restarting, or failed for good
+            this._dropFrame(frame);
+            return;
+        }
+        const now = Date.now();
+        this._expireInFlightFrames(stream, now);
+
+        // Adaptive skipping: never send faster than the target rate or than the worker keeps up with
+        const interval = this._frameIntervalMs();
+        if (interval > 0 && now - stream.lastFrameSentAt < interval) {
+            this._dropFrame(frame);
+            return;
+        }
+
+        if (stream.inFlightFrames.size >= this.maxInFlightFrames) {
+            if (this.framePolicy === 'drop-newest') {
+                this._dropFrame(frame);
+            } else {
+                // drop-oldest: keep only the latest waiting frame, sent as soon as a slot frees up
+                if (stream.pendingFrame) this._dropFrame(stream.pendingFrame);
+                stream.pendingFrame = frame;
+            }
+            return;
+        }
+
+        this._sendFrame(stream, frame, now);
+    }
+
+    _sendFrame(stream, frame, now = Date.now()) {
+        const seq = this._nextFrameSeq++;
+        // capture before posting: the pixels are transferred to the worker
+        this._recorder?.recordFrame(frame, seq);
+        if (this._postFrame(stream, frame, seq)) {
+            stream.inFlightFrames.set(seq, now);
+            stream.lastFrameSentAt = now;
+            stream.framesSent++;
+            this.frameStats.framesSent++;
+        }
+    }
+
+    // Post one frame (ImageBitmap, VideoFrame, pixel buffer or metadata) to the worker; false if nothing could be posted
+    _postFrame(stream, frame, seq) {
+        // seq correlates acks and detections with this frame; timestamp is the capture time
+        const meta = { seq, frameId: frame.id, timestamp: frame.timestamp ?? null, ...sourcePayload(stream) };
+        const worker = this._workerFor(stream);
 
         // If the frame contains an ImageBitmap (browser), transfer it to the worker for zero-copy processing.
-        if (this._worker && frame.imageBitmap) {
+        if (frame.imageBitmap) {
             try {
                 // Browser Worker supports transfer list; Node worker_threads supports postMessage but not ImageBitmap.
                 if (typeof Worker !== 'undefined') {
                     // Browser: use transferable ImageBitmap
                     // The browser worker will receive event.data.payload.imageBitmap
-                    this._worker.postMessage(
-                        { type: 'processFrame', payload: { frameId: frame.id, imageBitmap: frame.imageBitmap, width: frame.width, height: frame.height } },
+                    worker.postMessage(
+                        { type: 'processFrame', payload: { ...meta, imageBitmap: frame.imageBitmap, width: frame.width, height: frame.height } },
                         // transfer list: ImageBitmap is transferable
                         [frame.imageBitmap]
                     );
                     // After transfer, the main thread's ImageBitmap is neutered; consumer should not reuse it.
                 } else {
                     // Node: ImageBitmap isn't available/transferable; fall back to sending metadata or ArrayBuffer if provided
-                    this._worker.postMessage({ type: 'processFrame', payload: { frameId: frame.id, width: frame.width, height: frame.height } });
+                    worker.postMessage({ type: 'processFrame', payload: { ...meta, width: frame.width, height: frame.height } });
                 }
             } catch (err) {
-                console.warn('Artoolkit worker postMessage (ImageBitmap) failed, falling back to frameId only', err);
+                this.logger.warn('Artoolkit worker postMessage (ImageBitmap) failed, falling back to frameId only', err);
                 try {
-                    this._worker.postMessage({ type: 'processFrame', payload: { frameId: frame.id } });
+                    worker.postMessage({ type: 'processFrame', payload: meta });
                 } catch (e) {
-                    console.warn('worker postMessage failed', e);
+                    this.logger.warn('worker postMessage failed', e);
+                    return false;
                 }
             }
-            return;
+            return true;
         }
 
-        // No ImageBitmap: send lighter payload as before (frameId)
-        if (this._worker) {
+        // WebCodecs VideoFrame (browser): transferred; the worker reads its luma plane and closes it
+        if (frame.videoFrame) {
+            const { videoFrame } = frame;
             try {
-                this._worker.postMessage({ type: 'processFrame', payload: { frameId: frame.id } });
+                worker.postMessage(
+                    { type: 'processFrame', payload: { ...meta, videoFrame, width: frame.width ?? videoFrame.displayWidth, height: frame.height ?? videoFrame.displayHeight } },
+                    [videoFrame]
+                );
             } catch (err) {
-                console.warn('Artoolkit worker postMessage failed', err);
+                this.logger.warn('Artoolkit worker postMessage (VideoFrame) failed', err);
+                try { videoFrame.close?.(); } catch {}
+                return false;
             }
+            return true;
+        }
+
+        // Pixel buffer (Node or browser): RGBA, ImageData or a luma/YUV plane; transfer the underlying ArrayBuffer
+        const data = frame.data ?? frame.imageData?.data;
+        if (data) {
+            const { format = 'rgba', stride } = frame.data ? frame : {};
+            const width = frame.width ?? frame.imageData?.width;
+            const height = frame.height ?? frame.imageData?.height;
+            try {
+                // a buffer that does not match its descriptor is not worth a trip to the worker
+                describeFrame({ format, width, height, stride }, data.byteLength);
+            } catch (err) {
+                const error = { message: err.message, code: ERROR_CODES.FRAME_FAILED, seq, frameId: frame.id };
+                this.logger.error('Artoolkit frame error', error);
+                this.core?.eventBus?.emit('ar:workerError', stream === this._primaryStream ? error : { ...error, source: stream.ref });
+                return false;
+            }
+            try {
+                const { buffer, transfer } = toTransferableBuffer(data);
+                worker.postMessage({ type: 'processFrame', payload: { ...meta, data: buffer, format, stride, width, height } }, transfer);
+            } catch (err) {
+                this.logger.warn(`Artoolkit worker postMessage (${format} buffer) failed`, err);
+                return false;
+            }
+            return true;
+        }
+
+        // No ImageBitmap: send lighter payload as before (frameId)
+        try {
+            worker.postMessage({ type: 'processFrame', payload: meta });
+        } catch (err) {
+            this.logger.warn('Artoolkit worker postMessage failed', err);
+            return false;
+        }
+        return true;
+    }
+
+    // Release a frame that will not be processed
+    _dropFrame(frame) {
+        try { frame.imageBitmap?.close?.(); } catch {}
+        // VideoFrames hold camera buffers until closed
+        try { frame.videoFrame?.close?.(); } catch {}
+        this.frameStats.framesDropped++;
+    }
+
+    // Minimum spacing between sent frames: the target rate, stretched to the measured processing time
+    _frameIntervalMs() {
+        if (!(this.targetFps > 0)) return 0;
+        return Math.max(1000 / this.targetFps, this.frameStats.avgProcessingMs || 0);
+    }
+
+    // Frames the worker never acknowledged (e.g. it crashed) must not block the queue forever
+    _expireInFlightFrames(stream, now) {
+        for (const [seq, sentAt] of stream.inFlightFrames) {
+            if (now - sentAt > this.frameTimeoutMs) stream.inFlightFrames.delete(seq);
+        }
+    }
+
+    _onFrameProcessed({ seq, frameId = null, processingMs } = {}, stream = this._primaryStream) {
+        // detections of a frame arrive before its acknowledgement, so any marker not seen in it was missed
+        if (Number.isFinite(seq) && seq > stream.lastProcessedSeq) {
+            stream.lastProcessedSeq = seq;
+            this._countMissedFrame(stream, seq, frameId);
+            if (this._world.hasAnchors) this._locateCamera(stream, seq, frameId);
+        }
+        this.core?.eventBus?.emit('ar:frameProcessed', { seq, frameId, processingMs, source: stream.ref });
+        if (!stream.inFlightFrames.delete(seq)) return;
+        this.frameStats.framesProcessed++;
+        this._stats.processingMs.push(processingMs);
+        if (Number.isFinite(processingMs)) {
+            const avg = this.frameStats.avgProcessingMs;
+            this.frameStats.avgProcessingMs = avg ? avg * 0.8 + processingMs * 0.2 : processingMs;
+        }
+        if (stream.pendingFrame && this._workerFor(stream) && stream.inFlightFrames.size < this.maxInFlightFrames) {
+            const frame = stream.pendingFrame;
+            stream.pendingFrame = null;
+            this._sendFrame(stream, frame);
+        }
+    }
+
+    // Raw pose of a visible marker in the frame being processed
+    _observeMarker(stream, seq, id, pose, confidence) {
+        if (stream.frameMarkersSeq !== seq) {
+            stream.frameMarkers.clear();
+            stream.frameMarkersSeq = seq;
+        }
+        stream.frameMarkers.set(id, { pose, confidence });
+    }
+
+    // Once a frame is processed: learn the marker graph from its markers and emit the camera's world pose
+    _locateCamera(stream, seq, frameId) {
+        const observations = stream.frameMarkersSeq === seq
+            ? Array.from(stream.frameMarkers, ([id, { pose, confidence }]) => ({ id, pose, confidence }))
+            : [];
+        stream.frameMarkers.clear();
+        const located = this._world.observe(observations);
+        if (!located) return;
+        const matrix = Float32Array.from(located.matrix);
+        this.core?.eventBus?.emit('ar:cameraPose', {
+            matrix,
+            position: [matrix[12], matrix[13], matrix[14]],
+            referenceId: located.referenceId,
+            anchorVisible: located.anchorVisible,
+            markers: located.markers.map(({ id, worldMatrix }) => ({ id, worldMatrix: Float32Array.from(worldMatrix) })),
+            seq,
+            frameId,
+            timestamp: Date.now(),
+            source: stream.ref
+        });
+    }
+
+    // Marker id of a marker name given at load time; other keys are ids already
+    _markerIdByName(key) {
+        for (const entry of this._registry.values()) {
+            if (entry.name != null && entry.name === key) return entry.id;
+        }
+        return key;
+    }
+
+    /**
+     * Make a marker a world anchor: it defines the world frame of ar:cameraPose
+     * @param {number|string} marker - marker id as in ar:marker* events, or the name given at load time
+     * @param {ArrayLike<number>} worldPose - column-major pose of the marker in world space (default: identity,
+     *   the marker is the world origin); anchors placed at measured positions give one consistent world
+     */
+    addWorldAnchor(marker, worldPose) {
+        this._world.setAnchor(marker, worldPose);
+        return this;
+    }
+
+    removeWorldAnchor(marker) {
+        return this._world.removeAnchor(marker);
+    }
+
+    /**
+     * Pose of a marker in world space, from its anchor pose or the learned marker graph
+     * @param {number|string} marker - marker id or name
+     * @returns {Float32Array|null} null while the marker is not connected to an anchor
+     */
+    getMarkerWorldPose(marker) {
+        const pose = this._world.worldPose(this._markerIdByName(marker));
+        return pose ? Float32Array.from(pose) : null;
+    }
+
+    /**
+     * Relative transforms learned between markers seen together
+     * @returns {Array<{from: number|string, to: number|string, matrix: Float32Array, observations: number}>} - matrix: pose
+     *   of `to` in the frame of `from`
+     */
+    getMarkerGraph() {
+        return this._world.edges();
+    }
+
+    /**
+     * Protocol version agreed with the primary worker at init (null until it answered)
+     * @returns {number|null}
+     */
+    get protocolVersion() {
+        return this._protocolVersions.get(0) ?? null;
+    }
+
+    /**
+     * Frame pipeline counters, summed over all sources
+     * @returns {{framesReceived: number, framesSent: number, framesProcessed: number, framesDropped: number, inFlight: number, avgProcessingMs: number}}
+     */
+    getFrameStats() {
+        let inFlight = 0;
+        for (const stream of this._allStreams()) inFlight += stream.inFlightFrames.size;
+        return { ...this.frameStats, inFlight };
+    }
+
+    _countDetection(id, kind, confidence) {
+        let entry = this._stats.markers.get(id);
+        if (!entry) {
+            entry = { kind, detections: 0, confidenceSum: 0 };
+            this._stats.markers.set(id, entry);
         }
+        entry.detections++;
+        entry.confidenceSum += confidence;
+    }
+
+    /**
+     * Runtime statistics since enable(); also emitted as ar:stats every statsIntervalMs
+     * @returns {{timestamp: number, uptimeMs: number, frames: object, processingMs: {count: number, mean: number|null,
+     *   p50: number|null, p90: number|null, p99: number|null, max: number|null}, init: {workerReadyMs: number|null,
+     *   artoolkitInitMs: number|null}, markers: Array<{id: number|string, kind: string, detections: number, meanConfidence: number}>}}
+     *   frames: as getFrameStats(); processingMs: worker time of the last 256 frames; init: time from enable() to the
+     *   worker's ready message, and the slowest ARToolKit init among the detectors;
+     *   markers: detections per marker over all sources, in order of first detection
+     */
+    getStats() {
+        const { startedAt, workerReadyMs, processingMs, artoolkitInitMs, markers } = this._stats;
+        return {
+            timestamp: Date.now(),
+            uptimeMs: nowMs() - startedAt,
+            frames: this.getFrameStats(),
+            processingMs: processingMs.summary(),
+            init: { workerReadyMs, artoolkitInitMs: artoolkitInitMs.summary().max },
+            markers: Array.from(markers, ([id, { kind, detections, confidenceSum }]) => ({
+                id,
+                kind,
+                detections,
+                meanConfidence: confidenceSum / detections
+            }))
+        };
+    }
+
+    // The primary source and every added source
+    _allStreams() {
+        return [this._primaryStream, ...this._streams.values()];
+    }
+
+    // Stream a frame belongs to; an unknown sourceRef claims the primary detector while it has seen no frames,
+    // otherwise it gets a detector of its own
+    _streamForFrame(frame) {
+        const ref = frame.sourceRef ?? frame.streamId ?? null;
+        const primary = this._primaryStream;
+        if (ref === null || ref === primary.ref) return primary;
+        const stream = this._streams.get(ref);
+        if (stream) return stream;
+        if (primary.ref === null && primary.framesSent === 0) {
+            primary.ref = ref;
+            return primary;
+        }
+        return this._addStream(ref, { width: frame.width, height: frame.height });
+    }
+
+    // Stream of a worker message: payload.source is the key of a non-primary source
+    _streamForPayload(payload) {
+        const key = payload?.source;
+        return key === undefined ? this._primaryStream : this._streamsByKey.get(key) ?? null;
+    }
+
+    _workerFor(stream) {
+        return this._workerAt(stream.workerIndex);
+    }
+
+    _workerAt(index) {
+        return index === 0 ? this._worker : this._poolWorkers[index - 1] ?? null;
+    }
+
+    _setWorkerAt(index, worker) {
+        if (index === 0) this._worker = worker;
+        else this._poolWorkers[index - 1] = worker;
+        // a replacement negotiates its own version
+        this._protocolVersions.delete(index);
+    }
+
+    // Create a detector for a new source on the least loaded worker, initialize it and replay the loaded markers
+    _addStream(ref, { cameraParameters, cameraParametersUrl, width, height, processingResolution } = {}) {
+        if (processingResolution !== undefined) processingResolution = normalizeProcessingResolution(processingResolution);
+        const counts = new Array(1 + this._poolWorkers.length).fill(0);
+        for (const s of this._allStreams()) if (s.workerIndex < counts.length) counts[s.workerIndex]++;
+        const workerIndex = counts.indexOf(Math.min(...counts));
+
+        const stream = createStream({
+            key: this._nextStreamKey++,
+            ref,
+            workerIndex,
+            markers: new Map(),
+            smoother: this.options.smoothing ? new PoseSmoother(this.options.smoothing) : null
+        });
+        this._streams.set(ref, stream);
+        this._streamsByKey.set(stream.key, stream);
+
+        // markers replayed before the first frame initialize ARToolKit at the calibrated resolution
+        const cameraParametersData = cameraParameters != null ? cameraParametersToBytes(cameraParameters) : null;
+        if (cameraParametersData && !(Number.isInteger(width) && Number.isInteger(height))) {
+            ({ width, height } = parseCameraParameters(cameraParametersData));
+        }
+
+        // kept to set the detector up again when its worker restarts
+        stream.initPayload = {
+            ...(cameraParametersData ? { cameraParametersData } : {}),
+            ...(cameraParametersUrl ? { cameraParametersUrl, cameraParametersData: null } : {}),
+            ...(Number.isInteger(width) && Number.isInteger(height) ? { width, height } : {}),
+            ...(processingResolution !== undefined ? { processingResolution } : {})
+        };
+        // a restarting worker sets the detector up once it is back
+        if (this._workerFor(stream)) this._initStream(stream);
+        this.logger.info(`[Plugin] Added camera source ${stream.key} on worker ${workerIndex}`);
+        return stream;
+    }
+
+    // Initialize the detector of an added source and load the markers into it
+    _initStream(stream) {
+        const worker = this._workerFor(stream);
+        const source = sourcePayload(stream);
+        this._initWorker(stream.workerIndex, { ...this._initPayload(), ...stream.initPayload, ...source });
+        for (const { type, payload } of this._markerRequests) {
+            worker.postMessage({ type, payload: { ...payload, ...source } });
+        }
+    }
+
+    /**
+     * Add a camera source before its first frame, e.g. to give it its own camera parameters
+     * Frames are routed by frame.sourceRef; unknown sources are added automatically with the plugin's camera parameters.
+     * @param {*} sourceRef - value frames of this camera carry as sourceRef (string, number or any object)
+     * @param {{cameraParameters?: ArrayBuffer|Uint8Array|object, cameraParametersUrl?: string, width?: number, height?: number,
+     *   processingResolution?: number|object|null}} options - camera parameters and processingResolution as in the plugin
+     *   options; width/height: frame size, if markers are loaded before the first frame (defaults to the resolution of
+     *   inline camera parameters)
+     */
+    addSource(sourceRef, options = {}) {
+        if (!this._worker && !this.enabled) throw new Error('Worker not available. Ensure plugin is enabled and worker is running.');
+        if (sourceRef == null) throw new TypeError('sourceRef is required');
+        if (sourceRef === this._primaryStream.ref || this._streams.has(sourceRef)) {
+            throw new Error('Camera source already added');
+        }
+        this._addStream(sourceRef, options);
+        return this;
+    }
+
+    /**
+     * Remove a camera source added by addSource() or by its frames; its visible markers are lost
+     * @param {*} sourceRef
+     * @returns {boolean} false for unknown sources and the primary source
+     */
+    removeSource(sourceRef) {
+        const stream = this._streams.get(sourceRef);
+        if (!stream) return false;
+        const now = Date.now();
+        for (const [id, state] of stream.markers) {
+            if (state.visible) this._emitLost(id, state, now, null, stream);
+        }
+        if (stream.pendingFrame) this._dropFrame(stream.pendingFrame);
+        this._entities?.removeSource(sourceRef);
+        this._streams.delete(sourceRef);
+        this._streamsByKey.delete(stream.key);
+        try { this._workerFor(stream)?.postMessage({ type: 'disposeSource', payload: sourcePayload(stream) }); } catch {}
+        return true;
+    }
+
+    /**
+     * Camera sources seen so far
+     * @returns {Array<{source: *, worker: number, framesSent: number, cameraParameters: object|null}>} - source null: frames without a sourceRef
+     */
+    listSources() {
+        return this._allStreams().map((s) => ({ source: s.ref, worker: s.workerIndex, framesSent: s.framesSent, cameraParameters: s.cameraParameters }));
     }
 
     // Worker lifecycle (cross-platform)
     async _startWorker() {
         if (this._worker) return;
 
-        // Browser environment: global Worker exists
-        if (typeof Worker !== 'undefined') {
+        this._worker = await this._createWorker(0);
+        this._initWorker(0, this._initPayload());
+        // Watchdog: if 'ready' wasn’t received shortly, resend a no-op init once
+        setTimeout(() => {
+            if (!this.workerReady && this._worker) this._initWorker(0, {});
+        }, 500);
+    }
+
+    // Send init to a worker's detector and negotiate the protocol version; a worker that speaks no common
+    // version is stopped for good. Version 1 workers answer with ready only (see _onWorkerMessage).
+    async _initWorker(index, payload) {
+        try {
+            const { protocolVersion } = await this._sendRequest('init', {
+                ...payload,
+                protocolVersion: PROTOCOL_VERSION,
+                minProtocolVersion: MIN_PROTOCOL_VERSION
+            }, { workerIndex: index });
+            this._protocolVersions.set(index, protocolVersion);
+        } catch (err) {
+            if (err?.code !== ERROR_CODES.PROTOCOL_MISMATCH) {
+                this.logger.warn(`[Plugin] Worker ${index} init: ${err?.message || err}`);
+                return;
+            }
+            const worker = this._workerAt(index);
+            if (worker) this._terminateWorker(worker);
+            this._setWorkerAt(index, null);
+            if (index === 0) this.workerReady = false;
+            this._failWorker(index, err.message);
+        }
+    }
+
+    // Start a worker (index in the pool; 0 is this._worker), or the in-thread backend when workers are disabled
+    async _createWorker(index) {
+        let worker;
+        if (!this.workerEnabled) {
+            // In-thread backend: same detector and message protocol, no Worker
+            worker = new InThreadWorker({ logger: this.logger });
+        } else if (typeof Worker !== 'undefined') {
+            // Browser environment: global Worker exists
             // Works in browsers and bundlers that support new URL(...) for workers
-            this._worker = new Worker(new URL('./worker/worker.js', import.meta.url), { type: 'module' });
+            worker = new Worker(new URL('./worker/worker.js', import.meta.url), { type: 'module' });
         } else {
             // Node environment: use worker_threads.Worker
             const { Worker: NodeWorker } = await import('node:worker_threads');
             const workerUrl = new URL('./worker/worker.js', import.meta.url);
             const { fileURLToPath } = await import('node:url');
             const workerPath = fileURLToPath(workerUrl);
-            this._worker = new NodeWorker(workerPath, { type: 'module' });
+            worker = new NodeWorker(workerPath, { type: 'module' });
         }
 
-        // Attach message handler (same for both environments)
-        if (this._worker.addEventListener) {
-            this._worker.addEventListener('message', this._onWorkerMessage);
-        } else if (this._worker.on) {
-            this._worker.on('message', this._onWorkerMessage);
+        // Attach handlers (same for both environments); pool workers only serve added sources.
+        // error: uncaught exceptions in the worker; exit: the Node thread stopped
+        const handlers = {
+            message: index === 0 ? this._onWorkerMessage : (ev) => this._onWorkerMessage(ev, index),
+            error: (err) => this._onWorkerCrash(index, worker, err?.message || 'worker error'),
+            messageerror: () => this._onWorkerCrash(index, worker, 'message could not be deserialized'),
+            exit: (code) => this._onWorkerCrash(index, worker, `worker exited with code ${code}`)
+        };
+        this._workerHandlers.set(worker, handlers);
+        for (const [type, handler] of Object.entries(handlers)) {
+            if (worker.addEventListener) {
+                worker.addEventListener(type, handler);
+            } else if (worker.on) {
+                worker.on(type, handler);
+            }
         }
+        this._workerHealth.set(index, { lastSeen: Date.now(), restarting: null });
+        return worker;
+    }
 
-        // If worker supports postMessage init, send init
-        try {
-            this._worker.postMessage?.({
-                type: 'init',
-                payload: {
-                    moduleUrl: this.options.artoolkitModuleUrl || null,
-                    cameraParametersUrl: this.options.cameraParametersUrl || null,
-                    wasmBaseUrl: this.options.wasmBaseUrl || null
-                }
-            });
-            // Watchdog: if 'ready' wasn’t received shortly, resend a no-op init once
-            setTimeout(() => {
-                if (!this.workerReady) {
-                    try { this._worker?.postMessage?.({ type: 'init', payload: {} }); } catch {}
-                }
-            }, 500);
-        } catch (e) {
-            // ignore
-        }
+    // Init payload of a detector; sources added later override the camera settings
+    _initPayload() {
+        return {
+            moduleUrl: this.options.artoolkitModuleUrl || null,
+            cameraParametersUrl: this.options.cameraParametersUrl || null,
+            cameraParametersData: this._cameraParametersData,
+            wasmBaseUrl: this.options.wasmBaseUrl || null,
+            matrixCodeType: this.options.matrixCodeType ?? null,
+            patternDetectionMode: this.options.patternDetectionMode ?? null,
+            minConfidence: this.options.minConfidence ?? null,
+            processingResolution: this._processingResolution,
+            detectorConfig: this._detectorConfig,
+            logLevel: this.logger.level
+        };
     }
 
     _stopWorker() {
         if (!this._worker) return;
+        this._terminateWorker(this._worker);
+        this._worker = null;
+    }
 
-        // Remove handler
-        if (this._worker.removeEventListener) {
-            this._worker.removeEventListener('message', this._onWorkerMessage);
-        } else if (this._worker.off) {
-            this._worker.off('message', this._onWorkerMessage);
+    _terminateWorker(worker) {
+        // Remove handlers first: terminating a Node worker emits exit
+        const handlers = this._workerHandlers.get(worker) ?? { message: this._onWorkerMessage };
+        this._workerHandlers.delete(worker);
+        for (const [type, handler] of Object.entries(handlers)) {
+            if (worker.removeEventListener) {
+                worker.removeEventListener(type, handler);
+            } else if (worker.off) {
+                worker.off(type, handler);
+            }
         }
 
         try {
             if (typeof Worker !== 'undefined') {
-                this._worker.terminate();
+                worker.terminate();
             } else {
-                this._worker.terminate?.();
+                worker.terminate?.();
             }
         } catch (e) {
             // ignore
         }
-        this._worker = null;
+    }
+
+    // Heartbeat: ping every worker, restart the ones silent for longer than heartbeatTimeoutMs
+    _checkWorkers() {
+        const now = Date.now();
+        for (let index = 0; index <= this._poolWorkers.length; index++) {
+            const worker = this._workerAt(index);
+            if (!worker) continue;
+            let health = this._workerHealth.get(index);
+            if (!health) {
+                health = { lastSeen: now, restarting: null };
+                this._workerHealth.set(index, health);
+            }
+            if (health.restarting) continue;
+            if (now - health.lastSeen > this.heartbeatTimeoutMs) {
+                this._restartWorker(index, `no response for ${now - health.lastSeen}ms`);
+                continue;
+            }
+            try { worker.postMessage({ type: 'ping', payload: { sentAt: now } }); } catch {}
+        }
+    }
+
+    _onWorkerCrash(index, worker, reason) {
+        // events of a worker that was already replaced
+        if (this._workerAt(index) !== worker) return;
+        this._restartWorker(index, reason);
+    }
+
+    // Replace an unhealthy worker and restore its detectors: the primary detector gets the pending and loaded
+    // markers again (pending requests keep their requestId and resolve from the new worker), added sources get
+    // their camera settings and markers. Gives up with ar:workerFailed after maxWorkerRestarts within the window.
+    async _restartWorker(index, reason) {
+        const health = this._workerHealth.get(index);
+        if (!this.enabled || health?.restarting) return;
+        this.logger.warn(`[Plugin] Worker ${index} unhealthy (${reason}), restarting`);
+
+        const worker = this._workerAt(index);
+        if (worker) this._terminateWorker(worker);
+        this._setWorkerAt(index, null);
+        if (index === 0) this.workerReady = false;
+        // the detectors are gone with the worker: their markers are lost and in-flight frames never come back
+        const now = Date.now();
+        for (const stream of this._allStreams()) {
+            if (stream.workerIndex !== index) continue;
+            for (const [id, state] of stream.markers) {
+                if (state.visible) this._emitLost(id, state, now, null, stream);
+                else stream.markers.delete(id);
+            }
+            if (stream.pendingFrame) this._dropFrame(stream.pendingFrame);
+            stream.pendingFrame = null;
+            stream.inFlightFrames.clear();
+        }
+
+        this._restartTimes = this._restartTimes.filter((t) => now - t < this.workerRestartWindowMs);
+        if (this._restartTimes.length >= this.maxWorkerRestarts) {
+            this._failWorker(index, reason);
+            return;
+        }
+        this._restartTimes.push(now);
+        const restarts = this._restartTimes.length;
+        // disable() or a newer restart replaces the token, which stops this one
+        const token = {};
+        this._workerHealth.set(index, { lastSeen: now, restarting: token });
+        const current = () => this._workerHealth.get(index)?.restarting === token;
+
+        await new Promise((resolve) => setTimeout(resolve, this.workerRestartDelayMs * 2 ** (restarts - 1)));
+        if (!current()) return;
+        let replacement;
+        try {
+            replacement = await this._createWorker(index);
+        } catch (err) {
+            this._failWorker(index, err?.message || String(err));
+            return;
+        }
+        // _createWorker reset the health entry; only a disable() in the meantime clears it
+        if (!this.enabled || !this._workerHealth.has(index)) {
+            this._terminateWorker(replacement);
+            return;
+        }
+        this._setWorkerAt(index, replacement);
+
+        // init requests of the old worker are answered by the new init
+        for (const [requestId, pending] of this._pendingRequests) {
+            if (pending.workerIndex !== index || pending.type !== 'init') continue;
+            this._pendingRequests.delete(requestId);
+            pending.cleanup();
+            pending.reject(new ArtoolkitError(ERROR_CODES.WORKER_UNAVAILABLE, `Worker restarted: ${reason}`));
+        }
+        if (index === 0) {
+            this._initWorker(0, this._initPayload());
+            // the outcome of abandoned loads is unknown, so they are not restored
+            for (const { logged } of this._abandonedRequests.values()) this._dropLoggedRequest(logged);
+            this._abandonedRequests.clear();
+            for (const entry of this._markerRequests) {
+                const pending = this._pendingRequests.has(entry.requestId);
+                replacement.postMessage({ type: entry.type, payload: { ...entry.payload, ...(pending ? { requestId: entry.requestId } : {}) } });
+            }
+            // requests that are not marker loads (configure)
+            for (const [requestId, { type, payload, logged, workerIndex }] of this._pendingRequests) {
+                if (workerIndex === 0 && !logged && type !== 'init') replacement.postMessage({ type, payload: { ...payload, requestId } });
+            }
+        }
+        for (const stream of this._streams.values()) {
+            if (stream.workerIndex === index) this._initStream(stream);
+        }
+
+        this.logger.info(`[Plugin] Worker ${index} restarted (${restarts} of ${this.maxWorkerRestarts})`);
+        this.core?.eventBus?.emit('ar:workerRestarted', { worker: index, reason, restarts });
+    }
+
+    // Out of restarts: the worker stays down, requests waiting for it fail
+    _failWorker(index, reason) {
+        this.logger.error(`[Plugin] Worker ${index} failed: ${reason}`);
+        this._workerHealth.delete(index);
+        for (const [requestId, pending] of this._pendingRequests) {
+            if (pending.workerIndex !== index) continue;
+            this._pendingRequests.delete(requestId);
+            pending.cleanup();
+            this._dropLoggedRequest(pending.logged);
+            pending.reject(new ArtoolkitError(ERROR_CODES.WORKER_UNAVAILABLE, `Worker failed: ${reason}`));
+        }
+        this.core?.eventBus?.emit('ar:workerFailed', { worker: index, reason, restarts: this._restartTimes.length });
     }
 
     // NEW: Normalize detection updates and emit markerFound/Updated
-    _applyDetections(detections) {
+    _applyDetections(detections, stream = this._primaryStream) {
         if (!detections || !Array.isArray(detections)) return;
+        const { markers, smoother, ref: source } = stream;
         for (const d of detections) {
             const id = d?.id;
             if (id === null || id === undefined) continue;
 
             const now = Date.now();
-            const poseMatrix = new Float32Array(d.poseMatrix || []);
+            const rawPoseMatrix = new Float32Array(d.poseMatrix || []);
             const confidence = d.confidence ?? 0;
             const corners = d.corners ?? [];
+            const kind = d.kind ?? 'pattern';
+            const seq = d.seq ?? null;
+            const frameId = d.frameId ?? null;
+            const frameTimestamp = d.frameTimestamp ?? null;
+
+            let state = markers.get(id);
+            if (!state) {
+                state = { lastSeen: now, visible: false, lostCount: 0, kind, lastSeq: null, confirmCount: 0 };
+                markers.set(id, state);
+            }
+            // a frame can report the same marker more than once (e.g. getMarker and detectionResult)
+            const newFrame = seq === null || seq !== state.lastSeq;
+            if (newFrame) this._countDetection(id, kind, confidence);
+            const wasVisible = state.visible;
+            state.lastSeen = now;
+            state.lastSeq = seq;
+            state.lostCount = 0;
+            if (newFrame && !wasVisible) state.confirmCount++;
+            if (!wasVisible && state.confirmCount < this.confirmFrames) continue;
+            state.visible = true;
+            if (this._world.hasAnchors && seq !== null) this._observeMarker(stream, seq, id, rawPoseMatrix, confidence);
 
-            const prev = this._markers.get(id);
-            if (!prev || !prev.visible) {
-                this._markers.set(id, { lastSeen: now, visible: true, lostCount: 0 });
-                this.core?.eventBus?.emit('ar:markerFound', { id, poseMatrix, confidence, corners, timestamp: now });
+            let poseMatrix = rawPoseMatrix;
+            if (smoother) {
+                // a (re)found marker starts from its raw pose
+                if (!wasVisible) smoother.reset(id);
+                poseMatrix = smoother.filter(id, rawPoseMatrix, frameTimestamp ?? now);
+            }
+
+            const { name = null, metadata = null } = this._registry.get(id) ?? {};
+            const event = { id, kind, name, metadata, poseMatrix, confidence, corners, timestamp: now, frameId, frameTimestamp, source };
+            if (smoother && this.keepRawPose) event.rawPoseMatrix = rawPoseMatrix;
+            if (this.matrixConvention) event.convertedMatrix = convertPoseMatrix(poseMatrix, this.matrixConvention);
+            // multi-marker boards report how many member markers contributed to the pose
+            if (d.visibleMarkers !== undefined) event.visibleMarkers = d.visibleMarkers;
+
+            if (!wasVisible) {
+                this.core?.eventBus?.emit('ar:markerFound', event);
             } else {
-                prev.lastSeen = now;
-                prev.lostCount = 0;
-                this._markers.set(id, prev);
-                this.core?.eventBus?.emit('ar:markerUpdated', { id, poseMatrix, confidence, corners, timestamp: now });
+                this.core?.eventBus?.emit('ar:markerUpdated', event);
             }
         }
     }
 
-    _onWorkerMessage(ev) {
+    // A processed frame did not contain these markers: unconfirmed candidates start over,
+    // visible markers are lost after lostThreshold consecutive misses
+    _countMissedFrame(stream, seq, frameId) {
+        const now = Date.now();
+        for (const [id, state] of stream.markers.entries()) {
+            if (state.lastSeq === seq) continue;
+            if (!state.visible) {
+                stream.markers.delete(id);
+                continue;
+            }
+            state.lostCount++;
+            if (state.lostCount >= this.lostThreshold) this._emitLost(id, state, now, frameId, stream);
+        }
+    }
+
+    // frameId: the processed frame that made the marker lost; null when lost by timeout or unloading
+    _emitLost(id, state, now, frameId = null, stream = this._primaryStream) {
+        stream.markers.delete(id);
+        stream.smoother?.reset(id);
+        const { name = null, metadata = null } = this._registry.get(id) ?? {};
+        this.core?.eventBus?.emit('ar:markerLost', { id, kind: state.kind ?? 'pattern', name, metadata, timestamp: now, frameId, source: stream.ref });
+    }
+
+    // workerIndex: position in the worker pool; only sources added later use workers other than the first
+    _onWorkerMessage(ev, workerIndex = 0) {
         // worker_threads messages arrive as the raw payload; browser workers wrap in event.data
         const data = ev && ev.data !== undefined ? ev.data : ev;
         const { type, payload } = data || {};
+        // any message shows the worker is alive
+        const health = this._workerHealth.get(workerIndex);
+        if (health) health.lastSeen = Date.now();
+        if (type === 'pong') return;
+        const stream = this._streamForPayload(payload);
+        // results of a removed source
+        if (!stream) return;
         if (type === 'ready') {
-            console.log('[Plugin] Worker ready');
+            // a version 1 worker announces no version and answers init with ready only
+            if (payload?.protocolVersion === undefined) this._settleLegacyInit(workerIndex);
+            // pool workers and source detectors announce themselves too; only the primary detector enables the plugin
+            if (workerIndex !== 0 || stream !== this._primaryStream) return;
+            this.logger.info('[Plugin] Worker ready');
             this.workerReady = true;
+            this._stats.workerReadyMs ??= nowMs() - this._stats.startedAt;
             this.core?.eventBus?.emit('ar:workerReady', {});
         } else if (type === 'detectionResult') {
-            console.log('[Plugin] Received detectionResult:', payload);
-            // Normalize to marker events
+            this.logger.debug('[Plugin] Received detectionResult:', payload);
+            this._recorder?.recordResult(type, payload);
+            // Normalize to marker events; non-pattern ids are namespaced by kind
             if (!payload || !Array.isArray(payload.detections)) return;
-            this._applyDetections(payload.detections);
+            const { seq = null, frameId = null, frameTimestamp = null } = payload;
+            this._applyDetections(payload.detections.map((d) => {
+                if (!d) return d;
+                const tagged = { seq, frameId, frameTimestamp, ...d };
+                return d.kind && d.kind !== 'pattern' && d.id != null ? { ...tagged, id: markerKey(d.kind, d.id) } : tagged;
+            }), stream);
         } else if (type === 'getMarker') {
             // Forward AR.js-style getMarker payload (emitted by the worker) to the app/event bus
-            try { console.log('[Plugin] getMarker', payload); } catch (_) {}
+            this.logger.debug('[Plugin] getMarker', payload);
             this.core?.eventBus?.emit('ar:getMarker', payload);
+            this._recorder?.recordResult(type, payload);
 
             // ALSO translate this getMarker into a detection to drive markerFound/Updated
             try {
                 const m = payload?.marker || {};
-                const id = m.idPatt ?? m.patternId ?? m.pattern_id ?? null;
+                const kind = payload?.kind === 'barcode' ? 'barcode' : 'pattern';
+                // Barcode ids live in their own namespace so they never collide with pattern ids
+                const id = kind === 'barcode'
+                    ? (m.idMatrix != null && m.idMatrix >= 0 ? markerKey('barcode', m.idMatrix) : null)
+                    : (m.idPatt ?? m.patternId ?? m.pattern_id ?? null);
 
                 // Matrix normalization
                 let poseArray = null;
@@ -267,93 +1096,564 @@ export class ArtoolkitPlugin {
                     }
                 }
 
-                const confidence = m.cfPatt ?? m.confidence ?? 0;
+                const confidence = kind === 'barcode'
+                    ? (m.cfMatrix ?? m.confidence ?? 0)
+                    : (m.cfPatt ?? m.confidence ?? 0);
 
                 if (id != null && poseArray && poseArray.length === 16) {
                     this._applyDetections([{
                         id,
+                        kind,
                         confidence,
                         poseMatrix: poseArray,
-                        corners
-                    }]);
+                        corners,
+                        seq: payload.seq ?? null,
+                        frameId: payload.frameId ?? null,
+                        frameTimestamp: payload.frameTimestamp ?? null
+                    }], stream);
                 }
             } catch (e) {
                 // ignore conversion errors; raw getMarker still forwarded
             }
-        } else if (type === 'loadMarkerResult') {
-            console.log('[Plugin] Received loadMarkerResult:', payload);
-            const { requestId, ok, error, markerId, size } = payload || {};
-
-            if (requestId !== undefined) {
-                const pending = this._pendingMarkerLoads.get(requestId);
-                if (pending) {
-                    this._pendingMarkerLoads.delete(requestId);
-                    if (ok) {
-                        pending.resolve({ markerId, size });
-                    } else {
-                        pending.reject(new Error(error || 'Failed to load marker'));
-                    }
-                }
-            }
+        } else if (RESPONSES.has(type)) {
+            this.logger.debug(`[Plugin] Received ${type}:`, payload);
+            this._settleRequest(type, payload);
+        } else if (type === 'frameProcessed') {
+            this._onFrameProcessed(payload, stream);
+        } else if (type === 'cameraParameters') {
+            const { source, initMs, ...parameters } = payload || {};
+            stream.cameraParameters = payload ? parameters : null;
+            if (Number.isFinite(initMs)) this._stats.artoolkitInitMs.push(initMs);
+            if (stream === this._primaryStream) this.cameraParameters = stream.cameraParameters;
+            this.core?.eventBus?.emit('ar:cameraParameters', stream === this._primaryStream ? parameters : { ...parameters, source: stream.ref });
         } else if (type === 'error') {
-            console.error('Artoolkit worker error', payload);
-            this.core?.eventBus?.emit('ar:workerError', payload);
+            this.logger.error('Artoolkit worker error', payload);
+            this.core?.eventBus?.emit('ar:workerError', stream === this._primaryStream ? payload : { ...payload, source: stream.ref });
+            // errors answering a request (unknown command, unexpected failure) fail that request
+            if (payload?.requestId !== undefined) this._settleRequest(type, { ...payload, ok: false, error: payload.message });
+            // the detector would only retry after its backoff; a fresh worker retries right away, within the restart limit
+            if (payload?.code === ERROR_CODES.INIT_FAILED) this._restartWorker(workerIndex, payload.message);
+        } else if (!this._unknownMessageTypes.has(type)) {
+            // a newer worker may send messages this plugin does not know
+            this._unknownMessageTypes.add(type);
+            this.logger.warn(`[Plugin] Ignoring unknown worker message: ${type}`);
         }
     }
 
-    // sweep markers and emit lost events for markers not seen recently
+    // Fallback for when frames stop arriving: markers not seen within lostTimeoutMs are lost
     _sweepMarkers() {
         const now = Date.now();
-        const lostThresholdMs = this.lostThreshold * this.frameDurationMs;
-        for (const [id, state] of this._markers.entries()) {
-            const deltaMs = now - (state.lastSeen || 0);
-            if (deltaMs > lostThresholdMs) {
-                this._markers.delete(id);
-                this.core.eventBus.emit('ar:markerLost', { id, timestamp: now });
+        for (const stream of this._allStreams()) {
+            for (const [id, state] of stream.markers.entries()) {
+                const deltaMs = now - (state.lastSeen || 0);
+                if (deltaMs <= this.lostTimeoutMs) continue;
+                if (state.visible) {
+                    this._emitLost(id, state, now, null, stream);
+                } else {
+                    stream.markers.delete(id);
+                }
             }
         }
     }
 
-    // public helper to get marker state
-    getMarkerState(markerId) {
-        return this._markers.get(markerId) || null;
+    /**
+     * Projection matrix of the loaded camera parameters for the given clip planes
+     * @param {{near?: number, far?: number, convention?: 'artoolkit'|'three'|'gl-matrix'|'babylon', source?: *}} options -
+     *   source: camera source (frame.sourceRef) whose parameters to use; defaults to the primary source
+     * @returns {Float32Array|null} - column-major 4x4, or null until ARToolKit has initialized
+     */
+    getProjectionMatrix({ near = 0.01, far = 1000, convention = this.matrixConvention ?? 'three', source = null } = {}) {
+        const stream = source == null || source === this._primaryStream.ref ? this._primaryStream : this._streams.get(source);
+        const projection = stream?.cameraParameters?.projectionMatrix;
+        if (!projection) return null;
+        return projectionMatrixWithClipPlanes(projection, near, far, convention);
     }
 
     /**
-     * Load a pattern marker from a URL
-     * @param {string} patternUrl - URL to the pattern file (absolute or repo-relative)
+     * Start recording the frames sent for detection, the worker's results and the marker events
+     * @param {{format?: 'gray'|'rgba', scale?: number, maxFrames?: number, events?: string[]}} options -
+     *   format: stored pixels (default 'rgba'); scale: downscale factor in (0, 1] (default 1, lossless);
+     *   events: event names to record (default ar:markerFound / ar:markerUpdated / ar:markerLost)
+     */
+    startRecording(options = {}) {
+        if (!this.core) throw new Error('Plugin not initialized');
+        if (this._recorder) throw new Error('Recording already started');
+        this._recorder = new SessionRecorder({ logger: this.logger, ...options }).start(this.core.eventBus);
+        return this;
+    }
+
+    /**
+     * Stop recording
+     * @returns {object|null} the session ({ version, meta, frames, results, events }); encodeSession() turns it into a file
+     */
+    stopRecording() {
+        const session = this._recorder?.stop() ?? null;
+        this._recorder = null;
+        return session;
+    }
+
+    /**
+     * Start collecting calibration views of a known target from the detections of one camera source.
+     * Move the target (or the camera) through the view at different angles and distances; stopCalibration() solves.
+     * @param {{target: object, source?: *, maxViews?: number, minViewDistance?: number, onView?: Function}} options -
+     *   target: { marker, size } or a board { markers: [{ marker, size, position }] } (markers by id or name);
+     *   source: camera source (default: frames without a sourceRef); maxViews, minViewDistance, onView: see CameraCalibrator
+     * @returns {CameraCalibrator} - viewCount tells how many views were collected
+     */
+    startCalibration({ source = null, ...options } = {}) {
+        if (!this.core) throw new Error('Plugin not initialized');
+        if (this._calibrator) throw new Error('Calibration already started');
+        const stream = source == null || source === this._primaryStream.ref ? this._primaryStream : this._streams.get(source);
+        if (!stream) throw new Error(`Unknown source: ${source}`);
+        // corners arrive undistorted with the parameters the detector runs with; the calibrator maps them back
+        const { camera = null, width, height } = stream.cameraParameters ?? {};
+        this._calibrator = new CameraCalibrator({
+            camera,
+            width,
+            height,
+            resolveId: (key) => this._markerIdByName(key),
+            ...options
+        }).start(this.core.eventBus, { source: stream.ref });
+        return this._calibrator;
+    }
+
+    /**
+     * Stop collecting calibration views and solve the camera
+     * @param {object} options - as in calibrateCamera() (distortionCoefficients, fixPrincipalPoint, maxIterations)
+     * @returns {object|null} the calibration ({ fx, fy, cx, cy, distortion, rms, viewErrors, cameraParameters }; pass
+     *   cameraParameters to the cameraParameters option or addSource()), null when not calibrating; throws when the
+     *   views do not determine the camera
+     */
+    stopCalibration(options = {}) {
+        const calibrator = this._calibrator?.stop() ?? null;
+        this._calibrator = null;
+        return calibrator ? calibrator.calibrate(options) : null;
+    }
+
+    // public helper to get marker state; source: camera source (frame.sourceRef), defaults to the primary source
+    getMarkerState(markerId, source = null) {
+        const stream = source == null || source === this._primaryStream.ref ? this._primaryStream : this._streams.get(source);
+        return stream?.markers.get(markerId) || null;
+    }
+
+    /**
+     * Load a pattern marker
+     * @param {string|ArrayBuffer|ArrayBufferView} source - URL to the pattern file (absolute or repo-relative),
+     *   pattern text (.patt contents), or the .patt file as binary data
      * @param {number} size - Size of the marker in world units (default: 1)
-     * @returns {Promise<{markerId: number, size: number}>} - Resolves with marker info when loaded
+     * @param {{name?: string, metadata?: object, signal?: AbortSignal, timeoutMs?: number}} options - name: app-defined
+     *   marker name (ar:marker* events, listMarkers(), setMarkerComponents()), unique: a name another marker has, or
+     *   another name for a loaded marker, rejects with INVALID_ARGUMENT; metadata: app data carried by ar:marker*
+     *   events; signal: aborts the load; timeoutMs: time to wait for the worker (default: requestTimeoutMs option)
+     * @returns {Promise<{markerId: number, size: number}>} - Resolves with marker info when loaded; rejects with an
+     *   ArtoolkitError whose code tells why (ERROR_CODES)
      */
-    async loadMarker(patternUrl, size = 1) {
-        if (!this._worker) {
-            throw new Error('Worker not available. Ensure plugin is enabled and worker is running.');
-        }
+    async loadMarker(source, size = 1, { name, metadata, signal, timeoutMs } = {}) {
+        const { patternUrl, patternText } = patternSource(source);
+        this.logger.debug(`[Plugin] Loading marker: ${patternUrl ?? 'inline pattern'} with size ${size}`);
+        const result = await this._sendRequest('loadMarker', { patternUrl, patternText, size }, { signal, timeoutMs });
+        this._registerMarker('pattern', result.markerId, { url: patternUrl, size, name, metadata });
+        return result;
+    }
+
+    /**
+     * Track a barcode (matrix code) marker by its numeric code
+     * Requires a patternDetectionMode that includes matrix detection ('matrix' or 'both')
+     * and a matrixCodeType matching the printed markers (e.g. '3x3', '4x4_BCH_13_9_3').
+     * @param {number} barcodeId - Matrix code value printed in the marker
+     * @param {number} size - Size of the marker in world units (default: 1)
+     * @param {{name?: string, metadata?: object, signal?: AbortSignal, timeoutMs?: number}} options - as in loadMarker()
+     * @returns {Promise<{id: string, markerId: number, size: number, kind: 'barcode'}>} - id is the key used in ar:marker* events
+     */
+    async loadBarcodeMarker(barcodeId, size = 1, { name, metadata, signal, timeoutMs } = {}) {
+        const { markerId } = await this._sendRequest('loadBarcodeMarker', { barcodeId, size }, { signal, timeoutMs });
+        this._registerMarker('barcode', markerId, { size, name, metadata });
+        return { id: markerKey('barcode', markerId), markerId, size, kind: 'barcode' };
+    }
 
-        console.log(`[Plugin] Loading marker: ${patternUrl} with size ${size}`);
+    /**
+     * Load an NFT (natural feature tracking) image target
+     * @param {string} descriptorBaseUrl - URL of the descriptor set without extension; ARToolKit fetches .iset/.fset/.fset3
+     * @param {{size?: number, name?: string, metadata?: object, signal?: AbortSignal, timeoutMs?: number}} options - size:
+     *   width of the target in world units (default: 1); name, metadata, signal, timeoutMs: as in loadMarker()
+     * @returns {Promise<{id: string, markerId: number, size: number, kind: 'nft'}>} - id is the key used in ar:marker* events
+     */
+    async loadNFTMarker(descriptorBaseUrl, options = {}) {
+        const { size = 1, name, metadata, signal, timeoutMs } = options;
+        // Accept a URL to any of the descriptor files and strip it down to the base
+        const baseUrl = String(descriptorBaseUrl || '').replace(/\.(iset|fset3|fset)$/, '');
+        this.logger.debug(`[Plugin] Loading NFT marker: ${baseUrl} with size ${size}`);
+        const { markerId } = await this._sendRequest('loadNFTMarker', { descriptorBaseUrl: baseUrl, size }, { signal, timeoutMs });
+        this._registerMarker('nft', markerId, { url: baseUrl, size, name, metadata });
+        return { id: markerKey('nft', markerId), markerId, size, kind: 'nft' };
+    }
 
-        return new Promise((resolve, reject) => {
-            const requestId = this._nextLoadRequestId++;
-            this._pendingMarkerLoads.set(requestId, { resolve, reject });
+    /**
+     * Load a multi-marker board tracked as a single marker
+     * @param {string|{markers: Array<object>}} configOrLayout - URL of an ARToolKit multimarker config file (.dat),
+     *   or a JSON layout: { markers: [{ pattern | barcodeId, size, transform (3x4 row-major) | position }] }
+     * @param {{baseUrl?: string, name?: string, metadata?: object, signal?: AbortSignal, timeoutMs?: number}} options -
+     *   baseUrl: resolves relative pattern URLs of a JSON layout; name, metadata, signal, timeoutMs: as in loadMarker()
+     * @returns {Promise<{id: string, markerId: number, markerCount: number, kind: 'multi'}>} - id is the key used in ar:marker* events
+     */
+    async loadMultiMarker(configOrLayout, options = {}) {
+        if (typeof configOrLayout !== 'string') {
+            // fail fast on malformed layouts; the worker normalizes again on receipt
+            normalizeMultiMarkerLayout(configOrLayout);
+        }
+        const payload = typeof configOrLayout === 'string'
+            ? { configUrl: configOrLayout }
+            : { layout: configOrLayout, baseUrl: options.baseUrl ?? null };
+        const { markerId, markerCount } = await this._sendRequest('loadMultiMarker', payload, { signal: options.signal, timeoutMs: options.timeoutMs });
+        this._registerMarker('multi', markerId, { url: payload.configUrl, markerCount, name: options.name, metadata: options.metadata });
+        return { id: markerKey('multi', markerId), markerId, markerCount, kind: 'multi' };
+    }
 
-            // Send loadMarker message to worker
+    /**
+     * Load the markers declared in a manifest, in parallel (see utils/manifest.js for the format):
+     * { markers: [{ name, type: 'pattern'|'barcode'|'nft'|'multi', source, size, metadata }] }
+     * The manifest is validated before anything loads; a marker that fails to load does not stop the others.
+     * Emits ar:manifestProgress { loaded, failed, total, name, id, error } as each marker settles.
+     * @param {object|string} manifest - manifest object, JSON text or the URL of a JSON file
+     * @param {{baseUrl?: string, onProgress?: Function, signal?: AbortSignal, timeoutMs?: number}} options - baseUrl:
+     *   resolves relative sources (default: the manifest URL); onProgress: called with each ar:manifestProgress
+     *   payload; signal, timeoutMs: as in loadMarker(), per marker
+     * @returns {Promise<{markers: Array<{name: string, id: number|string, type: string, metadata: object|null}>,
+     *   errors: Array<{index: number, name: string, error: Error}>}>} - markers loaded and failed, in manifest order;
+     *   rejects with an ArtoolkitError (INVALID_ARGUMENT, details: { index, name, field }) on an invalid manifest
+     */
+    async loadManifest(manifest, { baseUrl, onProgress, signal, timeoutMs } = {}) {
+        const { manifest: parsed, url } = await readManifest(manifest, { signal });
+        const entries = normalizeManifest(parsed, { baseUrl: baseUrl ?? url });
+        this.logger.info(`[Plugin] Loading manifest${url ? ` ${url}` : ''} with ${entries.length} markers`);
+        const total = entries.length;
+        let loaded = 0;
+        let failed = 0;
+        const results = await Promise.all(entries.map(async (entry) => {
+            let id = null;
+            let error = null;
             try {
-                this._worker.postMessage({
-                    type: 'loadMarker',
-                    payload: { patternUrl, size, requestId }
-                });
+                id = await this._loadManifestEntry(entry, { signal, timeoutMs });
+                loaded++;
             } catch (err) {
-                this._pendingMarkerLoads.delete(requestId);
-                reject(new Error(`Failed to send loadMarker message: ${err.message}`));
+                error = err;
+                failed++;
+                this.logger.warn(`[Plugin] Manifest marker "${entry.name}" failed to load: ${err.message}`);
+            }
+            const progress = { loaded, failed, total, name: entry.name, id, error };
+            this.core?.eventBus?.emit('ar:manifestProgress', progress);
+            onProgress?.(progress);
+            return { entry, id, error };
+        }));
+        return {
+            markers: results.filter((r) => !r.error).map(({ entry, id }) => ({ name: entry.name, id, type: entry.type, metadata: entry.metadata })),
+            errors: results.filter((r) => r.error).map(({ entry, error }) => ({ index: entry.index, name: entry.name, error }))
+        };
+    }
+
+    // Load one normalized manifest entry; resolves with the marker's event id
+    async _loadManifestEntry({ type, source, size, name, metadata }, { signal, timeoutMs }) {
+        const options = { name, metadata, signal, timeoutMs };
+        switch (type) {
+            case 'barcode': return (await this.loadBarcodeMarker(source, size, options)).id;
+            case 'nft': return (await this.loadNFTMarker(source, { size, ...options })).id;
+            case 'multi': return (await this.loadMultiMarker(source, options)).id;
+            default: return markerKey('pattern', (await this.loadMarker(source, size, options)).markerId);
+        }
+    }
+
+    /**
+     * Change detector settings at runtime; they apply from the next processed frame
+     * Enum values accept the names below or raw ARToolKit values.
+     * @param {{thresholdMode?: 'manual'|'auto_median'|'auto_otsu'|'auto_adaptive'|'auto_bracketing'|number,
+     *   threshold?: number, labelingMode?: 'black_region'|'white_region'|number, patternRatio?: number,
+     *   borderWidth?: number, imageProcMode?: 'frame'|'field'|number, minConfidence?: number}} config -
+     *   threshold: 0..255, used in 'manual' mode; patternRatio: inner pattern width / marker width (default 0.5),
+     *   or borderWidth: border per side as a fraction of the marker width; minConfidence: 0..1
+     * @param {{signal?: AbortSignal, timeoutMs?: number}} options - as in loadMarker()
+     * @returns {Promise<object>} - the effective configuration, as reported by ARToolKit once initialized
+     */
+    async configure(config = {}, { signal, timeoutMs } = {}) {
+        // fail fast on invalid settings; the worker validates again on receipt
+        const normalized = normalizeDetectorConfig(config);
+        const { config: effective } = await this._sendRequest('configure', { config }, { signal, timeoutMs });
+        Object.assign(this._detectorConfig, normalized);
+        return effective;
+    }
+
+    /**
+     * Stop tracking a loaded marker; a visible marker emits ar:markerLost
+     * @param {number|string} id - marker id as used in ar:marker* events (e.g. 0, 'barcode:5', 'nft:0', 'multi:0')
+     * @param {{signal?: AbortSignal, timeoutMs?: number}} options - as in loadMarker()
+     * @returns {Promise<boolean>} - false when no marker with this id is loaded
+     */
+    async unloadMarker(id, { signal, timeoutMs } = {}) {
+        const entry = this._registry.get(id);
+        if (!entry) return false;
+        await this._sendRequest('unloadMarker', { kind: entry.kind, markerId: entry.markerId }, { signal, timeoutMs });
+        for (const stream of this._allStreams()) {
+            const state = stream.markers.get(id);
+            if (state?.visible) {
+                this._emitLost(id, state, Date.now(), null, stream);
+            } else {
+                stream.markers.delete(id);
             }
+        }
+        // after ar:markerLost, which carries the marker's name
+        this._registry.delete(id);
+        this._entities?.removeMarker(id);
+        this._world.removeMarker(id);
+        return true;
+    }
+
+    /**
+     * Markers currently loaded, in load order
+     * @returns {Array<{id: number|string, kind: string, markerId: number, name: string|null, metadata: object|null,
+     *   url: string|null, size: number|null, loadedAt: number, markerCount?: number}>}
+     *   url is null for inline patterns and JSON multi-marker layouts
+     */
+    listMarkers() {
+        return Array.from(this._registry.values(), (entry) => ({ ...entry }));
+    }
+
+    /**
+     * ECS entity of a tracked marker (requires the ecs option)
+     * @param {number|string} id - marker id as used in ar:marker* events
+     * @param {*} source - camera source (null: frames without a sourceRef)
+     * @returns {*} the entity, or null before the marker was found by that source
+     */
+    getMarkerEntity(id, source = null) {
+        return this._entities?.entityFor(id, source) ?? null;
+    }
+
+    /**
+     * Attach app components to the entities of a marker, including entities created later (requires the ecs option)
+     * @param {string|number} nameOrId - name given when loading the marker, or its event id
+     * @param {object} components - component name -> data, or a function ({ id, kind, name, source }) => data called
+     *   for each entity
+     */
+    setMarkerComponents(nameOrId, components) {
+        if (!this._entities) throw new Error('ECS integration is not enabled (ecs option)');
+        this._entities.setMarkerComponents(nameOrId, components);
+        return this;
+    }
 
-            // Set a timeout to prevent hanging promises
-            setTimeout(() => {
-                if (this._pendingMarkerLoads.has(requestId)) {
-                    this._pendingMarkerLoads.delete(requestId);
-                    reject(new Error('loadMarker request timed out'));
+    _registerMarker(kind, markerId, { url = null, size = null, markerCount, name, metadata } = {}) {
+        const id = markerKey(kind, markerId);
+        // loading the same pattern again returns the same marker; keep its first load time, name and metadata
+        const previous = this._registry.get(id);
+        // a name stands for one marker, and a marker has one name
+        const owner = name == null ? null : [...this._registry.values()].find((entry) => entry.name === name && entry.id !== id);
+        const renamed = name != null && previous?.name != null && previous.name !== name;
+        if (owner || renamed) {
+            // a marker loaded by this call only is unloaded again
+            if (!previous) {
+                Promise.resolve()
+                    .then(() => this._sendRequest('unloadMarker', { kind, markerId }))
+                    .catch((err) => this.logger.warn(`[Plugin] Could not unload marker ${markerId}: ${err?.message || err}`));
+            }
+            throw new ArtoolkitError(ERROR_CODES.INVALID_ARGUMENT, owner
+                ? `Marker name "${name}" is already used by marker ${owner.id}`
+                : `Marker ${id} is already loaded as "${previous.name}"`, { details: { id, name } });
+        }
+        const loadedAt = previous?.loadedAt ?? Date.now();
+        const entry = {
+            id,
+            kind,
+            markerId,
+            name: name ?? previous?.name ?? null,
+            metadata: metadata ?? previous?.metadata ?? null,
+            url,
+            size,
+            loadedAt
+        };
+        if (markerCount !== undefined) entry.markerCount = markerCount;
+        this._registry.set(id, entry);
+    }
+
+    // Post a request to a worker and resolve on the response with the same requestId.
+    // Requests to the primary detector also go to other sources' detectors, without a requestId; marker loads and
+    // unloads are logged for sources added later. An aborted or timed out request is cancelled in the worker; its log
+    // entry stays until the worker answers, since the marker may have been loaded anyway.
+    _sendRequest(type, payload, { signal, timeoutMs = this.requestTimeoutMs, workerIndex = 0 } = {}) {
+        // while the worker restarts, requests wait for it and are sent once it is back
+        const restarting = !!this._workerHealth.get(workerIndex)?.restarting;
+        if (!this._workerAt(workerIndex) && !restarting) {
+            throw new ArtoolkitError(ERROR_CODES.WORKER_UNAVAILABLE, 'Worker not available. Ensure plugin is enabled and worker is running.');
+        }
+        if (signal?.aborted) {
+            throw new ArtoolkitError(ERROR_CODES.ABORTED, `${type} request aborted`, { cause: signal.reason });
+        }
+
+        const requestId = this._nextRequestId++;
+        const primary = workerIndex === 0 && type !== 'init';
+        const logged = primary && type !== 'configure' ? { type, payload, requestId } : null;
+        if (logged) this._markerRequests.push(logged);
+        if (primary) {
+            for (const stream of this._streams.values()) {
+                try { this._workerFor(stream)?.postMessage({ type, payload: { ...payload, ...sourcePayload(stream) } }); } catch {}
+            }
+        }
+
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            const abandon = (err) => {
+                if (!this._pendingRequests.has(requestId)) return;
+                this._pendingRequests.delete(requestId);
+                cleanup();
+                if (logged) this._abandonedRequests.set(requestId, { type, logged });
+                // version 1 workers cannot cancel: the late response is handled like that of a cancel that came too late
+                if (supportsMessage(this._protocolVersions.get(workerIndex), 'cancel')) {
+                    try { this._workerAt(workerIndex)?.postMessage({ type: 'cancel', payload: { requestId } }); } catch {}
                 }
-            }, 10000); // 10 second timeout
+                reject(err);
+            };
+            const onAbort = () => abandon(new ArtoolkitError(ERROR_CODES.ABORTED, `${type} request aborted`, { cause: signal.reason }));
+            const cleanup = () => {
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', onAbort);
+            };
+            this._pendingRequests.set(requestId, { type, payload, workerIndex, logged, resolve, reject, cleanup });
+            signal?.addEventListener('abort', onAbort, { once: true });
+            if (timeoutMs > 0 && Number.isFinite(timeoutMs)) {
+                timer = setTimeout(() => abandon(new ArtoolkitError(ERROR_CODES.TIMEOUT, `${type} request timed out after ${timeoutMs}ms`)), timeoutMs);
+            }
+
+            try {
+                this._workerAt(workerIndex)?.postMessage({ type, payload: { ...payload, requestId } });
+            } catch (err) {
+                this._pendingRequests.delete(requestId);
+                cleanup();
+                this._dropLoggedRequest(logged);
+                reject(new ArtoolkitError(ERROR_CODES.WORKER_UNAVAILABLE, `Failed to send ${type} message: ${err.message}`, { cause: err }));
+            }
         });
     }
-}
\ No newline at end of file
+
+    // The ready of a version 1 worker answers the init requests sent to it
+    _settleLegacyInit(workerIndex) {
+        for (const [requestId, pending] of this._pendingRequests) {
+            if (pending.workerIndex !== workerIndex || pending.type !== 'init') continue;
+            this._settleRequest('initResult', { ok: true, protocolVersion: 1, requestId });
+        }
+    }
+
+    // Resolve or reject the request a response answers
+    _settleRequest(type, payload) {
+        const { requestId, ok, error, code, kind, ...result } = payload || {};
+        if (requestId === undefined) return;
+        const pending = this._pendingRequests.get(requestId);
+        if (pending) {
+            this._pendingRequests.delete(requestId);
+            pending.cleanup();
+            if (ok) {
+                pending.resolve(result);
+                return;
+            }
+            // a failed load did not create a marker, so sources added later must not load it either
+            this._dropLoggedRequest(pending.logged);
+            // version 1 workers send no codes; their failed loads are load failures
+            const fallback = type === 'loadMarkerResult' ? ERROR_CODES.LOAD_FAILED : ERROR_CODES.INTERNAL;
+            pending.reject(new ArtoolkitError(code ?? fallback, error || `${type} failed`));
+            return;
+        }
+
+        const abandoned = this._abandonedRequests.get(requestId);
+        if (!abandoned) return;
+        this._abandonedRequests.delete(requestId);
+        if (!ok) {
+            this._dropLoggedRequest(abandoned.logged);
+            return;
+        }
+        // the worker loaded the marker before the cancel arrived: unload it again, unless the same marker was
+        // loaded by another call (ARToolKit returns the loaded marker for a pattern it already has)
+        if (abandoned.type !== 'unloadMarker' && result.markerId != null) {
+            const markerKind = kind ?? 'pattern';
+            if (!this._registry.has(markerKey(markerKind, result.markerId))) {
+                Promise.resolve()
+                    .then(() => this._sendRequest('unloadMarker', { kind: markerKind, markerId: result.markerId }))
+                    .catch((err) => this.logger.warn(`[Plugin] Could not unload abandoned marker ${result.markerId}: ${err?.message || err}`));
+            }
+        }
+    }
+
+    _dropLoggedRequest(logged) {
+        if (!logged) return;
+        const index = this._markerRequests.indexOf(logged);
+        if (index >= 0) this._markerRequests.splice(index, 1);
+    }
+}
+
+// Statistics reset by enable(); times in milliseconds
+function createRuntimeStats() {
+    return {
+        startedAt: nowMs(),
+        workerReadyMs: null,
+        artoolkitInitMs: new SampleWindow(16),
+        processingMs: new SampleWindow(256),
+        markers: new Map() // event id -> { kind, detections, confidenceSum }
+    };
+}
+
+function nowMs() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+// Per-source detection state; key identifies the source's detector in worker messages (undefined for the primary source)
+function createStream({ key, ref, workerIndex, markers, smoother }) {
+    return {
+        key,
+        ref,
+        workerIndex,
+        markers,
+        smoother,
+        inFlightFrames: new Map(), // seq -> sentAt
+        pendingFrame: null,
+        lastFrameSentAt: 0,
+        lastProcessedSeq: -1,
+        framesSent: 0,
+        cameraParameters: null,
+        initPayload: {}, // camera settings of an added source's detector
+        frameMarkers: new Map(), // id -> { pose, confidence } of the frame frameMarkersSeq, for world anchoring
+        frameMarkersSeq: null
+    };
+}
+
+// Payload fields addressing a source's detector; the primary source keeps the single-camera protocol
+function sourcePayload(stream) {
+    return stream.key === undefined ? {} : { source: stream.key };
+}
+
+// Transferable view of frame pixels: an ArrayBuffer plus the transfer list to post it with.
+// Typed arrays that view only part of their buffer are copied so the transfer moves just the frame.
+function toTransferableBuffer(data) {
+    if (data instanceof ArrayBuffer) return { buffer: data, transfer: [data] };
+    if (ArrayBuffer.isView(data)) {
+        const whole = data.byteOffset === 0 && data.byteLength === data.buffer.byteLength && data.buffer instanceof ArrayBuffer;
+        if (whole) return { buffer: data.buffer, transfer: [data.buffer] };
+        const copy = new Uint8Array(data.byteLength);
+        copy.set(new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+        return { buffer: copy.buffer, transfer: [copy.buffer] };
+    }
+    throw new TypeError('frame.data must be an ArrayBuffer or a typed array');
+}
+
+// loadMarker() source: a URL, pattern text (contains a newline, as ARToolKit expects) or binary .patt data
+function patternSource(source) {
+    // toString tag instead of instanceof: buffers may come from another realm (iframe, worker, test DOM)
+    if (Object.prototype.toString.call(source) === '[object ArrayBuffer]' || ArrayBuffer.isView(source)) {
+        const text = new TextDecoder().decode(source);
+        if (!text.trim()) throw new TypeError('Pattern data is empty');
+        return { patternUrl: null, patternText: text.includes('\n') ? text : `${text}\n` };
+    }
+    if (typeof source !== 'string' || !source.trim()) {
+        throw new TypeError('loadMarker expects a pattern URL, pattern text or an ArrayBuffer');
+    }
+    return source.includes('\n') ? { patternUrl: null, patternText: source } : { patternUrl: source, patternText: null };
+}
+
+// Event id for a marker: pattern ids stay numeric, other kinds are prefixed
+// (e.g. 'barcode:5', 'nft:0') so they cannot collide with pattern ids
+export function markerKey(kind, markerId) {
+    return !kind || kind === 'pattern' ? markerId : `${kind}:${markerId}`;
+}
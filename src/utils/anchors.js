@@ -0,0 +1,192 @@
+// World anchoring: markers designated as anchors define a world frame; a graph of relative transforms between
+// markers seen together in a frame extends it to the other markers, so the camera can be located in world space
+// while the anchors themselves are out of view.
+// All matrices are column-major 4x4. Marker poses P are camera-from-marker (poseMatrix of ar:marker* events);
+// the edge a -> b stores b's pose in a's frame, inv(P_a) * P_b; world poses W are world-from-marker; the camera
+// pose is world-from-camera, W_m * inv(P_m), in ARToolKit's camera frame (x right, y down, z forward).
+import { multiplyMatrices, invertRigidTransform } from './matrix.js';
+import { matrixToQuaternion, slerpQuaternion, composePoseMatrix } from './smoothing.js';
+
+const IDENTITY = Object.freeze([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+
+// Edges are stored once per marker pair, from the smaller key
+function edgeKey(a, b) {
+    return String(a) < String(b) ? [a, b] : [b, a];
+}
+
+/**
+ * Learned relative transforms between markers plus the world anchors they are attached to
+ */
+export class WorldAnchors {
+    /**
+     * @param {{window?: number, resolveId?: (key: number|string) => number|string}} options - window: edges average
+     *   about this many latest observations (default: 30); resolveId: maps anchor keys (e.g. marker names) to marker ids
+     */
+    constructor({ window = 30, resolveId = (key) => key } = {}) {
+        this.window = Math.max(1, window);
+        this._resolveId = resolveId;
+        this._anchors = new Map(); // key -> world pose of the anchor marker
+        this._edges = new Map(); // from id -> Map<to id, { quaternion, translation, observations }>
+        this._worldPoses = null; // cache of marker id -> world pose; null when stale
+        this._worldPosesKey = null; // resolved anchor ids the cache was built from
+    }
+
+    get hasAnchors() {
+        return this._anchors.size > 0;
+    }
+
+    /**
+     * Make a marker a world anchor
+     * @param {number|string} key - marker id or a key resolveId maps to one
+     * @param {ArrayLike<number>} worldPose - the marker's pose in world space (default: identity, the marker is the origin)
+     */
+    setAnchor(key, worldPose = IDENTITY) {
+        if (worldPose.length !== 16) throw new TypeError('Anchor world pose must be a 4x4 matrix');
+        this._anchors.set(key, Float64Array.from(worldPose));
+        this._worldPoses = null;
+    }
+
+    removeAnchor(key) {
+        this._worldPoses = null;
+        return this._anchors.delete(key);
+    }
+
+    // Forget a marker's edges (e.g. it was unloaded)
+    removeMarker(id) {
+        this._edges.delete(id);
+        for (const edges of this._edges.values()) edges.delete(id);
+        this._worldPoses = null;
+    }
+
+    // Forget every learned edge; anchors stay
+    reset() {
+        this._edges.clear();
+        this._worldPoses = null;
+    }
+
+    /**
+     * Learned edges
+     * @returns {Array<{from: number|string, to: number|string, matrix: Float32Array, observations: number}>} - matrix: pose of
+     *   `to` in the frame of `from`
+     */
+    edges() {
+        const out = [];
+        for (const [from, edges] of this._edges) {
+            for (const [to, edge] of edges) {
+                out.push({ from, to, matrix: composePoseMatrix(edge.quaternion, edge.translation), observations: edge.observations });
+            }
+        }
+        return out;
+    }
+
+    /**
+     * World pose of a marker: its anchor pose, or chained through the graph from the nearest anchor
+     * @param {number|string} id - marker id
+     * @returns {Float64Array|null} null when no anchor connects to the marker
+     */
+    worldPose(id) {
+        // anchor keys can resolve to other ids over time (a named marker loads), which makes the cache stale too
+        const anchorIds = this._anchorIds();
+        const key = JSON.stringify([...anchorIds.keys()]);
+        if (!this._worldPoses || key !== this._worldPosesKey) {
+            this._worldPoses = this._computeWorldPoses(anchorIds);
+            this._worldPosesKey = key;
+        }
+        return this._worldPoses.get(id) ?? null;
+    }
+
+    /**
+     * Learn from the markers of one frame and locate the camera
+     * @param {Array<{id: number|string, pose: ArrayLike<number>, confidence?: number}>} observations - markers detected in the frame
+     * @returns {{matrix: Float64Array, referenceId: number|string, anchorVisible: boolean,
+     *   markers: Array<{id: number|string, worldMatrix: Float64Array}>}|null} - null when no observed marker has a world pose
+     */
+    observe(observations) {
+        for (let i = 0; i < observations.length; i++) {
+            for (let j = i + 1; j < observations.length; j++) this._learn(observations[i], observations[j]);
+        }
+
+        // reference: a visible anchor, else the most confident marker with a world pose
+        const anchorIds = new Set(this._anchorIds().keys());
+        let reference = null;
+        let referenceWorld = null;
+        for (const observation of observations) {
+            const world = this.worldPose(observation.id);
+            if (!world) continue;
+            const rank = [anchorIds.has(observation.id) ? 1 : 0, observation.confidence ?? 0];
+            const best = reference && [anchorIds.has(reference.id) ? 1 : 0, reference.confidence ?? 0];
+            if (!best || rank[0] > best[0] || (rank[0] === best[0] && rank[1] > best[1])) {
+                reference = observation;
+                referenceWorld = world;
+            }
+        }
+        if (!reference) return null;
+
+        const matrix = multiplyMatrices(referenceWorld, invertRigidTransform(reference.pose));
+        return {
+            matrix,
+            referenceId: reference.id,
+            anchorVisible: anchorIds.has(reference.id),
+            markers: observations.map(({ id, pose }) => ({ id, worldMatrix: multiplyMatrices(matrix, pose) }))
+        };
+    }
+
+    // Anchor marker id -> world pose
+    _anchorIds() {
+        const ids = new Map();
+        for (const [key, pose] of this._anchors) ids.set(this._resolveId(key), pose);
+        return ids;
+    }
+
+    _learn(first, second) {
+        const [from, to] = edgeKey(first.id, second.id);
+        const [a, b] = from === first.id ? [first, second] : [second, first];
+        const relative = multiplyMatrices(invertRigidTransform(a.pose), b.pose);
+        const quaternion = matrixToQuaternion(relative);
+        const translation = [relative[12], relative[13], relative[14]];
+
+        let edges = this._edges.get(from);
+        if (!edges) {
+            edges = new Map();
+            this._edges.set(from, edges);
+        }
+        const edge = edges.get(to);
+        if (!edge) {
+            edges.set(to, { quaternion, translation, observations: 1 });
+        } else {
+            // running mean over the first observations, then an exponential average of the latest `window`
+            edge.observations++;
+            const weight = 1 / Math.min(edge.observations, this.window);
+            edge.quaternion = slerpQuaternion(edge.quaternion, quaternion, weight);
+            edge.translation = edge.translation.map((v, i) => v + (translation[i] - v) * weight);
+        }
+        this._worldPoses = null;
+    }
+
+    // Breadth-first from the anchors: each marker is reached over the fewest edges
+    _computeWorldPoses(anchorIds) {
+        const poses = new Map(anchorIds);
+        const queue = [...poses.keys()];
+        while (queue.length) {
+            const from = queue.shift();
+            const fromWorld = poses.get(from);
+            for (const [to, relative] of this._neighbours(from)) {
+                if (poses.has(to)) continue;
+                poses.set(to, multiplyMatrices(fromWorld, relative));
+                queue.push(to);
+            }
+        }
+        return poses;
+    }
+
+    // Markers connected to `id`, with their pose in id's frame
+    * _neighbours(id) {
+        for (const [to, edge] of this._edges.get(id) ?? []) {
+            yield [to, composePoseMatrix(edge.quaternion, edge.translation)];
+        }
+        for (const [from, edges] of this._edges) {
+            const edge = edges.get(id);
+            if (edge) yield [from, invertRigidTransform(composePoseMatrix(edge.quaternion, edge.translation))];
+        }
+    }
+}
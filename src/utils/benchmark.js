@@ -0,0 +1,130 @@
+// Detection benchmark: renders synthetic scenes with known poses (synthetic.js), feeds them to the
+// plugin through engine:update and scores the marker events it emits.
+import { renderMarkerScene, poseError } from './synthetic.js';
+import { waitForFrameProcessed } from './session.js';
+
+const DETECTION_EVENTS = ['ar:markerFound', 'ar:markerUpdated'];
+
+function summarize(values) {
+    if (!values.length) return { mean: null, median: null, max: null };
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return {
+        mean: values.reduce((sum, v) => sum + v, 0) / values.length,
+        median: sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2,
+        max: sorted[sorted.length - 1]
+    };
+}
+
+// Uniform frame without a marker; a new buffer each time since frames are transferred to the worker
+function blankFrame(width, height, background = 255) {
+    const data = new Uint8ClampedArray(width * height * 4).fill(background);
+    for (let i = 3; i < data.length; i += 4) data[i] = 255;
+    return data;
+}
+
+/**
+ * Run synthetic scenes through a plugin and measure detection quality
+ * The markers must already be loaded with the same size as their cases and the plugin enabled (without smoothing,
+ * which would bias the measured poses).
+ * @param {{on: Function, off: Function, emit: Function}} eventBus - the plugin's event bus
+ * @param {Array<{expectedId: *, scene?: object}>} cases - expectedId: marker event id the scene should produce,
+ *   null for scenes without a marker; scene: renderMarkerScene options (omit scene.marker for a blank frame)
+ * @param {{frameTimeoutMs?: number, resetFrames?: number, onProgress?: Function}} options -
+ *   resetFrames: blank frames sent before each case (default 3). ARToolKit carries marker ids, orientation and
+ *   poses over from recent frames at the same image position; the blank frames clear that history so unrelated
+ *   poses are measured independently. 0 measures the cases as one continuous sequence.
+ * @returns {Promise<object>} report: { frames, detectionRate, falsePositiveRate, confusionRate,
+ *   translationError, rotationError (radians), confidence ({ mean, median, max } each), confusion, results }
+ */
+export async function runDetectionBenchmark(eventBus, cases, { frameTimeoutMs = 2000, resetFrames = 3, onProgress } = {}) {
+    const detections = new Map(); // frameId -> marker events
+    const onDetection = (payload) => {
+        if (!payload || payload.frameId == null) return;
+        if (!detections.has(payload.frameId)) detections.set(payload.frameId, []);
+        detections.get(payload.frameId).push(payload);
+    };
+    for (const name of DETECTION_EVENTS) eventBus.on(name, onDetection);
+
+    const results = [];
+    try {
+        for (let i = 0; i < cases.length; i++) {
+            const { expectedId = null, scene = {} } = cases[i];
+            const frame = scene.marker != null ? renderMarkerScene(scene) : null;
+            const camera = scene.camera;
+            const width = frame?.width ?? camera?.width ?? 640;
+            const height = frame?.height ?? camera?.height ?? 480;
+
+            for (let r = 0; r < resetFrames; r++) {
+                const resetId = `benchmark:${i}:reset:${r}`;
+                const reset = waitForFrameProcessed(eventBus, resetId, frameTimeoutMs);
+                eventBus.emit('engine:update', { id: resetId, data: blankFrame(width, height, scene.background), width, height });
+                await reset;
+            }
+
+            const frameId = `benchmark:${i}`;
+            const processed = waitForFrameProcessed(eventBus, frameId, frameTimeoutMs);
+            eventBus.emit('engine:update', {
+                id: frameId,
+                data: frame ? frame.data : blankFrame(width, height, scene.background),
+                width,
+                height
+            });
+            const timedOut = !(await processed);
+
+            const found = detections.get(frameId) || [];
+            detections.delete(frameId);
+            const match = expectedId != null ? found.find((d) => d.id === expectedId) : null;
+            const error = match && scene.pose ? poseError(scene.pose, match.poseMatrix) : null;
+            results.push({
+                index: i,
+                expectedId,
+                detected: !!match,
+                ids: found.map((d) => d.id),
+                confidence: match?.confidence ?? null,
+                translationError: error?.translation ?? null,
+                rotationError: error?.rotation ?? null,
+                timedOut
+            });
+            onProgress?.({ completed: i + 1, total: cases.length });
+        }
+    } finally {
+        for (const name of DETECTION_EVENTS) eventBus.off(name, onDetection);
+    }
+
+    return createBenchmarkReport(results);
+}
+
+/**
+ * Aggregate per-case benchmark results into a report (see runDetectionBenchmark)
+ * @param {Array<{expectedId: *, detected: boolean, ids: Array, confidence: number|null,
+ *   translationError: number|null, rotationError: number|null}>} results
+ * @returns {object}
+ */
+export function createBenchmarkReport(results) {
+    const positives = results.filter((r) => r.expectedId != null);
+    const negatives = results.filter((r) => r.expectedId == null);
+    const detected = positives.filter((r) => r.detected);
+    // a wrong id reported for a marker scene: the pattern was mistaken for another one
+    const confused = positives.filter((r) => r.ids.some((id) => id !== r.expectedId));
+
+    // confusion[expectedId][reportedId] = frames; 'none' when nothing was reported
+    const confusion = {};
+    for (const r of results) {
+        const row = (confusion[r.expectedId ?? 'none'] ??= {});
+        const ids = r.ids.length ? r.ids : ['none'];
+        for (const id of ids) row[id] = (row[id] || 0) + 1;
+    }
+
+    return {
+        frames: results.length,
+        detectionRate: positives.length ? detected.length / positives.length : null,
+        falsePositiveRate: negatives.length ? negatives.filter((r) => r.ids.length).length / negatives.length : null,
+        confusionRate: positives.length ? confused.length / positives.length : null,
+        translationError: summarize(detected.filter((r) => r.translationError != null).map((r) => r.translationError)),
+        rotationError: summarize(detected.filter((r) => r.rotationError != null).map((r) => r.rotationError)),
+        confidence: summarize(detected.map((r) => r.confidence).filter(Number.isFinite)),
+        confusion,
+        results
+    };
+}
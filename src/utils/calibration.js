@@ -0,0 +1,569 @@
+// Camera calibration from marker observations (Zhang's method): the corners of a known planar target — one marker or
+// a board of markers — seen from many angles give the focal lengths, principal point and radial distortion.
+//
+// calibrateCamera() solves from corner correspondences in observed pixels. CameraCalibrator collects them from the
+// plugin's detection stream: ARToolKit reports corners undistorted with the camera parameters it runs with, so they
+// are mapped back to observed pixels with those parameters (ar:cameraParameters `camera`).
+import { cameraParametersFromIntrinsics, distortPoint } from './camera.js';
+
+const DETECTION_EVENTS = ['ar:markerFound', 'ar:markerUpdated'];
+const INTRINSICS = 6;  // fx, fy, cx, cy, k1, k2
+const VIEW_PARAMS = 6; // rotation vector, translation
+// a detection whose corners are further than this from the pose's corner directions is skipped (radians, mean)
+const MAX_CORNER_ANGLE = 0.5;
+
+/**
+ * Solve camera intrinsics from views of a planar target
+ * @param {Array<{objectPoints: number[][], imagePoints: number[][]}>} views - per view, target points [x, y] (z = 0
+ *   plane) and their observed pixels [x, y]; at least 3 views of 4 points, seen at different angles
+ * @param {{width: number, height: number, distortionCoefficients?: number, fixPrincipalPoint?: boolean,
+ *   maxIterations?: number}} options - width/height: image size; distortionCoefficients: radial coefficients solved
+ *   for, 0 to 2 (default 2: k1, k2); fixPrincipalPoint: keep the principal point at the image center (few or
+ *   similar views); maxIterations: Levenberg-Marquardt iterations (default 100)
+ * @returns {{fx: number, fy: number, cx: number, cy: number, distortion: number[], rms: number, viewErrors: number[],
+ *   poses: Float64Array[], cameraParameters: object}} distortion: [k1, k2, p1, p2] (p1 = p2 = 0); rms: reprojection
+ *   error in pixels (viewErrors: per view); poses: column-major target poses; cameraParameters: loadable by the
+ *   plugin (cameraParameters option, addSource())
+ */
+export function calibrateCamera(views, { width, height, distortionCoefficients = 2, fixPrincipalPoint = false, maxIterations = 100 } = {}) {
+    if (!(Number.isInteger(width) && Number.isInteger(height) && width > 0 && height > 0)) {
+        throw new Error('Calibration needs the image width and height');
+    }
+    if (![0, 1, 2].includes(distortionCoefficients)) throw new RangeError('distortionCoefficients must be 0, 1 or 2');
+    if (!Array.isArray(views) || views.length < 3) throw new Error(`Calibration needs at least 3 views, got ${views?.length ?? 0}`);
+    views.forEach(({ objectPoints, imagePoints }, i) => {
+        if (!(objectPoints?.length >= 4 && imagePoints?.length === objectPoints.length)) {
+            throw new Error(`Calibration views[${i}] needs at least 4 object points with one image point each`);
+        }
+    });
+
+    // initial guess: principal point at the center, square pixels, no distortion, poses from homographies
+    const cx = (width - 1) / 2;
+    const cy = (height - 1) / 2;
+    const homographies = views.map((v) => findHomography(v.objectPoints, v.imagePoints));
+    const f = initialFocalLength(homographies, cx, cy) ?? Math.max(width, height);
+    const params = new Float64Array(INTRINSICS + VIEW_PARAMS * views.length);
+    params.set([f, f, cx, cy, 0, 0]);
+    homographies.forEach((h, i) => params.set(poseFromHomography(h, f, f, cx, cy), INTRINSICS + i * VIEW_PARAMS));
+
+    const free = [0, 1, ...(fixPrincipalPoint ? [] : [2, 3]), ...[4, 5].slice(0, distortionCoefficients)];
+    for (let i = INTRINSICS; i < params.length; i++) free.push(i);
+    const residuals = refine(views, params, free, maxIterations);
+    if (!residuals.every(Number.isFinite) || !(params[0] > 0 && params[1] > 0)) {
+        throw new Error('Calibration did not converge; add views of the target from different angles');
+    }
+
+    const [fx, fy, px, py, k1, k2] = params;
+    const viewErrors = [];
+    let offset = 0;
+    let sum = 0;
+    for (const view of views) {
+        let viewSum = 0;
+        for (let i = 0; i < view.objectPoints.length * 2; i++) viewSum += residuals[offset + i] ** 2;
+        offset += view.objectPoints.length * 2;
+        sum += viewSum;
+        viewErrors.push(Math.sqrt(viewSum / view.objectPoints.length));
+    }
+    const distortion = [k1, k2, 0, 0];
+    return {
+        fx,
+        fy,
+        cx: px,
+        cy: py,
+        distortion,
+        rms: Math.sqrt(sum / (residuals.length / 2)),
+        viewErrors,
+        poses: views.map((_, i) => poseMatrix(params, INTRINSICS + i * VIEW_PARAMS)),
+        cameraParameters: cameraParametersFromIntrinsics({ fx, fy, cx: px, cy: py, distortion }, { width, height })
+    };
+}
+
+/**
+ * Collects calibration views of a known target from marker events
+ */
+export class CameraCalibrator {
+    /**
+     * @param {object} options
+     * @param {{marker: number|string, size: number}|{markers: Array<{marker: number|string, size: number, position?: number[]}>}} options.target -
+     *   one marker, or a planar board of markers (loaded as separate markers) with the positions of their centers in
+     *   the board plane, in the units of size; board markers are axis-aligned with the board
+     * @param {object|null} [options.camera] - camera parameters the detector undistorted corners with, in frame pixels
+     *   (ar:cameraParameters `camera`, version 4); null: corners are observed pixels
+     * @param {number} [options.width] - frame size (default: the camera's)
+     * @param {number} [options.height]
+     * @param {Function} [options.resolveId] - marker of the target (id or name) -> event id
+     * @param {number} [options.maxViews] - views kept (default 40)
+     * @param {number} [options.minViewDistance] - mean corner movement in pixels for a frame to make a new view
+     *   (default 20), so a still camera does not fill the calibration with one view
+     * @param {Function} [options.onView] - called with ({ views, maxViews }) when a view is added
+     */
+    constructor({ target, camera = null, width, height, resolveId = (key) => key, maxViews = 40, minViewDistance = 20, onView } = {}) {
+        this._members = normalizeTarget(target);
+        this.camera = camera;
+        this.width = width ?? camera?.width ?? null;
+        this.height = height ?? camera?.height ?? null;
+        this.maxViews = maxViews;
+        this.minViewDistance = minViewDistance;
+        this._resolveId = resolveId;
+        this._onView = onView;
+        this._views = [];
+        this._eventBus = null;
+        this._listeners = [];
+    }
+
+    get viewCount() {
+        return this._views.length;
+    }
+
+    // Views collected so far ({ objectPoints, imagePoints }, as calibrateCamera() takes them)
+    get views() {
+        return this._views.map(({ objectPoints, imagePoints }) => ({ objectPoints, imagePoints }));
+    }
+
+    /**
+     * Add the detections of one frame
+     * @param {Array<{id: number|string, corners: number[][], poseMatrix: ArrayLike<number>}>} detections - marker events
+     * @returns {boolean} whether the frame became a view
+     */
+    addDetections(detections) {
+        if (this._views.length >= this.maxViews) return false;
+        const objectPoints = [];
+        const imagePoints = [];
+        const keys = [];
+        this._members.forEach((member, index) => {
+            const id = this._resolveId(member.marker);
+            const detection = detections.find((d) => d?.id === id);
+            if (detection?.corners?.length !== 4 || detection.poseMatrix?.length !== 16) return;
+            const order = matchCorners(detection.corners, member.local, detection.poseMatrix);
+            if (!order) return;
+            order.forEach((corner, k) => {
+                const [x, y] = detection.corners[corner];
+                objectPoints.push(member.corners[k]);
+                imagePoints.push(this.camera ? distortPoint(this.camera.distortion, x, y) : [x, y]);
+                keys.push(`${index}:${k}`);
+            });
+        });
+        if (!objectPoints.length) return false;
+        if (this._views.some((view) => viewDistance(view, keys, imagePoints) < this.minViewDistance)) return false;
+        this._views.push({ objectPoints, imagePoints, keys });
+        this._onView?.({ views: this._views.length, maxViews: this.maxViews });
+        return true;
+    }
+
+    /**
+     * Solve the camera from the views collected so far
+     * @param {object} options - as in calibrateCamera()
+     */
+    calibrate(options = {}) {
+        if (!this.width || !this.height) throw new Error('Frame size unknown: pass width and height, or wait for ar:cameraParameters');
+        return calibrateCamera(this.views, { width: this.width, height: this.height, ...options });
+    }
+
+    reset() {
+        this._views = [];
+    }
+
+    /**
+     * Collect views from the marker events of one camera source
+     * @param {*} eventBus - engine event bus
+     * @param {{source?: *}} options - source: frame.sourceRef of the camera (null: frames without one)
+     */
+    start(eventBus, { source = null } = {}) {
+        if (this._eventBus) return this;
+        this._eventBus = eventBus;
+        // marker events of a frame arrive before its ar:frameProcessed
+        let frameDetections = [];
+        const ofSource = (e) => (e?.source ?? null) === source;
+        const onDetection = (e) => {
+            if (ofSource(e)) frameDetections.push(e);
+        };
+        const handlers = [
+            ...DETECTION_EVENTS.map((name) => [name, onDetection]),
+            ['ar:frameProcessed', (e) => {
+                if (!ofSource(e)) return;
+                const detections = frameDetections.filter((d) => d.frameId === (e.frameId ?? null));
+                frameDetections = [];
+                if (detections.length) this.addDetections(detections);
+            }],
+            ['ar:cameraParameters', (e) => {
+                if (!ofSource(e) || e.camera === undefined) return;
+                // views of another frame size (e.g. the device rotated) do not fit the new calibration
+                if (e.width !== this.width || e.height !== this.height) this.reset();
+                this.camera = e.camera;
+                this.width = e.width;
+                this.height = e.height;
+            }]
+        ];
+        for (const [name, listener] of handlers) {
+            eventBus.on(name, listener);
+            this._listeners.push([name, listener]);
+        }
+        return this;
+    }
+
+    stop() {
+        for (const [name, listener] of this._listeners) this._eventBus?.off(name, listener);
+        this._listeners = [];
+        this._eventBus = null;
+        return this;
+    }
+}
+
+// Target corners per marker, clockwise from the top left (marker y up), in board and in marker coordinates
+function normalizeTarget(target) {
+    const markers = target?.marker !== undefined ? [{ marker: target.marker, size: target.size }] : target?.markers;
+    if (!Array.isArray(markers) || !markers.length) {
+        throw new TypeError('Calibration target must be { marker, size } or { markers: [{ marker, size, position }] }');
+    }
+    return markers.map(({ marker, size, position = [0, 0] } = {}, i) => {
+        if (marker == null) throw new TypeError(`Calibration target markers[${i}] needs a marker id or name`);
+        if (!(Number.isFinite(size) && size > 0)) throw new TypeError(`Calibration target markers[${i}].size must be a positive number`);
+        if (!Array.isArray(position) || position.length < 2 || position.length > 3 || !position.every(Number.isFinite) || (position[2] ?? 0) !== 0) {
+            throw new TypeError(`Calibration target markers[${i}].position must be [x, y] in the board plane`);
+        }
+        const h = size / 2;
+        const local = [[-h, h], [h, h], [h, -h], [-h, -h]];
+        return { marker, local, corners: local.map(([x, y]) => [x + position[0], y + position[1]]) };
+    });
+}
+
+// Which detected corner is which target corner: ARToolKit reports corners in the order it found them, so they are
+// matched by angle around their center against the target corners placed by the detection's pose (any focal
+// length keeps that order). Returns detected corner indices per target corner, or null.
+function matchCorners(corners, local, pose) {
+    const model = [];
+    for (const [x, y] of local) {
+        const z = pose[2] * x + pose[6] * y + pose[14];
+        if (!(z > 0)) return null;
+        model.push([(pose[0] * x + pose[4] * y + pose[12]) / z, (pose[1] * x + pose[5] * y + pose[13]) / z]);
+    }
+    const a = anglesAroundCenter(model);
+    const b = anglesAroundCenter(corners);
+    let best = null;
+    let bestError = Infinity;
+    for (const direction of [1, -1]) {
+        for (let shift = 0; shift < 4; shift++) {
+            const order = [0, 1, 2, 3].map((k) => (shift + direction * k + 4) % 4);
+            const error = order.reduce((sum, j, k) => sum + Math.abs(wrapAngle(b[j] - a[k])), 0) / 4;
+            if (error < bestError) {
+                best = order;
+                bestError = error;
+            }
+        }
+    }
+    return bestError < MAX_CORNER_ANGLE ? best : null;
+}
+
+function anglesAroundCenter(points) {
+    const cx = points.reduce((s, p) => s + p[0], 0) / points.length;
+    const cy = points.reduce((s, p) => s + p[1], 0) / points.length;
+    return points.map(([x, y]) => Math.atan2(y - cy, x - cx));
+}
+
+function wrapAngle(a) {
+    return Math.atan2(Math.sin(a), Math.cos(a));
+}
+
+// Mean pixel distance between the points two views share (Infinity when they share none)
+function viewDistance(view, keys, imagePoints) {
+    let sum = 0;
+    let count = 0;
+    keys.forEach((key, i) => {
+        const j = view.keys.indexOf(key);
+        if (j === -1) return;
+        sum += Math.hypot(view.imagePoints[j][0] - imagePoints[i][0], view.imagePoints[j][1] - imagePoints[i][1]);
+        count++;
+    });
+    return count ? sum / count : Infinity;
+}
+
+// Homography target plane -> image (row-major 3x3), normalized DLT
+function findHomography(objectPoints, imagePoints) {
+    const [src, s1, m1] = normalizePoints(objectPoints);
+    const [dst, s2, m2] = normalizePoints(imagePoints);
+    const ata = new Float64Array(81);
+    const accumulate = (row) => {
+        for (let i = 0; i < 9; i++) for (let j = 0; j < 9; j++) ata[i * 9 + j] += row[i] * row[j];
+    };
+    src.forEach(([x, y], i) => {
+        const [u, v] = dst[i];
+        accumulate([x, y, 1, 0, 0, 0, -u * x, -u * y, -u]);
+        accumulate([0, 0, 0, x, y, 1, -v * x, -v * y, -v]);
+    });
+    const n = smallestEigenvector(ata, 9);
+    // H = T2^-1 * Hn * T1 with T = [s 0 -s*mx; 0 s -s*my; 0 0 1]
+    const t1 = [s1, 0, -s1 * m1[0], 0, s1, -s1 * m1[1], 0, 0, 1];
+    const t2inv = [1 / s2, 0, m2[0], 0, 1 / s2, m2[1], 0, 0, 1];
+    return multiply3x3(t2inv, multiply3x3(n, t1));
+}
+
+// Points centered on their centroid and scaled to a mean distance of sqrt(2)
+function normalizePoints(points) {
+    const mean = [0, 0];
+    for (const [x, y] of points) {
+        mean[0] += x / points.length;
+        mean[1] += y / points.length;
+    }
+    const spread = points.reduce((s, [x, y]) => s + Math.hypot(x - mean[0], y - mean[1]), 0) / points.length;
+    const scale = spread > 0 ? Math.SQRT2 / spread : 1;
+    return [points.map(([x, y]) => [(x - mean[0]) * scale, (y - mean[1]) * scale]), scale, mean];
+}
+
+// Focal length with the principal point at (cx, cy) and square pixels: the image of the absolute conic
+// w = diag(1/f^2, 1/f^2, 1) satisfies h1' w h2 = 0 and h1' w h1 = h2' w h2 for every homography, linear in 1/f^2.
+// null when the views do not constrain it (all seen head-on).
+function initialFocalLength(homographies, cx, cy) {
+    let num = 0;
+    let den = 0;
+    for (const h of homographies) {
+        const a = [h[0] - cx * h[6], h[1] - cx * h[7]];
+        const b = [h[3] - cy * h[6], h[4] - cy * h[7]];
+        const c = [h[6], h[7]];
+        const norm = Math.hypot(a[0], a[1], b[0], b[1], c[0], c[1]) ** 2;
+        const equations = [
+            [a[0] * a[1] + b[0] * b[1], c[0] * c[1]],
+            [a[0] ** 2 + b[0] ** 2 - a[1] ** 2 - b[1] ** 2, c[0] ** 2 - c[1] ** 2]
+        ];
+        for (const [p, q] of equations) {
+            num += (p * q) / (norm * norm);
+            den += (p * p) / (norm * norm);
+        }
+    }
+    const w = den > 0 ? -num / den : 0;
+    return w > 0 ? 1 / Math.sqrt(w) : null;
+}
+
+// Target pose [rotation vector, translation] from a homography and intrinsics
+function poseFromHomography(h, fx, fy, cx, cy) {
+    const column = (c) => [(h[c] - cx * h[6 + c]) / fx, (h[3 + c] - cy * h[6 + c]) / fy, h[6 + c]];
+    let [r1, r2, t] = [column(0), column(1), column(2)];
+    // the homography's scale; its sign puts the target in front of the camera
+    const scale = (t[2] < 0 ? -2 : 2) / (Math.hypot(...r1) + Math.hypot(...r2));
+    r1 = normalize(r1.map((v) => v * scale));
+    r2 = r2.map((v) => v * scale);
+    const dot = r1[0] * r2[0] + r1[1] * r2[1] + r1[2] * r2[2];
+    r2 = normalize(r2.map((v, i) => v - dot * r1[i]));
+    const r3 = [r1[1] * r2[2] - r1[2] * r2[1], r1[2] * r2[0] - r1[0] * r2[2], r1[0] * r2[1] - r1[1] * r2[0]];
+    const rotation = [r1[0], r2[0], r3[0], r1[1], r2[1], r3[1], r1[2], r2[2], r3[2]];
+    return [...rotationVector(rotation), ...t.map((v) => v * scale)];
+}
+
+// Levenberg-Marquardt over the free parameters; updates params in place, returns the residuals.
+// Jacobian columns are numeric; a view's pose only affects that view's rows, so columns are stored as row ranges.
+function refine(views, params, free, maxIterations) {
+    const rowStart = [];
+    let rows = 0;
+    for (const view of views) {
+        rowStart.push(rows);
+        rows += view.objectPoints.length * 2;
+    }
+    const evaluate = (p, out) => {
+        views.forEach((view, v) => projectView(p, INTRINSICS + v * VIEW_PARAMS, view, out, rowStart[v]));
+        return out;
+    };
+    const sumOfSquares = (r) => r.reduce((s, v) => s + v * v, 0);
+    let residuals = evaluate(params, new Float64Array(rows));
+    let cost = sumOfSquares(residuals);
+    const n = free.length;
+    const probe = new Float64Array(rows);
+    let lambda = 1e-3;
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        const columns = free.map((k) => {
+            const view = k < INTRINSICS ? -1 : Math.floor((k - INTRINSICS) / VIEW_PARAMS);
+            const start = view === -1 ? 0 : rowStart[view];
+            const end = view === -1 ? rows : start + views[view].objectPoints.length * 2;
+            const step = 1e-6 * Math.max(1, Math.abs(params[k]));
+            const saved = params[k];
+            params[k] = saved + step;
+            if (view === -1) evaluate(params, probe);
+            else projectView(params, INTRINSICS + view * VIEW_PARAMS, views[view], probe, start);
+            params[k] = saved;
+            const values = new Float64Array(end - start);
+            for (let i = start; i < end; i++) values[i - start] = (probe[i] - residuals[i]) / step;
+            return { start, end, values };
+        });
+
+        // normal equations J'J x = -J'r
+        const jtj = new Float64Array(n * n);
+        const jtr = new Float64Array(n);
+        for (let a = 0; a < n; a++) {
+            const ca = columns[a];
+            for (let i = ca.start; i < ca.end; i++) jtr[a] += ca.values[i - ca.start] * residuals[i];
+            for (let b = a; b < n; b++) {
+                const cb = columns[b];
+                const from = Math.max(ca.start, cb.start);
+                const to = Math.min(ca.end, cb.end);
+                let sum = 0;
+                for (let i = from; i < to; i++) sum += ca.values[i - ca.start] * cb.values[i - cb.start];
+                jtj[a * n + b] = jtj[b * n + a] = sum;
+            }
+        }
+
+        let improved = false;
+        let gain = 0;
+        while (lambda < 1e12) {
+            const damped = Float64Array.from(jtj);
+            for (let i = 0; i < n; i++) damped[i * n + i] = jtj[i * n + i] * (1 + lambda) + 1e-12;
+            const delta = solveLinearSystem(damped, jtr.map((v) => -v), n);
+            if (delta) {
+                const trial = Float64Array.from(params);
+                free.forEach((k, i) => { trial[k] += delta[i]; });
+                const trialResiduals = evaluate(trial, new Float64Array(rows));
+                const trialCost = sumOfSquares(trialResiduals);
+                if (trialCost < cost) {
+                    gain = cost - trialCost;
+                    params.set(trial);
+                    residuals = trialResiduals;
+                    cost = trialCost;
+                    lambda = Math.max(lambda / 10, 1e-12);
+                    improved = true;
+                    break;
+                }
+            }
+            lambda *= 10;
+        }
+        if (!improved || gain < 1e-12 * cost) break;
+    }
+    return residuals;
+}
+
+// Residuals (projected - observed) of one view's points, written at out[offset]
+function projectView(params, poseOffset, view, out, offset) {
+    const [fx, fy, cx, cy, k1, k2] = params;
+    const r = rotationMatrix(params[poseOffset], params[poseOffset + 1], params[poseOffset + 2]);
+    const [tx, ty, tz] = [params[poseOffset + 3], params[poseOffset + 4], params[poseOffset + 5]];
+    view.objectPoints.forEach(([X, Y], i) => {
+        const z = r[6] * X + r[7] * Y + tz;
+        const x = (r[0] * X + r[1] * Y + tx) / z;
+        const y = (r[3] * X + r[4] * Y + ty) / z;
+        const l = x * x + y * y;
+        const radial = 1 + k1 * l + k2 * l * l;
+        out[offset + i * 2] = fx * x * radial + cx - view.imagePoints[i][0];
+        out[offset + i * 2 + 1] = fy * y * radial + cy - view.imagePoints[i][1];
+    });
+}
+
+// Column-major 4x4 pose of a view's parameters
+function poseMatrix(params, offset) {
+    const r = rotationMatrix(params[offset], params[offset + 1], params[offset + 2]);
+    return new Float64Array([
+        r[0], r[3], r[6], 0,
+        r[1], r[4], r[7], 0,
+        r[2], r[5], r[8], 0,
+        params[offset + 3], params[offset + 4], params[offset + 5], 1
+    ]);
+}
+
+// Rotation vector (axis * angle) -> row-major 3x3 (Rodrigues)
+function rotationMatrix(wx, wy, wz) {
+    const theta = Math.hypot(wx, wy, wz);
+    if (theta < 1e-12) return [1, -wz, wy, wz, 1, -wx, -wy, wx, 1];
+    const [x, y, z] = [wx / theta, wy / theta, wz / theta];
+    const c = Math.cos(theta);
+    const s = Math.sin(theta);
+    const t = 1 - c;
+    return [
+        c + x * x * t, x * y * t - z * s, x * z * t + y * s,
+        y * x * t + z * s, c + y * y * t, y * z * t - x * s,
+        z * x * t - y * s, z * y * t + x * s, c + z * z * t
+    ];
+}
+
+// Row-major 3x3 rotation -> rotation vector
+function rotationVector(r) {
+    const theta = Math.acos(Math.min(1, Math.max(-1, (r[0] + r[4] + r[8] - 1) / 2)));
+    if (theta < 1e-9) return [0, 0, 0];
+    if (Math.PI - theta < 1e-4) {
+        // near a half turn: the axis is the largest column of (R + I) / 2
+        const k = [r[0], r[4], r[8]].indexOf(Math.max(r[0], r[4], r[8]));
+        const axis = normalize([r[k] + (k === 0), r[3 + k] + (k === 1), r[6 + k] + (k === 2)]);
+        return axis.map((v) => v * theta);
+    }
+    const s = (2 * Math.sin(theta)) / theta;
+    return [(r[7] - r[5]) / s, (r[2] - r[6]) / s, (r[3] - r[1]) / s];
+}
+
+// Eigenvector of the smallest eigenvalue of a symmetric n x n matrix (cyclic Jacobi)
+function smallestEigenvector(matrix, n) {
+    const a = Float64Array.from(matrix);
+    const v = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) v[i * n + i] = 1;
+    for (let sweep = 0; sweep < 50; sweep++) {
+        let off = 0;
+        for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) off += a[p * n + q] ** 2;
+        if (off < 1e-30) break;
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                const apq = a[p * n + q];
+                if (Math.abs(apq) < 1e-300) continue;
+                const theta = (a[q * n + q] - a[p * n + p]) / (2 * apq);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+                for (let k = 0; k < n; k++) {
+                    const akp = a[k * n + p];
+                    const akq = a[k * n + q];
+                    a[k * n + p] = c * akp - s * akq;
+                    a[k * n + q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = a[p * n + k];
+                    const aqk = a[q * n + k];
+                    a[p * n + k] = c * apk - s * aqk;
+                    a[q * n + k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = v[k * n + p];
+                    const vkq = v[k * n + q];
+                    v[k * n + p] = c * vkp - s * vkq;
+                    v[k * n + q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+    let min = 0;
+    for (let i = 1; i < n; i++) if (a[i * n + i] < a[min * n + min]) min = i;
+    return Array.from({ length: n }, (_, k) => v[k * n + min]);
+}
+
+// Gaussian elimination with partial pivoting; null when singular
+function solveLinearSystem(matrix, rhs, n) {
+    const a = Float64Array.from(matrix);
+    const b = Float64Array.from(rhs);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) if (Math.abs(a[row * n + col]) > Math.abs(a[pivot * n + col])) pivot = row;
+        if (!(Math.abs(a[pivot * n + col]) > 1e-300)) return null;
+        if (pivot !== col) {
+            for (let k = 0; k < n; k++) [a[col * n + k], a[pivot * n + k]] = [a[pivot * n + k], a[col * n + k]];
+            [b[col], b[pivot]] = [b[pivot], b[col]];
+        }
+        for (let row = col + 1; row < n; row++) {
+            const factor = a[row * n + col] / a[col * n + col];
+            if (factor === 0) continue;
+            for (let k = col; k < n; k++) a[row * n + k] -= factor * a[col * n + k];
+            b[row] -= factor * b[col];
+        }
+    }
+    const x = new Float64Array(n);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = b[row];
+        for (let k = row + 1; k < n; k++) sum -= a[row * n + k] * x[k];
+        x[row] = sum / a[row * n + row];
+    }
+    return x;
+}
+
+function multiply3x3(a, b) {
+    const out = new Array(9);
+    for (let r = 0; r < 3; r++) {
+        for (let c = 0; c < 3; c++) out[r * 3 + c] = a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c];
+    }
+    return out;
+}
+
+function normalize(v) {
+    const length = Math.hypot(...v);
+    return v.map((x) => x / length);
+}
@@ -0,0 +1,195 @@
+// ARToolKit camera parameters (camera_para.dat).
+// Binary layout, big-endian: int32 width, int32 height, 3x4 float64 projection matrix (row-major),
+// then float64 distortion factors whose count gives the distortion function version:
+// 4 (v1, 136 bytes), 5 (v2, 144), 6 (v3, 152), 9 (v4, 176).
+// v4 factors follow the OpenCV model: [k1, k2, p1, p2, fx, fy, cx, cy, scale].
+
+const DISTORTION_FACTOR_COUNTS = [4, 5, 6, 9]; // index + 1 = distortion function version
+const HEADER_BYTES = 8 + 12 * 8;
+
+// Parameters of the camera_para.dat shipped with ARToolKit and AR.js (640x480, v4 distortion).
+// Bundled so the plugin never needs to fetch camera parameters.
+export const DEFAULT_CAMERA_PARAMETERS = Object.freeze({
+    width: 640,
+    height: 480,
+    matrix: Object.freeze([
+        609.3654091867005, 0, 323.4479064941406, 0,
+        0, 606.5212236031074, 237.60653686523438, 0,
+        0, 0, 1, 0
+    ]),
+    distortion: Object.freeze([
+        0.09917228668928146, -0.09212033450603485, -0.00188257300760597, 0.0013129330473020673,
+        591.4092407226562, 588.6488647460938, 323.4479064941406, 237.60653686523438, 0.9705330033616286
+    ])
+});
+
+/**
+ * Parse a camera_para.dat file
+ * @param {ArrayBuffer|ArrayBufferView} buffer - file contents
+ * @returns {{width: number, height: number, matrix: number[], distortion: number[], version: number}}
+ *   matrix: 3x4 row-major projection; distortion: factors of the given distortion function version
+ */
+export function parseCameraParameters(buffer) {
+    const view = ArrayBuffer.isView(buffer)
+        ? new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+        : new DataView(buffer);
+    const factorCount = (view.byteLength - HEADER_BYTES) / 8;
+    const version = DISTORTION_FACTOR_COUNTS.indexOf(factorCount) + 1;
+    if (!version) throw new Error(`Invalid camera parameter file: unexpected size of ${view.byteLength} bytes`);
+
+    const width = view.getInt32(0);
+    const height = view.getInt32(4);
+    if (width <= 0 || height <= 0) throw new Error(`Invalid camera parameter file: size ${width}x${height}`);
+    const matrix = [];
+    for (let i = 0; i < 12; i++) matrix.push(view.getFloat64(8 + i * 8));
+    const distortion = [];
+    for (let i = 0; i < factorCount; i++) distortion.push(view.getFloat64(HEADER_BYTES + i * 8));
+    return { width, height, matrix, distortion, version };
+}
+
+/**
+ * Serialize camera parameters into the camera_para.dat format
+ * @param {{width: number, height: number, matrix: ArrayLike<number>, distortion: ArrayLike<number>}} params
+ * @returns {Uint8Array} file contents, accepted by ARToolKit in place of a camera parameter URL
+ */
+export function serializeCameraParameters({ width, height, matrix, distortion }) {
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+        throw new Error('Camera parameters need positive integer width and height');
+    }
+    if (!matrix || matrix.length !== 12) throw new Error('Camera parameters need a 3x4 projection matrix (12 values)');
+    if (!distortion || !DISTORTION_FACTOR_COUNTS.includes(distortion.length)) {
+        throw new Error(`Camera parameters need ${DISTORTION_FACTOR_COUNTS.join(', ')} distortion factors, got ${distortion?.length ?? 0}`);
+    }
+
+    const bytes = new Uint8Array(HEADER_BYTES + distortion.length * 8);
+    const view = new DataView(bytes.buffer);
+    view.setInt32(0, width);
+    view.setInt32(4, height);
+    for (let i = 0; i < 12; i++) view.setFloat64(8 + i * 8, matrix[i]);
+    for (let i = 0; i < distortion.length; i++) view.setFloat64(HEADER_BYTES + i * 8, distortion[i]);
+    return bytes;
+}
+
+/**
+ * Build camera parameters from pinhole intrinsics
+ * @param {{fx: number, fy: number, cx: number, cy: number, distortion?: ArrayLike<number>}} intrinsics - in pixels;
+ *   distortion: OpenCV coefficients [k1, k2, p1, p2] (missing values are 0)
+ * @param {{width: number, height: number}} resolution - image size the intrinsics were calibrated at
+ * @returns {{width: number, height: number, matrix: number[], distortion: number[], version: number}}
+ */
+export function cameraParametersFromIntrinsics({ fx, fy, cx, cy, distortion = [] }, { width, height }) {
+    if (![fx, fy, cx, cy].every(Number.isFinite) || fx <= 0 || fy <= 0) {
+        throw new Error('Intrinsics need finite fx, fy, cx, cy with positive focal lengths');
+    }
+    if (distortion.length > 4) throw new Error('Only k1, k2, p1, p2 distortion coefficients are supported');
+    const [k1 = 0, k2 = 0, p1 = 0, p2 = 0] = distortion;
+    const params = {
+        width,
+        height,
+        matrix: [fx, 0, cx, 0, 0, fy, cy, 0, 0, 0, 1, 0],
+        distortion: [k1, k2, p1, p2, fx, fy, cx, cy, 1],
+        version: 4
+    };
+    serializeCameraParameters(params); // validates width/height
+    return params;
+}
+
+/**
+ * Camera parameters of the same camera with its image rotated 90° clockwise, e.g. a phone turned from landscape to
+ * portrait: scaling a landscape calibration to a portrait frame would distort it, rotating keeps it exact
+ * @param {{width: number, height: number, matrix: ArrayLike<number>, distortion: ArrayLike<number>}} params - version 4
+ *   distortion factors
+ * @returns {{width: number, height: number, matrix: number[], distortion: number[], version: number}}
+ */
+export function rotateCameraParameters({ width, height, matrix, distortion }) {
+    if (distortion.length !== 9) throw new Error('Only camera parameters with version 4 distortion can be rotated');
+    // image: x' = height - 1 - y, y' = x; camera axes turn with it: X' = -Y, Y' = X
+    const last = height - 1;
+    const row = (r) => [matrix[r * 4], matrix[r * 4 + 1], matrix[r * 4 + 2], matrix[r * 4 + 3]];
+    const [r0, r1, r2] = [row(0), row(1), row(2)];
+    const imageRows = [r2.map((v, i) => last * v - r1[i]), r0, r2];
+    // columns: X = Y', Y = -X'
+    const rotated = imageRows.flatMap(([a, b, c, d]) => [-b, a, c, d]);
+    const [k1, k2, p1, p2, fx, fy, cx, cy, scale] = distortion;
+    return {
+        width: height,
+        height: width,
+        matrix: rotated.map((v) => v + 0), // no -0
+        distortion: [k1, k2, p2, -p1, fy, fx, last - cy, cx, scale],
+        version: 4
+    };
+}
+
+/**
+ * Camera parameters for another image size, scaled as ARToolKit scales them when the frame size differs from the
+ * calibration (uniformly, by the width ratio)
+ * @param {{width: number, height: number, matrix: ArrayLike<number>, distortion: ArrayLike<number>}} params - version 4
+ *   distortion factors
+ * @returns {{width: number, height: number, matrix: number[], distortion: number[], version: number}}
+ */
+export function scaleCameraParameters({ width, height, matrix, distortion }, targetWidth, targetHeight) {
+    if (distortion.length !== 9) throw new Error('Only camera parameters with version 4 distortion can be scaled');
+    const scale = targetWidth / width;
+    const [k1, k2, p1, p2, fx, fy, cx, cy, s] = distortion;
+    return {
+        width: targetWidth,
+        height: targetHeight,
+        matrix: Array.from(matrix, (v, i) => (i < 8 ? v * scale : v)),
+        distortion: [k1, k2, p1, p2, fx * scale, fy * scale, cx * scale, cy * scale, s],
+        version: 4
+    };
+}
+
+/**
+ * Ideal (undistorted) to observed pixel coordinates, ARToolKit distortion function version 4 (OpenCV model)
+ * @param {ArrayLike<number>} distortion - version 4 factors [k1, k2, p1, p2, fx, fy, cx, cy, scale]
+ * @param {number[]} [out] - receives [x, y]
+ */
+export function distortPoint(distortion, ix, iy, out = [0, 0]) {
+    const [k1, k2, p1, p2, fx, fy, x0, y0, s] = distortion;
+    const x = ((ix - x0) * s) / fx;
+    const y = ((iy - y0) * s) / fy;
+    const l = x * x + y * y;
+    const radial = 1 + k1 * l + k2 * l * l;
+    out[0] = (x * radial + 2 * p1 * x * y + p2 * (l + 2 * x * x)) * fx + x0;
+    out[1] = (y * radial + p1 * (l + 2 * y * y) + 2 * p2 * x * y) * fy + y0;
+    return out;
+}
+
+/**
+ * Observed to ideal pixel coordinates, the inverse of distortPoint()
+ * @param {ArrayLike<number>} distortion - version 4 factors
+ * @param {number[]} [out] - receives [x, y]
+ * @param {number} [iterations] - fixed-point iterations; the distortion is a small perturbation of the identity
+ */
+export function undistortPoint(distortion, ox, oy, out = [0, 0], iterations = 8) {
+    out[0] = ox;
+    out[1] = oy;
+    const d = [0, 0];
+    for (let i = 0; i < iterations; i++) {
+        distortPoint(distortion, out[0], out[1], d);
+        out[0] += ox - d[0];
+        out[1] += oy - d[1];
+    }
+    return out;
+}
+
+/**
+ * Camera parameters in any accepted form as camera_para.dat bytes
+ * @param {ArrayBuffer|ArrayBufferView|object} value - file contents, parsed parameters ({ width, height, matrix, distortion }),
+ *   or intrinsics with a resolution ({ fx, fy, cx, cy, distortion?, width, height })
+ * @returns {Uint8Array}
+ */
+export function cameraParametersToBytes(value) {
+    if (Object.prototype.toString.call(value) === '[object ArrayBuffer]') value = new Uint8Array(value);
+    if (ArrayBuffer.isView(value)) {
+        // validate and copy so the caller's buffer is never shared with ARToolKit
+        parseCameraParameters(value);
+        return new Uint8Array(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength));
+    }
+    if (value && typeof value === 'object') {
+        if (value.matrix) return serializeCameraParameters(value);
+        if ('fx' in value) return serializeCameraParameters(cameraParametersFromIntrinsics(value, value));
+    }
+    throw new TypeError('cameraParameters must be camera_para.dat data, { width, height, matrix, distortion } or intrinsics');
+}
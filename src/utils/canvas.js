@@ -0,0 +1,10 @@
+// Canvas helpers shared by the detector and frame capture.
+
+// OffscreenCanvas where available (workers, modern browsers); a DOM canvas on older main threads
+export function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
@@ -0,0 +1,107 @@
+// ARToolKit enum values that artoolkit5-js does not export.
+// Values mirror AR/ar.h from artoolkit5.
+
+// Matrix (barcode) code types, for arController.setMatrixCodeType()
+export const MATRIX_CODE_TYPES = {
+    '3x3': 0x03,
+    '3x3_PARITY65': 0x103,
+    '3x3_HAMMING63': 0x203,
+    '4x4': 0x04,
+    '4x4_BCH_13_9_3': 0x304,
+    '4x4_BCH_13_5_5': 0x404,
+    '5x5': 0x05,
+    '5x5_BCH_22_12_5': 0x405,
+    '5x5_BCH_22_7_7': 0x705,
+    '6x6': 0x06,
+    'GLOBAL_ID': 0xb0e
+};
+
+// Pattern detection modes, for arController.setPatternDetectionMode()
+// 'pattern' = template matching only, 'matrix' = barcodes only, 'both' = template matching and barcodes
+export const PATTERN_DETECTION_MODES = {
+    'pattern': 0,            // AR_TEMPLATE_MATCHING_COLOR
+    'pattern_mono': 1,       // AR_TEMPLATE_MATCHING_MONO
+    'matrix': 2,             // AR_MATRIX_CODE_DETECTION
+    'both': 3,               // AR_TEMPLATE_MATCHING_COLOR_AND_MATRIX
+    'both_mono': 4           // AR_TEMPLATE_MATCHING_MONO_AND_MATRIX
+};
+
+// Resolve an option given either as a symbolic name or a raw numeric value.
+// Returns null for unknown names so callers can keep the ARToolKit default.
+export function resolveEnumOption(table, value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+    if (typeof value === 'string' && Object.prototype.hasOwnProperty.call(table, value)) return table[value];
+    return null;
+}
+
+// Threshold modes, for arController.setThresholdMode()
+export const THRESHOLD_MODES = {
+    'manual': 0,             // AR_LABELING_THRESH_MODE_MANUAL
+    'auto_median': 1,        // AR_LABELING_THRESH_MODE_AUTO_MEDIAN
+    'auto_otsu': 2,          // AR_LABELING_THRESH_MODE_AUTO_OTSU
+    'auto_adaptive': 3,      // AR_LABELING_THRESH_MODE_AUTO_ADAPTIVE
+    'auto_bracketing': 4     // AR_LABELING_THRESH_MODE_AUTO_BRACKETING
+};
+
+// Labeling modes, for arController.setLabelingMode(): which region color marker borders are
+export const LABELING_MODES = {
+    'white_region': 0,       // AR_LABELING_WHITE_REGION
+    'black_region': 1        // AR_LABELING_BLACK_REGION
+};
+
+// Image processing modes, for arController.setImageProcMode()
+export const IMAGE_PROC_MODES = {
+    'frame': 0,              // AR_IMAGE_PROC_FRAME_IMAGE
+    'field': 1               // AR_IMAGE_PROC_FIELD_IMAGE (every other line; faster on interlaced video)
+};
+
+// Symbolic name of an enum value; unknown values are returned as-is
+export function enumOptionName(table, value) {
+    return Object.keys(table).find((name) => table[name] === value) ?? value;
+}
+
+function resolveStrictEnum(table, value, key) {
+    const resolved = resolveEnumOption(table, value);
+    if (resolved === null || !Object.values(table).includes(resolved)) {
+        throw new Error(`Unknown ${key}: ${value} (expected one of ${Object.keys(table).join(', ')})`);
+    }
+    return resolved;
+}
+
+/**
+ * Validate runtime detector settings and resolve symbolic names to ARToolKit values
+ * Only keys present in config are returned. borderWidth (per side, as a fraction of the marker width)
+ * is converted to the equivalent patternRatio.
+ * @param {object} config - { thresholdMode, threshold, labelingMode, patternRatio | borderWidth, imageProcMode, minConfidence }
+ * @returns {object}
+ */
+export function normalizeDetectorConfig(config) {
+    if (!config || typeof config !== 'object') throw new Error('Detector config must be an object');
+    const out = {};
+    for (const [key, value] of Object.entries(config)) {
+        if (value === undefined) continue;
+        if (key === 'thresholdMode') {
+            out.thresholdMode = resolveStrictEnum(THRESHOLD_MODES, value, key);
+        } else if (key === 'threshold') {
+            if (!Number.isInteger(value) || value < 0 || value > 255) throw new Error('threshold must be an integer in [0, 255]');
+            out.threshold = value;
+        } else if (key === 'labelingMode') {
+            out.labelingMode = resolveStrictEnum(LABELING_MODES, value, key);
+        } else if (key === 'patternRatio') {
+            if (!(value > 0 && value < 1)) throw new Error('patternRatio must be in (0, 1)');
+            out.patternRatio = value;
+        } else if (key === 'borderWidth') {
+            if (!(value > 0 && value < 0.5)) throw new Error('borderWidth must be in (0, 0.5)');
+            out.patternRatio = 1 - 2 * value;
+        } else if (key === 'imageProcMode') {
+            out.imageProcMode = resolveStrictEnum(IMAGE_PROC_MODES, value, key);
+        } else if (key === 'minConfidence') {
+            if (!(value >= 0 && value <= 1)) throw new Error('minConfidence must be in [0, 1]');
+            out.minConfidence = value;
+        } else {
+            throw new Error(`Unknown detector option: ${key}`);
+        }
+    }
+    return out;
+}
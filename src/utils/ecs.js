@@ -0,0 +1,182 @@
+// Marker entities: mirrors ar:markerFound / ar:markerUpdated / ar:markerLost into entities of an ECS, so apps read
+// marker poses like any other component instead of writing the same event glue.
+// The ECS is reached through an adapter:
+//   { createEntity(): entity, destroyEntity(entity), setComponent(entity, name, data) }
+// AR.js core's ECS (core.ecs) has this shape; tests and other engines pass their own.
+import { matrixToQuaternion } from './smoothing.js';
+
+// Default component names; the plugin's ecsComponents option overrides them
+export const MARKER_COMPONENTS = {
+    marker: 'ArMarker',         // { id, kind, name, source }
+    transform: 'Transform',     // { matrix, position, quaternion, convention }: latest pose, kept while lost
+    visibility: 'Visibility',   // { visible, changedAt }
+    confidence: 'Confidence'    // { value }: 0 while lost
+};
+
+const MARKER_EVENTS = ['ar:markerFound', 'ar:markerUpdated', 'ar:markerLost'];
+
+/**
+ * Check an ECS against the adapter interface
+ * @param {object} ecs - object with createEntity, destroyEntity and setComponent
+ * @returns {{createEntity: Function, destroyEntity: Function, setComponent: Function}}
+ */
+export function createEcsAdapter(ecs) {
+    for (const method of ['createEntity', 'destroyEntity', 'setComponent']) {
+        if (typeof ecs?.[method] !== 'function') throw new TypeError(`ECS adapter is missing ${method}()`);
+    }
+    return {
+        createEntity: () => ecs.createEntity(),
+        destroyEntity: (entity) => ecs.destroyEntity(entity),
+        setComponent: (entity, name, data) => ecs.setComponent(entity, name, data)
+    };
+}
+
+/**
+ * Keeps one entity per tracked marker and camera source in sync with the plugin's marker events
+ * Entities are created on the first ar:markerFound and kept while the marker is lost; removeMarker(),
+ * removeSource() and stop() destroy them.
+ */
+export class MarkerEntities {
+    /**
+     * @param {object} adapter - see createEcsAdapter()
+     * @param {{components?: object, convention?: string, nameOf?: (id: number|string) => string|null}} options -
+     *   components: component names overriding MARKER_COMPONENTS; convention: matrix convention of the Transform
+     *   matrix (the events' convertedMatrix, when present); nameOf: marker name of an event id
+     */
+    constructor(adapter, { components = {}, convention = 'artoolkit', nameOf = () => null } = {}) {
+        this.adapter = createEcsAdapter(adapter);
+        this.components = { ...MARKER_COMPONENTS, ...components };
+        this.convention = convention;
+        this._nameOf = nameOf;
+        this._entities = new Map(); // source -> Map<id, { entity, id, kind, name, source }>
+        this._appComponents = new Map(); // marker name or id -> { component name: data | (marker) => data }
+        this._eventBus = null;
+        this._listeners = [];
+    }
+
+    start(eventBus) {
+        if (this._eventBus) return this;
+        this._eventBus = eventBus;
+        const handlers = {
+            'ar:markerFound': (e) => this._onFound(e),
+            'ar:markerUpdated': (e) => this._onUpdated(e),
+            'ar:markerLost': (e) => this._onLost(e)
+        };
+        for (const name of MARKER_EVENTS) {
+            eventBus.on(name, handlers[name]);
+            this._listeners.push([name, handlers[name]]);
+        }
+        return this;
+    }
+
+    // Unsubscribe and destroy every marker entity
+    stop() {
+        for (const [name, listener] of this._listeners) this._eventBus?.off(name, listener);
+        this._listeners = [];
+        this._eventBus = null;
+        for (const source of [...this._entities.keys()]) this.removeSource(source);
+    }
+
+    /**
+     * Entity of a marker seen by a source
+     * @param {number|string} id - marker id as in ar:marker* events
+     * @param {*} source - sourceRef (null: frames without one)
+     * @returns {*} the entity, or null before the marker was found
+     */
+    entityFor(id, source = null) {
+        return this._entities.get(source)?.get(id)?.entity ?? null;
+    }
+
+    /**
+     * Attach app components to the entities of a marker, now and whenever one is created
+     * @param {string|number} nameOrId - marker name given at load time, or its event id
+     * @param {object} components - component name -> data, or a function (marker: {id, kind, name, source}) => data
+     *   called per entity (e.g. to build one mesh per camera source)
+     */
+    setMarkerComponents(nameOrId, components) {
+        const current = this._appComponents.get(nameOrId) ?? {};
+        this._appComponents.set(nameOrId, { ...current, ...components });
+        for (const byId of this._entities.values()) {
+            for (const record of byId.values()) {
+                if (record.name === nameOrId || record.id === nameOrId) this._setAppComponents(record, components);
+            }
+        }
+    }
+
+    // Destroy the entities of an unloaded marker
+    removeMarker(id) {
+        for (const byId of this._entities.values()) {
+            const record = byId.get(id);
+            if (!record) continue;
+            byId.delete(id);
+            this.adapter.destroyEntity(record.entity);
+        }
+    }
+
+    // Destroy the entities of a removed camera source
+    removeSource(source) {
+        const byId = this._entities.get(source);
+        if (!byId) return;
+        this._entities.delete(source);
+        for (const record of byId.values()) this.adapter.destroyEntity(record.entity);
+    }
+
+    _record({ id, kind = 'pattern', source = null }) {
+        let byId = this._entities.get(source);
+        if (!byId) {
+            byId = new Map();
+            this._entities.set(source, byId);
+        }
+        let record = byId.get(id);
+        if (!record) {
+            record = { entity: this.adapter.createEntity(), id, kind, name: this._nameOf(id) ?? null, source };
+            byId.set(id, record);
+            this.adapter.setComponent(record.entity, this.components.marker, { id, kind, name: record.name, source });
+            for (const key of [record.name, id]) {
+                const components = key != null ? this._appComponents.get(key) : null;
+                if (components) this._setAppComponents(record, components);
+            }
+        }
+        return record;
+    }
+
+    _setAppComponents(record, components) {
+        const { id, kind, name, source } = record;
+        for (const [component, data] of Object.entries(components)) {
+            this.adapter.setComponent(record.entity, component, typeof data === 'function' ? data({ id, kind, name, source }) : data);
+        }
+    }
+
+    _setPose(record, event) {
+        const converted = event.convertedMatrix != null;
+        const matrix = converted ? event.convertedMatrix : event.poseMatrix;
+        this.adapter.setComponent(record.entity, this.components.transform, {
+            matrix,
+            position: [matrix[12], matrix[13], matrix[14]],
+            quaternion: matrixToQuaternion(matrix),
+            convention: converted ? this.convention : 'artoolkit'
+        });
+        this.adapter.setComponent(record.entity, this.components.confidence, { value: event.confidence ?? 0 });
+    }
+
+    _onFound(event) {
+        const record = this._record(event);
+        this._setPose(record, event);
+        this.adapter.setComponent(record.entity, this.components.visibility, { visible: true, changedAt: event.timestamp });
+    }
+
+    _onUpdated(event) {
+        // updates of a marker found before start() create its entity too
+        const known = this.entityFor(event.id, event.source ?? null) !== null;
+        const record = this._record(event);
+        this._setPose(record, event);
+        if (!known) this.adapter.setComponent(record.entity, this.components.visibility, { visible: true, changedAt: event.timestamp });
+    }
+
+    _onLost(event) {
+        const record = this._entities.get(event.source ?? null)?.get(event.id);
+        if (!record) return;
+        this.adapter.setComponent(record.entity, this.components.visibility, { visible: false, changedAt: event.timestamp });
+        this.adapter.setComponent(record.entity, this.components.confidence, { value: 0 });
+    }
+}
@@ -0,0 +1,143 @@
+// Frame images for the detector: raw frame formats, the resolution frames are processed at, and resampling.
+// Detection results are in processing pixels; mapToFrame() takes them back to the pixels of the captured frame.
+
+// Pixel formats of raw frame buffers (frame.format). Every format but rgba starts with a full-resolution luma plane,
+// which is all detection needs; chroma is never read.
+export const FRAME_FORMATS = ['rgba', 'gray', 'i420', 'yv12', 'nv12', 'nv21'];
+
+/**
+ * Check a raw frame buffer against its format descriptor
+ * @param {{format?: string, width: number, height: number, stride?: number}} descriptor - format: one of FRAME_FORMATS
+ *   in any case, so VideoFrame format names work (default 'rgba'); stride: bytes per row of the first plane
+ *   (default: rows are packed)
+ * @param {number} byteLength - size of the buffer
+ * @returns {{format: string, width: number, height: number, stride: number, luma: boolean}}
+ */
+export function describeFrame({ format = 'rgba', width, height, stride }, byteLength) {
+    const name = String(format).toLowerCase();
+    if (!FRAME_FORMATS.includes(name)) throw new Error(`Unknown frame format: ${format}`);
+    if (!(Number.isInteger(width) && Number.isInteger(height) && width > 0 && height > 0)) {
+        throw new Error(`Invalid frame size ${width}x${height}`);
+    }
+    const rowBytes = name === 'rgba' ? width * 4 : width;
+    stride ??= rowBytes;
+    if (!Number.isInteger(stride) || stride < rowBytes) throw new Error(`Frame stride ${stride} is shorter than a row (${rowBytes} bytes)`);
+    const chromaRows = Math.ceil(height / 2);
+    const chroma = name === 'i420' || name === 'yv12' ? 2 * Math.ceil(stride / 2) * chromaRows
+        : name === 'nv12' || name === 'nv21' ? stride * chromaRows
+            : 0;
+    const needed = stride * (height - 1) + rowBytes + chroma;
+    if (byteLength < needed) {
+        throw new Error(`${name} frame size mismatch: ${byteLength} bytes for ${width}x${height} (stride ${stride}), ${needed} needed`);
+    }
+    return { format: name, width, height, stride, luma: name !== 'rgba' };
+}
+
+/**
+ * The first plane of a frame buffer with packed rows: RGBA pixels, or the luma plane (no copy when already packed)
+ * @param {Uint8Array|Uint8ClampedArray} bytes - frame buffer
+ * @param {{width: number, height: number, stride: number, luma: boolean}} descriptor - see describeFrame()
+ * @returns {Uint8ClampedArray} width * height * 4 bytes (rgba) or width * height bytes (luma)
+ */
+export function packPlane(bytes, { width, height, stride, luma }) {
+    const rowBytes = luma ? width : width * 4;
+    const src = bytes instanceof Uint8ClampedArray ? bytes : new Uint8ClampedArray(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (stride === rowBytes) return src.subarray(0, rowBytes * height);
+    const out = new Uint8ClampedArray(rowBytes * height);
+    for (let y = 0; y < height; y++) out.set(src.subarray(y * stride, y * stride + rowBytes), y * rowBytes);
+    return out;
+}
+
+/**
+ * Expand luma to gray RGBA pixels
+ * @param {ArrayLike<number>} luma - width * height bytes
+ * @param {Uint8Array|Uint8ClampedArray} [out] - at least 4 bytes per pixel
+ */
+export function grayToRgba(luma, out = new Uint8ClampedArray(luma.length * 4)) {
+    for (let i = 0, o = 0; i < luma.length; i++, o += 4) {
+        out[o] = out[o + 1] = out[o + 2] = luma[i];
+        out[o + 3] = 255;
+    }
+    return out;
+}
+
+/**
+ * Normalize the processingResolution option
+ * @param {number|{scale?: number, width?: number, height?: number}|null} value - a scale factor in (0, 1], { scale },
+ *   or a fixed { width, height } (swapped for frames of the other orientation); null processes frames at their size
+ * @returns {{scale: number}|{width: number, height: number}|null}
+ */
+export function normalizeProcessingResolution(value) {
+    if (value == null) return null;
+    const { scale, width, height } = typeof value === 'number' ? { scale: value } : value;
+    if (scale !== undefined) {
+        if (!(Number.isFinite(scale) && scale > 0 && scale <= 1)) throw new RangeError(`processingResolution scale must be in (0, 1], got ${scale}`);
+        return scale === 1 ? null : { scale };
+    }
+    if (!(Number.isInteger(width) && Number.isInteger(height) && width > 0 && height > 0)) {
+        throw new TypeError('processingResolution must be a scale factor, { scale } or { width, height } in pixels');
+    }
+    return { width, height };
+}
+
+/**
+ * Size a frame of width x height is processed at
+ * @param {{scale: number}|{width: number, height: number}|null} resolution - see normalizeProcessingResolution()
+ * @returns {{width: number, height: number}}
+ */
+export function processingSize(resolution, width, height) {
+    if (!resolution) return { width, height };
+    if (resolution.scale !== undefined) {
+        return { width: Math.max(1, Math.round(width * resolution.scale)), height: Math.max(1, Math.round(height * resolution.scale)) };
+    }
+    // a fixed size follows the frame's orientation, so a rotated device is not squeezed
+    const portrait = height > width;
+    const fixedPortrait = resolution.height > resolution.width;
+    return portrait === fixedPortrait
+        ? { width: resolution.width, height: resolution.height }
+        : { width: resolution.height, height: resolution.width };
+}
+
+/**
+ * Map a point from processing pixels to frame pixels (pixel centers stay aligned, as when resampling)
+ * @param {number} value - x or y in processing pixels
+ * @param {number} ratio - frame size / processing size along that axis
+ */
+export function mapToFrame(value, ratio) {
+    return ratio === 1 ? value : (value + 0.5) * ratio - 0.5;
+}
+
+/**
+ * Resample packed pixels (bilinear)
+ * @param {Uint8ClampedArray} src - width * height * channels bytes
+ * @param {{channels?: number, out?: Uint8ClampedArray}} options - channels: 4 for RGBA (default), 1 for luma;
+ *   out: reused when it has the target size
+ * @returns {Uint8ClampedArray} targetWidth * targetHeight * channels bytes
+ */
+export function resizePixels(src, width, height, targetWidth, targetHeight, { channels = 4, out } = {}) {
+    const size = targetWidth * targetHeight * channels;
+    if (!out || out.length !== size) out = new Uint8ClampedArray(size);
+    const rx = width / targetWidth;
+    const ry = height / targetHeight;
+    for (let y = 0; y < targetHeight; y++) {
+        const sy = Math.min(Math.max((y + 0.5) * ry - 0.5, 0), height - 1);
+        const y0 = Math.floor(sy);
+        const y1 = Math.min(y0 + 1, height - 1);
+        const fy = sy - y0;
+        for (let x = 0; x < targetWidth; x++) {
+            const sx = Math.min(Math.max((x + 0.5) * rx - 0.5, 0), width - 1);
+            const x0 = Math.floor(sx);
+            const x1 = Math.min(x0 + 1, width - 1);
+            const fx = sx - x0;
+            const a = (y0 * width + x0) * channels, b = (y0 * width + x1) * channels;
+            const c = (y1 * width + x0) * channels, d = (y1 * width + x1) * channels;
+            const o = (y * targetWidth + x) * channels;
+            for (let k = 0; k < channels; k++) {
+                const top = src[a + k] + (src[b + k] - src[a + k]) * fx;
+                const bottom = src[c + k] + (src[d + k] - src[c + k]) * fx;
+                out[o + k] = top + (bottom - top) * fy;
+            }
+        }
+    }
+    return out;
+}
@@ -0,0 +1,29 @@
+// Leveled logging for the plugin and its detectors.
+// Any object with debug/info/warn/error methods (console, pino, a test spy) can receive the messages;
+// messages below the level are dropped before they are formatted by the sink.
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Create a leveled logger
+ * @param {{level?: 'debug'|'info'|'warn'|'error'|'silent', sink?: object}} options - level: lowest level written
+ *   (default: 'info'); sink: receives the messages (default: console), methods it lacks fall back to sink.log
+ * @returns {{level: string, enabled: (level: string) => boolean, debug: Function, info: Function, warn: Function, error: Function}}
+ */
+export function createLogger({ level = 'info', sink = console } = {}) {
+    const threshold = LOG_LEVELS.indexOf(level);
+    if (threshold < 0) throw new Error(`Unknown log level: ${level}`);
+    const logger = { level, enabled: (name) => LOG_LEVELS.indexOf(name) >= threshold };
+    for (const name of LOG_LEVELS.slice(0, -1)) {
+        if (!logger.enabled(name)) {
+            logger[name] = () => {};
+            continue;
+        }
+        // looked up on every call, so sinks patched later (e.g. spies) still receive the messages
+        logger[name] = (...args) => {
+            const write = sink?.[name] ?? sink?.log;
+            if (typeof write === 'function') write.apply(sink, args);
+        };
+    }
+    return logger;
+}
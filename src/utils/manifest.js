@@ -0,0 +1,109 @@
+// Marker manifests: the markers of an app declared as data and loaded by ArtoolkitPlugin.loadManifest().
+// { markers: [{ name, type?, source, size?, metadata? }] }
+//   name: stable, unique name carried by ar:marker* events (ARToolKit ids depend on load order)
+//   (type, source) is unique too: both entries would load the same marker
+//   type: 'pattern' (default), 'barcode', 'nft' or 'multi'
+//   source: pattern URL or text | barcode value | NFT descriptor base URL | multimarker config URL or JSON layout
+//   size: width in world units (default 1; multi-marker boards take sizes from their layout)
+//   metadata: any JSON object, passed through to events
+
+import { ArtoolkitError, ERROR_CODES } from './protocol.js';
+import { normalizeMultiMarkerLayout, resolveRelativeUrl } from './multimarker.js';
+
+export const MANIFEST_MARKER_TYPES = ['pattern', 'barcode', 'nft', 'multi'];
+
+const ENTRY_FIELDS = new Set(['name', 'type', 'source', 'size', 'metadata']);
+
+/**
+ * Validate a marker manifest
+ * @param {{markers: Array<object>}} manifest
+ * @param {{baseUrl?: string|null}} options - baseUrl: resolves relative URLs, e.g. the URL the manifest was fetched from
+ * @returns {Array<{index: number, name: string, type: string, source: *, size: number|null, metadata: object|null}>}
+ *   entries in manifest order, URLs resolved
+ * @throws {ArtoolkitError} INVALID_ARGUMENT; details: { index, name, field } of the bad entry
+ */
+export function normalizeManifest(manifest, { baseUrl = null } = {}) {
+    if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.markers)) {
+        throw new ArtoolkitError(ERROR_CODES.INVALID_ARGUMENT, 'Manifest must be an object with a markers array');
+    }
+    const names = new Set();
+    const sources = new Map(); // type + resolved source -> entry
+    return manifest.markers.map((entry, index) => {
+        const fail = (field, message) => {
+            const name = typeof entry?.name === 'string' ? entry.name : null;
+            const at = name ? `markers[${index}] ("${name}")` : `markers[${index}]`;
+            throw new ArtoolkitError(ERROR_CODES.INVALID_ARGUMENT, `Manifest ${at}: ${message}`, { details: { index, name, field } });
+        };
+        if (!isPlainObject(entry)) fail(null, 'must be an object');
+        const unknown = Object.keys(entry).find((key) => !ENTRY_FIELDS.has(key));
+        if (unknown) fail(unknown, `unknown field "${unknown}"`);
+
+        const { name, type = 'pattern', source, metadata = null } = entry;
+        if (typeof name !== 'string' || !name.trim()) fail('name', 'name must be a non-empty string');
+        if (names.has(name)) fail('name', `duplicate name "${name}"`);
+        names.add(name);
+        if (!MANIFEST_MARKER_TYPES.includes(type)) fail('type', `type must be one of ${MANIFEST_MARKER_TYPES.join(', ')}`);
+        if (metadata !== null && !isPlainObject(metadata)) fail('metadata', 'metadata must be an object');
+
+        let size = null;
+        if (type === 'multi') {
+            if (entry.size !== undefined) fail('size', 'multi-marker boards take their sizes from the layout');
+        } else {
+            size = entry.size ?? 1;
+            if (!(Number.isFinite(size) && size > 0)) fail('size', 'size must be a positive number');
+        }
+
+        let resolved = source;
+        if (type === 'barcode') {
+            if (!(Number.isInteger(source) && source >= 0)) fail('source', 'source must be the barcode value (a non-negative integer)');
+        } else if (type === 'multi' && isPlainObject(source)) {
+            try {
+                normalizeMultiMarkerLayout(source);
+            } catch (err) {
+                fail('source', err.message);
+            }
+        } else if (typeof source !== 'string' || !source.trim()) {
+            fail('source', type === 'multi' ? 'source must be a config URL or a JSON layout' : 'source must be a non-empty string');
+        } else if (!(type === 'pattern' && source.includes('\n'))) {
+            // pattern text stays as is; URLs are relative to the manifest
+            resolved = resolveRelativeUrl(source, baseUrl);
+        }
+        const sourceKey = `${type}:${isPlainObject(resolved) ? JSON.stringify(resolved) : resolved}`;
+        const same = sources.get(sourceKey);
+        if (same) fail('source', `same ${type} source as markers[${same.index}] ("${same.name}")`);
+        sources.set(sourceKey, { index, name });
+        return { index, name, type, source: resolved, size, metadata };
+    });
+}
+
+/**
+ * Parse manifest input
+ * @param {object|string} value - manifest object, JSON text, or the URL of a JSON file
+ * @param {{signal?: AbortSignal}} options
+ * @returns {Promise<{manifest: object, url: string|null}>}
+ */
+export async function readManifest(value, { signal } = {}) {
+    if (typeof value !== 'string') return { manifest: value, url: null };
+    if (/^\s*[{[]/.test(value)) return { manifest: parseJson(value, 'Manifest'), url: null };
+    let res;
+    try {
+        res = await fetch(value, { signal });
+    } catch (err) {
+        if (signal?.aborted) throw new ArtoolkitError(ERROR_CODES.ABORTED, 'Manifest request aborted', { cause: signal.reason });
+        throw new ArtoolkitError(ERROR_CODES.LOAD_FAILED, `Failed to fetch manifest ${value}: ${err.message}`, { cause: err });
+    }
+    if (!res.ok) throw new ArtoolkitError(ERROR_CODES.LOAD_FAILED, `Failed to fetch manifest ${value} (${res.status})`);
+    return { manifest: parseJson(await res.text(), `Manifest ${value}`), url: value };
+}
+
+function parseJson(text, what) {
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw new ArtoolkitError(ERROR_CODES.INVALID_ARGUMENT, `${what} is not valid JSON: ${err.message}`, { cause: err });
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
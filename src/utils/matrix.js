@@ -1,9 +1,131 @@
-// small set of conversion helpers for ARToolKit → Three.js coordinate conventions
+// Conversion helpers for ARToolKit → renderer coordinate conventions.
+//
+// ARToolKit poses (poseMatrix in ar:marker* events) are column-major 4x4 matrices in the
+// ARToolKit camera frame: x right, y down, z forward (into the scene).
+// Renderers expect:
+// - Three.js / gl-matrix: right-handed OpenGL camera frame, x right, y up, z toward the viewer
+// - Babylon.js: left-handed frame, x right, y up, z forward
+// All outputs are column-major (Babylon's row-vector storage has the same memory layout).
+
+export const MATRIX_CONVENTIONS = ['artoolkit', 'three', 'gl-matrix', 'babylon'];
+
+// ARToolKit camera frame → right-handed OpenGL camera frame: negate the y and z rows
+export function convertModelViewToGLMatrix(modelViewArray) {
+    const out = new Float32Array(16);
+    for (let col = 0; col < 4; col++) {
+        out[col * 4] = modelViewArray[col * 4];
+        out[col * 4 + 1] = -modelViewArray[col * 4 + 1];
+        out[col * 4 + 2] = -modelViewArray[col * 4 + 2];
+        out[col * 4 + 3] = modelViewArray[col * 4 + 3];
+    }
+    return out;
+}
+
 export function convertModelViewToThreeMatrix(modelViewArray) {
-    // Input: Float32Array(16) from artoolkit (row-major or library-specific)
+    // Input: Float32Array(16) column-major ARToolKit pose (poseMatrix)
     // Output: Float32Array(16) ready to use with THREE.Matrix4.fromArray (column-major)
-    // Concrete conversion will be implemented when integrating artoolkit5-js.
-    const out = new Float32Array(16);
-    for (let i = 0; i < 16; i++) out[i] = modelViewArray[i];
+    return convertModelViewToGLMatrix(modelViewArray);
+}
+
+// Right-handed OpenGL pose → left-handed: mirror z on both sides (Z * M * Z)
+export function convertModelViewToBabylonMatrix(modelViewArray) {
+    const out = convertModelViewToGLMatrix(modelViewArray);
+    for (let col = 0; col < 4; col++) {
+        for (let row = 0; row < 4; row++) {
+            if ((row === 2) !== (col === 2)) out[col * 4 + row] = -out[col * 4 + row];
+        }
+    }
+    return out;
+}
+
+/**
+ * Convert an ARToolKit pose into the given renderer convention
+ * @param {ArrayLike<number>} modelViewArray - column-major ARToolKit pose
+ * @param {'artoolkit'|'three'|'gl-matrix'|'babylon'} convention
+ * @returns {Float32Array}
+ */
+export function convertPoseMatrix(modelViewArray, convention = 'three') {
+    switch (convention) {
+        case 'three':
+        case 'gl-matrix':
+            return convertModelViewToGLMatrix(modelViewArray);
+        case 'babylon':
+            return convertModelViewToBabylonMatrix(modelViewArray);
+        case 'artoolkit':
+            return Float32Array.from(modelViewArray);
+        default:
+            throw new Error(`Unknown matrix convention: ${convention}`);
+    }
+}
+
+/**
+ * Build a perspective projection matrix from pinhole intrinsics (pixels, y down)
+ * Equivalent to ARToolKit's arglCameraFrustumRH for an undistorted camera.
+ * @param {{fx: number, fy: number, cx: number, cy: number, width: number, height: number}} intrinsics
+ * @param {number} near - near clip plane (> 0)
+ * @param {number} far - far clip plane (> near)
+ * @param {'artoolkit'|'three'|'gl-matrix'|'babylon'} convention - 'babylon' yields a left-handed projection
+ * @returns {Float32Array} column-major 4x4
+ */
+export function projectionMatrixFromIntrinsics({ fx, fy, cx, cy, width, height }, near = 0.01, far = 1000, convention = 'three') {
+    const p = new Float32Array(16);
+    p[0] = 2 * fx / width;
+    p[5] = 2 * fy / height;
+    p[8] = 1 - 2 * cx / width;
+    p[9] = 2 * cy / height - 1;
+    p[11] = -1;
+    return withClipPlanes(p, near, far, convention);
+}
+
+/**
+ * Replace the near/far planes of an OpenGL right-handed projection (e.g. ARToolKit's camera matrix)
+ * @param {ArrayLike<number>} projection - column-major right-handed projection
+ * @param {number} near
+ * @param {number} far
+ * @param {'artoolkit'|'three'|'gl-matrix'|'babylon'} convention - 'babylon' yields a left-handed projection
+ * @returns {Float32Array}
+ */
+export function projectionMatrixWithClipPlanes(projection, near = 0.01, far = 1000, convention = 'three') {
+    return withClipPlanes(Float32Array.from(projection), near, far, convention);
+}
+
+function withClipPlanes(p, near, far, convention) {
+    if (!(near > 0) || !(far > near)) throw new Error('Projection requires 0 < near < far');
+    p[10] = -(far + near) / (far - near);
+    p[14] = -2 * far * near / (far - near);
+    if (convention === 'babylon') {
+        // left-handed: the camera looks down +z, so mirror the z column
+        for (let row = 0; row < 4; row++) p[8 + row] = -p[8 + row];
+    }
+    return p;
+}
+
+// Multiply two column-major 4x4 matrices: out = a * b
+export function multiplyMatrices(a, b, out = new Float64Array(16)) {
+    const r = new Float64Array(16);
+    for (let col = 0; col < 4; col++) {
+        for (let row = 0; row < 4; row++) {
+            let sum = 0;
+            for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[col * 4 + k];
+            r[col * 4 + row] = sum;
+        }
+    }
+    out.set(r);
+    return out;
+}
+
+// Invert a column-major rigid transform (rotation + translation) without a general inverse
+export function invertRigidTransform(m, out = new Float64Array(16)) {
+    const r = new Float64Array(16);
+    // transpose the 3x3 rotation
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) r[j * 4 + i] = m[i * 4 + j];
+    }
+    // t' = -R^T t
+    for (let i = 0; i < 3; i++) {
+        r[12 + i] = -(r[i] * m[12] + r[4 + i] * m[13] + r[8 + i] * m[14]);
+    }
+    r[15] = 1;
+    out.set(r);
     return out;
-}
\ No newline at end of file
+}
@@ -0,0 +1,143 @@
+// Multi-marker boards: several pattern/barcode markers at known offsets that share one pose.
+// Board layouts come from an ARToolKit multimarker config file or an equivalent JSON object;
+// the board pose is solved from whichever member markers are visible in a frame.
+import { multiplyMatrices, invertRigidTransform } from './matrix.js';
+import { matrixToQuaternion, composePoseMatrix } from './smoothing.js';
+
+// Convert a 3x4 row-major ARToolKit transform into a column-major 4x4 matrix
+function rowMajor3x4ToColumnMajor(values) {
+    const m = new Float64Array(16);
+    for (let row = 0; row < 3; row++) {
+        for (let col = 0; col < 4; col++) m[col * 4 + row] = values[row * 4 + col];
+    }
+    m[15] = 1;
+    return m;
+}
+
+/**
+ * Parse an ARToolKit multimarker config file (.dat)
+ * Format: marker count, then for each marker a pattern file name (or a barcode id),
+ * its width and a 3x4 transform of the marker in board coordinates. Lines starting with '#' are comments.
+ * @param {string} text - Config file contents
+ * @returns {{markers: Array<{kind: 'pattern'|'barcode', pattern?: string, barcodeId?: number, size: number, transform: Float64Array}>}}
+ */
+export function parseMultiMarkerConfig(text) {
+    const tokens = String(text ?? '')
+        .split(/\r?\n/)
+        .map((line) => line.replace(/#.*$/, '').trim())
+        .filter(Boolean)
+        .flatMap((line) => line.split(/\s+/));
+
+    let pos = 0;
+    const next = (what) => {
+        if (pos >= tokens.length) throw new Error(`Multimarker config truncated: expected ${what}`);
+        return tokens[pos++];
+    };
+    const nextNumber = (what) => {
+        const v = Number(next(what));
+        if (!Number.isFinite(v)) throw new Error(`Multimarker config: invalid ${what}`);
+        return v;
+    };
+
+    const count = nextNumber('marker count');
+    if (!Number.isInteger(count) || count < 1) throw new Error('Multimarker config: marker count must be a positive integer');
+
+    const layout = { markers: [] };
+    for (let i = 0; i < count; i++) {
+        const name = next(`marker ${i} name`);
+        const size = nextNumber(`marker ${i} width`);
+        const values = [];
+        for (let k = 0; k < 12; k++) values.push(nextNumber(`marker ${i} transform`));
+        layout.markers.push({ ...markerSource(name), size, transform: rowMajor3x4ToColumnMajor(values) });
+    }
+    return layout;
+}
+
+// Numeric names in config files are barcode ids; anything else is a pattern file
+function markerSource(name) {
+    return /^\d+$/.test(name) ? { kind: 'barcode', barcodeId: Number(name) } : { kind: 'pattern', pattern: name };
+}
+
+/**
+ * Validate a JSON board layout and normalize it to the parsed config shape
+ * Each marker needs `pattern` (URL or pattern text) or `barcodeId`, a `size`, and either
+ * `transform` (12 numbers, 3x4 row-major as in config files) or `position` ([x, y, z], no rotation).
+ * @param {{markers: Array<object>}} layout
+ * @returns {{markers: Array<{kind: 'pattern'|'barcode', pattern?: string, barcodeId?: number, size: number, transform: Float64Array}>}}
+ */
+export function normalizeMultiMarkerLayout(layout) {
+    if (!layout || !Array.isArray(layout.markers) || layout.markers.length === 0) {
+        throw new Error('Multimarker layout must have a non-empty markers array');
+    }
+    return {
+        markers: layout.markers.map((m, i) => {
+            const size = Number(m?.size);
+            if (!(size > 0)) throw new Error(`Multimarker layout: markers[${i}].size must be a positive number`);
+
+            let source;
+            if (typeof m.pattern === 'string' && m.pattern) source = { kind: 'pattern', pattern: m.pattern };
+            else if (Number.isInteger(m.barcodeId) && m.barcodeId >= 0) source = { kind: 'barcode', barcodeId: m.barcodeId };
+            else throw new Error(`Multimarker layout: markers[${i}] needs a pattern or a barcodeId`);
+
+            let transform;
+            if (Array.isArray(m.transform) && m.transform.length === 12 && m.transform.every(Number.isFinite)) {
+                transform = rowMajor3x4ToColumnMajor(m.transform);
+            } else if (Array.isArray(m.position) && m.position.length === 3 && m.position.every(Number.isFinite)) {
+                transform = rowMajor3x4ToColumnMajor([1, 0, 0, m.position[0], 0, 1, 0, m.position[1], 0, 0, 1, m.position[2]]);
+            } else if (m.transform === undefined && m.position === undefined) {
+                transform = rowMajor3x4ToColumnMajor([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0]);
+            } else {
+                throw new Error(`Multimarker layout: markers[${i}] transform must be 12 numbers or position 3 numbers`);
+            }
+            return { ...source, size, transform };
+        })
+    };
+}
+
+// Resolve a pattern path from a config file against the config's URL, like ARToolKit does
+export function resolveRelativeUrl(path, baseUrl) {
+    if (!baseUrl || /^([a-z][a-z0-9+.-]*:|\/)/i.test(path)) return path;
+    const slash = baseUrl.lastIndexOf('/');
+    return slash === -1 ? path : baseUrl.slice(0, slash + 1) + path;
+}
+
+/**
+ * Solve a board pose from the member markers visible in one frame
+ * Each visible marker yields a board pose estimate (markerPose * inverse(markerOffset)); estimates are averaged
+ * weighted by confidence, translations linearly and rotations as quaternions (so the result is a rotation that
+ * favours no axis).
+ * @param {Array<{kind: string, markerId: number, transform: Float64Array}>} members - Board members with resolved ARToolKit ids
+ * @param {Array<{kind: string, id: number, confidence: number, matrix: ArrayLike<number>}>} observations - Detections from the frame
+ * @returns {{poseMatrix: number[], confidence: number, visibleMarkers: number}|null} - null when no member is visible
+ */
+export function solveMultiMarkerPose(members, observations) {
+    const rotation = [0, 0, 0, 0];
+    const translation = [0, 0, 0];
+    let reference = null; // q and -q are the same rotation: sum them on the side of the first estimate
+    let weight = 0;
+    let confidenceSum = 0;
+    let visibleMarkers = 0;
+
+    for (const member of members) {
+        const obs = observations.find((o) => o.kind === member.kind && o.id === member.markerId);
+        if (!obs || !obs.matrix || obs.matrix.length < 16) continue;
+
+        const estimate = multiplyMatrices(obs.matrix, invertRigidTransform(member.transform));
+        const w = obs.confidence > 0 ? obs.confidence : 1e-3;
+        const q = matrixToQuaternion(estimate);
+        reference ??= q;
+        const sign = q[0] * reference[0] + q[1] * reference[1] + q[2] * reference[2] + q[3] * reference[3] < 0 ? -w : w;
+        for (let i = 0; i < 4; i++) rotation[i] += q[i] * sign;
+        for (let i = 0; i < 3; i++) translation[i] += estimate[12 + i] * w;
+        weight += w;
+        confidenceSum += obs.confidence ?? 0;
+        visibleMarkers++;
+    }
+    if (!visibleMarkers) return null;
+
+    const length = Math.hypot(...rotation);
+    const pose = Array.from(composePoseMatrix(rotation.map((v) => v / length), [0, 0, 0]));
+    // translations keep double precision
+    for (let i = 0; i < 3; i++) pose[12 + i] = translation[i] / weight;
+    return { poseMatrix: pose, confidence: confidenceSum / visibleMarkers, visibleMarkers };
+}
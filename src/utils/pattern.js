@@ -0,0 +1,193 @@
+// Pattern training: turn a marker image into ARToolKit pattern (.patt) text and back.
+// A .patt file holds the marker's inner image at a fixed resolution (16x16 by default) four times,
+// once per 90° rotation; each rotation is three blocks of rows (blue, green, red) of values 0..255.
+// Images are RGBA in the ImageData layout ({ data, width, height }), so canvas ImageData works as-is.
+
+// borderPercent: width of the black border on each side, as a percentage of the marker width.
+// 25 matches ARToolKit's default pattern ratio of 0.5 (setPattRatio), the inner image being half the marker.
+const DEFAULT_BORDER_PERCENT = 25;
+const DEFAULT_RESOLUTION = 16;
+// artoolkit5-js reads 16x16 patterns only; other resolutions are for export and preview
+export const DETECTOR_PATTERN_RESOLUTION = 16;
+
+function checkImage(image) {
+    const { data, width, height } = image || {};
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+        throw new Error('Image must have positive integer width and height');
+    }
+    if (!data || data.length !== width * height * 4) {
+        throw new Error(`Image data must be RGBA: expected ${width * height * 4} bytes, got ${data?.length ?? 0}`);
+    }
+}
+
+function checkBorderPercent(borderPercent) {
+    if (!(borderPercent >= 0 && borderPercent < 50)) throw new Error('borderPercent must be in [0, 50)');
+}
+
+// Average BGR of the source pixels covered by each cell of a resolution x resolution grid laid over
+// the inner area; transparent pixels are composited over white like a printed page
+function sampleGrid(image, resolution, borderPercent) {
+    const { data, width, height } = image;
+    const x0 = (width * borderPercent) / 100;
+    const y0 = (height * borderPercent) / 100;
+    const cellW = (width - 2 * x0) / resolution;
+    const cellH = (height - 2 * y0) / resolution;
+    const grid = new Uint8ClampedArray(resolution * resolution * 3);
+
+    for (let cy = 0; cy < resolution; cy++) {
+        const ys = Math.min(height - 1, Math.floor(y0 + cy * cellH));
+        const ye = Math.max(ys + 1, Math.min(height, Math.floor(y0 + (cy + 1) * cellH)));
+        for (let cx = 0; cx < resolution; cx++) {
+            const xs = Math.min(width - 1, Math.floor(x0 + cx * cellW));
+            const xe = Math.max(xs + 1, Math.min(width, Math.floor(x0 + (cx + 1) * cellW)));
+            let r = 0, g = 0, b = 0;
+            for (let y = ys; y < ye; y++) {
+                for (let x = xs; x < xe; x++) {
+                    const i = (y * width + x) * 4;
+                    const a = data[i + 3] / 255;
+                    r += data[i] * a + 255 * (1 - a);
+                    g += data[i + 1] * a + 255 * (1 - a);
+                    b += data[i + 2] * a + 255 * (1 - a);
+                }
+            }
+            const n = (ye - ys) * (xe - xs);
+            const o = (cy * resolution + cx) * 3;
+            grid[o] = Math.round(b / n);
+            grid[o + 1] = Math.round(g / n);
+            grid[o + 2] = Math.round(r / n);
+        }
+    }
+    return grid;
+}
+
+// Rotate a BGR grid 90° counter-clockwise, the order ARToolKit stores the four rotations in
+function rotateGrid(grid, resolution) {
+    const out = new Uint8ClampedArray(grid.length);
+    for (let y = 0; y < resolution; y++) {
+        for (let x = 0; x < resolution; x++) {
+            const src = (x * resolution + (resolution - 1 - y)) * 3;
+            const dst = (y * resolution + x) * 3;
+            out[dst] = grid[src];
+            out[dst + 1] = grid[src + 1];
+            out[dst + 2] = grid[src + 2];
+        }
+    }
+    return out;
+}
+
+/**
+ * Encode a marker image as ARToolKit pattern text
+ * The result can be passed straight to ArtoolkitPlugin.loadMarker() at the default resolution; the detector
+ * rejects other resolutions, which are for export to tools that read them.
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image - RGBA marker image (e.g. canvas ImageData)
+ * @param {{resolution?: number, borderPercent?: number}} options - resolution: pattern cells per side (default 16);
+ *   borderPercent: border per side to crop, as a percentage of the image (default 25; 0 when the image is the inner pattern only)
+ * @returns {string} .patt file contents
+ */
+export function encodePattern(image, { resolution = DEFAULT_RESOLUTION, borderPercent = DEFAULT_BORDER_PERCENT } = {}) {
+    checkImage(image);
+    checkBorderPercent(borderPercent);
+    if (!Number.isInteger(resolution) || resolution < 1) throw new Error('resolution must be a positive integer');
+
+    let grid = sampleGrid(image, resolution, borderPercent);
+    let text = '';
+    for (let rotation = 0; rotation < 4; rotation++) {
+        for (let channel = 0; channel < 3; channel++) {
+            for (let y = 0; y < resolution; y++) {
+                let line = '';
+                for (let x = 0; x < resolution; x++) {
+                    line += String(grid[(y * resolution + x) * 3 + channel]).padStart(4);
+                }
+                text += `${line}\n`;
+            }
+        }
+        text += '\n';
+        grid = rotateGrid(grid, resolution);
+    }
+    return text;
+}
+
+/**
+ * Decode ARToolKit pattern text into one RGBA image per stored rotation
+ * @param {string} text - .patt file contents
+ * @returns {{resolution: number, rotations: Array<{data: Uint8ClampedArray, width: number, height: number}>}}
+ */
+export function decodePattern(text) {
+    const values = String(text ?? '').trim().split(/\s+/).map(Number);
+    const resolution = Math.round(Math.sqrt(values.length / 12));
+    if (!resolution || resolution * resolution * 12 !== values.length) {
+        throw new Error(`Pattern must hold 4 rotations x 3 channels of a square grid, got ${values.length} values`);
+    }
+    if (values.some((v) => !Number.isInteger(v) || v < 0 || v > 255)) {
+        throw new Error('Pattern values must be integers in [0, 255]');
+    }
+
+    const cells = resolution * resolution;
+    const rotations = [];
+    for (let rotation = 0; rotation < 4; rotation++) {
+        const data = new Uint8ClampedArray(cells * 4);
+        for (let i = 0; i < cells; i++) {
+            const base = rotation * cells * 3 + i;
+            data[i * 4] = values[base + 2 * cells];   // red block comes last
+            data[i * 4 + 1] = values[base + cells];
+            data[i * 4 + 2] = values[base];
+            data[i * 4 + 3] = 255;
+        }
+        rotations.push({ data, width: resolution, height: resolution });
+    }
+    return { resolution, rotations };
+}
+
+/**
+ * Check that pattern text is one the detector can load
+ * @param {string} text - .patt file contents
+ * @throws {Error} when the text is not a pattern or its resolution is not DETECTOR_PATTERN_RESOLUTION
+ */
+export function checkDetectorPattern(text) {
+    const { resolution } = decodePattern(text);
+    if (resolution !== DETECTOR_PATTERN_RESOLUTION) {
+        const r = DETECTOR_PATTERN_RESOLUTION;
+        throw new Error(`Pattern is ${resolution}x${resolution}; ARToolKit loads ${r}x${r} patterns only`);
+    }
+}
+
+/**
+ * Render a printable marker: the pattern image inside a black border, optionally with a white margin
+ * Encoding the result with the same borderPercent gives the pattern ARToolKit will match.
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image - RGBA inner pattern image
+ * @param {{size?: number, borderPercent?: number, marginPercent?: number}} options - size: width/height in pixels
+ *   of the marker including border (default 512); marginPercent: white quiet zone per side, as a percentage of size (default 0)
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} RGBA image (e.g. for new ImageData(data, width, height))
+ */
+export function renderMarkerImage(image, { size = 512, borderPercent = DEFAULT_BORDER_PERCENT, marginPercent = 0 } = {}) {
+    checkImage(image);
+    checkBorderPercent(borderPercent);
+    if (!Number.isInteger(size) || size < 1) throw new Error('size must be a positive integer');
+
+    const margin = Math.round((size * marginPercent) / 100);
+    const border = Math.round((size * borderPercent) / 100);
+    const inner = size - 2 * border;
+    const total = size + 2 * margin;
+    const out = new Uint8ClampedArray(total * total * 4).fill(255);
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const o = ((y + margin) * total + (x + margin)) * 4;
+            const ix = x - border;
+            const iy = y - border;
+            if (ix < 0 || iy < 0 || ix >= inner || iy >= inner) {
+                out[o] = out[o + 1] = out[o + 2] = 0;
+                continue;
+            }
+            // nearest neighbour keeps pattern edges sharp; transparency prints as white
+            const sx = Math.min(image.width - 1, Math.floor((ix * image.width) / inner));
+            const sy = Math.min(image.height - 1, Math.floor((iy * image.height) / inner));
+            const i = (sy * image.width + sx) * 4;
+            const a = image.data[i + 3] / 255;
+            out[o] = Math.round(image.data[i] * a + 255 * (1 - a));
+            out[o + 1] = Math.round(image.data[i + 1] * a + 255 * (1 - a));
+            out[o + 2] = Math.round(image.data[i + 2] * a + 255 * (1 - a));
+        }
+    }
+    return { data: out, width: total, height: total };
+}
@@ -0,0 +1,115 @@
+// Message protocol between the plugin and the detector worker, shared by both sides.
+// Commands carry a requestId and are answered by one response message with the same requestId:
+// { ok: true, ...result } or { ok: false, code, error }. Frames (processFrame) are correlated by their seq
+// and acknowledged by frameProcessed; heartbeats (ping/pong) and cancel expect no response.
+
+// Bumped on incompatible changes; init negotiates the highest version both sides support.
+// Version 1 (workers without version fields) answers init with ready only, has no cancel and sends no error codes.
+export const PROTOCOL_VERSION = 2;
+export const MIN_PROTOCOL_VERSION = 1;
+
+// Messages added after version 1 -> the version that added them; peers of older versions are not sent them
+const MESSAGE_SINCE = { cancel: 2 };
+
+// Command -> response message type
+export const COMMANDS = {
+    init: 'initResult',
+    loadMarker: 'loadMarkerResult',
+    loadBarcodeMarker: 'loadMarkerResult',
+    loadNFTMarker: 'loadMarkerResult',
+    loadMultiMarker: 'loadMarkerResult',
+    unloadMarker: 'unloadMarkerResult',
+    configure: 'configureResult'
+};
+
+// Plugin -> worker messages without a response
+export const NOTIFICATIONS = ['processFrame', 'ping', 'cancel', 'disposeSource'];
+
+// Worker -> plugin messages that are not responses
+export const WORKER_EVENTS = ['ready', 'detectionResult', 'getMarker', 'frameProcessed', 'cameraParameters', 'error', 'pong'];
+
+export const RESPONSES = new Set(Object.values(COMMANDS));
+
+export const ERROR_CODES = {
+    INVALID_ARGUMENT: 'INVALID_ARGUMENT',     // a command parameter is missing or invalid
+    INIT_FAILED: 'INIT_FAILED',               // ARToolKit could not be initialized
+    LOAD_FAILED: 'LOAD_FAILED',               // a marker file could not be fetched or parsed
+    NOT_FOUND: 'NOT_FOUND',                   // unknown marker
+    UNSUPPORTED: 'UNSUPPORTED',               // not available in this ARToolKit build
+    FRAME_FAILED: 'FRAME_FAILED',             // a frame could not be processed
+    UNKNOWN_MESSAGE: 'UNKNOWN_MESSAGE',       // the receiver does not know the message type
+    PROTOCOL_MISMATCH: 'PROTOCOL_MISMATCH',   // no protocol version supported by both sides
+    CANCELLED: 'CANCELLED',                   // the worker stopped a command after a cancel message
+    ABORTED: 'ABORTED',                       // the caller's AbortSignal fired
+    TIMEOUT: 'TIMEOUT',                       // no response within the request timeout
+    WORKER_UNAVAILABLE: 'WORKER_UNAVAILABLE', // plugin not enabled, or its worker failed for good
+    INTERNAL: 'INTERNAL'                      // unexpected error in the worker
+};
+
+/**
+ * Error with a protocol error code (ERROR_CODES)
+ */
+export class ArtoolkitError extends Error {
+    /**
+     * @param {string} code - one of ERROR_CODES
+     * @param {string} message
+     * @param {{cause?: *, details?: object}} options
+     */
+    constructor(code, message, { cause, details } = {}) {
+        super(message, cause !== undefined ? { cause } : undefined);
+        this.name = 'ArtoolkitError';
+        this.code = code;
+        if (details !== undefined) this.details = details;
+    }
+}
+
+/**
+ * Protocol version both sides support
+ * @param {{protocolVersion?: number, minProtocolVersion?: number}} remote - versions announced by the other side;
+ *   a side without version fields speaks version 1
+ * @returns {{ok: true, version: number}|{ok: false, error: string}}
+ */
+export function negotiateProtocol({ protocolVersion = 1, minProtocolVersion = protocolVersion } = {}) {
+    const version = Math.min(PROTOCOL_VERSION, protocolVersion);
+    if (version < Math.max(MIN_PROTOCOL_VERSION, minProtocolVersion)) {
+        return {
+            ok: false,
+            error: `Protocol version mismatch: this side speaks ${MIN_PROTOCOL_VERSION}..${PROTOCOL_VERSION}, the other ${minProtocolVersion}..${protocolVersion}`
+        };
+    }
+    return { ok: true, version };
+}
+
+/**
+ * Whether a peer speaking a protocol version knows a message type
+ * @param {number|null} version - the negotiated version; null (not negotiated yet) assumes the current one
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function supportsMessage(version, type) {
+    return (version ?? PROTOCOL_VERSION) >= (MESSAGE_SINCE[type] ?? 1);
+}
+
+/**
+ * Response message to a command
+ * @param {string} command - the command type
+ * @param {number|undefined} requestId - the command's requestId
+ * @param {object} result - fields of a successful response
+ */
+export function responseMessage(command, requestId, result = {}) {
+    return { type: COMMANDS[command], payload: { ...result, ok: true, requestId } };
+}
+
+/**
+ * Error response to a command; messages that are not known commands get an error message
+ * ({ type: 'error', payload: { code, message, requestId } }) instead
+ * @param {string} command
+ * @param {number|undefined} requestId
+ * @param {string} code - one of ERROR_CODES
+ * @param {string} error - message
+ * @param {object} details - extra fields
+ */
+export function errorMessage(command, requestId, code, error, details = {}) {
+    if (!COMMANDS[command]) return { type: 'error', payload: { ...details, code, message: error, requestId } };
+    return { type: COMMANDS[command], payload: { ...details, ok: false, code, error, requestId } };
+}
@@ -0,0 +1,405 @@
+// Frame sessions: record the frames sent for detection together with the worker results and marker events,
+// store them in a compact binary file, replay them through engine:update and diff the replayed events.
+// File layout: 8-byte magic, uint32 header length (little-endian), JSON header, then the frame pixels
+// back to back; each frame in the header points at its pixels with byteOffset/byteLength.
+import { createCanvas } from './canvas.js';
+import { describeFrame, packPlane, grayToRgba } from './image.js';
+
+const MAGIC = 'ARJSSES1';
+export const SESSION_VERSION = 1;
+export const RECORDED_EVENTS = ['ar:markerFound', 'ar:markerUpdated', 'ar:markerLost'];
+
+function nowMs() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+// Plain JSON-friendly copy: typed arrays become arrays, functions and buffers are dropped
+function toPlain(value) {
+    if (ArrayBuffer.isView(value)) return Array.from(value);
+    if (Array.isArray(value)) return value.map(toPlain);
+    if (value && typeof value === 'object') {
+        if (Object.prototype.toString.call(value) === '[object ArrayBuffer]') return undefined;
+        const out = {};
+        for (const [key, v] of Object.entries(value)) {
+            if (typeof v !== 'function') out[key] = toPlain(v);
+        }
+        return out;
+    }
+    return value;
+}
+
+// Size of a frame's image
+function frameSize(frame) {
+    const image = frame.imageData ?? frame.imageBitmap;
+    return {
+        width: frame.width || image?.width || frame.videoFrame?.displayWidth,
+        height: frame.height || image?.height || frame.videoFrame?.displayHeight
+    };
+}
+
+// RGBA pixels of a frame before it is transferred to the worker; null for metadata-only frames.
+// Luma and YUV buffers give gray pixels.
+function readFrameRGBA(frame) {
+    const { width, height } = frameSize(frame);
+    const data = frame.data ?? frame.imageData?.data;
+    if (data && width && height) {
+        const bytes = ArrayBuffer.isView(data)
+            ? new Uint8ClampedArray(data.buffer, data.byteOffset, data.byteLength)
+            : new Uint8ClampedArray(data);
+        if (!frame.data) return bytes;
+        const descriptor = describeFrame({ format: frame.format, width, height, stride: frame.stride }, bytes.length);
+        const plane = packPlane(bytes, descriptor);
+        return descriptor.luma ? grayToRgba(plane) : plane;
+    }
+    const drawable = frame.imageBitmap ?? frame.videoFrame;
+    if (drawable) {
+        const ctx = createCanvas(width, height).getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(drawable, 0, 0, width, height);
+        return ctx.getImageData(0, 0, width, height).data;
+    }
+    return null;
+}
+
+/**
+ * Downscale frame pixels (nearest neighbour) into a recorded format
+ * @param {{data?: ArrayLike<number>|ArrayBuffer, format?: string, stride?: number, imageData?: ImageData,
+ *   imageBitmap?: ImageBitmap, videoFrame?: VideoFrame, width: number, height: number}} frame
+ * @param {{format?: 'gray'|'rgba', scale?: number}} options - scale: 0 < scale <= 1
+ * @returns {{width: number, height: number, format: string, data: Uint8Array}|null} null when the frame has no pixels
+ */
+export function captureFramePixels(frame, { format = 'rgba', scale = 1 } = {}) {
+    const rgba = readFrameRGBA(frame);
+    if (!rgba) return null;
+    const { width: srcW, height: srcH } = frameSize(frame);
+    const width = Math.max(1, Math.round(srcW * scale));
+    const height = Math.max(1, Math.round(srcH * scale));
+    const channels = format === 'gray' ? 1 : 4;
+    const data = new Uint8Array(width * height * channels);
+
+    for (let y = 0; y < height; y++) {
+        const sy = Math.min(srcH - 1, Math.floor((y * srcH) / height));
+        for (let x = 0; x < width; x++) {
+            const sx = Math.min(srcW - 1, Math.floor((x * srcW) / width));
+            const i = (sy * srcW + sx) * 4;
+            const o = (y * width + x) * channels;
+            if (channels === 1) {
+                // integer BT.601 luma
+                data[o] = (rgba[i] * 77 + rgba[i + 1] * 150 + rgba[i + 2] * 29) >> 8;
+            } else {
+                data[o] = rgba[i];
+                data[o + 1] = rgba[i + 1];
+                data[o + 2] = rgba[i + 2];
+                data[o + 3] = rgba[i + 3];
+            }
+        }
+    }
+    return { width, height, format, data };
+}
+
+// RGBA copy of recorded pixels at the original frame size (nearest neighbour), as engine:update frames carry them.
+// Restoring the size keeps the detector and its camera parameters at the resolution of the recording.
+function toRGBA({ format, data, width, height, sourceWidth, sourceHeight }) {
+    const outW = sourceWidth || width;
+    const outH = sourceHeight || height;
+    const channels = format === 'rgba' ? 4 : 1;
+    const out = new Uint8ClampedArray(outW * outH * 4);
+    for (let y = 0; y < outH; y++) {
+        const sy = Math.min(height - 1, Math.floor((y * height) / outH));
+        for (let x = 0; x < outW; x++) {
+            const sx = Math.min(width - 1, Math.floor((x * width) / outW));
+            const i = (sy * width + sx) * channels;
+            const o = (y * outW + x) * 4;
+            if (channels === 4) {
+                out[o] = data[i];
+                out[o + 1] = data[i + 1];
+                out[o + 2] = data[i + 2];
+                out[o + 3] = data[i + 3];
+            } else {
+                out[o] = out[o + 1] = out[o + 2] = data[i];
+                out[o + 3] = 255;
+            }
+        }
+    }
+    return { data: out, width: outW, height: outH };
+}
+
+/**
+ * Records frames, worker results and marker events of a plugin (see ArtoolkitPlugin.startRecording)
+ * Times are milliseconds since start(). The default full-resolution RGBA capture is lossless; only such
+ * recordings replay to the recorded events, 'gray' or scale < 1 trade that for smaller files.
+ */
+export class SessionRecorder {
+    // logger: receives warnings (default: console)
+    constructor({ format = 'rgba', scale = 1, maxFrames = Infinity, events = RECORDED_EVENTS, logger = console } = {}) {
+        if (format !== 'gray' && format !== 'rgba') throw new Error(`Unknown recording format: ${format}`);
+        if (!(scale > 0 && scale <= 1)) throw new Error('Recording scale must be in (0, 1]');
+        this.options = { format, scale, maxFrames, events };
+        this._logger = logger;
+        this._eventBus = null;
+        this._listeners = [];
+        this._session = null;
+        this._startedAt = 0;
+    }
+
+    get recording() {
+        return this._session !== null;
+    }
+
+    start(eventBus) {
+        if (this._session) throw new Error('Recording already started');
+        this._startedAt = nowMs();
+        this._session = {
+            version: SESSION_VERSION,
+            meta: { format: this.options.format, scale: this.options.scale, startedAt: Date.now() },
+            frames: [],
+            results: [],
+            events: []
+        };
+        this._eventBus = eventBus || null;
+        for (const name of this.options.events) {
+            const listener = (payload) => this._session?.events.push({ t: this._elapsed(), name, payload: toPlain(payload) });
+            this._eventBus?.on(name, listener);
+            this._listeners.push([name, listener]);
+        }
+        return this;
+    }
+
+    // Called for every frame sent to the worker, before its pixels are transferred
+    recordFrame(frame, seq) {
+        if (!this._session || this._session.frames.length >= this.options.maxFrames) return;
+        let pixels = null;
+        try {
+            pixels = captureFramePixels(frame, this.options);
+        } catch (err) {
+            this._logger.warn('[Plugin] Could not capture frame pixels for recording:', err);
+        }
+        const { width: sourceWidth = null, height: sourceHeight = null } = frameSize(frame);
+        this._session.frames.push({
+            t: this._elapsed(),
+            seq,
+            id: frame.id ?? null,
+            timestamp: frame.timestamp ?? null,
+            sourceWidth,
+            sourceHeight,
+            ...(pixels || { width: null, height: null, format: null, data: null })
+        });
+    }
+
+    // Called for detection messages from the worker (detectionResult, getMarker)
+    recordResult(type, payload) {
+        if (!this._session) return;
+        this._session.results.push({ t: this._elapsed(), type, payload: toPlain(payload) });
+    }
+
+    stop() {
+        const session = this._session;
+        for (const [name, listener] of this._listeners) this._eventBus?.off(name, listener);
+        this._listeners = [];
+        this._eventBus = null;
+        this._session = null;
+        if (session) session.meta.durationMs = this._elapsed();
+        return session;
+    }
+
+    _elapsed() {
+        return nowMs() - this._startedAt;
+    }
+}
+
+/**
+ * Encode a recorded session into its binary file format
+ * @param {object} session - as returned by SessionRecorder.stop() / ArtoolkitPlugin.stopRecording()
+ * @returns {Uint8Array}
+ */
+export function encodeSession(session) {
+    let byteOffset = 0;
+    const frames = session.frames.map(({ data, ...frame }) => {
+        const byteLength = data ? data.byteLength : 0;
+        const entry = { ...frame, byteOffset, byteLength };
+        byteOffset += byteLength;
+        return entry;
+    });
+    const header = new TextEncoder().encode(JSON.stringify({ ...session, frames }));
+
+    const bytes = new Uint8Array(MAGIC.length + 4 + header.byteLength + byteOffset);
+    bytes.set(new TextEncoder().encode(MAGIC), 0);
+    new DataView(bytes.buffer).setUint32(MAGIC.length, header.byteLength, true);
+    bytes.set(header, MAGIC.length + 4);
+    let pos = MAGIC.length + 4 + header.byteLength;
+    for (const { data } of session.frames) {
+        if (!data) continue;
+        bytes.set(new Uint8Array(data.buffer, data.byteOffset, data.byteLength), pos);
+        pos += data.byteLength;
+    }
+    return bytes;
+}
+
+/**
+ * Decode a session file
+ * @param {ArrayBuffer|ArrayBufferView} buffer
+ * @returns {object} session: { version, meta, frames, results, events }
+ */
+export function decodeSession(buffer) {
+    const bytes = ArrayBuffer.isView(buffer)
+        ? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+        : new Uint8Array(buffer);
+    if (bytes.byteLength < MAGIC.length + 4 || new TextDecoder().decode(bytes.subarray(0, MAGIC.length)) !== MAGIC) {
+        throw new Error('Not a session recording');
+    }
+    const headerLength = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(MAGIC.length, true);
+    const dataStart = MAGIC.length + 4 + headerLength;
+    if (dataStart > bytes.byteLength) throw new Error('Session recording truncated');
+    const session = JSON.parse(new TextDecoder().decode(bytes.subarray(MAGIC.length + 4, dataStart)));
+    if (session.version !== SESSION_VERSION) throw new Error(`Unsupported session version: ${session.version}`);
+
+    session.frames = session.frames.map(({ byteOffset, byteLength, ...frame }) => {
+        if (dataStart + byteOffset + byteLength > bytes.byteLength) throw new Error('Session recording truncated');
+        return { ...frame, data: byteLength ? bytes.slice(dataStart + byteOffset, dataStart + byteOffset + byteLength) : null };
+    });
+    return session;
+}
+
+/**
+ * Wait until the plugin reports a frame processed (ar:frameProcessed)
+ * @param {{on: Function, off: Function}} eventBus
+ * @param {*} frameId - id of the engine:update frame
+ * @param {number} timeoutMs - resolves anyway after this, e.g. when the frame was dropped
+ * @returns {Promise<boolean>} false on timeout
+ */
+export function waitForFrameProcessed(eventBus, frameId, timeoutMs = 2000) {
+    return new Promise((resolve) => {
+        const done = (processed) => {
+            clearTimeout(timer);
+            eventBus.off('ar:frameProcessed', onProcessed);
+            resolve(processed);
+        };
+        const onProcessed = (payload) => {
+            if (payload?.frameId === frameId) done(true);
+        };
+        const timer = setTimeout(() => done(false), timeoutMs);
+        eventBus.on('ar:frameProcessed', onProcessed);
+    });
+}
+
+/**
+ * Feeds a recorded session back through engine:update
+ * speed: playback rate relative to the recording (1 = original timing), or 'max' to send each frame
+ * as soon as the plugin has processed the previous one (ar:frameProcessed), so no frame is dropped.
+ */
+export class SessionReplay {
+    constructor(session, { eventBus, speed = 1, frameTimeoutMs = 2000, events = RECORDED_EVENTS } = {}) {
+        if (!eventBus) throw new Error('SessionReplay needs an eventBus');
+        if (speed !== 'max' && !(speed > 0)) throw new Error(`Invalid replay speed: ${speed}`);
+        this.session = session;
+        this.options = { eventBus, speed, frameTimeoutMs, events };
+        this._stopped = false;
+    }
+
+    /**
+     * Play the session once
+     * @returns {Promise<{events: Array<{t: number, name: string, payload: object}>, framesSent: number}>}
+     *   marker events emitted during the replay, in the recorded event format
+     */
+    async play() {
+        const { eventBus, speed, frameTimeoutMs } = this.options;
+        this._stopped = false;
+        const startedAt = nowMs();
+        const events = [];
+        const listeners = this.options.events.map((name) => [name, (payload) => events.push({ t: nowMs() - startedAt, name, payload: toPlain(payload) })]);
+        for (const [name, listener] of listeners) eventBus.on(name, listener);
+
+        let framesSent = 0;
+        try {
+            const frames = this.session.frames;
+            for (let i = 0; i < frames.length && !this._stopped; i++) {
+                const frame = frames[i];
+                if (speed !== 'max' && i > 0) await delay((frame.t - frames[i - 1].t) / speed);
+                // the last frame is always awaited so its events are part of the result
+                const processed = speed === 'max' || i === frames.length - 1 ? waitForFrameProcessed(eventBus, frame.id, frameTimeoutMs) : null;
+                eventBus.emit('engine:update', {
+                    id: frame.id,
+                    timestamp: frame.timestamp,
+                    ...(frame.data ? toRGBA(frame) : {})
+                });
+                framesSent++;
+                await processed;
+            }
+        } finally {
+            for (const [name, listener] of listeners) eventBus.off(name, listener);
+        }
+        return { events, framesSent };
+    }
+
+    stop() {
+        this._stopped = true;
+    }
+}
+
+function delay(ms) {
+    return ms > 0 ? new Promise((r) => setTimeout(r, ms)) : Promise.resolve();
+}
+
+// Rotation angle (radians) between the rotation parts of two column-major 4x4 poses
+function rotationAngle(a, b) {
+    let trace = 0;
+    for (let col = 0; col < 3; col++) {
+        for (let row = 0; row < 3; row++) trace += a[col * 4 + row] * b[col * 4 + row];
+    }
+    return Math.acos(Math.max(-1, Math.min(1, (trace - 1) / 2)));
+}
+
+/**
+ * Compare a replayed marker event stream against the recorded one
+ * Events are matched by frameId, event name and marker id (in order for repeats).
+ * @param {Array<{name: string, payload: object}>} expected - e.g. session.events
+ * @param {Array<{name: string, payload: object}>} actual - e.g. the events returned by SessionReplay.play()
+ * @param {{translationTolerance?: number, rotationTolerance?: number, confidenceTolerance?: number, ignoreEvents?: string[]}} options -
+ *   translationTolerance: relative to the expected distance (default 0.01); rotationTolerance: radians (default 0.01);
+ *   confidenceTolerance: absolute (default 0.05)
+ * @returns {{equal: boolean, differences: Array<{type: 'missing'|'extra'|'pose'|'confidence', name: string, id: any, frameId: any, expected?: object, actual?: object}>}}
+ */
+export function diffSessionEvents(expected, actual, {
+    translationTolerance = 0.01,
+    rotationTolerance = 0.01,
+    confidenceTolerance = 0.05,
+    ignoreEvents = []
+} = {}) {
+    const keyOf = ({ name, payload }) => `${payload?.frameId ?? ''}|${name}|${payload?.id}`;
+    const pending = new Map();
+    for (const event of actual) {
+        if (ignoreEvents.includes(event.name)) continue;
+        const key = keyOf(event);
+        if (!pending.has(key)) pending.set(key, []);
+        pending.get(key).push(event);
+    }
+
+    const differences = [];
+    const describe = (type, event, extra = {}) => ({ type, name: event.name, id: event.payload?.id, frameId: event.payload?.frameId ?? null, ...extra });
+    for (const exp of expected) {
+        if (ignoreEvents.includes(exp.name)) continue;
+        const act = pending.get(keyOf(exp))?.shift();
+        if (!act) {
+            differences.push(describe('missing', exp, { expected: exp.payload }));
+            continue;
+        }
+        const p = exp.payload?.poseMatrix;
+        const q = act.payload?.poseMatrix;
+        if (p?.length === 16 && q?.length === 16) {
+            const distance = Math.hypot(p[12], p[13], p[14]);
+            const offset = Math.hypot(p[12] - q[12], p[13] - q[13], p[14] - q[14]);
+            if (offset > translationTolerance * Math.max(distance, 1e-9) || rotationAngle(p, q) > rotationTolerance) {
+                differences.push(describe('pose', exp, { expected: exp.payload, actual: act.payload }));
+                continue;
+            }
+        }
+        const c1 = exp.payload?.confidence;
+        const c2 = act.payload?.confidence;
+        if (Number.isFinite(c1) && Number.isFinite(c2) && Math.abs(c1 - c2) > confidenceTolerance) {
+            differences.push(describe('confidence', exp, { expected: exp.payload, actual: act.payload }));
+        }
+    }
+    for (const rest of pending.values()) {
+        for (const act of rest) differences.push(describe('extra', act, { actual: act.payload }));
+    }
+    return { equal: differences.length === 0, differences };
+}
@@ -0,0 +1,225 @@
+// Pose smoothing for marker tracking.
+// Position is filtered per component (one-euro or exponential); rotation is slerped
+// towards the new orientation. Filters are driven by the timestamps passed in, so
+// the output is deterministic for a given input sequence.
+
+const DEFAULT_DT = 1 / 60; // seconds; used when timestamps do not advance
+
+function smoothingAlpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
+
+/**
+ * One-euro filter (Casiez et al. 2012) for a single scalar
+ * Low cutoff removes jitter when still; beta raises the cutoff with speed to limit lag.
+ */
+export class OneEuroFilter {
+    constructor({ minCutoff = 1, beta = 0, dCutoff = 1 } = {}) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+        this.reset();
+    }
+
+    reset() {
+        this._x = null;
+        this._dx = 0;
+        this._t = null;
+    }
+
+    /**
+     * @param {number} value
+     * @param {number} timestampMs
+     * @returns {number} filtered value
+     */
+    filter(value, timestampMs) {
+        if (this._x === null) {
+            this._x = value;
+            this._t = timestampMs;
+            return value;
+        }
+        const elapsed = (timestampMs - this._t) / 1000;
+        const dt = elapsed > 0 ? elapsed : DEFAULT_DT;
+        this._t = timestampMs;
+
+        const dx = (value - this._x) / dt;
+        const aD = smoothingAlpha(this.dCutoff, dt);
+        this._dx = aD * dx + (1 - aD) * this._dx;
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(this._dx);
+        const a = smoothingAlpha(cutoff, dt);
+        this._x = a * value + (1 - a) * this._x;
+        return this._x;
+    }
+}
+
+/**
+ * Exponential moving average for a single scalar
+ * alpha = 1 passes values through, smaller values smooth more.
+ */
+export class ExponentialFilter {
+    constructor({ alpha = 0.5 } = {}) {
+        this.alpha = alpha;
+        this.reset();
+    }
+
+    reset() {
+        this._x = null;
+    }
+
+    filter(value) {
+        this._x = this._x === null ? value : this.alpha * value + (1 - this.alpha) * this._x;
+        return this._x;
+    }
+}
+
+// Unit quaternion [x, y, z, w] from the rotation part of a column-major 4x4
+export function matrixToQuaternion(m) {
+    const m00 = m[0], m01 = m[4], m02 = m[8];
+    const m10 = m[1], m11 = m[5], m12 = m[9];
+    const m20 = m[2], m21 = m[6], m22 = m[10];
+    const trace = m00 + m11 + m22;
+    let q;
+    if (trace > 0) {
+        const s = 0.5 / Math.sqrt(trace + 1);
+        q = [(m21 - m12) * s, (m02 - m20) * s, (m10 - m01) * s, 0.25 / s];
+    } else if (m00 > m11 && m00 > m22) {
+        const s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+        q = [0.25 * s, (m01 + m10) / s, (m02 + m20) / s, (m21 - m12) / s];
+    } else if (m11 > m22) {
+        const s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+        q = [(m01 + m10) / s, 0.25 * s, (m12 + m21) / s, (m02 - m20) / s];
+    } else {
+        const s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+        q = [(m02 + m20) / s, (m12 + m21) / s, 0.25 * s, (m10 - m01) / s];
+    }
+    const len = Math.hypot(q[0], q[1], q[2], q[3]) || 1;
+    return q.map((v) => v / len);
+}
+
+// Spherical interpolation between unit quaternions (shortest path)
+export function slerpQuaternion(a, b, t) {
+    let [bx, by, bz, bw] = b;
+    let cos = a[0] * bx + a[1] * by + a[2] * bz + a[3] * bw;
+    if (cos < 0) {
+        cos = -cos; bx = -bx; by = -by; bz = -bz; bw = -bw;
+    }
+    let wa, wb;
+    if (cos > 0.9995) {
+        // nearly parallel: linear interpolation is accurate and avoids dividing by ~0
+        wa = 1 - t; wb = t;
+    } else {
+        const theta = Math.acos(cos);
+        const sin = Math.sin(theta);
+        wa = Math.sin((1 - t) * theta) / sin;
+        wb = Math.sin(t * theta) / sin;
+    }
+    const q = [wa * a[0] + wb * bx, wa * a[1] + wb * by, wa * a[2] + wb * bz, wa * a[3] + wb * bw];
+    const len = Math.hypot(q[0], q[1], q[2], q[3]) || 1;
+    return q.map((v) => v / len);
+}
+
+// Column-major 4x4 from a quaternion and a translation
+export function composePoseMatrix(q, t) {
+    const [x, y, z, w] = q;
+    const out = new Float32Array(16);
+    out[0] = 1 - 2 * (y * y + z * z);
+    out[1] = 2 * (x * y + z * w);
+    out[2] = 2 * (x * z - y * w);
+    out[4] = 2 * (x * y - z * w);
+    out[5] = 1 - 2 * (x * x + z * z);
+    out[6] = 2 * (y * z + x * w);
+    out[8] = 2 * (x * z + y * w);
+    out[9] = 2 * (y * z - x * w);
+    out[10] = 1 - 2 * (x * x + y * y);
+    out[12] = t[0];
+    out[13] = t[1];
+    out[14] = t[2];
+    out[15] = 1;
+    return out;
+}
+
+/**
+ * Per-marker pose smoother
+ * Options:
+ * - type: 'oneEuro' (default) or 'exponential'
+ * - minCutoff, beta, dCutoff: one-euro parameters (position; rotation uses the same cutoffs on angular speed)
+ * - rotationBeta: one-euro speed coefficient for rotation in rad/s; defaults to beta
+ * - alpha: exponential position factor (0..1]
+ * - rotationAlpha: exponential slerp factor (0..1]; defaults to alpha
+ */
+export class PoseSmoother {
+    constructor(options = {}) {
+        this.type = options.type ?? 'oneEuro';
+        if (this.type !== 'oneEuro' && this.type !== 'exponential') {
+            throw new Error(`Unknown smoothing type: ${this.type}`);
+        }
+        this.options = {
+            minCutoff: options.minCutoff ?? 1,
+            beta: options.beta ?? 0.01,
+            dCutoff: options.dCutoff ?? 1,
+            alpha: options.alpha ?? 0.5,
+            rotationAlpha: options.rotationAlpha ?? options.alpha ?? 0.5,
+            rotationBeta: options.rotationBeta ?? options.beta ?? 0.01
+        };
+        // Map<markerId, { position: filter[3], rotation: number[4], angularSpeed: number, t: number }>
+        this._states = new Map();
+    }
+
+    _createState() {
+        const make = () => (this.type === 'oneEuro' ? new OneEuroFilter(this.options) : new ExponentialFilter(this.options));
+        return { position: [make(), make(), make()], rotation: null, angularSpeed: 0, t: null };
+    }
+
+    /**
+     * Smooth one pose sample of a marker
+     * @param {string|number} id - marker id (state is kept per id)
+     * @param {ArrayLike<number>} poseMatrix - column-major 4x4
+     * @param {number} timestampMs
+     * @returns {Float32Array} smoothed column-major 4x4
+     */
+    filter(id, poseMatrix, timestampMs) {
+        if (!poseMatrix || poseMatrix.length < 16) return Float32Array.from(poseMatrix || []);
+        let state = this._states.get(id);
+        if (!state) {
+            state = this._createState();
+            this._states.set(id, state);
+        }
+
+        const position = state.position.map((f, i) => f.filter(poseMatrix[12 + i], timestampMs));
+
+        const q = matrixToQuaternion(poseMatrix);
+        if (!state.rotation) {
+            state.rotation = q;
+        } else {
+            state.rotation = slerpQuaternion(state.rotation, q, this._rotationFactor(state, q, timestampMs));
+        }
+        state.t = timestampMs;
+
+        return composePoseMatrix(state.rotation, position);
+    }
+
+    // Slerp factor: fixed for exponential smoothing, speed-adaptive (one-euro style) otherwise
+    _rotationFactor(state, q, timestampMs) {
+        if (this.type === 'exponential') return this.options.rotationAlpha;
+
+        const elapsed = (timestampMs - state.t) / 1000;
+        const dt = elapsed > 0 ? elapsed : DEFAULT_DT;
+        const dot = Math.min(1, Math.abs(state.rotation[0] * q[0] + state.rotation[1] * q[1] + state.rotation[2] * q[2] + state.rotation[3] * q[3]));
+        const speed = (2 * Math.acos(dot)) / dt; // rad/s
+        const aD = smoothingAlpha(this.options.dCutoff, dt);
+        state.angularSpeed = aD * speed + (1 - aD) * state.angularSpeed;
+        const cutoff = this.options.minCutoff + this.options.rotationBeta * state.angularSpeed;
+        return smoothingAlpha(cutoff, dt);
+    }
+
+    // Drop filter state of a marker (e.g. when it is lost) so re-detection starts fresh
+    reset(id) {
+        this._states.delete(id);
+    }
+
+    clear() {
+        this._states.clear();
+    }
+}
@@ -0,0 +1,46 @@
+// Runtime statistics helpers: a bounded window of duration samples and its percentiles.
+
+/**
+ * Keeps the last `size` samples
+ */
+export class SampleWindow {
+    constructor(size = 256) {
+        this.size = size;
+        this.samples = [];
+        this._next = 0;
+    }
+
+    push(value) {
+        if (!Number.isFinite(value)) return;
+        if (this.samples.length < this.size) {
+            this.samples.push(value);
+        } else {
+            this.samples[this._next] = value;
+        }
+        this._next = (this._next + 1) % this.size;
+    }
+
+    clear() {
+        this.samples = [];
+        this._next = 0;
+    }
+
+    /**
+     * Count, mean and percentiles of the samples (nearest rank); null values while empty
+     * @returns {{count: number, mean: number|null, p50: number|null, p90: number|null, p99: number|null, max: number|null}}
+     */
+    summary() {
+        const sorted = [...this.samples].sort((a, b) => a - b);
+        const count = sorted.length;
+        if (!count) return { count, mean: null, p50: null, p90: null, p99: null, max: null };
+        const rank = (p) => sorted[Math.min(count - 1, Math.ceil(p * count) - 1)];
+        return {
+            count,
+            mean: sorted.reduce((sum, v) => sum + v, 0) / count,
+            p50: rank(0.5),
+            p90: rank(0.9),
+            p99: rank(0.99),
+            max: sorted[count - 1]
+        };
+    }
+}
@@ -0,0 +1,280 @@
+// Synthetic marker scenes: render a marker into an RGBA frame at a known pose, as a camera with the
+// given ARToolKit camera parameters would see it. Used to measure detection quality (see benchmark.js).
+//
+// Poses follow the plugin's poseMatrix convention: column-major 4x4, camera frame x right, y down,
+// z forward, marker centered at the origin of its z = 0 plane with x right and y toward the top of the
+// pattern. Translation units are the marker size units.
+import { DEFAULT_CAMERA_PARAMETERS, distortPoint, undistortPoint } from './camera.js';
+import { decodePattern, renderMarkerImage } from './pattern.js';
+
+const UNDISTORT_ITERATIONS = 8;
+// 2x2 samples per pixel, pixel centers at integer coordinates (as in ARToolKit)
+const SUBSAMPLES = [[-0.25, -0.25], [0.25, -0.25], [-0.25, 0.25], [0.25, 0.25]];
+
+/**
+ * Pose of a marker in front of the camera
+ * @param {{translation?: number[], rotation?: number[]}} options - translation [x, y, z] in the camera frame
+ *   (z > 0 is in front of the camera); rotation [rx, ry, rz] in radians about the marker's own x, y, z axes,
+ *   applied in z, y, x order. Zero rotation faces the camera upright.
+ * @returns {Float32Array} column-major 4x4 pose
+ */
+export function markerPose({ translation = [0, 0, 300], rotation = [0, 0, 0] } = {}) {
+    const [rx, ry, rz] = rotation;
+    const [cx, sx, cy, sy, cz, sz] = [Math.cos(rx), Math.sin(rx), Math.cos(ry), Math.sin(ry), Math.cos(rz), Math.sin(rz)];
+    // R = Rx * Ry * Rz (row-major)
+    const r = [
+        cy * cz, -cy * sz, sy,
+        sx * sy * cz + cx * sz, -sx * sy * sz + cx * cz, -sx * cy,
+        -cx * sy * cz + sx * sz, cx * sy * sz + sx * cz, cx * cy
+    ];
+    const pose = new Float32Array(16);
+    for (let col = 0; col < 3; col++) {
+        // facing the camera flips the marker's y and z axes: camera = diag(1, -1, -1) * R
+        pose[col * 4] = r[col];
+        pose[col * 4 + 1] = -r[3 + col];
+        pose[col * 4 + 2] = -r[6 + col];
+    }
+    pose[12] = translation[0];
+    pose[13] = translation[1];
+    pose[14] = translation[2];
+    pose[15] = 1;
+    return pose;
+}
+
+/**
+ * Translation and rotation difference between two poses
+ * @param {ArrayLike<number>} expected - column-major 4x4
+ * @param {ArrayLike<number>} actual - column-major 4x4
+ * @returns {{translation: number, rotation: number}} translation: distance in pose units; rotation: radians
+ */
+export function poseError(expected, actual) {
+    const translation = Math.hypot(actual[12] - expected[12], actual[13] - expected[13], actual[14] - expected[14]);
+    // trace of expected^T * actual over the rotation parts (columns are normalized against scale drift)
+    let trace = 0;
+    for (let col = 0; col < 3; col++) {
+        const e = [expected[col * 4], expected[col * 4 + 1], expected[col * 4 + 2]];
+        const a = [actual[col * 4], actual[col * 4 + 1], actual[col * 4 + 2]];
+        trace += (e[0] * a[0] + e[1] * a[1] + e[2] * a[2]) / (Math.hypot(...e) * Math.hypot(...a));
+    }
+    const rotation = Math.acos(Math.min(1, Math.max(-1, (trace - 1) / 2)));
+    return { translation, rotation };
+}
+
+// Camera projection of a posed marker plane:
+// project(X, Y, Z) → observed [x, y] | null; undistort(x, y, out) → ideal pixel; inverse: ideal pixel → marker plane homography
+function createProjection(camera, pose, distortion) {
+    const m = camera.matrix;
+    const dist = camera.distortion;
+    if (distortion && dist?.length !== 9) {
+        throw new Error('Only version 4 (OpenCV) distortion can be rendered; pass distortion: false to ignore it');
+    }
+
+    // Homography marker plane → ideal pixel: H = K * [r1 r2 t] (plus the matrix's 4th column)
+    const h = new Float64Array(9);
+    for (let row = 0; row < 3; row++) {
+        const k = [m[row * 4], m[row * 4 + 1], m[row * 4 + 2]];
+        h[row * 3] = k[0] * pose[0] + k[1] * pose[1] + k[2] * pose[2];
+        h[row * 3 + 1] = k[0] * pose[4] + k[1] * pose[5] + k[2] * pose[6];
+        h[row * 3 + 2] = k[0] * pose[12] + k[1] * pose[13] + k[2] * pose[14] + m[row * 4 + 3];
+    }
+
+    return {
+        inverse: invert3x3(h),
+        project(X, Y, Z = 0) {
+            const x = pose[0] * X + pose[4] * Y + pose[8] * Z + pose[12];
+            const y = pose[1] * X + pose[5] * Y + pose[9] * Z + pose[13];
+            const z = pose[2] * X + pose[6] * Y + pose[10] * Z + pose[14];
+            const w = m[8] * x + m[9] * y + m[10] * z + m[11];
+            if (w <= 0) return null;
+            const ideal = [(m[0] * x + m[1] * y + m[2] * z + m[3]) / w, (m[4] * x + m[5] * y + m[6] * z + m[7]) / w];
+            return distortion ? distortPoint(dist, ideal[0], ideal[1], ideal) : ideal;
+        },
+        undistort(ox, oy, out) {
+            if (!distortion) {
+                out[0] = ox;
+                out[1] = oy;
+                return out;
+            }
+            return undistortPoint(dist, ox, oy, out, UNDISTORT_ITERATIONS);
+        }
+    };
+}
+
+function invert3x3(a) {
+    const c00 = a[4] * a[8] - a[5] * a[7];
+    const c01 = a[5] * a[6] - a[3] * a[8];
+    const c02 = a[3] * a[7] - a[4] * a[6];
+    const det = a[0] * c00 + a[1] * c01 + a[2] * c02;
+    if (Math.abs(det) < 1e-12) throw new Error('Marker plane is seen edge-on');
+    return [
+        c00 / det, (a[2] * a[7] - a[1] * a[8]) / det, (a[1] * a[5] - a[2] * a[4]) / det,
+        c01 / det, (a[0] * a[8] - a[2] * a[6]) / det, (a[2] * a[3] - a[0] * a[5]) / det,
+        c02 / det, (a[1] * a[6] - a[0] * a[7]) / det, (a[0] * a[4] - a[1] * a[3]) / det
+    ];
+}
+
+// Deterministic PRNG (mulberry32) so noisy scenes are reproducible
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Separable gaussian blur of a float RGB buffer
+function gaussianBlur(rgb, width, height, sigma) {
+    const radius = Math.ceil(sigma * 3);
+    const kernel = [];
+    let sum = 0;
+    for (let i = -radius; i <= radius; i++) {
+        const k = Math.exp(-(i * i) / (2 * sigma * sigma));
+        kernel.push(k);
+        sum += k;
+    }
+    for (let i = 0; i < kernel.length; i++) kernel[i] /= sum;
+
+    const pass = (src, horizontal) => {
+        const out = new Float32Array(src.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                for (let c = 0; c < 3; c++) {
+                    let v = 0;
+                    for (let i = -radius; i <= radius; i++) {
+                        // clamp to the edge
+                        const sx = horizontal ? Math.min(width - 1, Math.max(0, x + i)) : x;
+                        const sy = horizontal ? y : Math.min(height - 1, Math.max(0, y + i));
+                        v += src[(sy * width + sx) * 3 + c] * kernel[i + radius];
+                    }
+                    out[(y * width + x) * 3 + c] = v;
+                }
+            }
+        }
+        return out;
+    };
+    return pass(pass(rgb, true), false);
+}
+
+/**
+ * Render a marker into an RGBA frame at a known pose
+ * @param {{
+ *   marker: string|{data: ArrayLike<number>, width: number, height: number},
+ *   pose: ArrayLike<number>,
+ *   size?: number,
+ *   camera?: {width: number, height: number, matrix: ArrayLike<number>, distortion: ArrayLike<number>},
+ *   distortion?: boolean,
+ *   borderPercent?: number,
+ *   background?: number,
+ *   lighting?: {brightness?: number, gradient?: number[]},
+ *   blur?: number,
+ *   noise?: number,
+ *   seed?: number
+ * }} options
+ *   marker: .patt text, or the full marker image (black border included) as RGBA;
+ *   pose: column-major 4x4 (see markerPose); size: marker width in pose units (default 1);
+ *   camera: parsed camera parameters (default DEFAULT_CAMERA_PARAMETERS), the frame has their resolution;
+ *   distortion: apply the camera's lens distortion (default true, version 4 parameters only);
+ *   borderPercent: border per side when marker is .patt text (default 25);
+ *   background: gray level around the marker (default 255);
+ *   lighting: brightness multiplier (default 1) and gradient [gx, gy], the brightness change across the frame width / height;
+ *   blur: gaussian sigma in pixels (default 0); noise: gaussian noise sigma in gray levels (default 0); seed: noise seed
+ * @returns {{data: Uint8ClampedArray, width: number, height: number, corners: number[][]}}
+ *   corners: observed pixel positions of the marker's outer corners, clockwise from the top left
+ */
+export function renderMarkerScene({
+    marker,
+    pose,
+    size = 1,
+    camera = DEFAULT_CAMERA_PARAMETERS,
+    distortion = true,
+    borderPercent = 25,
+    background = 255,
+    lighting = {},
+    blur = 0,
+    noise = 0,
+    seed = 1
+}) {
+    if (!pose || pose.length !== 16) throw new Error('pose must be a 4x4 matrix');
+    if (!(size > 0)) throw new Error('size must be positive');
+    const image = typeof marker === 'string'
+        ? renderMarkerImage(decodePattern(marker).rotations[0], { size: 256, borderPercent })
+        : marker;
+    if (!image?.data || image.data.length !== image.width * image.height * 4) {
+        throw new Error('marker must be .patt text or an RGBA image');
+    }
+
+    const { width, height } = camera;
+    const projection = createProjection(camera, pose, distortion);
+    const half = size / 2;
+    const rgb = new Float32Array(width * height * 3);
+
+    const inv = projection.inverse;
+    const ideal = [0, 0];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            // undistort the pixel center only; over a pixel the distortion is a plain offset
+            projection.undistort(x, y, ideal);
+            let r = 0, g = 0, b = 0;
+            for (const [dx, dy] of SUBSAMPLES) {
+                const ix = ideal[0] + dx;
+                const iy = ideal[1] + dy;
+                // w is the inverse depth; rays hitting the plane behind the camera have w <= 0
+                const w = inv[6] * ix + inv[7] * iy + inv[8];
+                const px = (inv[0] * ix + inv[1] * iy + inv[2]) / w;
+                const py = (inv[3] * ix + inv[4] * iy + inv[5]) / w;
+                // marker image: x right, y down from the top-left corner (marker y points up)
+                const u = w > 0 ? Math.floor(((px + half) / size) * image.width) : -1;
+                const v = w > 0 ? Math.floor(((half - py) / size) * image.height) : -1;
+                if (u < 0 || v < 0 || u >= image.width || v >= image.height) {
+                    r += background; g += background; b += background;
+                    continue;
+                }
+                const i = (v * image.width + u) * 4;
+                r += image.data[i]; g += image.data[i + 1]; b += image.data[i + 2];
+            }
+            const o = (y * width + x) * 3;
+            rgb[o] = r / SUBSAMPLES.length;
+            rgb[o + 1] = g / SUBSAMPLES.length;
+            rgb[o + 2] = b / SUBSAMPLES.length;
+        }
+    }
+
+    const { brightness = 1, gradient = [0, 0] } = lighting;
+    const [gx = 0, gy = 0] = gradient;
+    const blurred = blur > 0 ? gaussianBlur(rgb, width, height, blur) : rgb;
+    const random = createRandom(seed);
+    // Box-Muller
+    const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const rowGain = brightness + gy * (y / (height - 1) - 0.5);
+        for (let x = 0; x < width; x++) {
+            const gain = rowGain + gx * (x / (width - 1) - 0.5);
+            const i = y * width + x;
+            for (let c = 0; c < 3; c++) {
+                data[i * 4 + c] = blurred[i * 3 + c] * gain + (noise > 0 ? gaussian() * noise : 0);
+            }
+            data[i * 4 + 3] = 255;
+        }
+    }
+
+    const corners = [[-half, half], [half, half], [half, -half], [-half, -half]].map(([X, Y]) => projection.project(X, Y));
+    return { data, width, height, corners };
+}
+
+/**
+ * Observed pixel positions of points on a posed marker plane, as renderMarkerScene() draws them; synthetic corner
+ * data without rendering a frame (e.g. for camera calibration)
+ * @param {Array<number[]>} points - [x, y] on the marker's z = 0 plane, in pose units
+ * @param {{pose: ArrayLike<number>, camera?: object, distortion?: boolean}} options - as in renderMarkerScene()
+ * @returns {Array<number[]|null>} null for points behind the camera
+ */
+export function projectMarkerPoints(points, { pose, camera = DEFAULT_CAMERA_PARAMETERS, distortion = true }) {
+    if (!pose || pose.length !== 16) throw new Error('pose must be a 4x4 matrix');
+    const projection = createProjection(camera, pose, distortion);
+    return points.map(([x, y]) => projection.project(x, y));
+}
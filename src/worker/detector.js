@@ -0,0 +1,1025 @@
+// ARToolKit detection core shared by the module Worker (worker.js) and the in-thread backend (in-thread.js).
+// - processes ImageBitmap → OffscreenCanvas → ARToolKit.process(canvas)
+// - processes raw RGBA buffers { data, width, height } directly (browser and Node)
+// - processes luma-only and YUV buffers ({ data, format, stride }) and WebCodecs VideoFrames; their luma plane is
+//   expanded to gray RGBA pixels, without a canvas round trip
+// - frames are processed at the processingResolution (init payload, utils/image.js); the controller is set up again
+//   when the processing size changes, and corners are mapped back to frame pixels
+// All state lives in the instance returned by createDetector(); messages follow the protocol in utils/protocol.js.
+import {
+    MATRIX_CODE_TYPES,
+    PATTERN_DETECTION_MODES,
+    THRESHOLD_MODES,
+    LABELING_MODES,
+    IMAGE_PROC_MODES,
+    resolveEnumOption,
+    enumOptionName,
+    normalizeDetectorConfig
+} from '../utils/constants.js';
+import {
+    DEFAULT_CAMERA_PARAMETERS,
+    parseCameraParameters,
+    serializeCameraParameters,
+    rotateCameraParameters,
+    scaleCameraParameters
+} from '../utils/camera.js';
+import {
+    normalizeProcessingResolution,
+    processingSize,
+    mapToFrame,
+    resizePixels,
+    describeFrame,
+    packPlane,
+    grayToRgba
+} from '../utils/image.js';
+import { createCanvas } from '../utils/canvas.js';
+import { checkDetectorPattern } from '../utils/pattern.js';
+import { parseMultiMarkerConfig, normalizeMultiMarkerLayout, resolveRelativeUrl, solveMultiMarkerPose } from '../utils/multimarker.js';
+import {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    COMMANDS,
+    ERROR_CODES,
+    ArtoolkitError,
+    negotiateProtocol,
+    responseMessage,
+    errorMessage
+} from '../utils/protocol.js';
+import { createLogger } from '../utils/logger.js';
+
+const IS_NODE = typeof self === 'undefined' && typeof document === 'undefined' && typeof process !== 'undefined' && !!process.versions?.node;
+
+// Node only: ARToolKit fetches resources over HTTP, so read local paths / file: URLs from disk.
+// Returns null when the resource should be fetched by ARToolKit as usual.
+async function readLocalResource(url, encoding) {
+    if (!IS_NODE || typeof url !== 'string' || /^(https?|data|blob):/i.test(url) || url.includes('\n')) return null;
+    const { readFile } = await import('node:fs/promises');
+    const path = url.startsWith('file:') ? (await import('node:url')).fileURLToPath(url) : url;
+    const data = await readFile(path, encoding);
+    return encoding ? data : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
+// Dedupe loading by key: concurrent and repeated loads share one controller call
+function loadOnce(key, loaded, loading, load) {
+    if (loaded.has(key)) return Promise.resolve(loaded.get(key));
+    if (loading.has(key)) return loading.get(key);
+
+    const p = (async () => {
+        const id = await load();
+        loaded.set(key, id);
+        loading.delete(key);
+        return id;
+    })().catch((e) => {
+        loading.delete(key);
+        throw e;
+    });
+
+    loading.set(key, p);
+    return p;
+}
+
+function nowMs() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * Create a detector instance
+ * @param {(msg: {type: string, payload?: object}) => void} sendMessage - delivers messages to the plugin
+ * @param {{logger?: object}} options - logger: leveled logger (utils/logger.js) of the in-thread backend; without one,
+ *   the detector logs to the console at the logLevel sent with init
+ * @returns {{handleMessage: (msg: {type: string, payload?: object}) => Promise<void>, announceReady: () => void, dispose: () => void}}
+ */
+export function createDetector(sendMessage, { logger } = {}) {
+    let log = logger ?? createLogger();
+    let arController = null;
+    let arControllerInitialized = false;
+    let controllerW = 0;                // dimensions the controller was initialized with (processing size)
+    let controllerH = 0;
+    let frameW = 0;                     // size of the frames the controller serves
+    let frameH = 0;
+    let controllerCamera = null;        // parsed camera parameters the controller was initialized with
+    let resizedPixels = null;           // RGBA frames resampled to the processing size
+    let resizedLuma = null;             // luma planes resampled to the processing size
+    let lumaPixels = null;              // gray RGBA pixels of a luma plane at the processing size
+    let getMarkerForwarderAttached = false;
+
+    let offscreenCanvas = null;
+    let offscreenCtx = null;
+    let canvasW = 0;
+    let canvasH = 0;
+
+    // Marker and filtering state
+    const loadedMarkers = new Map();    // patternUrl or pattern text -> markerId
+    const loadingMarkers = new Map();   // patternUrl or pattern text -> Promise<markerId>
+    const trackedPatternIds = new Set(); // Set<number>
+    const trackedBarcodeIds = new Map(); // barcodeId -> size
+    // ARToolKit cannot free patterns, so unloaded markers stay loaded and are filtered out instead;
+    // these flags keep the filter on once the app has registered markers of a kind, even after unloading all of them
+    let patternsRegistered = false;
+    let barcodesRegistered = false;
+    const trackedNftIds = new Set();     // Set<number>
+    const loadedNftMarkers = new Map();  // descriptorBaseUrl -> nft markerId
+    const loadingNftMarkers = new Map(); // descriptorBaseUrl -> Promise<markerId>
+    const multiMarkerBoards = [];        // index = board id; { members: [{ kind, markerId, size, transform }] }, null once unloaded
+    const boardMemberKeys = new Set();   // 'pattern:<id>' / 'barcode:<id>' used by boards
+    const trackedSizes = new Map();      // '<kind>:<id>' -> size of every marker tracked by the controller
+    let frameObservations = null;        // pattern/barcode detections collected while a frame is processed
+    let currentFrame = null;             // { seq, frameId, frameTimestamp } of the frame being processed
+    let PATTERN_MARKER_TYPE = 0;        // will be read from ARToolkit if available
+    let BARCODE_MARKER_TYPE = 1;        // will be read from ARToolkit if available
+    let MIN_CONFIDENCE = 0.6;           // configurable via init payload
+
+    // Commands being handled: requestId -> AbortController, aborted when the plugin cancels the command
+    const activeRequests = new Map();
+
+    // Init backoff state
+    let initInProgress = null;
+    let initFailCount = 0;
+    let initFailedUntil = 0;
+
+    // Init-time options (overridable from main thread)
+    let INIT_OPTS = {
+        moduleUrl: null,
+        cameraParametersUrl: null,
+        cameraParametersData: null, // camera_para.dat bytes; takes precedence over the URL
+        wasmBaseUrl: null,
+        minConfidence: null,
+        matrixCodeType: null,
+        patternDetectionMode: null,
+        // frame size ARToolKit is initialized with when a marker is loaded before the first frame
+        width: 640,
+        height: 480,
+        processingResolution: null // { scale } or { width, height }; null processes frames at their size
+    };
+
+    // Runtime detector settings (plugin.configure), resolved to ARToolKit values; null keeps the ARToolKit default.
+    // Kept here so they also apply to a controller created after they were set.
+    const detectorConfig = {
+        thresholdMode: null,
+        threshold: null,
+        labelingMode: null,
+        patternRatio: null,
+        imageProcMode: null
+    };
+
+    // Announce-ready guard
+    let hasAnnouncedReady = false;
+
+    // Map the ARToolKit marker type constant to the kind reported to the main thread
+    function markerKindFromType(type) {
+        return type === BARCODE_MARKER_TYPE ? 'barcode' : 'pattern';
+    }
+
+    // Serialize AR.js-style getMarker event into a transferable payload
+    function serializeGetMarkerEvent(ev) {
+        try {
+            const data = ev?.data || {};
+            const marker = data.marker || {};
+            const matrix = Array.isArray(data.matrix) ? data.matrix.slice(0, 16)
+                : (data.matrix && data.matrix.length ? Array.from(data.matrix).slice(0, 16) : null);
+            // flat [x0, y0, x1, y1, ...]; ARToolKit reports [[x, y], ...]
+            const vertex = marker.vertex
+                ? (Array.isArray(marker.vertex) ? marker.vertex.flat() : null)
+                : (marker.corners ? marker.corners.flatMap(c => [c.x ?? c[0], c.y ?? c[1]]) : null);
+            // processing pixels -> frame pixels
+            const ratio = [frameW / controllerW, frameH / controllerH];
+            if (vertex && controllerW && controllerH) vertex.forEach((v, i) => { vertex[i] = mapToFrame(v, ratio[i % 2]); });
+
+            return {
+                ...currentFrame,
+                type: data.type, // e.g., ARToolkit.PATTERN_MARKER
+                kind: markerKindFromType(data.type),
+                matrix,
+                marker: {
+                    idPatt: marker.idPatt ?? marker.patternId ?? marker.pattern_id ?? null,
+                    idMatrix: marker.idMatrix ?? null,
+                    cfPatt: marker.cfPatt ?? marker.confidence ?? null,
+                    cfMatrix: marker.cfMatrix ?? null,
+                    vertex: vertex || null
+                }
+            };
+        } catch {
+            return { type: null, matrix: null, marker: {} };
+        }
+    }
+
+    // Serialize a getNFTMarker event into a detection; null when untracked or malformed
+    function serializeNFTMarkerEvent(ev) {
+        const data = ev?.data || {};
+        const id = data.index;
+        if (!Number.isInteger(id) || !trackedNftIds.has(id)) return null;
+        const matrix = data.matrix && data.matrix.length >= 16 ? Array.from(data.matrix).slice(0, 16) : null;
+        if (!matrix) return null;
+        // ARToolKit's NFT tracker reports no confidence score; a found NFT marker is fully trusted
+        return { id, kind: 'nft', confidence: 1, poseMatrix: matrix, corners: [] };
+    }
+
+    function shouldForwardGetMarker(event) {
+        const data = event?.data || {};
+        const type = data.type;
+        const marker = data.marker || {};
+        const isBarcode = type === BARCODE_MARKER_TYPE;
+        const id = isBarcode
+            ? (marker.idMatrix ?? null)
+            : (marker.idPatt ?? marker.patternId ?? marker.pattern_id ?? null);
+        const conf = isBarcode
+            ? (marker.cfMatrix ?? marker.confidence ?? 0)
+            : (marker.cfPatt ?? marker.confidence ?? 0);
+        const matrix = data.matrix;
+
+        // Type must be PATTERN_MARKER or BARCODE_MARKER (fallback numeric 0/1 if constants not available)
+        if (type !== PATTERN_MARKER_TYPE && !isBarcode) return false;
+
+        // Confidence gate
+        if (!(Number.isFinite(conf) && conf >= MIN_CONFIDENCE)) return false;
+
+        // Matrix must exist with at least 16 values
+        const m = Array.isArray(matrix) ? matrix : (matrix && Array.from(matrix)) || null;
+        if (!m || m.length < 16) return false;
+
+        // If we have tracked IDs, only forward those IDs
+        if (isBarcode) {
+            if (id == null || id < 0) return false;
+            if (barcodesRegistered && !trackedBarcodeIds.has(id)) return false;
+            if (boardMemberKeys.has(`barcode:${id}`) && !trackedBarcodeIds.has(id)) return false;
+        } else if (patternsRegistered && id != null && !trackedPatternIds.has(id)) {
+            return false;
+        } else if (boardMemberKeys.has(`pattern:${id}`) && !trackedPatternIds.has(id)) {
+            // board-only markers are reported through their board
+            return false;
+        }
+
+        return true;
+    }
+
+    // Record a pattern/barcode detection of the current frame for multi-marker solving
+    function collectBoardObservation(event) {
+        if (!frameObservations || !multiMarkerBoards.length) return;
+        const data = event?.data || {};
+        const marker = data.marker || {};
+        const isBarcode = data.type === BARCODE_MARKER_TYPE;
+        if (!isBarcode && data.type !== PATTERN_MARKER_TYPE) return;
+        const id = isBarcode ? marker.idMatrix : marker.idPatt;
+        const confidence = isBarcode ? marker.cfMatrix : marker.cfPatt;
+        if (id == null || id < 0 || !(Number.isFinite(confidence) && confidence >= MIN_CONFIDENCE)) return;
+        if (!data.matrix || data.matrix.length < 16) return;
+        // copy: ARToolKit reuses its transform buffer for every marker
+        frameObservations.push({ kind: isBarcode ? 'barcode' : 'pattern', id, confidence, matrix: Array.from(data.matrix).slice(0, 16) });
+    }
+
+    // Solve every loaded board from the frame's observations and forward the visible ones
+    function sendMultiMarkerDetections(observations) {
+        const detections = [];
+        multiMarkerBoards.forEach((board, id) => {
+            if (!board) return;
+            const solved = solveMultiMarkerPose(board.members, observations);
+            if (!solved) return;
+            detections.push({ id, kind: 'multi', confidence: solved.confidence, poseMatrix: solved.poseMatrix, visibleMarkers: solved.visibleMarkers, corners: [] });
+        });
+        if (detections.length) sendMessage({ type: 'detectionResult', payload: { ...currentFrame, detections } });
+    }
+
+    function attachGetMarkerForwarder() {
+        if (!arController || typeof arController.addEventListener !== 'function' || getMarkerForwarderAttached) return;
+        arController.addEventListener('getMarker', (event) => {
+            collectBoardObservation(event);
+            if (!shouldForwardGetMarker(event)) return;
+            const payload = serializeGetMarkerEvent(event);
+            log.debug('[Worker] getMarker (filtered)', payload);
+            sendMessage({ type: 'getMarker', payload });
+        });
+        // NFT results have no pattern/matrix ids; forward them as normalized detections tagged 'nft'
+        arController.addEventListener('getNFTMarker', (event) => {
+            const detection = serializeNFTMarkerEvent(event);
+            if (!detection) return;
+            sendMessage({ type: 'detectionResult', payload: { ...currentFrame, detections: [detection] } });
+        });
+        getMarkerForwarderAttached = true;
+    }
+
+    // Apply matrix code type / pattern detection mode to the live controller (no-op before init)
+    function applyDetectionModes() {
+        if (!arController) return;
+        const codeType = resolveEnumOption(MATRIX_CODE_TYPES, INIT_OPTS.matrixCodeType);
+        if (codeType !== null && typeof arController.setMatrixCodeType === 'function') {
+            arController.setMatrixCodeType(codeType);
+        }
+        const detectionMode = resolveEnumOption(PATTERN_DETECTION_MODES, INIT_OPTS.patternDetectionMode);
+        if (detectionMode !== null && typeof arController.setPatternDetectionMode === 'function') {
+            arController.setPatternDetectionMode(detectionMode);
+        }
+        applyDetectorConfig();
+    }
+
+    // Push the runtime detector settings to the controller; ARToolKit reads them on the next process()
+    function applyDetectorConfig() {
+        if (!arController) return;
+        const setters = {
+            thresholdMode: 'setThresholdMode',
+            threshold: 'setThreshold',
+            labelingMode: 'setLabelingMode',
+            patternRatio: 'setPattRatio',
+            imageProcMode: 'setImageProcMode'
+        };
+        for (const [key, setter] of Object.entries(setters)) {
+            if (detectorConfig[key] !== null && typeof arController[setter] === 'function') {
+                arController[setter](detectorConfig[key]);
+            }
+        }
+    }
+
+    function configureDetector(config) {
+        const { minConfidence, ...settings } = normalizeDetectorConfig(config);
+        if (minConfidence !== undefined) {
+            INIT_OPTS.minConfidence = minConfidence;
+            MIN_CONFIDENCE = minConfidence;
+        }
+        Object.assign(detectorConfig, settings);
+        applyDetectorConfig();
+    }
+
+    // Settings in effect: read back from the controller once it exists, else the requested values (null = default)
+    function effectiveDetectorConfig() {
+        const read = (getter, fallback) => (arController && typeof arController[getter] === 'function' ? arController[getter]() : fallback);
+        const patternRatio = read('getPattRatio', detectorConfig.patternRatio);
+        return {
+            thresholdMode: enumOptionName(THRESHOLD_MODES, read('getThresholdMode', detectorConfig.thresholdMode)),
+            threshold: read('getThreshold', detectorConfig.threshold),
+            labelingMode: enumOptionName(LABELING_MODES, read('getLabelingMode', detectorConfig.labelingMode)),
+            patternRatio,
+            borderWidth: patternRatio === null ? null : (1 - patternRatio) / 2,
+            imageProcMode: enumOptionName(IMAGE_PROC_MODES, read('getImageProcMode', detectorConfig.imageProcMode)),
+            minConfidence: MIN_CONFIDENCE
+        };
+    }
+
+    // Report the controller's projection so the main thread can build renderer projections
+    // width/height: frame size; the projection is normalized, so it holds at any processing size
+    // initMs: time ARToolKit took to initialize (undefined when only the frame size changed)
+    function sendCameraParameters(initMs) {
+        try {
+            const projection = arController.getCameraMatrix?.();
+            if (!projection || projection.length < 16) return;
+            sendMessage({
+                type: 'cameraParameters',
+                payload: {
+                    width: frameW,
+                    height: frameH,
+                    processingWidth: controllerW,
+                    processingHeight: controllerH,
+                    projectionMatrix: Array.from(projection).slice(0, 16),
+                    // the calibration in frame pixels: ARToolKit undistorts marker corners with it
+                    camera: controllerCamera?.version === 4 ? scaleCameraParameters(controllerCamera, frameW, frameH) : null,
+                    near: arController.getProjectionNearPlane?.() ?? null,
+                    far: arController.getProjectionFarPlane?.() ?? null,
+                    initMs
+                }
+            });
+        } catch (err) {
+            log.warn('[Worker] Failed to read camera parameters:', err);
+        }
+    }
+
+    // Camera parameters for a controller of width x height. A calibration of the other orientation is rotated
+    // (the device turned): ARToolKit would otherwise scale it to the new aspect ratio and distort it
+    async function loadCameraParameters(width, height) {
+        const camUrl = INIT_OPTS.cameraParametersData ? null : INIT_OPTS.cameraParametersUrl;
+        let data = INIT_OPTS.cameraParametersData
+            ?? (camUrl ? await readLocalResource(camUrl) : serializeCameraParameters(DEFAULT_CAMERA_PARAMETERS));
+        if (!data) {
+            const res = await fetch(camUrl);
+            if (!res.ok) throw new Error(`Failed to fetch camera parameters (${res.status})`);
+            data = new Uint8Array(await res.arrayBuffer());
+        }
+        const params = parseCameraParameters(data);
+        if ((height > width) === (params.height > params.width) || params.height === params.width) return data;
+        if (params.version !== 4) {
+            log.warn('[Worker] Camera parameters cannot be rotated to the frame orientation (version 4 distortion needed)');
+            return data;
+        }
+        log.info('[Worker] Rotating camera parameters to the frame orientation', { width, height });
+        return serializeCameraParameters(rotateCameraParameters(params));
+    }
+
+    // Guarded init with backoff; width/height: frame size, the controller gets the processing size
+    async function initArtoolkit(width = 640, height = 480) {
+        if (arControllerInitialized) return true;
+
+        const now = Date.now();
+        if (now < initFailedUntil) {
+            const waitMs = initFailedUntil - now;
+            log.warn('[Worker] initArtoolkit skipped due to backoff (ms):', waitMs);
+            return false;
+        }
+
+        if (initInProgress) {
+            try {
+                await initInProgress;
+                return arControllerInitialized;
+            } catch {
+                return false;
+            }
+        }
+
+        initInProgress = (async () => {
+            const startedAt = nowMs();
+            try {
+                const jsartoolkit = await (async () => {
+                    if (INIT_OPTS.moduleUrl) {
+                        log.info('[Worker] Loading artoolkit from moduleUrl:', INIT_OPTS.moduleUrl);
+                        return await import(INIT_OPTS.moduleUrl);
+                    }
+                    // If your environment supports bare import (import map/bundler), this will work:
+                    return await import('@ar-js-org/artoolkit5-js');
+                })();
+
+                // Safely extract exports (supports both named and default exports)
+                const ARController =
+                    jsartoolkit.ARController ?? jsartoolkit.default?.ARController;
+                const ARToolkit =
+                    jsartoolkit.ARToolkit ?? jsartoolkit.default?.ARToolkit;
+
+                if (!ARController) {
+                    throw new Error('ARController export not found in ARToolKit module');
+                }
+
+                // Read the constant if available; else keep default 0
+                if (ARToolkit && typeof ARToolkit.PATTERN_MARKER === 'number') {
+                    PATTERN_MARKER_TYPE = ARToolkit.PATTERN_MARKER;
+                }
+                if (ARToolkit && typeof ARToolkit.BARCODE_MARKER === 'number') {
+                    BARCODE_MARKER_TYPE = ARToolkit.BARCODE_MARKER;
+                }
+
+                if (INIT_OPTS.wasmBaseUrl && ARController) {
+                    try {
+                        ARController.baseURL = INIT_OPTS.wasmBaseUrl.endsWith('/') ? INIT_OPTS.wasmBaseUrl : INIT_OPTS.wasmBaseUrl + '/';
+                    } catch {}
+                }
+
+                if (typeof INIT_OPTS.minConfidence === 'number') {
+                    MIN_CONFIDENCE = INIT_OPTS.minConfidence;
+                }
+
+                // Camera parameters: inline bytes, then the configured URL, then the bundled default (no network)
+                const camUrl = INIT_OPTS.cameraParametersData ? null : INIT_OPTS.cameraParametersUrl;
+                const size = processingSize(INIT_OPTS.processingResolution, width, height);
+                log.info('[Worker] ARToolKit init', { width, height, processing: size, camUrl: camUrl ?? (INIT_OPTS.cameraParametersData ? 'inline' : 'default'), minConfidence: MIN_CONFIDENCE, patternType: PATTERN_MARKER_TYPE });
+                const camParam = await loadCameraParameters(size.width, size.height);
+                controllerCamera = parseCameraParameters(camParam);
+                arController = await ARController.initWithDimensions(size.width, size.height, camParam, {});
+                arControllerInitialized = !!arController;
+                controllerW = size.width;
+                controllerH = size.height;
+                frameW = width;
+                frameH = height;
+                log.info('[Worker] ARToolKit initialized:', arControllerInitialized);
+
+                if (!arControllerInitialized) throw new Error('ARController.initWithDimensions returned falsy controller');
+
+                attachGetMarkerForwarder();
+                applyDetectionModes();
+                await restoreMarkers();
+                sendCameraParameters(nowMs() - startedAt);
+
+                initFailCount = 0;
+                initFailedUntil = 0;
+            } catch (err) {
+                log.error('[Worker] ARToolKit init failed:', err);
+                releaseController();
+
+                initFailCount = Math.min(initFailCount + 1, 6);
+                const delay = Math.min(30000, 1000 * Math.pow(2, initFailCount));
+                initFailedUntil = Date.now() + delay;
+
+                // code: the plugin restarts the worker instead of waiting for the backoff
+                sendMessage({ type: 'error', payload: { message: `ARToolKit init failed (${err?.message || err}). Retrying in ${delay}ms.`, code: ERROR_CODES.INIT_FAILED, retryInMs: delay } });
+                throw err;
+            } finally {
+                initInProgress = null;
+            }
+        })();
+
+        try {
+            await initInProgress;
+        } catch {}
+        return arControllerInitialized;
+    }
+
+    // Make the controller fit a frame of width x height. A new processing size (camera resolution changed, device
+    // rotated) needs a new controller; a new frame size at the same processing size only changes the corner mapping
+    async function prepareController(width, height) {
+        if (arControllerInitialized) {
+            const size = processingSize(INIT_OPTS.processingResolution, width, height);
+            if (size.width !== controllerW || size.height !== controllerH) {
+                log.info('[Worker] Processing size changed, reinitializing ARToolKit', { from: [controllerW, controllerH], to: [size.width, size.height] });
+                releaseController();
+            } else if (width !== frameW || height !== frameH) {
+                frameW = width;
+                frameH = height;
+                sendCameraParameters();
+            }
+        }
+        return initArtoolkit(width, height);
+    }
+
+    // A new controller knows no markers: load them again in id order, so ARToolKit hands out the same ids,
+    // and track them at their sizes
+    async function restoreMarkers() {
+        const byId = (a, b) => a[1] - b[1];
+        for (const [source, markerId] of [...loadedMarkers].sort(byId)) {
+            const id = await arController.loadMarker(await readPatternText(source));
+            if (id !== markerId) throw new Error(`Pattern ${markerId} was reloaded as ${id}`);
+        }
+        for (const [descriptorBaseUrl, markerId] of [...loadedNftMarkers].sort(byId)) {
+            const id = await arController.loadNFTMarker(descriptorBaseUrl);
+            if (id !== markerId) throw new Error(`NFT marker ${markerId} was reloaded as ${id}`);
+        }
+        for (const [key, size] of trackedSizes) trackMarker(...key.split(':'), size);
+    }
+
+    // ARToolKit tracks a marker at one size, for every board and standalone use of it: a printed marker has one size,
+    // so another size for a marker in use is a mistake in the app's marker setup
+    function checkMarkerSize(kind, markerId, size) {
+        const key = `${kind}:${markerId}`;
+        const inUse = boardMemberKeys.has(key)
+            || (kind === 'pattern' && trackedPatternIds.has(markerId))
+            || (kind === 'barcode' && trackedBarcodeIds.has(markerId))
+            || (kind === 'nft' && trackedNftIds.has(markerId));
+        const current = trackedSizes.get(key);
+        if (inUse && current !== size) {
+            throw new ArtoolkitError(ERROR_CODES.INVALID_ARGUMENT, `${kind} marker ${markerId} is already tracked at size ${current}, not ${size}`);
+        }
+    }
+
+    // Track a loaded marker at a size and remember it for restoreMarkers()
+    function trackMarker(kind, markerId, size) {
+        markerId = Number(markerId);
+        trackedSizes.set(`${kind}:${markerId}`, size);
+        if (kind === 'barcode') {
+            arController.trackBarcodeMarkerId?.(markerId, size);
+        } else if (kind === 'nft') {
+            arController.trackNFTMarkerId?.(markerId, size);
+        } else if (typeof arController.trackPatternMarkerId === 'function') {
+            arController.trackPatternMarkerId(markerId, size);
+        } else if (typeof arController.trackPatternMarker === 'function') {
+            arController.trackPatternMarker(markerId, size);
+        }
+    }
+
+    function releaseController() {
+        const controller = arController;
+        // ARToolKit dispatches a load event on a timer after init, which throws once the controller is disposed
+        if (controller) setTimeout(() => { try { controller.dispose?.(); } catch {} }, 1);
+        arController = null;
+        arControllerInitialized = false;
+        getMarkerForwarderAttached = false;
+    }
+
+    // Run ARToolKit on one image and forward the frame's multi-marker results.
+    // fallbackImage is tried when the controller cannot read the primary source (e.g. OffscreenCanvas).
+    function runDetection(frame, image, fallbackImage) {
+        // process() dispatches its marker events synchronously, so the frame tag cannot leak to other frames
+        currentFrame = frame;
+        // ARToolKit's wasm glue reports marker info through the global artoolkit object, which points at the most
+        // recently created controller; with several detectors on one thread it must point at this one
+        if (arController.artoolkit) (typeof window !== 'undefined' ? window : globalThis).artoolkit = arController.artoolkit;
+        frameObservations = [];
+        try {
+            arController.process(image);
+        } catch (e) {
+            if (!fallbackImage) throw e;
+            try {
+                frameObservations = [];
+                arController.process(fallbackImage());
+            } catch (inner) {
+                log.warn('[Worker] ARToolKit process fallback failed:', inner);
+            }
+        }
+        const observations = frameObservations;
+        frameObservations = null;
+        if (multiMarkerBoards.length) sendMultiMarkerDetections(observations);
+        currentFrame = null;
+    }
+
+    // Detect on an RGBA or luma plane of width x height, resampled to the processing size when needed
+    function detectPlane(frame, pixels, width, height, luma) {
+        if (width !== controllerW || height !== controllerH) {
+            if (luma) {
+                resizedLuma = resizePixels(pixels, width, height, controllerW, controllerH, { channels: 1, out: resizedLuma });
+                pixels = resizedLuma;
+            } else {
+                resizedPixels = resizePixels(pixels, width, height, controllerW, controllerH, { out: resizedPixels });
+                pixels = resizedPixels;
+            }
+        }
+        // ARToolKit only takes RGBA images; gray pixels give back the same luma when it converts them
+        if (luma) {
+            if (lumaPixels?.length !== pixels.length * 4) lumaPixels = new Uint8ClampedArray(pixels.length * 4);
+            pixels = grayToRgba(pixels, lumaPixels);
+        }
+        // ARToolKit copies the pixels straight into a heap sized at init
+        runDetection(frame, { data: pixels, width: controllerW, height: controllerH });
+    }
+
+    // Draw an ImageBitmap or VideoFrame onto the canvas, scaled to the processing size, and detect on it
+    function detectDrawable(frame, source) {
+        if (!offscreenCanvas || canvasW !== controllerW || canvasH !== controllerH) {
+            canvasW = controllerW; canvasH = controllerH;
+            offscreenCanvas = createCanvas(canvasW, canvasH);
+            offscreenCtx = offscreenCanvas.getContext('2d', { willReadFrequently: true });
+        }
+        offscreenCtx.clearRect(0, 0, canvasW, canvasH);
+        offscreenCtx.drawImage(source, 0, 0, canvasW, canvasH);
+        runDetection(frame, offscreenCanvas, () => offscreenCtx.getImageData(0, 0, canvasW, canvasH));
+    }
+
+    // Luma plane of a YUV VideoFrame, copied out without conversion; null for RGB frames
+    async function readVideoFrameLuma(videoFrame) {
+        const format = videoFrame.format?.toUpperCase();
+        if (!format || !/^(I420|I420A|I422|I444|NV12)$/.test(format)) return null;
+        const bytes = new Uint8Array(videoFrame.allocationSize());
+        const [plane] = await videoFrame.copyTo(bytes);
+        const { width, height } = videoFrame.visibleRect;
+        return { luma: packPlane(bytes.subarray(plane.offset), { width, height, stride: plane.stride, luma: true }), width, height };
+    }
+
+    // Dedupe marker loading by URL (or by the pattern text itself for inline patterns)
+    async function loadPatternOnce(patternUrl) {
+        return loadOnce(patternUrl, loadedMarkers, loadingMarkers, async () => {
+            // ARToolKit accepts pattern text (anything containing a newline) in place of a URL;
+            // read it here to reject resolutions ARToolKit would misread
+            const patternText = await readPatternText(patternUrl);
+            try {
+                checkDetectorPattern(patternText);
+            } catch (err) {
+                const what = patternUrl.includes('\n') ? 'Inline pattern' : `Pattern ${patternUrl}`;
+                throw new ArtoolkitError(ERROR_CODES.INVALID_ARGUMENT, `${what}: ${err.message}`, { cause: err });
+            }
+            const markerId = await arController.loadMarker(patternText);
+            if (!Number.isInteger(markerId) || markerId < 0) throw new Error('ARToolKit could not load the pattern');
+            return markerId;
+        });
+    }
+
+    // .patt contents of an inline pattern, a local file or a URL
+    async function readPatternText(patternUrl) {
+        if (patternUrl.includes('\n')) return patternUrl;
+        const text = await readLocalResource(patternUrl, 'utf8');
+        if (text !== null) return text;
+        const res = await fetch(patternUrl);
+        if (!res.ok) throw new Error(`Failed to fetch pattern ${patternUrl} (${res.status})`);
+        return res.text();
+    }
+
+    // Stop reporting a marker; returns false when it was not registered
+    function unloadMarker(kind, markerId) {
+        if (kind === 'pattern') return trackedPatternIds.delete(markerId);
+        if (kind === 'barcode') return trackedBarcodeIds.delete(markerId);
+        if (kind === 'nft') return trackedNftIds.delete(markerId);
+        if (kind === 'multi') {
+            if (!multiMarkerBoards[markerId]) return false;
+            multiMarkerBoards[markerId] = null;
+            // members shared with another board stay board-only
+            boardMemberKeys.clear();
+            for (const board of multiMarkerBoards) {
+                for (const m of board?.members ?? []) boardMemberKeys.add(`${m.kind}:${m.markerId}`);
+            }
+            return true;
+        }
+        return false;
+    }
+
+    // Load a multi-marker board: register every member marker and remember its offset in the board.
+    // A cancelled load stops at its next step and tracks none of the members.
+    async function loadMultiMarkerBoard({ configUrl, layout, baseUrl }, signal) {
+        let board;
+        if (configUrl) {
+            let text = await readLocalResource(configUrl, 'utf8');
+            if (text === null) {
+                const res = await fetch(configUrl, { signal });
+                if (!res.ok) throw new Error(`Failed to fetch multimarker config (${res.status})`);
+                text = await res.text();
+            }
+            signal?.throwIfAborted();
+            board = parseMultiMarkerConfig(text);
+            baseUrl = configUrl;
+        } else {
+            board = normalizeMultiMarkerLayout(layout);
+        }
+
+        const members = [];
+        for (const m of board.markers) {
+            if (m.kind === 'barcode') {
+                members.push({ kind: 'barcode', markerId: m.barcodeId, size: m.size, transform: m.transform });
+            } else {
+                // pattern text (contains a newline) is passed through; URLs are resolved against the config
+                const source = m.pattern.includes('\n') ? m.pattern : resolveRelativeUrl(m.pattern, baseUrl);
+                const markerId = await loadPatternOnce(source);
+                signal?.throwIfAborted();
+                members.push({ kind: 'pattern', markerId, size: m.size, transform: m.transform });
+            }
+        }
+        members.forEach((m, i) => {
+            checkMarkerSize(m.kind, m.markerId, m.size);
+            const twin = members.find((other, j) => j < i && other.kind === m.kind && other.markerId === m.markerId);
+            if (twin && twin.size !== m.size) {
+                throw new ArtoolkitError(ERROR_CODES.INVALID_ARGUMENT, `${m.kind} marker ${m.markerId} appears in the board at sizes ${twin.size} and ${m.size}`);
+            }
+        });
+        for (const m of members) trackMarker(m.kind, m.markerId, m.size);
+        for (const m of members) boardMemberKeys.add(`${m.kind}:${m.markerId}`);
+        multiMarkerBoards.push({ members });
+        return { boardId: multiMarkerBoards.length - 1, markerCount: members.length };
+    }
+
+    // Dedupe NFT descriptor loading by base URL (.iset/.fset/.fset3 are fetched by ARToolKit)
+    async function loadNFTOnce(descriptorBaseUrl) {
+        return loadOnce(descriptorBaseUrl, loadedNftMarkers, loadingNftMarkers, () => arController.loadNFTMarker(descriptorBaseUrl));
+    }
+
+    // Decode one frame and run detection on it; results are tagged with the frame they came from
+    async function processFrame(payload) {
+        const { imageBitmap, videoFrame, data, width, height } = payload || {};
+        const frame = { seq: payload?.seq ?? null, frameId: payload?.frameId ?? null, frameTimestamp: payload?.timestamp ?? null };
+        if (imageBitmap) {
+            try {
+                const w = width || imageBitmap.width || 640;
+                const h = height || imageBitmap.height || 480;
+
+                await prepareController(w, h);
+                if (arControllerInitialized && arController) detectDrawable(frame, imageBitmap);
+            } catch (err) {
+                log.error('[Worker] processFrame error:', err);
+                sendMessage({ type: 'error', payload: { message: err?.message || String(err), code: ERROR_CODES.FRAME_FAILED, seq: frame.seq, frameId: frame.frameId } });
+            } finally {
+                try { imageBitmap.close?.(); } catch {}
+            }
+            return;
+        }
+
+        if (videoFrame) {
+            // WebCodecs frame: YUV formats give their luma plane, RGB formats are drawn like an ImageBitmap
+            try {
+                const w = width || videoFrame.displayWidth;
+                const h = height || videoFrame.displayHeight;
+                const plane = await readVideoFrameLuma(videoFrame);
+
+                await prepareController(w, h);
+                if (arControllerInitialized && arController) {
+                    if (plane) detectPlane(frame, plane.luma, plane.width, plane.height, true);
+                    else detectDrawable(frame, videoFrame);
+                }
+            } catch (err) {
+                log.error('[Worker] processFrame error:', err);
+                sendMessage({ type: 'error', payload: { message: err?.message || String(err), code: ERROR_CODES.FRAME_FAILED, seq: frame.seq, frameId: frame.frameId } });
+            } finally {
+                try { videoFrame.close?.(); } catch {}
+            }
+            return;
+        }
+
+        if (data) {
+            // Raw buffers (Node and browser): RGBA pixels or the luma plane go to ARToolKit without a canvas
+            try {
+                const bytes = data instanceof ArrayBuffer
+                    ? new Uint8ClampedArray(data)
+                    : new Uint8ClampedArray(data.buffer, data.byteOffset, data.byteLength);
+                const descriptor = describeFrame({ format: payload.format, width, height, stride: payload.stride }, bytes.length);
+
+                await prepareController(width, height);
+                if (arControllerInitialized && arController) {
+                    detectPlane(frame, packPlane(bytes, descriptor), width, height, descriptor.luma);
+                }
+            } catch (err) {
+                log.error('[Worker] processFrame error:', err);
+                sendMessage({ type: 'error', payload: { message: err?.message || String(err), code: ERROR_CODES.FRAME_FAILED, seq: frame.seq, frameId: frame.frameId } });
+            }
+            return;
+        }
+
+        // Metadata-only path: noop
+        await new Promise((r) => setTimeout(r, 5));
+    }
+
+    // Wait for ARToolKit before a marker command; a cancel that arrived meanwhile stops the command
+    async function prepareCommand(requestId) {
+        const ok = await initArtoolkit(INIT_OPTS.width, INIT_OPTS.height);
+        if (!ok) throw new ArtoolkitError(ERROR_CODES.INIT_FAILED, 'ARToolKit not initialized');
+        throwIfCancelled(requestId);
+    }
+
+    // Load commands call this after each step they wait for: a cancelled command stops before it tracks the marker.
+    // ARToolKit's own downloads (patterns, NFT descriptors) cannot be aborted and finish in the background.
+    function throwIfCancelled(requestId) {
+        activeRequests.get(requestId)?.signal.throwIfAborted();
+    }
+
+    // Error response to a failed command; errors without a code are marker loading failures
+    function sendCommandError(type, requestId, err, code = ERROR_CODES.LOAD_FAILED) {
+        sendMessage(errorMessage(type, requestId, err?.code ?? code, err?.message || String(err)));
+    }
+
+    async function handleMessage(ev) {
+        const { type, payload } = ev || {};
+        const requestId = payload?.requestId;
+        const isCommand = Object.hasOwn(COMMANDS, type) && requestId !== undefined;
+        if (isCommand) activeRequests.set(requestId, new AbortController());
+        try {
+            await handleCommand(type, payload);
+        } catch (err) {
+            sendMessage({ type: 'error', payload: { message: err?.message || String(err), code: ERROR_CODES.INTERNAL, requestId } });
+        } finally {
+            if (isCommand) activeRequests.delete(requestId);
+        }
+    }
+
+    async function handleCommand(type, payload) {
+        if (type === 'init') {
+            const { requestId } = payload || {};
+            const protocol = negotiateProtocol(payload || {});
+            if (!protocol.ok) {
+                sendMessage(errorMessage('init', requestId, ERROR_CODES.PROTOCOL_MISMATCH, protocol.error, { protocolVersion: PROTOCOL_VERSION, minProtocolVersion: MIN_PROTOCOL_VERSION }));
+                return;
+            }
+            if (payload && typeof payload === 'object') {
+                // an injected logger has its own level
+                if (!logger && payload.logLevel) log = createLogger({ level: payload.logLevel });
+                INIT_OPTS.moduleUrl = payload.moduleUrl ?? INIT_OPTS.moduleUrl;
+                INIT_OPTS.cameraParametersUrl = payload.cameraParametersUrl ?? INIT_OPTS.cameraParametersUrl;
+                INIT_OPTS.cameraParametersData = payload.cameraParametersData ?? INIT_OPTS.cameraParametersData;
+                INIT_OPTS.wasmBaseUrl = payload.wasmBaseUrl ?? INIT_OPTS.wasmBaseUrl;
+                if (typeof payload.minConfidence === 'number') {
+                    INIT_OPTS.minConfidence = payload.minConfidence;
+                    MIN_CONFIDENCE = payload.minConfidence;
+                }
+                INIT_OPTS.matrixCodeType = payload.matrixCodeType ?? INIT_OPTS.matrixCodeType;
+                INIT_OPTS.patternDetectionMode = payload.patternDetectionMode ?? INIT_OPTS.patternDetectionMode;
+                if (Number.isInteger(payload.width) && Number.isInteger(payload.height)) {
+                    INIT_OPTS.width = payload.width;
+                    INIT_OPTS.height = payload.height;
+                }
+                if (payload.processingResolution !== undefined) {
+                    // a live controller of another processing size is replaced with the next frame
+                    INIT_OPTS.processingResolution = normalizeProcessingResolution(payload.processingResolution);
+                }
+                if (payload.detectorConfig) {
+                    try {
+                        configureDetector(payload.detectorConfig);
+                    } catch (err) {
+                        sendMessage({ type: 'error', payload: { message: err?.message || String(err), code: ERROR_CODES.INVALID_ARGUMENT } });
+                    }
+                }
+                applyDetectionModes();
+            }
+            sendMessage(responseMessage('init', requestId, { protocolVersion: protocol.version }));
+            announceReady();
+            return;
+        }
+
+        if (type === 'cancel') {
+            // commands already answered are not cancelled
+            const { requestId } = payload || {};
+            activeRequests.get(requestId)?.abort(new ArtoolkitError(ERROR_CODES.CANCELLED, 'Request cancelled'));
+            return;
+        }
+
+        if (type === 'loadMarker') {
+            const { patternUrl, patternText, size = 1, requestId } = payload || {};
+            if (!patternUrl && !patternText) {
+                sendMessage(errorMessage(type, requestId, ERROR_CODES.INVALID_ARGUMENT, 'Missing patternUrl or patternText parameter'));
+                return;
+            }
+            try {
+                await prepareCommand(requestId);
+
+                const markerId = await loadPatternOnce(patternText || patternUrl);
+                throwIfCancelled(requestId);
+                checkMarkerSize('pattern', markerId, size);
+                trackedPatternIds.add(markerId);
+                patternsRegistered = true;
+                trackMarker('pattern', markerId, size);
+                sendMessage(responseMessage(type, requestId, { markerId, size }));
+            } catch (err) {
+                log.error('[Worker] loadMarker error:', err);
+                sendCommandError(type, requestId, err);
+            }
+            return;
+        }
+
+        if (type === 'loadBarcodeMarker') {
+            const { barcodeId, size = 1, requestId } = payload || {};
+            if (!Number.isInteger(barcodeId) || barcodeId < 0) {
+                sendMessage(errorMessage(type, requestId, ERROR_CODES.INVALID_ARGUMENT, 'Invalid barcodeId parameter'));
+                return;
+            }
+            try {
+                await prepareCommand(requestId);
+
+                checkMarkerSize('barcode', barcodeId, size);
+                trackMarker('barcode', barcodeId, size);
+                trackedBarcodeIds.set(barcodeId, size);
+                barcodesRegistered = true;
+                sendMessage(responseMessage(type, requestId, { markerId: barcodeId, size, kind: 'barcode' }));
+            } catch (err) {
+                log.error('[Worker] loadBarcodeMarker error:', err);
+                sendCommandError(type, requestId, err);
+            }
+            return;
+        }
+
+        if (type === 'loadNFTMarker') {
+            const { descriptorBaseUrl, size = 1, requestId } = payload || {};
+            if (!descriptorBaseUrl) {
+                sendMessage(errorMessage(type, requestId, ERROR_CODES.INVALID_ARGUMENT, 'Missing descriptorBaseUrl parameter'));
+                return;
+            }
+            try {
+                await prepareCommand(requestId);
+                if (typeof arController.loadNFTMarker !== 'function') {
+                    throw new ArtoolkitError(ERROR_CODES.UNSUPPORTED, 'NFT markers not supported by this ARToolKit build');
+                }
+
+                const markerId = await loadNFTOnce(descriptorBaseUrl);
+                throwIfCancelled(requestId);
+                checkMarkerSize('nft', markerId, size);
+                trackedNftIds.add(markerId);
+                trackMarker('nft', markerId, size);
+                sendMessage(responseMessage(type, requestId, { markerId, size, kind: 'nft' }));
+            } catch (err) {
+                log.error('[Worker] loadNFTMarker error:', err);
+                sendCommandError(type, requestId, err);
+            }
+            return;
+        }
+
+        if (type === 'loadMultiMarker') {
+            const { configUrl, layout, baseUrl, requestId } = payload || {};
+            if (!configUrl && !layout) {
+                sendMessage(errorMessage(type, requestId, ERROR_CODES.INVALID_ARGUMENT, 'Missing configUrl or layout parameter'));
+                return;
+            }
+            try {
+                await prepareCommand(requestId);
+
+                const { boardId, markerCount } = await loadMultiMarkerBoard({ configUrl, layout, baseUrl }, activeRequests.get(requestId)?.signal);
+                sendMessage(responseMessage(type, requestId, { markerId: boardId, markerCount, kind: 'multi' }));
+            } catch (err) {
+                log.error('[Worker] loadMultiMarker error:', err);
+                sendCommandError(type, requestId, err);
+            }
+            return;
+        }
+
+        if (type === 'unloadMarker') {
+            const { kind = 'pattern', markerId, requestId } = payload || {};
+            sendMessage(unloadMarker(kind, markerId)
+                ? responseMessage(type, requestId, { markerId, kind })
+                : errorMessage(type, requestId, ERROR_CODES.NOT_FOUND, `Unknown ${kind} marker: ${markerId}`));
+            return;
+        }
+
+        if (type === 'configure') {
+            const { config, requestId } = payload || {};
+            try {
+                configureDetector(config);
+                sendMessage(responseMessage(type, requestId, { config: effectiveDetectorConfig() }));
+            } catch (err) {
+                sendCommandError(type, requestId, err, ERROR_CODES.INVALID_ARGUMENT);
+            }
+            return;
+        }
+
+        if (type === 'processFrame') {
+            const startedAt = nowMs();
+            try {
+                await processFrame(payload);
+            } finally {
+                // Ack every frame so the plugin can track in-flight frames and processing time
+                sendMessage({
+                    type: 'frameProcessed',
+                    payload: { seq: payload?.seq ?? null, frameId: payload?.frameId ?? null, processingMs: nowMs() - startedAt }
+                });
+            }
+            return;
+        }
+
+        // a newer plugin may send messages this worker does not know: answer instead of leaving it waiting
+        sendMessage(errorMessage(type, payload?.requestId, ERROR_CODES.UNKNOWN_MESSAGE, `Unknown message type: ${type}`));
+    }
+
+    // Announce readiness once (on load, or on the first init message)
+    function announceReady() {
+        if (!hasAnnouncedReady) {
+            sendMessage({ type: 'ready', payload: { protocolVersion: PROTOCOL_VERSION, minProtocolVersion: MIN_PROTOCOL_VERSION } });
+            hasAnnouncedReady = true;
+        }
+    }
+
+    // Release the ARToolKit controller (the source this detector served was removed)
+    function dispose() {
+        releaseController();
+    }
+
+    return { handleMessage, announceReady, dispose };
+}
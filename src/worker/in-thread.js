@@ -0,0 +1,51 @@
+// In-thread detection backend, used when the plugin runs with { worker: false }.
+// Mimics the browser Worker interface (postMessage / addEventListener / terminate) around the
+// same detector router the module worker uses, so the plugin drives both backends identically.
+import { createDetectorRouter } from './router.js';
+
+export class InThreadWorker {
+    // options.logger: the plugin's logger, used by the detectors directly
+    constructor(options = {}) {
+        this._listeners = { message: new Set(), error: new Set() };
+        this._terminated = false;
+        this._detector = createDetectorRouter((msg) => this._dispatch(msg), options);
+        // Announce asynchronously, like a Worker that finished loading
+        Promise.resolve().then(() => {
+            if (!this._terminated) this._detector.announceReady();
+        }).catch((error) => this._reportError(error));
+    }
+
+    addEventListener(type, listener) {
+        this._listeners[type]?.add(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this._listeners[type]?.delete(listener);
+    }
+
+    // Transfer lists are accepted for interface parity; nothing is detached in-thread.
+    // Failures of the detector or of a message listener are reported to the error listeners, as a Worker does.
+    postMessage(msg) {
+        if (this._terminated) return;
+        new Promise((resolve) => resolve(this._detector.handleMessage(msg))).catch((error) => this._reportError(error));
+    }
+
+    terminate() {
+        this._terminated = true;
+        this._listeners.message.clear();
+        this._listeners.error.clear();
+    }
+
+    _dispatch(msg) {
+        if (this._terminated) return;
+        // Same shape as a Worker MessageEvent
+        for (const listener of this._listeners.message) listener({ data: msg });
+    }
+
+    _reportError(error) {
+        if (this._terminated) return;
+        // Same shape as a Worker ErrorEvent
+        const event = { type: 'error', message: error?.message || String(error), error };
+        for (const listener of this._listeners.error) listener(event);
+    }
+}
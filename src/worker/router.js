@@ -0,0 +1,58 @@
+// Routes messages to one detector per camera source, so a worker can serve several streams,
+// each with its own ARToolKit controller, resolution and camera parameters.
+// Messages carry the source in payload.source; messages without one use the default detector,
+// which keeps the single-camera protocol unchanged.
+// Source detectors handle their messages one at a time: the markers the plugin replays into a new
+// source are loaded before its first frame is processed.
+import { createDetector } from './detector.js';
+
+/**
+ * Create a detector router
+ * @param {(msg: {type: string, payload?: object}) => void} sendMessage - delivers messages to the plugin
+ * @param {{logger?: object}} options - passed to every detector (see createDetector)
+ * @returns {{handleMessage: (msg: {type: string, payload?: object}) => Promise<void>, announceReady: () => void}}
+ */
+export function createDetectorRouter(sendMessage, options = {}) {
+    const detectors = new Map(); // source (undefined = default) -> detector
+    const queues = new Map(); // source -> promise of its last handled message
+
+    function detectorFor(source) {
+        let detector = detectors.get(source);
+        if (!detector) {
+            // results of a source detector are tagged with its source
+            detector = createDetector(source === undefined
+                ? sendMessage
+                : (msg) => sendMessage({ ...msg, payload: { ...(msg.payload || {}), source } }), options);
+            detectors.set(source, detector);
+        }
+        return detector;
+    }
+
+    async function handleMessage(msg) {
+        // heartbeat: answered by the thread itself, whatever its detectors are doing
+        if (msg?.type === 'ping') {
+            sendMessage({ type: 'pong', payload: { sentAt: msg.payload?.sentAt ?? null } });
+            return;
+        }
+        const source = msg?.payload?.source;
+        if (msg?.type === 'disposeSource') {
+            const detector = detectors.get(source);
+            const queue = queues.get(source) ?? Promise.resolve();
+            detectors.delete(source);
+            queues.delete(source);
+            // release the controller once the messages already queued are handled
+            return queue.then(() => detector?.dispose());
+        }
+        const detector = detectorFor(source);
+        if (source === undefined) return detector.handleMessage(msg);
+        const queue = (queues.get(source) ?? Promise.resolve()).then(() => detector.handleMessage(msg));
+        queues.set(source, queue);
+        return queue;
+    }
+
+    function announceReady() {
+        detectorFor(undefined).announceReady();
+    }
+
+    return { handleMessage, announceReady };
+}
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { WorldAnchors } from '../src/utils/anchors.js';
+import { multiplyMatrices, invertRigidTransform } from '../src/utils/matrix.js';
+
+// Rotation about z by `degrees`, then translated by (x, y, z)
+function transform(degrees, x = 0, y = 0, z = 0) {
+    const a = degrees * Math.PI / 180;
+    const c = Math.cos(a), s = Math.sin(a);
+    return new Float64Array([c, s, 0, 0, -s, c, 0, 0, 0, 0, 1, 0, x, y, z, 1]);
+}
+
+// Camera-relative pose of a marker placed at `world`, seen by a camera at `camera` (both world-space)
+const poseFrom = (camera, world) => multiplyMatrices(invertRigidTransform(camera), world);
+
+function expectMatrix(actual, expected) {
+    expect(actual).not.toBeNull();
+    for (let i = 0; i < 16; i++) expect(actual[i]).toBeCloseTo(expected[i], 3);
+}
+
+describe('world anchors', () => {
+    const worldA = transform(0);
+    const worldB = transform(90, 100, 0, 0);
+    const worldC = transform(-30, 100, 80, 0);
+
+    it('locates the camera from a visible anchor', () => {
+        const anchors = new WorldAnchors();
+        anchors.setAnchor(1, transform(0, 5, 5, 0));
+        const camera = transform(10, 20, 0, -500);
+        const located = anchors.observe([{ id: 1, pose: poseFrom(camera, transform(0, 5, 5, 0)), confidence: 1 }]);
+        expect(located).toMatchObject({ referenceId: 1, anchorVisible: true });
+        expectMatrix(located.matrix, camera);
+        expect(anchors.observe([{ id: 2, pose: transform(0), confidence: 1 }])).toBeNull();
+    });
+
+    it('learns relative transforms and keeps locating the camera while the anchor is occluded', () => {
+        const anchors = new WorldAnchors();
+        anchors.setAnchor(1);
+        // 1 and 2 together, then 2 and 3 together: 3 is reached through 2
+        const first = transform(5, 50, 10, -400);
+        anchors.observe([{ id: 1, pose: poseFrom(first, worldA), confidence: 0.9 }, { id: 2, pose: poseFrom(first, worldB), confidence: 0.8 }]);
+        const second = transform(-5, 120, 40, -450);
+        anchors.observe([{ id: 2, pose: poseFrom(second, worldB), confidence: 0.7 }, { id: 3, pose: poseFrom(second, worldC), confidence: 0.9 }]);
+        expectMatrix(anchors.worldPose(2), worldB);
+        expectMatrix(anchors.worldPose(3), worldC);
+        expect(anchors.edges()).toHaveLength(2);
+
+        // only marker 3 visible: the most confident connected marker is the reference
+        const camera = transform(20, 150, 100, -300);
+        const located = anchors.observe([{ id: 3, pose: poseFrom(camera, worldC), confidence: 0.6 }]);
+        expect(located).toMatchObject({ referenceId: 3, anchorVisible: false });
+        expectMatrix(located.matrix, camera);
+        expectMatrix(located.markers[0].worldMatrix, worldC);
+    });
+
+    it('prefers a visible anchor as reference and averages noisy edges', () => {
+        const anchors = new WorldAnchors({ window: 4 });
+        anchors.setAnchor(1);
+        const camera = transform(0, 0, 0, -400);
+        for (const dx of [2, -2, 2, -2]) {
+            const located = anchors.observe([
+                { id: 2, pose: poseFrom(camera, transform(90, 100 + dx, 0, 0)), confidence: 1 },
+                { id: 1, pose: poseFrom(camera, worldA), confidence: 0.5 }
+            ]);
+            expect(located.referenceId).toBe(1);
+        }
+        expect(anchors.worldPose(2)[12]).toBeCloseTo(100, 0);
+        expect(anchors.edges()[0]).toMatchObject({ from: 1, to: 2, observations: 4 });
+    });
+
+    it('resolves anchor keys and forgets removed markers', () => {
+        const names = new Map([['origin', 1]]);
+        const anchors = new WorldAnchors({ resolveId: (key) => names.get(key) ?? key });
+        anchors.setAnchor('origin');
+        const camera = transform(0, 0, 0, -400);
+        anchors.observe([{ id: 1, pose: poseFrom(camera, worldA) }, { id: 2, pose: poseFrom(camera, worldB) }]);
+        expectMatrix(anchors.worldPose(2), worldB);
+
+        anchors.removeMarker(2);
+        expect(anchors.worldPose(2)).toBeNull();
+        expect(anchors.removeAnchor('origin')).toBe(true);
+        expect(anchors.hasAnchors).toBe(false);
+        expect(() => anchors.setAnchor(1, [1, 0, 0])).toThrow(TypeError);
+    });
+
+    it('locates the camera from a named anchor that resolves after the first observation', () => {
+        const names = new Map();
+        const anchors = new WorldAnchors({ resolveId: (key) => names.get(key) ?? key });
+        anchors.setAnchor('origin');
+        const camera = transform(0, 0, 0, -400);
+        expect(anchors.observe([{ id: 1, pose: poseFrom(camera, worldA) }])).toBeNull();
+
+        // the marker named 'origin' loads as id 1
+        names.set('origin', 1);
+        const located = anchors.observe([{ id: 1, pose: poseFrom(camera, worldA) }]);
+        expect(located).toMatchObject({ referenceId: 1, anchorVisible: true });
+        expectMatrix(located.matrix, camera);
+    });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { ArtoolkitPlugin } from '../src/plugin.js';
+import { cameraParametersFromIntrinsics } from '../src/utils/camera.js';
+import { markerPose } from '../src/utils/synthetic.js';
+import { runDetectionBenchmark, createBenchmarkReport } from '../src/utils/benchmark.js';
+import { createEventBus } from './setupTests';
+
+const HIRO = readFileSync(resolve(__dirname, '../examples/simple-marker/data/patt.hiro'), 'utf8');
+
+describe('detection benchmark', () => {
+    it('aggregates detection rate, pose error and ID confusion', () => {
+        const report = createBenchmarkReport([
+            { expectedId: 0, detected: true, ids: [0], confidence: 0.9, translationError: 1, rotationError: 0.01 },
+            { expectedId: 0, detected: true, ids: [0, 1], confidence: 0.7, translationError: 3, rotationError: 0.03 },
+            { expectedId: 1, detected: false, ids: [], confidence: null, translationError: null, rotationError: null },
+            { expectedId: 1, detected: false, ids: [0], confidence: null, translationError: null, rotationError: null },
+            { expectedId: null, detected: false, ids: [], confidence: null, translationError: null, rotationError: null }
+        ]);
+        expect(report).toMatchObject({
+            frames: 5,
+            detectionRate: 0.5,
+            falsePositiveRate: 0,
+            confusionRate: 0.5,
+            translationError: { mean: 2, median: 2, max: 3 },
+            confidence: { max: 0.9 },
+            confusion: { 0: { 0: 2, 1: 1 }, 1: { none: 1, 0: 1 }, none: { none: 1 } }
+        });
+        expect(report.rotationError.mean).toBeCloseTo(0.02);
+    });
+
+    it('measures ARToolKit on rendered scenes', async () => {
+        // loading a marker initializes ARToolKit at 640x480 before the first frame
+        const camera = cameraParametersFromIntrinsics({ fx: 600, fy: 600, cx: 320, cy: 240 }, { width: 640, height: 480 });
+        const eventBus = createEventBus();
+        const plugin = new ArtoolkitPlugin({ worker: false, cameraParameters: camera });
+        await plugin.init({ eventBus });
+        await plugin.enable();
+        const { markerId } = await plugin.loadMarker(HIRO, 80);
+
+        // no exactly fronto-parallel pose: with an undistorted camera the marker edges are parallel in the image
+        // and ARToolKit's initial pose estimate from their vanishing points breaks down
+        const poses = [
+            { translation: [10, 5, 300], rotation: [0.1, 0, 0] },
+            { translation: [20, -10, 350], rotation: [0.4, 0.2, Math.PI / 2] },
+            { translation: [-15, 10, 250], rotation: [-0.3, 0.4, 2.5] }
+        ];
+        const cases = poses.map((p, i) => ({
+            expectedId: markerId,
+            scene: { marker: HIRO, pose: markerPose(p), size: 80, camera, noise: 4, blur: 0.6, seed: i + 1 }
+        }));
+        cases.push({ expectedId: null, scene: { camera } });
+
+        const report = await runDetectionBenchmark(eventBus, cases);
+        await plugin.disable();
+
+        expect(report.results.map((r) => r.timedOut)).toEqual([false, false, false, false]);
+        expect(report.detectionRate).toBe(1);
+        expect(report.falsePositiveRate).toBe(0);
+        expect(report.confusionRate).toBe(0);
+        // within 3% of the distance and 3 degrees
+        expect(report.translationError.max).toBeLessThan(0.03 * 250);
+        expect(report.rotationError.max).toBeLessThan((3 * Math.PI) / 180);
+    }, 30000);
+});
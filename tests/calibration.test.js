@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import { calibrateCamera, CameraCalibrator } from '../src/utils/calibration.js';
+import { cameraParametersFromIntrinsics, DEFAULT_CAMERA_PARAMETERS, parseCameraParameters, serializeCameraParameters, undistortPoint } from '../src/utils/camera.js';
+import { markerPose, poseError, projectMarkerPoints } from '../src/utils/synthetic.js';
+import { createEventBus } from './setupTests';
+
+// The camera to recover: off-center principal point, barrel distortion
+const intrinsics = { fx: 720, fy: 715, cx: 330, cy: 228, distortion: [-0.18, 0.09] };
+const camera = cameraParametersFromIntrinsics(intrinsics, { width: 640, height: 480 });
+
+// Deterministic poses in front of the camera, tilted up to ±0.5 rad, and pixel noise
+function createRandom(seed) {
+    return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+}
+
+function randomPoses(count, seed = 7) {
+    const random = createRandom(seed);
+    return Array.from({ length: count }, () => markerPose({
+        translation: [(random() - 0.5) * 120, (random() - 0.5) * 80, 350 + random() * 200],
+        rotation: [(random() - 0.5), (random() - 0.5), random() * 2 * Math.PI]
+    }));
+}
+
+function observe(points, pose, noise, random) {
+    return projectMarkerPoints(points, { pose, camera }).map(([x, y]) => [x + (random() - 0.5) * noise, y + (random() - 0.5) * noise]);
+}
+
+const square = (size, [x, y] = [0, 0]) => [[x - size / 2, y + size / 2], [x + size / 2, y + size / 2], [x + size / 2, y - size / 2], [x - size / 2, y - size / 2]];
+
+describe('camera calibration', () => {
+    it('recovers intrinsics and distortion from a board', () => {
+        const random = createRandom(3);
+        const points = [];
+        for (let y = -2; y <= 2; y++) for (let x = -3; x <= 3; x++) points.push([x * 30, y * 30]);
+        const poses = randomPoses(8);
+        const views = poses.map((pose) => ({ objectPoints: points, imagePoints: observe(points, pose, 0.4, random) }));
+
+        const result = calibrateCamera(views, { width: 640, height: 480 });
+        expect(result.fx).toBeCloseTo(720, -1);
+        expect(result.fy).toBeCloseTo(715, -1);
+        expect(Math.hypot(result.cx - 330, result.cy - 228)).toBeLessThan(4);
+        expect(result.distortion[0]).toBeCloseTo(-0.18, 1);
+        // uniform noise of ±0.2 px: 0.115 px standard deviation per axis
+        expect(result.rms).toBeLessThan(0.2);
+        expect(result.viewErrors).toHaveLength(8);
+        for (let i = 0; i < poses.length; i++) expect(poseError(poses[i], result.poses[i]).translation).toBeLessThan(3);
+        // loadable camera_para.dat
+        expect(parseCameraParameters(serializeCameraParameters(result.cameraParameters))).toMatchObject({ width: 640, height: 480, version: 4 });
+    });
+
+    it('recovers the focal length from a single marker', () => {
+        const random = createRandom(5);
+        const views = randomPoses(15, 11).map((pose) => ({ objectPoints: square(80), imagePoints: observe(square(80), pose, 0.4, random) }));
+        const result = calibrateCamera(views, { width: 640, height: 480, distortionCoefficients: 1 });
+        expect(Math.abs(result.fx / 720 - 1)).toBeLessThan(0.02);
+        expect(Math.abs(result.fy / 715 - 1)).toBeLessThan(0.02);
+        expect(result.distortion[1]).toBe(0);
+    });
+
+    it('rejects inputs that cannot determine the camera', () => {
+        const view = { objectPoints: square(80), imagePoints: square(80) };
+        expect(() => calibrateCamera([view, view], { width: 640, height: 480 })).toThrow('at least 3 views, got 2');
+        expect(() => calibrateCamera([view, view, { objectPoints: square(80), imagePoints: [] }], { width: 640, height: 480 })).toThrow('views[2]');
+        expect(() => calibrateCamera([view, view, view], {})).toThrow('width and height');
+        expect(() => calibrateCamera([view, view, view], { width: 640, height: 480, distortionCoefficients: 3 })).toThrow(RangeError);
+    });
+
+    it('collects views from marker events, matching corners and undoing ARToolKit undistortion', () => {
+        const eventBus = createEventBus();
+        const names = new Map([['hiro', 0]]);
+        const calibrator = new CameraCalibrator({
+            target: { marker: 'hiro', size: 80 },
+            resolveId: (key) => names.get(key) ?? key,
+            minViewDistance: 10
+        }).start(eventBus);
+        // the detector runs with the default calibration and reports corners undistorted with it
+        const detectorCamera = DEFAULT_CAMERA_PARAMETERS;
+        eventBus.emit('ar:cameraParameters', { width: 640, height: 480, camera: detectorCamera });
+        const random = createRandom(9);
+        const poses = randomPoses(15, 13);
+        poses.forEach((pose, i) => {
+            const corners = observe(square(80), pose, 0.2, random).map(([x, y]) => undistortPoint(detectorCamera.distortion, x, y, [0, 0], 20));
+            // ARToolKit starts from any corner
+            const shift = i % 4;
+            const reported = corners.map((_, k) => corners[(k + shift) % 4]);
+            eventBus.emit('ar:markerFound', { id: 0, frameId: i, source: null, corners: reported, poseMatrix: pose });
+            eventBus.emit('ar:markerFound', { id: 3, frameId: i, source: null, corners: reported, poseMatrix: pose });
+            eventBus.emit('ar:frameProcessed', { frameId: i, source: null });
+            // the same view again, from another source or barely moved: not a new view
+            eventBus.emit('ar:markerFound', { id: 0, frameId: i, source: 'rear', corners: reported, poseMatrix: pose });
+            eventBus.emit('ar:frameProcessed', { frameId: i, source: 'rear' });
+            eventBus.emit('ar:markerUpdated', { id: 0, frameId: `${i}b`, source: null, corners: reported, poseMatrix: pose });
+            eventBus.emit('ar:frameProcessed', { frameId: `${i}b`, source: null });
+        });
+        expect(calibrator.viewCount).toBe(15);
+        calibrator.stop();
+
+        const result = calibrator.calibrate({ distortionCoefficients: 1 });
+        expect(Math.abs(result.fx / 720 - 1)).toBeLessThan(0.02);
+        expect(result.rms).toBeLessThan(0.2);
+
+        // a new frame size (e.g. the device rotated) starts over
+        calibrator.start(eventBus);
+        eventBus.emit('ar:cameraParameters', { width: 480, height: 640, camera: null });
+        expect(calibrator.viewCount).toBe(0);
+        calibrator.stop();
+        expect(() => new CameraCalibrator({ target: { markers: [{ marker: 0, size: 40, position: [0, 0, 5] }] } })).toThrow('board plane');
+    });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import {
+    DEFAULT_CAMERA_PARAMETERS,
+    parseCameraParameters,
+    serializeCameraParameters,
+    cameraParametersFromIntrinsics,
+    cameraParametersToBytes,
+    rotateCameraParameters,
+    scaleCameraParameters,
+    distortPoint,
+    undistortPoint
+} from '../src/utils/camera.js';
+
+describe('camera parameters', () => {
+    it('serializes the bundled default as a 176-byte v4 camera_para.dat', () => {
+        const bytes = serializeCameraParameters(DEFAULT_CAMERA_PARAMETERS);
+        expect(bytes.byteLength).toBe(176);
+        // big-endian 640 / 480 header
+        expect(Array.from(bytes.subarray(0, 8))).toEqual([0, 0, 2, 128, 0, 0, 1, 224]);
+
+        const parsed = parseCameraParameters(bytes);
+        expect(parsed).toMatchObject({ width: 640, height: 480, version: 4 });
+        expect(parsed.matrix).toEqual(Array.from(DEFAULT_CAMERA_PARAMETERS.matrix));
+        expect(parsed.distortion).toEqual(Array.from(DEFAULT_CAMERA_PARAMETERS.distortion));
+    });
+
+    it('derives the distortion version from the file size', () => {
+        for (const [count, size, version] of [[4, 136, 1], [5, 144, 2], [6, 152, 3]]) {
+            const bytes = serializeCameraParameters({ ...DEFAULT_CAMERA_PARAMETERS, distortion: new Array(count).fill(0.5) });
+            expect(bytes.byteLength).toBe(size);
+            expect(parseCameraParameters(bytes.buffer).version).toBe(version);
+        }
+    });
+
+    it('parses views into a larger buffer', () => {
+        const bytes = serializeCameraParameters(DEFAULT_CAMERA_PARAMETERS);
+        const padded = new Uint8Array(bytes.byteLength + 16);
+        padded.set(bytes, 8);
+        expect(parseCameraParameters(padded.subarray(8, 8 + bytes.byteLength)).width).toBe(640);
+    });
+
+    it('builds v4 parameters from intrinsics', () => {
+        const params = cameraParametersFromIntrinsics({ fx: 800, fy: 790, cx: 640, cy: 360, distortion: [0.1, -0.2] }, { width: 1280, height: 720 });
+        expect(params.matrix).toEqual([800, 0, 640, 0, 0, 790, 360, 0, 0, 0, 1, 0]);
+        expect(params.distortion).toEqual([0.1, -0.2, 0, 0, 800, 790, 640, 360, 1]);
+
+        const roundTrip = parseCameraParameters(serializeCameraParameters(params));
+        expect(roundTrip).toEqual(params);
+    });
+
+    it('accepts file data, parsed parameters or intrinsics as camera parameters', () => {
+        const bytes = serializeCameraParameters(DEFAULT_CAMERA_PARAMETERS);
+        expect(cameraParametersToBytes(bytes.buffer)).toEqual(bytes);
+        expect(cameraParametersToBytes(DEFAULT_CAMERA_PARAMETERS)).toEqual(bytes);
+
+        const fromIntrinsics = cameraParametersToBytes({ fx: 600, fy: 600, cx: 320, cy: 240, width: 640, height: 480 });
+        expect(parseCameraParameters(fromIntrinsics).matrix[0]).toBe(600);
+
+        // copies: later changes to the caller's buffer do not leak into the parameters
+        const copy = cameraParametersToBytes(bytes);
+        bytes[3] = 0;
+        expect(copy[3]).toBe(128);
+    });
+
+    it('rotates parameters with the image', () => {
+        const rotated = rotateCameraParameters(DEFAULT_CAMERA_PARAMETERS);
+        expect(rotated).toMatchObject({ width: 480, height: 640, version: 4 });
+        // a point at (X, Y, Z) in the landscape camera is at (-Y, X, Z) in the portrait one
+        const project = (m, [x, y, z]) => {
+            const w = m[8] * x + m[9] * y + m[10] * z + m[11];
+            return [(m[0] * x + m[1] * y + m[2] * z + m[3]) / w, (m[4] * x + m[5] * y + m[6] * z + m[7]) / w];
+        };
+        const [u, v] = project(Array.from(DEFAULT_CAMERA_PARAMETERS.matrix), [30, -20, 400]);
+        const [ru, rv] = project(rotated.matrix, [20, 30, 400]);
+        expect(ru).toBeCloseTo(479 - v, 9);
+        expect(rv).toBeCloseTo(u, 9);
+
+        // four turns give the original parameters back
+        let params = rotated;
+        for (let i = 0; i < 3; i++) params = rotateCameraParameters(params);
+        params.matrix.forEach((value, i) => expect(value).toBeCloseTo(DEFAULT_CAMERA_PARAMETERS.matrix[i], 9));
+        params.distortion.forEach((value, i) => expect(value).toBeCloseTo(DEFAULT_CAMERA_PARAMETERS.distortion[i], 9));
+        expect(() => rotateCameraParameters({ ...DEFAULT_CAMERA_PARAMETERS, distortion: [320, 240, 0, 1] })).toThrow('version 4');
+    });
+
+    it('rejects malformed parameters', () => {
+        expect(() => parseCameraParameters(new Uint8Array(100))).toThrow('unexpected size');
+        expect(() => parseCameraParameters(new Uint8Array(176))).toThrow('size 0x0');
+        expect(() => serializeCameraParameters({ ...DEFAULT_CAMERA_PARAMETERS, distortion: [1, 2] })).toThrow('distortion factors');
+        expect(() => cameraParametersFromIntrinsics({ fx: 0, fy: 1, cx: 0, cy: 0 }, { width: 640, height: 480 })).toThrow('positive focal');
+        expect(() => cameraParametersFromIntrinsics({ fx: 1, fy: 1, cx: 0, cy: 0 }, { width: 640 })).toThrow('width and height');
+        expect(() => cameraParametersToBytes('camera_para.dat')).toThrow(TypeError);
+    });
+
+    it('scales a calibration and maps points through its distortion', () => {
+        const scaled = scaleCameraParameters(DEFAULT_CAMERA_PARAMETERS, 1280, 960);
+        expect(scaled.matrix[0]).toBeCloseTo(2 * DEFAULT_CAMERA_PARAMETERS.matrix[0], 9);
+        expect(scaled.matrix[10]).toBe(1);
+        expect(scaled.distortion.slice(0, 4)).toEqual(DEFAULT_CAMERA_PARAMETERS.distortion.slice(0, 4));
+        expect(scaled.distortion[6]).toBeCloseTo(2 * DEFAULT_CAMERA_PARAMETERS.distortion[6], 9);
+
+        const { distortion } = DEFAULT_CAMERA_PARAMETERS;
+        const observed = distortPoint(distortion, 600, 420);
+        expect(Math.hypot(observed[0] - 600, observed[1] - 420)).toBeGreaterThan(1);
+        const [x, y] = undistortPoint(distortion, observed[0], observed[1], [0, 0], 20);
+        expect(x).toBeCloseTo(600, 6);
+        expect(y).toBeCloseTo(420, 6);
+        expect(() => scaleCameraParameters({ ...DEFAULT_CAMERA_PARAMETERS, distortion: [0, 0, 0, 1] }, 320, 240)).toThrow('version 4');
+    });
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { THRESHOLD_MODES, enumOptionName, normalizeDetectorConfig, resolveEnumOption, PATTERN_DETECTION_MODES } from '../src/utils/constants.js';
+
+describe('detector constants', () => {
+    it('resolves symbolic and numeric enum options', () => {
+        expect(resolveEnumOption(PATTERN_DETECTION_MODES, 'both')).toBe(3);
+        expect(resolveEnumOption(PATTERN_DETECTION_MODES, 2)).toBe(2);
+        expect(resolveEnumOption(PATTERN_DETECTION_MODES, 'unknown')).toBeNull();
+        expect(enumOptionName(THRESHOLD_MODES, 2)).toBe('auto_otsu');
+        expect(enumOptionName(THRESHOLD_MODES, 42)).toBe(42);
+    });
+
+    it('normalizes detector settings to ARToolKit values', () => {
+        expect(normalizeDetectorConfig({
+            thresholdMode: 'auto_adaptive',
+            threshold: 0,
+            labelingMode: 'white_region',
+            borderWidth: 0.125,
+            imageProcMode: 'field',
+            minConfidence: 1
+        })).toEqual({ thresholdMode: 3, threshold: 0, labelingMode: 0, patternRatio: 0.75, imageProcMode: 1, minConfidence: 1 });
+        expect(normalizeDetectorConfig({ thresholdMode: 4, patternRatio: 0.5 })).toEqual({ thresholdMode: 4, patternRatio: 0.5 });
+    });
+
+    it('rejects out-of-range detector settings', () => {
+        expect(() => normalizeDetectorConfig(null)).toThrow('must be an object');
+        expect(() => normalizeDetectorConfig({ thresholdMode: 9 })).toThrow('Unknown thresholdMode');
+        expect(() => normalizeDetectorConfig({ threshold: 1.5 })).toThrow('threshold');
+        expect(() => normalizeDetectorConfig({ patternRatio: 1 })).toThrow('patternRatio');
+        expect(() => normalizeDetectorConfig({ borderWidth: 0.5 })).toThrow('borderWidth');
+        expect(() => normalizeDetectorConfig({ minConfidence: -0.1 })).toThrow('minConfidence');
+        expect(() => normalizeDetectorConfig({ labelingMode: 'grey' })).toThrow('Unknown labelingMode');
+    });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { MarkerEntities, createEcsAdapter } from '../src/utils/ecs.js';
+
+function createEventBus() {
+    const map = new Map();
+    return {
+        on(e, fn) { map.set(e, [...(map.get(e) || []), fn]); },
+        off(e, fn) { map.set(e, (map.get(e) || []).filter((x) => x !== fn)); },
+        emit(e, payload) { (map.get(e) || []).forEach((fn) => fn(payload)); }
+    };
+}
+
+// Minimal ECS: entities are numbers, components live in a Map per entity
+function createWorld() {
+    let next = 1;
+    const entities = new Map();
+    return {
+        entities,
+        createEntity() { entities.set(next, new Map()); return next++; },
+        destroyEntity(entity) { entities.delete(entity); },
+        setComponent(entity, name, data) { entities.get(entity).set(name, data); },
+        get: (entity, name) => entities.get(entity)?.get(name)
+    };
+}
+
+// 90° rotation about z, translated by (10, 20, 300)
+const pose = new Float32Array([0, 1, 0, 0, -1, 0, 0, 0, 0, 0, 1, 0, 10, 20, 300, 1]);
+
+describe('marker entities', () => {
+    it('keeps transform, visibility and confidence components in sync with marker events', () => {
+        const world = createWorld();
+        const eventBus = createEventBus();
+        const entities = new MarkerEntities(world, { nameOf: (id) => (id === 0 ? 'hiro' : null) }).start(eventBus);
+
+        eventBus.emit('ar:markerFound', { id: 0, kind: 'pattern', poseMatrix: pose, confidence: 0.8, timestamp: 1, source: null });
+        const entity = entities.entityFor(0);
+        expect(world.get(entity, 'ArMarker')).toEqual({ id: 0, kind: 'pattern', name: 'hiro', source: null });
+        expect(world.get(entity, 'Transform')).toMatchObject({ matrix: pose, position: [10, 20, 300], convention: 'artoolkit' });
+        world.get(entity, 'Transform').quaternion.forEach((v, i) => expect(v).toBeCloseTo([0, 0, Math.SQRT1_2, Math.SQRT1_2][i]));
+        expect(world.get(entity, 'Visibility')).toEqual({ visible: true, changedAt: 1 });
+
+        eventBus.emit('ar:markerUpdated', { id: 0, kind: 'pattern', poseMatrix: pose, confidence: 0.9, timestamp: 2, source: null });
+        expect(world.get(entity, 'Confidence')).toEqual({ value: 0.9 });
+
+        eventBus.emit('ar:markerLost', { id: 0, kind: 'pattern', timestamp: 3, source: null });
+        expect(world.get(entity, 'Visibility')).toEqual({ visible: false, changedAt: 3 });
+        expect(world.get(entity, 'Confidence')).toEqual({ value: 0 });
+        // found again: the same entity
+        eventBus.emit('ar:markerFound', { id: 0, kind: 'pattern', poseMatrix: pose, confidence: 0.7, timestamp: 4, source: null });
+        expect(entities.entityFor(0)).toBe(entity);
+        expect(world.entities.size).toBe(1);
+
+        entities.stop();
+        expect(world.entities.size).toBe(0);
+        eventBus.emit('ar:markerFound', { id: 0, kind: 'pattern', poseMatrix: pose, confidence: 0.7, timestamp: 5, source: null });
+        expect(world.entities.size).toBe(0);
+    });
+
+    it('attaches app components by marker name or id, per source', () => {
+        const world = createWorld();
+        const eventBus = createEventBus();
+        const entities = new MarkerEntities(world, { components: { transform: 'Pose' }, nameOf: () => 'logo' }).start(eventBus);
+        entities.setMarkerComponents('logo', { Model: ({ source }) => ({ url: '/logo.glb', source }) });
+
+        eventBus.emit('ar:markerFound', { id: 'barcode:5', kind: 'barcode', poseMatrix: pose, confidence: 1, timestamp: 1, source: 'front' });
+        eventBus.emit('ar:markerFound', { id: 'barcode:5', kind: 'barcode', poseMatrix: pose, confidence: 1, timestamp: 1, source: 'back' });
+        const front = entities.entityFor('barcode:5', 'front');
+        const back = entities.entityFor('barcode:5', 'back');
+        expect(front).not.toBe(back);
+        expect(world.get(front, 'Model')).toEqual({ url: '/logo.glb', source: 'front' });
+        expect(world.get(back, 'Pose')).toMatchObject({ position: [10, 20, 300] });
+
+        // existing entities get components added later
+        entities.setMarkerComponents('barcode:5', { Label: 'five' });
+        expect(world.get(back, 'Label')).toBe('five');
+
+        entities.removeSource('back');
+        expect(entities.entityFor('barcode:5', 'back')).toBeNull();
+        entities.removeMarker('barcode:5');
+        expect(world.entities.size).toBe(0);
+    });
+
+    it('rejects objects that are not ECS adapters', () => {
+        expect(() => createEcsAdapter({ createEntity() {} })).toThrow(/missing destroyEntity/);
+    });
+});
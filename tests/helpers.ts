@@ -0,0 +1,43 @@
+// Plugin fixtures shared by the specs that drive a plugin through a stubbed worker.
+import { vi } from 'vitest';
+import { ArtoolkitPlugin } from '../src/plugin.js';
+import { COMMANDS } from '../src/utils/protocol.js';
+import { createEventBus } from './setupTests';
+
+// Deliver a message from the worker to the plugin
+export function workerMessage(plugin: ArtoolkitPlugin, type: string, payload?: any) {
+    // @ts-ignore
+    plugin._onWorkerMessage({ data: { type, payload } });
+}
+
+// Answers of a fake worker: patterns get ids in load order, barcodes keep their value, unloads succeed.
+// Returns the result fields of a command's response, or undefined to leave the command unanswered.
+export function fakeWorkerResponses() {
+    let nextPatternId = 0;
+    return (type: string, payload: any): object | undefined => {
+        if (type === 'loadMarker') return { ok: true, markerId: nextPatternId++, size: payload.size };
+        if (type === 'loadBarcodeMarker') return { ok: true, markerId: payload.barcodeId, size: payload.size, kind: 'barcode' };
+        if (type === 'unloadMarker') return { ok: true, markerId: payload.markerId, kind: payload.kind };
+        return undefined;
+    };
+}
+
+// Initialized plugin whose worker is a stub: postMessage records every message and answers commands with
+// respond(type, payload) (default: fakeWorkerResponses(); null answers nothing)
+export async function createTestPlugin(options: any = {}, {
+    core = { eventBus: createEventBus() } as any,
+    respond = fakeWorkerResponses() as ((type: string, payload: any) => object | undefined) | null,
+    enable = false
+} = {}) {
+    const plugin = new ArtoolkitPlugin({ worker: true, ...options });
+    await plugin.init(core);
+    if (enable) await plugin.enable();
+    const postMessage = vi.fn(({ type, payload }: any) => {
+        const result = respond?.(type, payload);
+        // @ts-ignore
+        if (result) queueMicrotask(() => workerMessage(plugin, COMMANDS[type], { requestId: payload.requestId, ...result }));
+    });
+    // @ts-ignore
+    plugin._worker = { postMessage, terminate: vi.fn(), removeEventListener: vi.fn() };
+    return { plugin, core, postMessage };
+}
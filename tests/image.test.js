@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import {
+    normalizeProcessingResolution,
+    processingSize,
+    mapToFrame,
+    resizePixels,
+    describeFrame,
+    packPlane,
+    grayToRgba
+} from '../src/utils/image.js';
+
+describe('frame formats', () => {
+    it('checks buffers against their format descriptor', () => {
+        expect(describeFrame({ width: 4, height: 2 }, 32)).toEqual({ format: 'rgba', width: 4, height: 2, stride: 16, luma: false });
+        expect(describeFrame({ format: 'NV12', width: 4, height: 3, stride: 8 }, 8 * 3 + 8 * 2)).toMatchObject({ format: 'nv12', stride: 8, luma: true });
+        // I420: luma plane plus two quarter-size chroma planes
+        expect(describeFrame({ format: 'i420', width: 4, height: 4 }, 16 + 2 * 4).luma).toBe(true);
+        expect(() => describeFrame({ format: 'i420', width: 4, height: 4 }, 16)).toThrow('i420 frame size mismatch');
+        expect(() => describeFrame({ width: 4, height: 2 }, 31)).toThrow('rgba frame size mismatch');
+        expect(() => describeFrame({ format: 'gray', width: 4, height: 2, stride: 3 }, 8)).toThrow('shorter than a row');
+        expect(() => describeFrame({ format: 'yuyv', width: 4, height: 2 }, 16)).toThrow('Unknown frame format');
+        expect(() => describeFrame({ width: 0, height: 2 }, 0)).toThrow('Invalid frame size');
+    });
+
+    it('packs strided planes and expands luma to gray RGBA', () => {
+        const bytes = new Uint8Array([1, 2, 0, 0, 3, 4, 0, 0, 99, 99]);
+        const plane = packPlane(bytes, { width: 2, height: 2, stride: 4, luma: true });
+        expect(Array.from(plane)).toEqual([1, 2, 3, 4]);
+        const packed = new Uint8Array([1, 2, 3, 4, 99]);
+        expect(packPlane(packed, { width: 2, height: 2, stride: 2, luma: true }).buffer).toBe(packed.buffer);
+        expect(Array.from(grayToRgba([7, 9]))).toEqual([7, 7, 7, 255, 9, 9, 9, 255]);
+    });
+});
+
+describe('processing resolution', () => {
+    it('normalizes scale factors and fixed sizes', () => {
+        expect(normalizeProcessingResolution(null)).toBeNull();
+        expect(normalizeProcessingResolution(1)).toBeNull();
+        expect(normalizeProcessingResolution(0.5)).toEqual({ scale: 0.5 });
+        expect(normalizeProcessingResolution({ scale: 0.25 })).toEqual({ scale: 0.25 });
+        expect(normalizeProcessingResolution({ width: 320, height: 240 })).toEqual({ width: 320, height: 240 });
+        expect(() => normalizeProcessingResolution(0)).toThrow(RangeError);
+        expect(() => normalizeProcessingResolution({ scale: 1.5 })).toThrow(RangeError);
+        expect(() => normalizeProcessingResolution({ width: 320.5, height: 240 })).toThrow(TypeError);
+    });
+
+    it('sizes frames by scale, or at a fixed size following their orientation', () => {
+        expect(processingSize(null, 1280, 720)).toEqual({ width: 1280, height: 720 });
+        expect(processingSize({ scale: 0.5 }, 1280, 720)).toEqual({ width: 640, height: 360 });
+        expect(processingSize({ scale: 0.001 }, 640, 480)).toEqual({ width: 1, height: 1 });
+        expect(processingSize({ width: 640, height: 480 }, 1920, 1080)).toEqual({ width: 640, height: 480 });
+        expect(processingSize({ width: 640, height: 480 }, 1080, 1920)).toEqual({ width: 480, height: 640 });
+    });
+
+    it('maps processing pixels to frame pixels with aligned pixel centers', () => {
+        expect(mapToFrame(10, 1)).toBe(10);
+        expect(mapToFrame(0, 2)).toBe(0.5);
+        expect(mapToFrame(159.5, 4)).toBe(639.5);
+    });
+});
+
+describe('resizePixels', () => {
+    it('averages pixels when halving and reuses the output buffer', () => {
+        // 4x2: left half black, right half white
+        const src = new Uint8ClampedArray(4 * 2 * 4);
+        for (let i = 0; i < 8; i++) src.fill(i % 4 < 2 ? 0 : 255, i * 4, i * 4 + 4);
+        const out = resizePixels(src, 4, 2, 2, 1);
+        expect(Array.from(out)).toEqual([0, 0, 0, 0, 255, 255, 255, 255]);
+        expect(resizePixels(src, 4, 2, 2, 1, { out })).toBe(out);
+    });
+
+    it('interpolates when upscaling, for any channel count', () => {
+        const src = new Uint8ClampedArray([0, 0, 0, 255, 200, 200, 200, 255]);
+        const out = resizePixels(src, 2, 1, 4, 1);
+        expect(Array.from(out.filter((_, i) => i % 4 === 0))).toEqual([0, 50, 150, 200]);
+        expect(Array.from(resizePixels(new Uint8ClampedArray([0, 200]), 2, 1, 4, 1, { channels: 1 }))).toEqual([0, 50, 150, 200]);
+    });
+});
@@ -0,0 +1,30 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createLogger } from '../src/utils/logger.js';
+
+describe('logger', () => {
+    it('drops messages below its level', () => {
+        const sink = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+        const logger = createLogger({ level: 'warn', sink });
+        logger.debug('frame');
+        logger.info('ready');
+        logger.warn('slow', 42);
+        logger.error('failed');
+        expect(sink.debug).not.toHaveBeenCalled();
+        expect(sink.info).not.toHaveBeenCalled();
+        expect(sink.warn).toHaveBeenCalledWith('slow', 42);
+        expect(sink.error).toHaveBeenCalledWith('failed');
+        expect(logger.enabled('info')).toBe(false);
+        expect(logger.enabled('error')).toBe(true);
+    });
+
+    it('falls back to sink.log and can be silenced', () => {
+        const sink = { log: vi.fn() };
+        createLogger({ level: 'debug', sink }).debug('frame', 1);
+        expect(sink.log).toHaveBeenCalledWith('frame', 1);
+
+        const silent = createLogger({ level: 'silent', sink });
+        silent.error('failed');
+        expect(sink.log).toHaveBeenCalledTimes(1);
+        expect(() => createLogger({ level: 'verbose' })).toThrow(/Unknown log level/);
+    });
+});
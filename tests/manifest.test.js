@@ -0,0 +1,61 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { normalizeManifest, readManifest } from '../src/utils/manifest.js';
+
+describe('marker manifests', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('normalizes entries and resolves relative sources', () => {
+        const entries = normalizeManifest({
+            markers: [
+                { name: 'hiro', source: 'patt.hiro', size: 80, metadata: { label: 'Start' } },
+                { name: 'inline', source: '234 222 0\n' },
+                { name: 'five', type: 'barcode', source: 5, size: 40 },
+                { name: 'poster', type: 'nft', source: '/targets/poster' },
+                { name: 'board', type: 'multi', source: { markers: [{ barcodeId: 1, size: 40 }] } }
+            ]
+        }, { baseUrl: 'https://example.com/ar/manifest.json' });
+        expect(entries).toEqual([
+            { index: 0, name: 'hiro', type: 'pattern', source: 'https://example.com/ar/patt.hiro', size: 80, metadata: { label: 'Start' } },
+            { index: 1, name: 'inline', type: 'pattern', source: '234 222 0\n', size: 1, metadata: null },
+            { index: 2, name: 'five', type: 'barcode', source: 5, size: 40, metadata: null },
+            { index: 3, name: 'poster', type: 'nft', source: '/targets/poster', size: 1, metadata: null },
+            { index: 4, name: 'board', type: 'multi', source: { markers: [{ barcodeId: 1, size: 40 }] }, size: null, metadata: null }
+        ]);
+    });
+
+    it('points validation errors at the bad entry', () => {
+        const invalid = (entry, field) => {
+            try {
+                normalizeManifest({ markers: [{ name: 'ok', source: 'a.patt' }, entry] });
+            } catch (err) {
+                expect(err).toMatchObject({ code: 'INVALID_ARGUMENT', details: { index: 1, field } });
+                return err.message;
+            }
+            throw new Error('manifest was accepted');
+        };
+        expect(invalid({ name: 'door', source: 'door.patt', size: -1 }, 'size')).toBe('Manifest markers[1] ("door"): size must be a positive number');
+        expect(invalid({ source: 'door.patt' }, 'name')).toBe('Manifest markers[1]: name must be a non-empty string');
+        expect(invalid({ name: 'ok', source: 'b.patt' }, 'name')).toContain('duplicate name "ok"');
+        expect(invalid({ name: 'door', source: 'a.patt' }, 'source')).toBe('Manifest markers[1] ("door"): same pattern source as markers[0] ("ok")');
+        expect(invalid({ name: 'door', type: 'qr', source: 'x' }, 'type')).toContain('type must be one of');
+        expect(invalid({ name: 'door', type: 'barcode', source: '5' }, 'source')).toContain('barcode value');
+        expect(invalid({ name: 'door', type: 'multi', source: { markers: [] } }, 'source')).toContain('non-empty markers array');
+        expect(invalid({ name: 'door', source: 'door.patt', sise: 2 }, 'sise')).toContain('unknown field "sise"');
+        expect(invalid({ name: 'door', source: 'door.patt', metadata: 'x' }, 'metadata')).toContain('metadata must be an object');
+        expect(() => normalizeManifest({ marker: [] })).toThrow('Manifest must be an object with a markers array');
+    });
+
+    it('reads manifests from objects, JSON text and URLs', async () => {
+        const manifest = { markers: [{ name: 'hiro', source: 'patt.hiro' }] };
+        await expect(readManifest(manifest)).resolves.toEqual({ manifest, url: null });
+        await expect(readManifest(JSON.stringify(manifest))).resolves.toEqual({ manifest, url: null });
+        await expect(readManifest('{ markers')).rejects.toThrow('Manifest is not valid JSON');
+
+        const fetch = vi.fn(async (url) => ({ ok: url.endsWith('ar.json'), status: 404, text: async () => JSON.stringify(manifest) }));
+        vi.stubGlobal('fetch', fetch);
+        await expect(readManifest('/data/ar.json')).resolves.toEqual({ manifest, url: '/data/ar.json' });
+        await expect(readManifest('/data/missing.json')).rejects.toMatchObject({ code: 'LOAD_FAILED', message: 'Failed to fetch manifest /data/missing.json (404)' });
+    });
+});
@@ -1,5 +1,29 @@
 import { describe, it, expect } from 'vitest';
-import { convertModelViewToThreeMatrix } from '../src/utils/matrix.js';
+import {
+    convertModelViewToThreeMatrix,
+    convertModelViewToBabylonMatrix,
+    convertPoseMatrix,
+    projectionMatrixFromIntrinsics,
+    projectionMatrixWithClipPlanes,
+    multiplyMatrices,
+    invertRigidTransform
+} from '../src/utils/matrix.js';
+
+// Column-major ARToolKit pose: marker 500 units in front of the camera, 20 right, 10 below centre
+const AR_POSE = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 20, 10, 500, 1];
+
+function apply(m, [x, y, z]) {
+    return [
+        m[0] * x + m[4] * y + m[8] * z + m[12],
+        m[1] * x + m[5] * y + m[9] * z + m[13],
+        m[2] * x + m[6] * y + m[10] * z + m[14],
+        m[3] * x + m[7] * y + m[11] * z + m[15]
+    ];
+}
+
+function det3(m) {
+    return m[0] * (m[5] * m[10] - m[9] * m[6]) - m[4] * (m[1] * m[10] - m[9] * m[2]) + m[8] * (m[1] * m[6] - m[5] * m[2]);
+}
 
 describe('matrix utils', () => {
     it('returns a Float32Array of length 16', () => {
@@ -8,4 +32,46 @@ describe('matrix utils', () => {
         expect(out).toBeInstanceOf(Float32Array);
         expect(out.length).toBe(16);
     });
-});
\ No newline at end of file
+
+    it('converts to a right-handed y-up camera frame for Three.js', () => {
+        const out = convertModelViewToThreeMatrix(AR_POSE);
+        // marker origin: right, below (negative y) and in front (negative z)
+        expect(Array.from(apply(out, [0, 0, 0]))).toEqual([20, -10, -500, 1]);
+        expect(det3(out)).toBeCloseTo(1);
+        expect(convertPoseMatrix(AR_POSE, 'gl-matrix')).toEqual(out);
+    });
+
+    it('converts to a left-handed camera frame for Babylon.js', () => {
+        const out = convertModelViewToBabylonMatrix(AR_POSE);
+        // in front of a left-handed camera means positive z
+        expect(Array.from(apply(out, [0, 0, 0]))).toEqual([20, -10, 500, 1]);
+        expect(det3(out)).toBeCloseTo(1);
+        expect(() => convertPoseMatrix(AR_POSE, 'unity')).toThrow(/Unknown/);
+    });
+
+    it('builds projections that map the principal point to the image centre offset', () => {
+        const intrinsics = { fx: 500, fy: 500, cx: 320, cy: 240, width: 640, height: 480 };
+        const gl = convertModelViewToThreeMatrix(AR_POSE);
+        const p = projectionMatrixFromIntrinsics(intrinsics, 1, 1000);
+        const clip = apply(p, apply(gl, [0, 0, 0]));
+        // pixel = (fx * X / Z + cx, fy * Y / Z + cy) with ARToolKit's y-down frame
+        const px = (clip[0] / clip[3] + 1) / 2 * 640;
+        const py = (1 - clip[1] / clip[3]) / 2 * 480;
+        expect(px).toBeCloseTo(500 * 20 / 500 + 320, 3);
+        expect(py).toBeCloseTo(500 * 10 / 500 + 240, 3);
+        expect(clip[2] / clip[3]).toBeGreaterThan(-1);
+        expect(clip[2] / clip[3]).toBeLessThan(1);
+
+        const lh = projectionMatrixWithClipPlanes(p, 1, 1000, 'babylon');
+        const clipLh = apply(lh, apply(convertModelViewToBabylonMatrix(AR_POSE), [0, 0, 0]));
+        expect(clipLh[0] / clipLh[3]).toBeCloseTo(clip[0] / clip[3], 5);
+        expect(clipLh[1] / clipLh[3]).toBeCloseTo(clip[1] / clip[3], 5);
+        expect(() => projectionMatrixWithClipPlanes(p, 10, 1)).toThrow();
+    });
+
+    it('inverts rigid transforms', () => {
+        const m = [0, 1, 0, 0, -1, 0, 0, 0, 0, 0, 1, 0, 5, 6, 7, 1];
+        const id = multiplyMatrices(m, invertRigidTransform(m));
+        for (let i = 0; i < 16; i++) expect(id[i]).toBeCloseTo(i % 5 === 0 ? 1 : 0);
+    });
+});
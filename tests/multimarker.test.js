@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { parseMultiMarkerConfig, normalizeMultiMarkerLayout, resolveRelativeUrl, solveMultiMarkerPose } from '../src/utils/multimarker.js';
+import { multiplyMatrices } from '../src/utils/matrix.js';
+
+const CONFIG = `# two-marker board
+2
+
+patt.hiro
+40.0
+1.0 0.0 0.0 -50.0
+0.0 1.0 0.0 0.0
+0.0 0.0 1.0 0.0
+
+7
+40.0
+1.0 0.0 0.0 50.0
+0.0 1.0 0.0 0.0
+0.0 0.0 1.0 0.0
+`;
+
+// column-major pose: rotation about Z by angle, then translation
+function pose(angle, tx, ty, tz) {
+    const c = Math.cos(angle), s = Math.sin(angle);
+    return [c, s, 0, 0, -s, c, 0, 0, 0, 0, 1, 0, tx, ty, tz, 1];
+}
+
+describe('multimarker utils', () => {
+    it('parses pattern and barcode members from a config file', () => {
+        const { markers } = parseMultiMarkerConfig(CONFIG);
+        expect(markers).toHaveLength(2);
+        expect(markers[0]).toMatchObject({ kind: 'pattern', pattern: 'patt.hiro', size: 40 });
+        expect(markers[1]).toMatchObject({ kind: 'barcode', barcodeId: 7, size: 40 });
+        // translation lands in the column-major translation slot
+        expect(markers[0].transform[12]).toBe(-50);
+        expect(markers[1].transform[12]).toBe(50);
+    });
+
+    it('rejects truncated config files', () => {
+        expect(() => parseMultiMarkerConfig('2\npatt.hiro\n40\n1 0 0 0')).toThrow(/truncated/);
+    });
+
+    it('validates JSON layouts and points at the bad entry', () => {
+        const ok = normalizeMultiMarkerLayout({ markers: [{ pattern: 'a.patt', size: 40, position: [10, 0, 0] }] });
+        expect(ok.markers[0].transform[12]).toBe(10);
+        expect(() => normalizeMultiMarkerLayout({ markers: [{ pattern: 'a.patt', size: 40 }, { size: 40 }] })).toThrow(/markers\[1\]/);
+    });
+
+    it('resolves pattern paths relative to the config URL', () => {
+        expect(resolveRelativeUrl('patt.hiro', '/data/board.dat')).toBe('/data/patt.hiro');
+        expect(resolveRelativeUrl('/abs/patt.hiro', '/data/board.dat')).toBe('/abs/patt.hiro');
+    });
+
+    it('solves the same board pose from any visible subset', () => {
+        const { markers } = parseMultiMarkerConfig(CONFIG);
+        const members = [
+            { kind: 'pattern', markerId: 0, transform: markers[0].transform },
+            { kind: 'barcode', markerId: 7, transform: markers[1].transform }
+        ];
+        const board = pose(0.3, 10, 20, -300);
+        const obs = members.map((m) => ({ kind: m.kind, id: m.markerId, confidence: 0.9, matrix: multiplyMatrices(board, m.transform) }));
+
+        const both = solveMultiMarkerPose(members, obs);
+        const onlySecond = solveMultiMarkerPose(members, [obs[1]]);
+
+        expect(both.visibleMarkers).toBe(2);
+        expect(onlySecond.visibleMarkers).toBe(1);
+        for (let i = 0; i < 16; i++) {
+            expect(both.poseMatrix[i]).toBeCloseTo(board[i], 6);
+            expect(onlySecond.poseMatrix[i]).toBeCloseTo(board[i], 6);
+        }
+        expect(solveMultiMarkerPose(members, [])).toBeNull();
+    });
+
+    it('averages disagreeing rotations to a rotation that favours no axis', () => {
+        const identity = Float64Array.from([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+        const members = [{ kind: 'pattern', markerId: 0, transform: identity }, { kind: 'pattern', markerId: 1, transform: identity }];
+        const c = Math.cos(0.7), s = Math.sin(0.7);
+        const aboutX = [1, 0, 0, 0, 0, c, s, 0, 0, -s, c, 0, 0, 0, -300, 1];
+        const aboutY = [c, 0, -s, 0, 0, 1, 0, 0, s, 0, c, 0, 0, 0, -300, 1];
+        const { poseMatrix: m } = solveMultiMarkerPose(members, [
+            { kind: 'pattern', id: 0, confidence: 0.8, matrix: aboutX },
+            { kind: 'pattern', id: 1, confidence: 0.8, matrix: aboutY }
+        ]);
+
+        // orthonormal: R^T R = I
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                const dot = m[i * 4] * m[j * 4] + m[i * 4 + 1] * m[j * 4 + 1] + m[i * 4 + 2] * m[j * 4 + 2];
+                expect(dot).toBeCloseTo(i === j ? 1 : 0, 6);
+            }
+        }
+        // halfway between both estimates
+        const angle = (a, b) => Math.acos((a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[4] * b[4] + a[5] * b[5] + a[6] * b[6]
+            + a[8] * b[8] + a[9] * b[9] + a[10] * b[10] - 1) / 2);
+        expect(angle(m, aboutX)).toBeCloseTo(angle(m, aboutY), 6);
+        expect(m[14]).toBe(-300);
+    });
+});
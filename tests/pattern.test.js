@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { encodePattern, decodePattern, renderMarkerImage, checkDetectorPattern } from '../src/utils/pattern.js';
+
+const HIRO = readFileSync(resolve(__dirname, '../examples/simple-marker/data/patt.hiro'), 'utf8');
+
+// Upscale an RGBA image by an integer factor (nearest neighbour)
+function upscale(image, factor) {
+    const width = image.width * factor;
+    const height = image.height * factor;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const src = (Math.floor(y / factor) * image.width + Math.floor(x / factor)) * 4;
+            data.set(image.data.subarray(src, src + 4), (y * width + x) * 4);
+        }
+    }
+    return { data, width, height };
+}
+
+describe('pattern training', () => {
+    it('decodes patt.hiro into four rotations of a 16x16 image', () => {
+        const { resolution, rotations } = decodePattern(HIRO);
+        expect(resolution).toBe(16);
+        expect(rotations).toHaveLength(4);
+        expect(rotations[0].data).toHaveLength(16 * 16 * 4);
+        // the hiro border region is near-white, the letters are dark
+        expect(rotations[0].data[0]).toBeGreaterThan(200);
+    });
+
+    it('reproduces patt.hiro byte for byte from its inner image', () => {
+        const inner = decodePattern(HIRO).rotations[0];
+        expect(encodePattern(inner, { borderPercent: 0 })).toBe(HIRO);
+    });
+
+    it('round-trips through a printable marker image', () => {
+        const inner = decodePattern(HIRO).rotations[0];
+        const marker = renderMarkerImage(inner, { size: 128, borderPercent: 25 });
+        expect(marker.width).toBe(128);
+        // black border around the pattern
+        expect(Array.from(marker.data.subarray(0, 4))).toEqual([0, 0, 0, 255]);
+
+        expect(encodePattern(marker, { borderPercent: 25 })).toBe(HIRO);
+    });
+
+    it('adds a white margin outside the border', () => {
+        const inner = decodePattern(HIRO).rotations[0];
+        const marker = renderMarkerImage(inner, { size: 100, marginPercent: 10 });
+        expect(marker.width).toBe(120);
+        expect(Array.from(marker.data.subarray(0, 4))).toEqual([255, 255, 255, 255]);
+        const borderStart = (10 * 120 + 10) * 4;
+        expect(Array.from(marker.data.subarray(borderStart, borderStart + 4))).toEqual([0, 0, 0, 255]);
+    });
+
+    it('stores the rotations counter-clockwise and channels as blue, green, red', () => {
+        // 2x2 image: red, green / blue, white
+        const data = new Uint8ClampedArray([255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255, 255, 255, 255, 255]);
+        const { rotations } = decodePattern(encodePattern({ data, width: 2, height: 2 }, { resolution: 2, borderPercent: 0 }));
+        const pixel = (img, x, y) => Array.from(img.data.subarray((y * 2 + x) * 4, (y * 2 + x) * 4 + 3));
+
+        expect(pixel(rotations[0], 0, 0)).toEqual([255, 0, 0]);
+        expect(pixel(rotations[0], 0, 1)).toEqual([0, 0, 255]);
+        // rotated 90° counter-clockwise the top-right (green) moves to the top-left
+        expect(pixel(rotations[1], 0, 0)).toEqual([0, 255, 0]);
+        expect(pixel(rotations[1], 0, 1)).toEqual([255, 0, 0]);
+        expect(pixel(rotations[2], 0, 0)).toEqual([255, 255, 255]);
+    });
+
+    it('supports custom resolutions and averages the covered pixels', () => {
+        const inner = upscale(decodePattern(HIRO).rotations[0], 4);
+        const text = encodePattern(inner, { resolution: 8, borderPercent: 0 });
+        const { resolution, rotations } = decodePattern(text);
+        expect(resolution).toBe(8);
+
+        const hiro = decodePattern(HIRO).rotations[0];
+        const mean = (x, y) => {
+            let sum = 0;
+            for (const [dx, dy] of [[0, 0], [1, 0], [0, 1], [1, 1]]) sum += hiro.data[((2 * y + dy) * 16 + 2 * x + dx) * 4];
+            return Math.round(sum / 4);
+        };
+        expect(rotations[0].data[(3 * 8 + 5) * 4]).toBe(mean(5, 3));
+    });
+
+    it('composites transparent pixels over white', () => {
+        const data = new Uint8ClampedArray([0, 0, 0, 0]);
+        const text = encodePattern({ data, width: 1, height: 1 }, { resolution: 1, borderPercent: 0 });
+        expect(text.trim().split(/\s+/).map(Number)).toEqual(new Array(12).fill(255));
+    });
+
+    it('rejects malformed input', () => {
+        expect(() => encodePattern({ data: new Uint8ClampedArray(3), width: 1, height: 1 })).toThrow('RGBA');
+        expect(() => encodePattern({ data: new Uint8ClampedArray(4), width: 1, height: 1 }, { borderPercent: 50 })).toThrow('borderPercent');
+        expect(() => decodePattern('1 2 3')).toThrow('4 rotations');
+        expect(() => decodePattern(HIRO.replace('234', '999'))).toThrow('[0, 255]');
+    });
+
+    it('accepts only 16x16 patterns for the detector', () => {
+        const inner = decodePattern(HIRO).rotations[0];
+        expect(() => checkDetectorPattern(HIRO)).not.toThrow();
+        expect(() => checkDetectorPattern(encodePattern(inner, { borderPercent: 0 }))).not.toThrow();
+        expect(() => checkDetectorPattern(encodePattern(inner, { borderPercent: 0, resolution: 32 })))
+            .toThrow('Pattern is 32x32; ARToolKit loads 16x16 patterns only');
+        expect(() => checkDetectorPattern('1 2 3')).toThrow('4 rotations');
+    });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { ArtoolkitPlugin } from '../src/plugin.js';
+import { multiplyMatrices, invertRigidTransform } from '../src/utils/matrix.js';
+import { createTestPlugin } from './helpers';
+
+describe('ArtoolkitPlugin (world anchors)', () => {
+    // marker 0 at the world origin, marker 1 beside it, rotated 90° about z
+    const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+    const worldB = [0, 1, 0, 0, -1, 0, 0, 0, 0, 0, 1, 0, 100, 0, 0, 1];
+    const camera = (x: number) => [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, x, 0, -500, 1];
+    const poseFrom = (cam: number[], world: number[]) => Array.from(multiplyMatrices(invertRigidTransform(cam), world));
+
+    async function setup(options: any = {}) {
+        const { plugin, core } = await createTestPlugin({ logLevel: 'silent', ...options }, { enable: true });
+        const poses: any[] = [];
+        core.eventBus.on('ar:cameraPose', (e: any) => poses.push(e));
+        return { plugin, poses };
+    }
+
+    const frame = (plugin: ArtoolkitPlugin, seq: number, detections: any[]) => {
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'detectionResult', payload: { seq, detections } } });
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'frameProcessed', payload: { seq, processingMs: 1 } } });
+    };
+
+    it('emits the camera pose in world space, also while the anchor is occluded', async () => {
+        const { plugin, poses } = await setup({ worldAnchors: [0] });
+        frame(plugin, 0, [
+            { id: 0, confidence: 0.9, poseMatrix: poseFrom(camera(0), identity) },
+            { id: 1, confidence: 0.8, poseMatrix: poseFrom(camera(0), worldB) }
+        ]);
+        expect(poses).toHaveLength(1);
+        expect(poses[0]).toMatchObject({ referenceId: 0, anchorVisible: true, seq: 0, source: null });
+        expect(poses[0].position[2]).toBeCloseTo(-500, 3);
+        expect(plugin.getMarkerGraph()).toMatchObject([{ from: 0, to: 1, observations: 1 }]);
+
+        // the anchor leaves the view: marker 1 locates the camera through the learned edge
+        frame(plugin, 1, [{ id: 1, confidence: 0.8, poseMatrix: poseFrom(camera(60), worldB) }]);
+        expect(poses).toHaveLength(2);
+        expect(poses[1]).toMatchObject({ referenceId: 1, anchorVisible: false });
+        expect(poses[1].matrix).toBeInstanceOf(Float32Array);
+        expect(poses[1].position[0]).toBeCloseTo(60, 3);
+        expect(poses[1].markers[0].worldMatrix[12]).toBeCloseTo(100, 3);
+        expect(plugin.getMarkerWorldPose(1)![12]).toBeCloseTo(100, 3);
+
+        // no marker connected to an anchor: no camera pose
+        frame(plugin, 2, [{ id: 5, confidence: 1, poseMatrix: camera(0) }]);
+        expect(poses).toHaveLength(2);
+        await plugin.disable();
+        expect(plugin.getMarkerGraph()).toEqual([]);
+    });
+
+    it('uses a named anchor once its marker loads, after frames that saw it unnamed', async () => {
+        const { plugin, poses } = await setup({ worldAnchors: ['hiro'] });
+        frame(plugin, 0, [{ id: 0, confidence: 1, poseMatrix: poseFrom(camera(20), identity) }]);
+        expect(poses).toHaveLength(0);
+
+        await plugin.loadMarker('/data/patt.hiro', 1, { name: 'hiro' });
+        frame(plugin, 1, [{ id: 0, confidence: 1, poseMatrix: poseFrom(camera(20), identity) }]);
+        expect(poses).toHaveLength(1);
+        expect(poses[0]).toMatchObject({ referenceId: 0, anchorVisible: true });
+        expect(poses[0].position[0]).toBeCloseTo(20, 3);
+        await plugin.disable();
+    });
+
+    it('accepts named anchors with a world pose', async () => {
+        const { plugin, poses } = await setup();
+        await plugin.loadMarker('/data/patt.hiro', 1, { name: 'hiro' });
+        plugin.addWorldAnchor('hiro', worldB);
+        frame(plugin, 0, [{ id: 0, confidence: 1, poseMatrix: poseFrom(camera(40), worldB) }]);
+        expect(poses[0]).toMatchObject({ referenceId: 0, anchorVisible: true });
+        expect(poses[0].position[0]).toBeCloseTo(40, 3);
+        expect(plugin.getMarkerWorldPose('hiro')![12]).toBe(100);
+
+        expect(plugin.removeWorldAnchor('hiro')).toBe(true);
+        frame(plugin, 1, [{ id: 0, confidence: 1, poseMatrix: poseFrom(camera(40), worldB) }]);
+        expect(poses).toHaveLength(1);
+        await plugin.disable();
+    });
+});
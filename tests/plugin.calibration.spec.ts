@@ -0,0 +1,50 @@
+import { describe, it, expect, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { ArtoolkitPlugin } from '../src/plugin.js';
+import { cameraParametersFromIntrinsics } from '../src/utils/camera.js';
+import { markerPose, renderMarkerScene } from '../src/utils/synthetic.js';
+import { waitForFrameProcessed } from '../src/utils/session.js';
+import { createEventBus } from './setupTests';
+
+const HIRO = readFileSync(resolve(__dirname, '../examples/simple-marker/data/patt.hiro'), 'utf8');
+
+describe('ArtoolkitPlugin (camera calibration)', () => {
+    it('calibrates a camera that differs from the loaded parameters', async () => {
+        const eventBus = createEventBus();
+        const plugin = new ArtoolkitPlugin({ worker: false, logLevel: 'silent' });
+        await plugin.init({ eventBus });
+        await plugin.enable();
+        await plugin.loadMarker(HIRO, 80, { name: 'hiro' });
+        const onView = vi.fn();
+        const calibrator = plugin.startCalibration({ target: { marker: 'hiro', size: 80 }, onView });
+        expect(() => plugin.startCalibration({ target: { marker: 'hiro', size: 80 } })).toThrow('already started');
+
+        // a longer lens than the default parameters, with barrel distortion
+        const camera = cameraParametersFromIntrinsics({ fx: 800, fy: 800, cx: 316, cy: 246, distortion: [-0.12, 0] }, { width: 640, height: 480 });
+        const views = [
+            [[0, 0, 420], [0.5, 0, 0]], [[-60, 30, 450], [0, 0.5, 0.3]], [[50, -40, 400], [-0.5, 0.2, 1.2]],
+            [[40, 40, 500], [0.3, -0.5, 2]], [[-50, -30, 380], [-0.3, -0.4, 2.8]], [[70, 0, 460], [0.4, 0.4, 4]],
+            [[-70, 10, 520], [-0.5, 0, 5]], [[0, 50, 430], [0, -0.5, 0.7]], [[20, -50, 480], [0.5, 0.3, 3.5]],
+            [[-30, -10, 360], [-0.2, 0.5, 5.6]]
+        ];
+        for (const [i, [translation, rotation]] of views.entries()) {
+            const scene = renderMarkerScene({ marker: HIRO, pose: markerPose({ translation, rotation }), size: 80, camera });
+            const processed = waitForFrameProcessed(eventBus, i + 1, 10000);
+            eventBus.emit('engine:update', { id: i + 1, data: scene.data, width: scene.width, height: scene.height });
+            expect(await processed).toBe(true);
+        }
+        await plugin.disable();
+
+        expect(calibrator.viewCount).toBeGreaterThanOrEqual(8);
+        expect(onView).toHaveBeenLastCalledWith({ views: calibrator.viewCount, maxViews: 40 });
+        const result = plugin.stopCalibration({ distortionCoefficients: 1 })!;
+        expect(plugin.stopCalibration()).toBeNull();
+        expect(result.rms).toBeLessThan(1);
+        expect(Math.abs(result.fx / 800 - 1)).toBeLessThan(0.02);
+        expect(Math.abs(result.fy / 800 - 1)).toBeLessThan(0.02);
+        expect(result.cameraParameters).toMatchObject({ width: 640, height: 480, version: 4 });
+        // the plugin loads the result directly
+        expect(() => new ArtoolkitPlugin({ cameraParameters: result.cameraParameters })).not.toThrow();
+    }, 60000);
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ArtoolkitPlugin } from '../src/plugin.js';
+import { createEventBus } from './setupTests';
+import { createTestPlugin } from './helpers';
+
+describe('ArtoolkitPlugin (runtime detector configuration)', () => {
+    let core: { eventBus: ReturnType<typeof createEventBus> };
+
+    beforeEach(() => {
+        core = { eventBus: createEventBus() };
+    });
+
+    it('applies settings in the detector and returns the effective configuration', async () => {
+        const plugin = new ArtoolkitPlugin({ worker: false, minConfidence: 0.7 });
+        await plugin.init(core);
+        await plugin.enable();
+
+        const config = await plugin.configure({ thresholdMode: 'manual', threshold: 90, labelingMode: 'black_region', borderWidth: 0.2 });
+        expect(config).toMatchObject({ thresholdMode: 'manual', threshold: 90, labelingMode: 'black_region', minConfidence: 0.7 });
+        expect(config.patternRatio).toBeCloseTo(0.6);
+        expect(config.borderWidth).toBeCloseTo(0.2);
+
+        // later calls only change what they name
+        const updated = await plugin.configure({ thresholdMode: 'auto_otsu', minConfidence: 0.5 });
+        expect(updated).toMatchObject({ thresholdMode: 'auto_otsu', threshold: 90, minConfidence: 0.5 });
+        await plugin.disable();
+    });
+
+    it('rejects invalid settings without contacting the worker', async () => {
+        const { plugin, postMessage } = await createTestPlugin({}, { core, respond: null });
+
+        await expect(plugin.configure({ thresholdMode: 'sometimes' })).rejects.toThrow('Unknown thresholdMode');
+        await expect(plugin.configure({ threshold: 300 })).rejects.toThrow('threshold');
+        await expect(plugin.configure({ gamma: 2 })).rejects.toThrow('Unknown detector option: gamma');
+        expect(postMessage).not.toHaveBeenCalled();
+    });
+
+    it('sends configured settings with init so a new worker starts with them', async () => {
+        const { plugin } = await createTestPlugin({}, { core, respond: (type) => (type === 'configure' ? { ok: true, config: {} } : undefined) });
+        await plugin.configure({ imageProcMode: 'field', threshold: 120 });
+
+        const Worker = vi.fn(function (this: any) {
+            this.postMessage = vi.fn();
+            this.addEventListener = vi.fn();
+        });
+        vi.stubGlobal('Worker', Worker);
+        try {
+            // @ts-ignore
+            plugin._worker = null;
+            // @ts-ignore
+            await plugin._startWorker();
+            // @ts-ignore
+            const init = plugin._worker.postMessage.mock.calls[0][0];
+            expect(init.type).toBe('init');
+            expect(init.payload.detectorConfig).toEqual({ imageProcMode: 1, threshold: 120 });
+        } finally {
+            vi.unstubAllGlobals();
+        }
+    });
+});
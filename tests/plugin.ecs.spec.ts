@@ -0,0 +1,71 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ArtoolkitPlugin } from '../src/plugin.js';
+import { createEventBus } from './setupTests';
+import { createTestPlugin } from './helpers';
+
+describe('ArtoolkitPlugin (ECS integration)', () => {
+    let world: any;
+    const pose = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 10, 20, 300, 1];
+
+    beforeEach(() => {
+        let next = 1;
+        const entities = new Map<number, Map<string, any>>();
+        world = {
+            entities,
+            createEntity: vi.fn(() => { entities.set(next, new Map()); return next++; }),
+            destroyEntity: vi.fn((e: number) => entities.delete(e)),
+            setComponent: vi.fn((e: number, name: string, data: any) => entities.get(e)!.set(name, data)),
+            get: (e: number, name: string) => entities.get(e)?.get(name)
+        };
+    });
+
+    async function setup(options: any = {}, core: any = { eventBus: createEventBus(), ecs: world }) {
+        const { plugin } = await createTestPlugin({ logLevel: 'silent', ...options }, { core, enable: true });
+        return plugin;
+    }
+
+    const detect = (plugin: ArtoolkitPlugin, seq: number, detections: any[]) => {
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'detectionResult', payload: { seq, detections } } });
+    };
+
+    it('maintains a marker entity through core.ecs with named app components', async () => {
+        const plugin = await setup({ ecs: true, matrixConvention: 'three' });
+        await plugin.loadMarker('/data/patt.hiro', 1, { name: 'hiro' });
+        expect(plugin.listMarkers()[0].name).toBe('hiro');
+        plugin.setMarkerComponents('hiro', { Model: { url: '/models/duck.glb' } });
+
+        detect(plugin, 0, [{ id: 0, confidence: 0.9, poseMatrix: pose }]);
+        const entity = plugin.getMarkerEntity(0);
+        expect(world.get(entity, 'ArMarker')).toEqual({ id: 0, kind: 'pattern', name: 'hiro', source: null });
+        expect(world.get(entity, 'Model')).toEqual({ url: '/models/duck.glb' });
+        // the transform follows the configured renderer convention
+        expect(world.get(entity, 'Transform')).toMatchObject({ convention: 'three', position: [10, -20, -300] });
+        expect(world.get(entity, 'Transform').matrix[5]).toBe(-1);
+        expect(world.get(entity, 'Visibility').visible).toBe(true);
+        expect(world.get(entity, 'Confidence')).toEqual({ value: 0.9 });
+
+        // unloading a visible marker loses it and destroys its entity
+        await plugin.unloadMarker(0);
+        expect(world.setComponent).toHaveBeenCalledWith(entity, 'Visibility', expect.objectContaining({ visible: false }));
+        expect(world.destroyEntity).toHaveBeenCalledWith(entity);
+        expect(plugin.getMarkerEntity(0)).toBeNull();
+        await plugin.disable();
+    });
+
+    it('uses an adapter with custom component names and cleans up on disable', async () => {
+        const plugin = await setup({ ecs: world, ecsComponents: { visibility: 'Visible' } }, { eventBus: createEventBus() });
+        detect(plugin, 0, [{ id: 3, kind: 'barcode', confidence: 1, poseMatrix: pose }]);
+        const entity = plugin.getMarkerEntity('barcode:3');
+        expect(world.get(entity, 'Visible')).toMatchObject({ visible: true });
+
+        await plugin.disable();
+        expect(world.entities.size).toBe(0);
+    });
+
+    it('requires an ECS when enabled', async () => {
+        await expect(new ArtoolkitPlugin({ ecs: true }).init({ eventBus: createEventBus() })).rejects.toThrow(/no ecs/);
+        await expect(new ArtoolkitPlugin({ ecs: {} }).init({ eventBus: createEventBus() })).rejects.toThrow(/missing createEntity/);
+        expect(() => new ArtoolkitPlugin().setMarkerComponents('hiro', {})).toThrow(/not enabled/);
+    });
+});
@@ -94,4 +94,67 @@ describe('ArtoolkitPlugin (extra coverage)', () => {
         await expect(p).rejects.toThrow(/timed out/i);
         vi.useRealTimers();
     });
-});
\ No newline at end of file
+
+    it('normalizes barcode getMarker payloads into namespaced marker ids', async () => {
+        const plugin = new ArtoolkitPlugin({ worker: false });
+        await plugin.init(core);
+
+        const found = vi.fn();
+        core.eventBus.on('ar:markerFound', found);
+
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'getMarker', payload: { type: 1, kind: 'barcode', matrix: new Array(16).fill(0), marker: { idPatt: -1, idMatrix: 5, cfMatrix: 0.8 } } } });
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'getMarker', payload: { type: 0, kind: 'pattern', matrix: new Array(16).fill(0), marker: { idPatt: 5, cfPatt: 0.9 } } } });
+
+        expect(found).toHaveBeenCalledTimes(2);
+        expect(found.mock.calls[0][0]).toMatchObject({ id: 'barcode:5', kind: 'barcode', confidence: 0.8 });
+        expect(found.mock.calls[1][0]).toMatchObject({ id: 5, kind: 'pattern', confidence: 0.9 });
+    });
+
+    it('resolves loadBarcodeMarker with the event id', async () => {
+        const plugin = new ArtoolkitPlugin({ worker: false });
+        await plugin.init(core);
+        const postMessage = vi.fn();
+        // @ts-ignore
+        plugin._worker = { postMessage };
+
+        const p = plugin.loadBarcodeMarker(12, 0.08);
+        const sent = postMessage.mock.calls[0][0];
+        expect(sent.type).toBe('loadBarcodeMarker');
+        expect(sent.payload).toMatchObject({ barcodeId: 12, size: 0.08 });
+
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'loadMarkerResult', payload: { ok: true, markerId: 12, size: 0.08, kind: 'barcode', requestId: sent.payload.requestId } } });
+
+        await expect(p).resolves.toEqual({ id: 'barcode:12', markerId: 12, size: 0.08, kind: 'barcode' });
+    });
+
+    it('transfers raw RGBA buffers to the worker', async () => {
+        const plugin = new ArtoolkitPlugin({ worker: false });
+        await plugin.init(core);
+
+        const postMessage = vi.fn();
+        // @ts-ignore
+        plugin._worker = { postMessage };
+
+        const data = new Uint8ClampedArray(4 * 2 * 2);
+        // @ts-ignore call private
+        plugin._onEngineUpdate({ id: 3, data, width: 2, height: 2 });
+
+        const [msg, transfer] = postMessage.mock.calls[0];
+        expect(msg.payload).toMatchObject({ frameId: 3, width: 2, height: 2 });
+        expect(msg.payload.data).toBe(data.buffer);
+        expect(transfer).toEqual([data.buffer]);
+
+        // a view into a larger buffer is copied so only the frame is transferred
+        // @ts-ignore ack the first frame so the next one is posted right away
+        plugin._onWorkerMessage({ data: { type: 'frameProcessed', payload: { seq: msg.payload.seq, processingMs: 1 } } });
+        const big = new Uint8ClampedArray(32);
+        // @ts-ignore
+        plugin._onEngineUpdate({ id: 4, data: big.subarray(16), width: 2, height: 2 });
+        const [msg2] = postMessage.mock.calls[1];
+        expect(msg2.payload.data.byteLength).toBe(16);
+        expect(msg2.payload.data).not.toBe(big.buffer);
+    });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { ArtoolkitPlugin } from '../src/plugin.js';
+import { markerPose, poseError, renderMarkerScene } from '../src/utils/synthetic.js';
+import { waitForFrameProcessed } from '../src/utils/session.js';
+import { createEventBus } from './setupTests';
+
+const HIRO = readFileSync(resolve(__dirname, '../examples/simple-marker/data/patt.hiro'), 'utf8');
+
+describe('ArtoolkitPlugin (frame formats)', () => {
+    let core: { eventBus: ReturnType<typeof createEventBus> };
+    const pose = markerPose({ translation: [10, -5, 300], rotation: [0.3, 0.2, 0] });
+    const scene = renderMarkerScene({ marker: HIRO, pose, size: 80 });
+    const { width, height } = scene;
+
+    // The scene is gray, so its luma is any RGB channel
+    function lumaPlane(stride = width) {
+        const luma = new Uint8Array(stride * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) luma[y * stride + x] = scene.data[(y * width + x) * 4];
+        }
+        return luma;
+    }
+
+    // Luma followed by chroma planes of the given size, filled with neutral chroma
+    function yuv(stride: number, chromaBytes: number) {
+        const buffer = new Uint8Array(stride * height + chromaBytes).fill(128);
+        buffer.set(lumaPlane(stride));
+        return buffer;
+    }
+
+    beforeEach(() => {
+        core = { eventBus: createEventBus() };
+    });
+
+    async function detect(frames: any[], options = {}) {
+        const plugin = new ArtoolkitPlugin({ worker: false, logLevel: 'silent', ...options });
+        await plugin.init(core);
+        await plugin.enable();
+        const { markerId } = await plugin.loadMarker(HIRO, 80);
+        const detections: any[] = [];
+        const errors = vi.fn();
+        core.eventBus.on('ar:markerFound', (e: any) => detections.push(e));
+        core.eventBus.on('ar:markerUpdated', (e: any) => detections.push(e));
+        core.eventBus.on('ar:workerError', errors);
+        for (const [i, frame] of frames.entries()) {
+            const processed = waitForFrameProcessed(core.eventBus, i + 1, 10000);
+            core.eventBus.emit('engine:update', { id: i + 1, ...frame });
+            expect(await processed).toBe(true);
+        }
+        await plugin.disable();
+        expect(errors).not.toHaveBeenCalled();
+        expect(detections.map((e) => [e.id, e.frameId])).toEqual(frames.map((_, i) => [markerId, i + 1]));
+        for (const e of detections) expect(poseError(pose, e.poseMatrix).translation).toBeLessThan(0.05 * 300);
+        return detections;
+    }
+
+    it('detects on luma-only and YUV planar buffers', async () => {
+        const stride = width + 32;
+        await detect([
+            { data: lumaPlane(), format: 'gray', width, height },
+            { data: yuv(stride, 2 * (stride / 2) * (height / 2)), format: 'i420', stride, width, height },
+            { data: yuv(width, width * (height / 2)).buffer, format: 'nv12', width, height }
+        ]);
+    }, 30000);
+
+    it('resamples luma to the processing resolution and maps corners back', async () => {
+        const [detection] = await detect([{ data: lumaPlane(), format: 'gray', width, height }], { processingResolution: 0.5 });
+        for (const [x, y] of scene.corners) {
+            expect(Math.min(...detection.corners.map(([cx, cy]: number[]) => Math.hypot(cx - x, cy - y)))).toBeLessThan(3);
+        }
+    }, 30000);
+
+    it('accepts ImageData and YUV VideoFrames', async () => {
+        const close = vi.fn();
+        const buffer = yuv(width, width * (height / 2));
+        // the parts of the WebCodecs VideoFrame interface the detector reads
+        const videoFrame = {
+            format: 'NV12',
+            displayWidth: width,
+            displayHeight: height,
+            visibleRect: { x: 0, y: 0, width, height },
+            allocationSize: () => buffer.byteLength,
+            copyTo: async (dest: Uint8Array) => {
+                dest.set(buffer);
+                return [{ offset: 0, stride: width }, { offset: width * height, stride: width }];
+            },
+            close
+        };
+        await detect([
+            { imageData: { data: new Uint8ClampedArray(scene.data), width, height } },
+            { videoFrame }
+        ]);
+        expect(close).toHaveBeenCalledTimes(1);
+    }, 30000);
+
+    it('reports malformed buffers as frame errors', async () => {
+        const plugin = new ArtoolkitPlugin({ worker: false, logLevel: 'silent' });
+        await plugin.init(core);
+        await plugin.enable();
+        const errors = vi.fn();
+        core.eventBus.on('ar:workerError', errors);
+        await vi.waitFor(() => expect(plugin.workerReady).toBe(true), { timeout: 10000 });
+        core.eventBus.emit('engine:update', { id: 1, data: new Uint8Array(100), format: 'nv21', width, height });
+        // a raw buffer without its size
+        core.eventBus.emit('engine:update', { id: 2, data: new Uint8Array(100), format: 'gray' });
+        expect(errors).toHaveBeenCalledWith(expect.objectContaining({ code: 'FRAME_FAILED', frameId: 1, message: expect.stringContaining('nv21 frame size mismatch') }));
+        expect(errors).toHaveBeenCalledWith(expect.objectContaining({ code: 'FRAME_FAILED', frameId: 2, message: 'Invalid frame size undefinedxundefined' }));
+        // neither frame reached the worker
+        expect(plugin.frameStats.framesSent).toBe(0);
+        await plugin.disable();
+    });
+});
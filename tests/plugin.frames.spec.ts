@@ -0,0 +1,89 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ArtoolkitPlugin } from '../src/plugin.js';
+import { createEventBus } from './setupTests';
+import { createTestPlugin } from './helpers';
+
+describe('ArtoolkitPlugin (frame backpressure)', () => {
+    let core: { eventBus: ReturnType<typeof createEventBus> };
+
+    beforeEach(() => {
+        core = { eventBus: createEventBus() };
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    async function setup(options = {}) {
+        const { plugin, postMessage } = await createTestPlugin({ worker: false, ...options }, { core, respond: null });
+        const bitmap = () => ({ close: vi.fn() });
+        const ack = (call: number, processingMs = 10) => {
+            const { seq } = postMessage.mock.calls[call][0].payload;
+            // @ts-ignore
+            plugin._onWorkerMessage({ data: { type: 'frameProcessed', payload: { seq, processingMs } } });
+        };
+        return { plugin, postMessage, bitmap, ack };
+    }
+
+    it('drop-oldest keeps only the latest waiting frame and sends it on ack', async () => {
+        const { plugin, postMessage, bitmap, ack } = await setup();
+        const frames = [1, 2, 3].map((id) => ({ id, imageBitmap: bitmap(), width: 2, height: 2 }));
+        // @ts-ignore
+        frames.forEach((f) => plugin._onEngineUpdate(f));
+
+        expect(postMessage).toHaveBeenCalledTimes(1);
+        // frame 2 was replaced by frame 3 while waiting
+        expect(frames[1].imageBitmap.close).toHaveBeenCalled();
+
+        ack(0);
+        expect(postMessage).toHaveBeenCalledTimes(2);
+        expect(postMessage.mock.calls[1][0].payload.frameId).toBe(3);
+        expect(plugin.getFrameStats()).toMatchObject({ framesReceived: 3, framesSent: 2, framesProcessed: 1, framesDropped: 1, inFlight: 1 });
+    });
+
+    it('drop-newest discards incoming frames while the queue is full', async () => {
+        const { plugin, postMessage, bitmap } = await setup({ framePolicy: 'drop-newest', maxInFlightFrames: 2 });
+        const frames = [1, 2, 3].map((id) => ({ id, imageBitmap: bitmap(), width: 2, height: 2 }));
+        // @ts-ignore
+        frames.forEach((f) => plugin._onEngineUpdate(f));
+
+        expect(postMessage).toHaveBeenCalledTimes(2);
+        expect(frames[2].imageBitmap.close).toHaveBeenCalled();
+        expect(plugin.getFrameStats().framesDropped).toBe(1);
+    });
+
+    it('adapts the target rate to the measured processing time', async () => {
+        vi.useFakeTimers();
+        vi.setSystemTime(1000);
+        const { plugin, postMessage, bitmap, ack } = await setup({ targetFps: 100 });
+
+        // @ts-ignore
+        plugin._onEngineUpdate({ id: 1, imageBitmap: bitmap() });
+        ack(0, 50);
+
+        // 10ms target interval, but the worker needs 50ms per frame
+        vi.setSystemTime(1020);
+        // @ts-ignore
+        plugin._onEngineUpdate({ id: 2, imageBitmap: bitmap() });
+        expect(postMessage).toHaveBeenCalledTimes(1);
+
+        vi.setSystemTime(1060);
+        // @ts-ignore
+        plugin._onEngineUpdate({ id: 3, imageBitmap: bitmap() });
+        expect(postMessage).toHaveBeenCalledTimes(2);
+        expect(plugin.getFrameStats().framesDropped).toBe(1);
+    });
+
+    it('frees in-flight slots the worker never acknowledges', async () => {
+        vi.useFakeTimers();
+        vi.setSystemTime(1000);
+        const { plugin, postMessage, bitmap } = await setup({ frameTimeoutMs: 100 });
+
+        // @ts-ignore
+        plugin._onEngineUpdate({ id: 1, imageBitmap: bitmap() });
+        vi.setSystemTime(1200);
+        // @ts-ignore
+        plugin._onEngineUpdate({ id: 2, imageBitmap: bitmap() });
+        expect(postMessage).toHaveBeenCalledTimes(2);
+    });
+});
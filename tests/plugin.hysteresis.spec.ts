@@ -0,0 +1,86 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ArtoolkitPlugin } from '../src/plugin.js';
+import { createEventBus } from './setupTests';
+
+describe('ArtoolkitPlugin (frame-based found/lost)', () => {
+    let core: { eventBus: ReturnType<typeof createEventBus> };
+    const pose = Array.from({ length: 16 }, (_, i) => (i % 5 === 0 ? 1 : 0));
+
+    beforeEach(() => {
+        core = { eventBus: createEventBus() };
+    });
+
+    async function setup(options = {}) {
+        const plugin = new ArtoolkitPlugin({ worker: false, ...options });
+        await plugin.init(core);
+        const found = vi.fn();
+        const updated = vi.fn();
+        const lost = vi.fn();
+        core.eventBus.on('ar:markerFound', found);
+        core.eventBus.on('ar:markerUpdated', updated);
+        core.eventBus.on('ar:markerLost', lost);
+        // one processed frame: its detections followed by the worker acknowledgement
+        const frame = (seq: number, detections: any[] = []) => {
+            // @ts-ignore
+            plugin._onWorkerMessage({ data: { type: 'detectionResult', payload: { seq, frameId: `f${seq}`, frameTimestamp: 1000 + seq, detections } } });
+            // @ts-ignore
+            plugin._onWorkerMessage({ data: { type: 'frameProcessed', payload: { seq, frameId: `f${seq}` } } });
+        };
+        return { plugin, found, updated, lost, frame };
+    }
+
+    it('tags marker events with the source frame', async () => {
+        const { found, frame } = await setup();
+        frame(3, [{ id: 1, confidence: 0.9, poseMatrix: pose }]);
+
+        expect(found).toHaveBeenCalledTimes(1);
+        expect(found.mock.calls[0][0]).toMatchObject({ id: 1, frameId: 'f3', frameTimestamp: 1003 });
+    });
+
+    it('fires markerFound only after confirmFrames consecutive detections', async () => {
+        const { found, updated, lost, frame } = await setup({ confirmFrames: 3 });
+        const marker = { id: 1, confidence: 0.9, poseMatrix: pose };
+
+        // a single-frame false positive never surfaces
+        frame(0, [marker]);
+        frame(1);
+        frame(2, [marker]);
+        frame(3, [marker]);
+        expect(found).not.toHaveBeenCalled();
+
+        frame(4, [marker]);
+        expect(found).toHaveBeenCalledTimes(1);
+        expect(found.mock.calls[0][0].frameId).toBe('f4');
+
+        frame(5, [marker]);
+        expect(updated).toHaveBeenCalledTimes(1);
+        expect(lost).not.toHaveBeenCalled();
+    });
+
+    it('loses a marker after lostThreshold processed frames without it', async () => {
+        const { plugin, found, lost, frame } = await setup({ lostThreshold: 2, lostTimeoutMs: 60000 });
+        frame(0, [{ id: 1, confidence: 0.9, poseMatrix: pose }]);
+        expect(found).toHaveBeenCalledTimes(1);
+
+        frame(1);
+        expect(lost).not.toHaveBeenCalled();
+        // @ts-ignore
+        expect(plugin.getMarkerState(1).lostCount).toBe(1);
+
+        frame(2);
+        expect(lost).toHaveBeenCalledTimes(1);
+        expect(lost.mock.calls[0][0]).toMatchObject({ id: 1, kind: 'pattern' });
+        expect(plugin.getMarkerState(1)).toBeNull();
+    });
+
+    it('counts a frame once when it reports the same marker twice', async () => {
+        const { plugin, found } = await setup({ confirmFrames: 2 });
+        const getMarker = { seq: 7, frameId: 'f7', matrix: pose, marker: { idPatt: 1, cfPatt: 0.9 } };
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'getMarker', payload: getMarker } });
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'detectionResult', payload: { seq: 7, frameId: 'f7', detections: [{ id: 1, confidence: 0.9, poseMatrix: pose }] } } });
+
+        expect(found).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ArtoolkitPlugin } from '../src/plugin.js';
+import { InThreadWorker } from '../src/worker/in-thread.js';
+import { encodePattern } from '../src/utils/pattern.js';
+import { createEventBus } from './setupTests';
+
+describe('ArtoolkitPlugin (in-thread backend)', () => {
+    let core: { eventBus: ReturnType<typeof createEventBus> };
+
+    beforeEach(() => {
+        core = { eventBus: createEventBus() };
+    });
+
+    it('runs the detector in-thread when worker is disabled', async () => {
+        const plugin = new ArtoolkitPlugin({ worker: false });
+        await plugin.init(core);
+
+        const ready = vi.fn();
+        core.eventBus.on('ar:workerReady', ready);
+
+        await plugin.enable();
+        // @ts-ignore
+        expect(plugin._worker).toBeInstanceOf(InThreadWorker);
+
+        await vi.waitFor(() => expect(ready).toHaveBeenCalledTimes(1));
+        expect(plugin.workerReady).toBe(true);
+
+        await plugin.disable();
+        // @ts-ignore
+        expect(plugin._worker).toBeNull();
+    });
+
+    it('answers marker requests through the shared message protocol', async () => {
+        const plugin = new ArtoolkitPlugin({ worker: false });
+        await plugin.init(core);
+        await plugin.enable();
+
+        // validation happens in the detector, so the error comes back as a loadMarkerResult
+        await expect(plugin.loadBarcodeMarker(-1)).rejects.toThrow(/Invalid barcodeId/);
+        await plugin.disable();
+    });
+
+    it('tracks a marker shared by a board and a standalone load at one size', async () => {
+        const plugin = new ArtoolkitPlugin({ worker: false, logLevel: 'silent' });
+        await plugin.init(core);
+        await plugin.enable();
+
+        await plugin.loadMultiMarker({ markers: [{ barcodeId: 3, size: 40 }, { barcodeId: 4, size: 40, position: [50, 0, 0] }] });
+        await expect(plugin.loadBarcodeMarker(3, 80))
+            .rejects.toMatchObject({ code: 'INVALID_ARGUMENT', message: 'barcode marker 3 is already tracked at size 40, not 80' });
+        await expect(plugin.loadBarcodeMarker(3, 40)).resolves.toMatchObject({ id: 'barcode:3' });
+        await expect(plugin.loadMultiMarker({ markers: [{ barcodeId: 5, size: 40 }, { barcodeId: 5, size: 20, position: [50, 0, 0] }] }))
+            .rejects.toMatchObject({ code: 'INVALID_ARGUMENT', message: 'barcode marker 5 appears in the board at sizes 40 and 20' });
+        await plugin.disable();
+    });
+
+    it('rejects patterns ARToolKit cannot load before they reach it', async () => {
+        const plugin = new ArtoolkitPlugin({ worker: false, logLevel: 'silent' });
+        await plugin.init(core);
+        await plugin.enable();
+
+        const image = { data: new Uint8ClampedArray(8 * 8 * 4).fill(255), width: 8, height: 8 };
+        await expect(plugin.loadMarker(encodePattern(image, { borderPercent: 0, resolution: 8 })))
+            .rejects.toMatchObject({ code: 'INVALID_ARGUMENT', message: 'Inline pattern: Pattern is 8x8; ARToolKit loads 16x16 patterns only' });
+        await expect(plugin.loadMarker(encodePattern(image, { borderPercent: 0 }))).resolves.toMatchObject({ markerId: 0 });
+        await plugin.disable();
+    });
+
+    it('reports failures of message handling to the error listeners', async () => {
+        const worker = new InThreadWorker();
+        const onError = vi.fn();
+        worker.addEventListener('error', onError);
+        worker.addEventListener('message', ({ data }: any) => {
+            if (data.type === 'pong') throw new Error('listener failed');
+        });
+        worker.postMessage({ type: 'ping', payload: { sentAt: 1 } });
+        await vi.waitFor(() => expect(onError).toHaveBeenCalledTimes(1));
+        expect(onError.mock.calls[0][0]).toMatchObject({ type: 'error', message: 'listener failed' });
+        worker.terminate();
+    });
+
+    it('stops delivering messages after terminate', () => {
+        const worker = new InThreadWorker();
+        const listener = vi.fn();
+        worker.addEventListener('message', listener);
+        worker.terminate();
+        worker.postMessage({ type: 'init', payload: {} });
+        expect(listener).not.toHaveBeenCalled();
+    });
+});
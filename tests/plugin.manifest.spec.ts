@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ArtoolkitPlugin } from '../src/plugin.js';
+import { createEventBus } from './setupTests';
+import { createTestPlugin, fakeWorkerResponses } from './helpers';
+
+describe('ArtoolkitPlugin (marker manifest)', () => {
+    let core: { eventBus: ReturnType<typeof createEventBus> };
+    const pose = Array.from({ length: 16 }, (_, i) => (i % 5 === 0 ? 1 : 0));
+
+    beforeEach(() => {
+        core = { eventBus: createEventBus() };
+    });
+
+    // Fake worker: patterns get ids in load order, URLs containing "missing" fail to load
+    function setup() {
+        const respond = fakeWorkerResponses();
+        return createTestPlugin({ logLevel: 'silent' }, {
+            core,
+            respond: (type, payload) => payload.patternUrl?.includes('missing')
+                ? { ok: false, code: 'LOAD_FAILED', error: 'Failed to fetch pattern (404)' }
+                : respond(type, payload)
+        });
+    }
+
+    it('loads every marker, reports progress and per-marker errors', async () => {
+        const { plugin, postMessage } = await setup();
+        const progress = vi.fn();
+        const onProgress = vi.fn();
+        core.eventBus.on('ar:manifestProgress', progress);
+        const result = await plugin.loadManifest(JSON.stringify({
+            markers: [
+                { name: 'hiro', source: 'patt.hiro', size: 80, metadata: { room: 'hall' } },
+                { name: 'door', source: 'missing.patt' },
+                { name: 'exit', type: 'barcode', source: 5, size: 40 }
+            ]
+        }), { baseUrl: '/markers/manifest.json', onProgress });
+
+        expect(result.markers).toEqual([
+            { name: 'hiro', id: 0, type: 'pattern', metadata: { room: 'hall' } },
+            { name: 'exit', id: 'barcode:5', type: 'barcode', metadata: null }
+        ]);
+        expect(result.errors).toEqual([{ index: 1, name: 'door', error: expect.objectContaining({ code: 'LOAD_FAILED' }) }]);
+        // every request is sent before the first answer arrives
+        expect(postMessage.mock.calls.map(([msg]) => msg.payload.patternUrl ?? msg.payload.barcodeId))
+            .toEqual(['/markers/patt.hiro', '/markers/missing.patt', 5]);
+        expect(progress).toHaveBeenCalledTimes(3);
+        expect(progress).toHaveBeenLastCalledWith(expect.objectContaining({ loaded: 2, failed: 1, total: 3 }));
+        expect(progress).toHaveBeenCalledWith(expect.objectContaining({ name: 'door', id: null, error: expect.any(Error) }));
+        expect(onProgress.mock.calls).toEqual(progress.mock.calls);
+        expect(plugin.listMarkers().map(({ id, name, metadata }) => ({ id, name, metadata }))).toEqual([
+            { id: 0, name: 'hiro', metadata: { room: 'hall' } },
+            { id: 'barcode:5', name: 'exit', metadata: null }
+        ]);
+    });
+
+    it('rejects invalid manifests before loading anything', async () => {
+        const { plugin, postMessage } = await setup();
+        await expect(plugin.loadManifest({ markers: [{ name: 'hiro', source: 'patt.hiro' }, { name: 'door', size: 1 }] }))
+            .rejects.toMatchObject({ code: 'INVALID_ARGUMENT', message: expect.stringContaining('markers[1] ("door")'), details: { index: 1, field: 'source' } });
+        expect(postMessage).not.toHaveBeenCalled();
+    });
+
+    it('keeps a name on one marker and a marker on one name', async () => {
+        const { plugin, postMessage } = await setup();
+        await plugin.loadMarker('patt.hiro', 1, { name: 'hiro' });
+        await expect(plugin.loadMarker('patt.kanji', 1, { name: 'hiro' }))
+            .rejects.toMatchObject({ code: 'INVALID_ARGUMENT', message: 'Marker name "hiro" is already used by marker 0' });
+        // the pattern loaded for the rejected call is unloaded again
+        await vi.waitFor(() => expect(postMessage).toHaveBeenCalledWith({ type: 'unloadMarker', payload: expect.objectContaining({ kind: 'pattern', markerId: 1 }) }));
+
+        await plugin.loadBarcodeMarker(5, 40, { name: 'exit' });
+        await expect(plugin.loadBarcodeMarker(5, 40, { name: 'door' }))
+            .rejects.toMatchObject({ code: 'INVALID_ARGUMENT', message: 'Marker barcode:5 is already loaded as "exit"' });
+        expect(plugin.listMarkers().map(({ id, name }) => [id, name])).toEqual([[0, 'hiro'], ['barcode:5', 'exit']]);
+    });
+
+    it('marker events carry the name and metadata', async () => {
+        const { plugin } = await setup();
+        await plugin.loadManifest({ markers: [{ name: 'hiro', source: 'patt.hiro', metadata: { model: 'robot.glb' } }] });
+        const events: any[] = [];
+        for (const type of ['ar:markerFound', 'ar:markerUpdated', 'ar:markerLost']) {
+            core.eventBus.on(type, (e: any) => events.push([type, e]));
+        }
+        // @ts-ignore
+        plugin._applyDetections([{ id: 0, confidence: 0.9, poseMatrix: pose }]);
+        // @ts-ignore
+        plugin._applyDetections([{ id: 0, confidence: 0.9, poseMatrix: pose }]);
+        await plugin.unloadMarker(0);
+        expect(events.map(([type, e]) => [type, e.name, e.metadata])).toEqual([
+            ['ar:markerFound', 'hiro', { model: 'robot.glb' }],
+            ['ar:markerUpdated', 'hiro', { model: 'robot.glb' }],
+            ['ar:markerLost', 'hiro', { model: 'robot.glb' }]
+        ]);
+    });
+});
@@ -63,4 +63,64 @@ describe('ArtoolkitPlugin (more coverage)', () => {
         // No exception; no markers added
         expect(plugin.getMarkerState(1)).toBeNull();
     });
-});
\ No newline at end of file
+
+    it('namespaces NFT detections and reports their kind', async () => {
+        const plugin = new ArtoolkitPlugin({ worker: false });
+        await plugin.init(core);
+
+        const found = vi.fn();
+        core.eventBus.on('ar:markerFound', found);
+
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'detectionResult', payload: { detections: [{ id: 0, kind: 'nft', confidence: 1, poseMatrix: new Array(16).fill(0) }] } } });
+
+        expect(found).toHaveBeenCalledTimes(1);
+        expect(found.mock.calls[0][0]).toMatchObject({ id: 'nft:0', kind: 'nft' });
+        expect(plugin.getMarkerState('nft:0')).not.toBeNull();
+    });
+
+    it('loadNFTMarker strips descriptor extensions and resolves with the event id', async () => {
+        const plugin = new ArtoolkitPlugin({ worker: false });
+        await plugin.init(core);
+        const postMessage = vi.fn();
+        // @ts-ignore
+        plugin._worker = { postMessage };
+
+        const p = plugin.loadNFTMarker('/data/poster.fset3', { size: 2 });
+        const sent = postMessage.mock.calls[0][0];
+        expect(sent.type).toBe('loadNFTMarker');
+        expect(sent.payload).toMatchObject({ descriptorBaseUrl: '/data/poster', size: 2 });
+
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'loadMarkerResult', payload: { ok: true, markerId: 0, size: 2, kind: 'nft', requestId: sent.payload.requestId } } });
+
+        await expect(p).resolves.toEqual({ id: 'nft:0', markerId: 0, size: 2, kind: 'nft' });
+    });
+
+    it('reports multi-marker boards with their contributing marker count', async () => {
+        const plugin = new ArtoolkitPlugin({ worker: false });
+        await plugin.init(core);
+
+        const updated = vi.fn();
+        core.eventBus.on('ar:markerUpdated', updated);
+
+        const detection = { id: 0, kind: 'multi', confidence: 0.8, poseMatrix: new Array(16).fill(0), visibleMarkers: 3 };
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'detectionResult', payload: { detections: [detection] } } });
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'detectionResult', payload: { detections: [{ ...detection, visibleMarkers: 1 }] } } });
+
+        expect(updated.mock.calls[0][0]).toMatchObject({ id: 'multi:0', kind: 'multi', visibleMarkers: 1 });
+    });
+
+    it('loadMultiMarker rejects invalid layouts before contacting the worker', async () => {
+        const plugin = new ArtoolkitPlugin({ worker: false });
+        await plugin.init(core);
+        const postMessage = vi.fn();
+        // @ts-ignore
+        plugin._worker = { postMessage };
+
+        await expect(plugin.loadMultiMarker({ markers: [{ size: 40 }] })).rejects.toThrow(/markers\[0\]/);
+        expect(postMessage).not.toHaveBeenCalled();
+    });
+});
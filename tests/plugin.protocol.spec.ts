@@ -0,0 +1,173 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ArtoolkitPlugin } from '../src/plugin.js';
+import { ArtoolkitError, PROTOCOL_VERSION, MIN_PROTOCOL_VERSION } from '../src/utils/protocol.js';
+import { createLogger } from '../src/utils/logger.js';
+import { createDetectorRouter } from '../src/worker/router.js';
+import { createEventBus } from './setupTests';
+import { createTestPlugin } from './helpers';
+
+describe('ArtoolkitPlugin (request protocol)', () => {
+    let core: { eventBus: ReturnType<typeof createEventBus> };
+
+    beforeEach(() => {
+        core = { eventBus: createEventBus() };
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    // the tests answer the worker's part themselves
+    const setup = (options = {}) => createTestPlugin(options, { core, respond: null });
+
+    const sent = (postMessage: any, type: string) => postMessage.mock.calls.map(([m]: any[]) => m).filter((m: any) => m.type === type);
+    const reply = (plugin: ArtoolkitPlugin, type: string, payload: object) => {
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type, payload } });
+    };
+
+    it('aborts a request, cancels it in the worker and unloads a marker loaded anyway', async () => {
+        const { plugin, postMessage } = await setup();
+        const controller = new AbortController();
+        const loading = plugin.loadMarker('/data/a.patt', 1, { signal: controller.signal });
+        const { requestId } = sent(postMessage, 'loadMarker')[0].payload;
+
+        controller.abort(new Error('scene changed'));
+        const err = await loading.catch((e) => e);
+        expect(err).toBeInstanceOf(ArtoolkitError);
+        expect(err).toMatchObject({ code: 'ABORTED', cause: expect.objectContaining({ message: 'scene changed' }) });
+        expect(sent(postMessage, 'cancel')).toEqual([{ type: 'cancel', payload: { requestId } }]);
+
+        // the worker had loaded the marker before the cancel arrived
+        reply(plugin, 'loadMarkerResult', { ok: true, markerId: 3, size: 1, requestId });
+        expect(plugin.listMarkers()).toEqual([]);
+        await vi.waitFor(() => expect(sent(postMessage, 'unloadMarker')[0].payload).toMatchObject({ kind: 'pattern', markerId: 3 }));
+
+        // an already aborted signal does not reach the worker
+        await expect(plugin.loadBarcodeMarker(5, 1, { signal: AbortSignal.abort() })).rejects.toMatchObject({ code: 'ABORTED' });
+        expect(sent(postMessage, 'loadBarcodeMarker')).toHaveLength(0);
+    });
+
+    it('times out per call and drops cancelled loads from the replay log', async () => {
+        vi.useFakeTimers();
+        const { plugin, postMessage } = await setup({ requestTimeoutMs: 1000 });
+        const slow = plugin.loadMarker('/data/a.patt', 1, { timeoutMs: 50 });
+        // the default timeout applies to calls without their own
+        const configuring = expect(plugin.configure({ threshold: 90 })).rejects.toMatchObject({ code: 'TIMEOUT' });
+        const result = expect(slow).rejects.toMatchObject({ code: 'TIMEOUT', message: 'loadMarker request timed out after 50ms' });
+        await vi.advanceTimersByTimeAsync(50);
+        await result;
+
+        const { requestId } = sent(postMessage, 'loadMarker')[0].payload;
+        // @ts-ignore
+        expect(plugin._markerRequests).toHaveLength(1);
+        reply(plugin, 'loadMarkerResult', { ok: false, code: 'CANCELLED', error: 'Request cancelled', requestId });
+        // @ts-ignore
+        expect(plugin._markerRequests).toHaveLength(0);
+
+        await vi.advanceTimersByTimeAsync(1000);
+        await configuring;
+    });
+
+    it('rejects with the error code reported by the worker', async () => {
+        const { plugin, postMessage } = await setup();
+        const unloaded = plugin.loadNFTMarker('/data/pinball', { size: 2 });
+        const teleport = (plugin as any)._sendRequest('teleport', {});
+
+        const [nft] = sent(postMessage, 'loadNFTMarker');
+        reply(plugin, 'loadMarkerResult', { ok: false, code: 'UNSUPPORTED', error: 'NFT markers not supported', requestId: nft.payload.requestId });
+        await expect(unloaded).rejects.toMatchObject({ name: 'ArtoolkitError', code: 'UNSUPPORTED', message: 'NFT markers not supported' });
+
+        const [unknown] = sent(postMessage, 'teleport');
+        reply(plugin, 'error', { code: 'UNKNOWN_MESSAGE', message: 'Unknown message type: teleport', requestId: unknown.payload.requestId });
+        await expect(teleport).rejects.toMatchObject({ code: 'UNKNOWN_MESSAGE' });
+
+        await expect(new ArtoolkitPlugin().loadMarker('/data/a.patt')).rejects.toMatchObject({ code: 'WORKER_UNAVAILABLE' });
+    });
+
+    it('warns once about unknown worker messages', async () => {
+        const { plugin } = await setup();
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        reply(plugin, 'hologram', {});
+        reply(plugin, 'hologram', {});
+        expect(warn).toHaveBeenCalledTimes(1);
+        expect(warn.mock.calls[0][0]).toMatch(/unknown worker message: hologram/);
+    });
+
+    it('reports an ImageBitmap frame the worker could not process', async () => {
+        const { plugin } = await setup({ logLevel: 'silent' });
+        const router = createDetectorRouter((data) => (plugin as any)._onWorkerMessage({ data }), { logger: createLogger({ level: 'silent' }) });
+        const errors: any[] = [];
+        core.eventBus.on('ar:workerError', (e: any) => errors.push(e));
+
+        // a detached bitmap
+        const imageBitmap = { get width(): number { throw new Error('ImageBitmap is detached'); }, height: 480, close: vi.fn() };
+        await router.handleMessage({ type: 'processFrame', payload: { seq: 4, frameId: 9, imageBitmap } });
+        expect(errors).toEqual([expect.objectContaining({ code: 'FRAME_FAILED', message: 'ImageBitmap is detached', seq: 4, frameId: 9 })]);
+        expect(imageBitmap.close).toHaveBeenCalled();
+    });
+
+    it('negotiates the protocol version at init and stops an incompatible worker', async () => {
+        const { plugin, postMessage } = await setup();
+        const worker = (plugin as any)._worker;
+        (plugin as any)._initWorker(0, {});
+        const [init] = sent(postMessage, 'init');
+        expect(init.payload).toMatchObject({ protocolVersion: PROTOCOL_VERSION, minProtocolVersion: MIN_PROTOCOL_VERSION });
+        reply(plugin, 'initResult', { ok: true, protocolVersion: PROTOCOL_VERSION, requestId: init.payload.requestId });
+        await vi.waitFor(() => expect(plugin.protocolVersion).toBe(PROTOCOL_VERSION));
+
+        worker.terminate = vi.fn();
+        const failed = vi.fn();
+        core.eventBus.on('ar:workerFailed', failed);
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        (plugin as any)._initWorker(0, {});
+        const retry = sent(postMessage, 'init')[1];
+        reply(plugin, 'initResult', { ok: false, code: 'PROTOCOL_MISMATCH', error: 'Protocol version mismatch', requestId: retry.payload.requestId });
+
+        await vi.waitFor(() => expect(failed).toHaveBeenCalledWith(expect.objectContaining({ worker: 0, reason: 'Protocol version mismatch' })));
+        expect(worker.terminate).toHaveBeenCalled();
+        await expect(plugin.loadMarker('/data/a.patt')).rejects.toMatchObject({ code: 'WORKER_UNAVAILABLE' });
+    });
+
+    it('falls back for a version 1 worker, which answers init with ready and cannot cancel', async () => {
+        const { plugin, postMessage } = await setup({ logLevel: 'silent' });
+        (plugin as any)._initWorker(0, {});
+        reply(plugin, 'ready', undefined as any);
+        await vi.waitFor(() => expect(plugin.protocolVersion).toBe(1));
+
+        const controller = new AbortController();
+        const loading = plugin.loadMarker('/data/a.patt', 1, { signal: controller.signal });
+        controller.abort();
+        await expect(loading).rejects.toMatchObject({ code: 'ABORTED' });
+        expect(sent(postMessage, 'cancel')).toHaveLength(0);
+
+        // version 1 failures carry no code
+        const failing = plugin.loadMarker('/data/b.patt');
+        const { requestId } = sent(postMessage, 'loadMarker')[1].payload;
+        reply(plugin, 'loadMarkerResult', { ok: false, error: 'Failed to fetch pattern', requestId });
+        await expect(failing).rejects.toMatchObject({ code: 'LOAD_FAILED', message: 'Failed to fetch pattern' });
+    });
+
+    it('checks cancel support against the version each worker negotiated', async () => {
+        const { plugin, postMessage } = await setup({ logLevel: 'silent' });
+        const poolPostMessage = vi.fn();
+        (plugin as any)._poolWorkers = [{ postMessage: poolPostMessage, terminate: vi.fn() }];
+        (plugin as any)._initWorker(0, {});
+        reply(plugin, 'ready', undefined as any);
+        (plugin as any)._initWorker(1, {});
+        const [init] = sent(poolPostMessage, 'init');
+        reply(plugin, 'initResult', { ok: true, protocolVersion: PROTOCOL_VERSION, requestId: init.payload.requestId });
+        await vi.waitFor(() => expect((plugin as any)._protocolVersions.get(1)).toBe(PROTOCOL_VERSION));
+        expect(plugin.protocolVersion).toBe(1);
+
+        for (const workerIndex of [0, 1]) {
+            const controller = new AbortController();
+            const request = (plugin as any)._sendRequest('configure', {}, { workerIndex, signal: controller.signal });
+            controller.abort();
+            await expect(request).rejects.toMatchObject({ code: 'ABORTED' });
+        }
+        expect(sent(postMessage, 'cancel')).toHaveLength(0);
+        expect(sent(poolPostMessage, 'cancel')).toHaveLength(1);
+    });
+});
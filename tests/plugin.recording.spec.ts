@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { ArtoolkitPlugin } from '../src/plugin.js';
+import { markerPose, renderMarkerScene } from '../src/utils/synthetic.js';
+import { SessionReplay, decodeSession, diffSessionEvents, encodeSession, waitForFrameProcessed } from '../src/utils/session.js';
+import { createEventBus } from './setupTests';
+import { createTestPlugin } from './helpers';
+
+const HIRO = readFileSync(resolve(__dirname, '../examples/simple-marker/data/patt.hiro'), 'utf8');
+
+describe('ArtoolkitPlugin (session recording)', () => {
+    let core: { eventBus: ReturnType<typeof createEventBus> };
+    const pose = Array.from({ length: 16 }, (_, i) => (i % 5 === 0 ? 1 : 0));
+
+    beforeEach(() => {
+        core = { eventBus: createEventBus() };
+    });
+
+    it('records sent frames before transfer, worker results and marker events', async () => {
+        const { plugin } = await createTestPlugin({}, { core, respond: null });
+
+        plugin.startRecording({ format: 'rgba', scale: 1 });
+        const data = new Uint8ClampedArray(2 * 2 * 4).fill(9);
+        // @ts-ignore
+        plugin._onEngineUpdate({ id: 'f1', timestamp: 5, data, width: 2, height: 2 });
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'detectionResult', payload: { seq: 0, frameId: 'f1', detections: [{ id: 3, confidence: 0.8, poseMatrix: pose }] } } });
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'frameProcessed', payload: { seq: 0, frameId: 'f1', processingMs: 4 } } });
+        const session = plugin.stopRecording();
+
+        expect(session.frames).toHaveLength(1);
+        expect(Array.from(session.frames[0].data)).toEqual(new Array(16).fill(9));
+        expect(session.results).toEqual([expect.objectContaining({ type: 'detectionResult' })]);
+        expect(session.events.map((e: any) => e.name)).toEqual(['ar:markerFound']);
+        expect(session.events[0].payload).toMatchObject({ id: 3, frameId: 'f1' });
+        expect(decodeSession(encodeSession(session)).frames[0].id).toBe('f1');
+
+        expect(plugin.stopRecording()).toBeNull();
+    });
+
+    it('reports processed frames on the event bus', async () => {
+        const plugin = new ArtoolkitPlugin({ worker: true });
+        await plugin.init(core);
+        const processed = vi.fn();
+        core.eventBus.on('ar:frameProcessed', processed);
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'frameProcessed', payload: { seq: 2, frameId: 9, processingMs: 3 } } });
+        expect(processed).toHaveBeenCalledWith({ seq: 2, frameId: 9, processingMs: 3, source: null });
+    });
+
+    describe('replaying a synthetic scene', () => {
+        const scenes = [0, 0.1, 0.2].map((angle) => renderMarkerScene({
+            marker: HIRO,
+            pose: markerPose({ translation: [10, -5, 300], rotation: [0.3, angle, 0] }),
+            size: 80
+        }));
+
+        // A fresh plugin with the hiro pattern loaded, as each run of a session starts from scratch
+        async function withPlugin(run: (plugin: ArtoolkitPlugin, eventBus: ReturnType<typeof createEventBus>) => Promise<any>) {
+            const eventBus = createEventBus();
+            const plugin = new ArtoolkitPlugin({ worker: false, logLevel: 'silent' });
+            await plugin.init({ eventBus });
+            await plugin.enable();
+            await plugin.loadMarker(HIRO, 80);
+            try {
+                return await run(plugin, eventBus);
+            } finally {
+                await plugin.disable();
+            }
+        }
+
+        const record = (options: object) => withPlugin(async (plugin, eventBus) => {
+            plugin.startRecording(options);
+            for (const [i, { data, width, height }] of scenes.entries()) {
+                const processed = waitForFrameProcessed(eventBus, i + 1, 10000);
+                eventBus.emit('engine:update', { id: i + 1, data: new Uint8ClampedArray(data), width, height });
+                expect(await processed).toBe(true);
+            }
+            return decodeSession(encodeSession(plugin.stopRecording()));
+        });
+
+        const replay = (session: any) => withPlugin(async (_, eventBus) => {
+            const { events } = await new SessionReplay(session, { eventBus, speed: 'max', frameTimeoutMs: 10000 }).play();
+            return events;
+        });
+
+        it('reproduces the recorded events from a default (lossless) recording', async () => {
+            const session = await record({});
+            expect(session.meta).toMatchObject({ format: 'rgba', scale: 1 });
+            expect(session.events.map((e: any) => e.name)).toEqual(['ar:markerFound', 'ar:markerUpdated', 'ar:markerUpdated']);
+            expect(diffSessionEvents(session.events, await replay(session))).toEqual({ equal: true, differences: [] });
+        }, 30000);
+
+        it('replays a downscaled grayscale recording the same way every time', async () => {
+            const session = await record({ format: 'gray', scale: 0.5 });
+            const baseline = await replay(session);
+            expect(baseline.map((e: any) => e.name)).toEqual(['ar:markerFound', 'ar:markerUpdated', 'ar:markerUpdated']);
+            expect(diffSessionEvents(baseline, await replay(session))).toEqual({ equal: true, differences: [] });
+        }, 30000);
+    });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ArtoolkitPlugin } from '../src/plugin.js';
+import { PROTOCOL_VERSION } from '../src/utils/protocol.js';
+import { createEventBus } from './setupTests';
+
+describe('ArtoolkitPlugin (worker recovery)', () => {
+    let core: { eventBus: ReturnType<typeof createEventBus> };
+    let workers: any[];
+    const pose = Array.from({ length: 16 }, (_, i) => (i % 5 === 0 ? 1 : 0));
+
+    beforeEach(() => {
+        core = { eventBus: createEventBus() };
+        workers = [];
+        // Browser-style Worker that records its messages and listeners
+        vi.stubGlobal('Worker', vi.fn(function (this: any) {
+            this.listeners = {};
+            this.postMessage = vi.fn();
+            this.addEventListener = (type: string, fn: Function) => { this.listeners[type] = fn; };
+            this.removeEventListener = (type: string) => { delete this.listeners[type]; };
+            this.terminate = vi.fn();
+            workers.push(this);
+        }));
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.useRealTimers();
+    });
+
+    async function setup(options = {}) {
+        const plugin = new ArtoolkitPlugin({ worker: true, heartbeatIntervalMs: 0, workerRestartDelayMs: 1, ...options });
+        await plugin.init(core);
+        await plugin.enable();
+        return plugin;
+    }
+
+    // Answer a marker request posted to a worker
+    function reply(plugin: ArtoolkitPlugin, message: any, markerId: number) {
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'loadMarkerResult', payload: { ok: true, requestId: message.payload.requestId, markerId, size: 1 } } });
+    }
+
+    const requests = (worker: any, type: string) => worker.postMessage.mock.calls.map(([m]: any[]) => m).filter((m: any) => m.type === type);
+
+    it('restarts a crashed worker and restores loaded and pending markers', async () => {
+        const plugin = await setup();
+        const first = plugin.loadMarker('/data/a.patt');
+        reply(plugin, requests(workers[0], 'loadMarker')[0], 0);
+        await first;
+        const pending = plugin.loadMarker('/data/b.patt');
+        const pendingId = requests(workers[0], 'loadMarker')[1].payload.requestId;
+
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'detectionResult', payload: { seq: 0, detections: [{ id: 0, poseMatrix: pose }] } } });
+        const lost = vi.fn();
+        const restarted = vi.fn();
+        core.eventBus.on('ar:markerLost', lost);
+        core.eventBus.on('ar:workerRestarted', restarted);
+
+        workers[0].listeners.error({ message: 'out of memory' });
+        expect(workers[0].terminate).toHaveBeenCalled();
+        expect(lost).toHaveBeenCalledWith(expect.objectContaining({ id: 0 }));
+        expect(plugin.workerReady).toBe(false);
+
+        await vi.waitFor(() => expect(restarted).toHaveBeenCalledWith({ worker: 0, reason: 'out of memory', restarts: 1 }));
+        const [init, ...messages] = workers[1].postMessage.mock.calls.map(([m]: any[]) => m);
+        expect(init.payload).toMatchObject({ protocolVersion: PROTOCOL_VERSION });
+        expect(init.type).toBe('init');
+        // loaded markers are replayed in order; the pending one keeps its requestId
+        expect(messages.map((m: any) => [m.payload.patternUrl, m.payload.requestId])).toEqual([['/data/a.patt', undefined], ['/data/b.patt', pendingId]]);
+
+        reply(plugin, messages[1], 1);
+        await expect(pending).resolves.toMatchObject({ markerId: 1 });
+        await plugin.disable();
+    });
+
+    it('restarts a worker that stops answering heartbeats', async () => {
+        vi.useFakeTimers();
+        const plugin = await setup({ heartbeatIntervalMs: 100, heartbeatTimeoutMs: 350 });
+        const restarted = vi.fn();
+        core.eventBus.on('ar:workerRestarted', restarted);
+
+        // a responsive worker is left alone
+        for (let i = 0; i < 5; i++) {
+            await vi.advanceTimersByTimeAsync(100);
+            // @ts-ignore
+            plugin._onWorkerMessage({ data: { type: 'pong', payload: {} } });
+        }
+        expect(requests(workers[0], 'ping').length).toBe(5);
+        expect(restarted).not.toHaveBeenCalled();
+
+        await vi.advanceTimersByTimeAsync(500);
+        expect(restarted).toHaveBeenCalledTimes(1);
+        expect(restarted.mock.calls[0][0].reason).toMatch(/no response/);
+        expect(workers).toHaveLength(2);
+        await plugin.disable();
+    });
+
+    it('restarts after an ARToolKit init failure and gives up after maxWorkerRestarts', async () => {
+        const plugin = await setup({ maxWorkerRestarts: 1 });
+        const restarted = vi.fn();
+        const failed = vi.fn();
+        core.eventBus.on('ar:workerRestarted', restarted);
+        core.eventBus.on('ar:workerFailed', failed);
+        const initError = { type: 'error', payload: { message: 'ARToolKit init failed', code: 'INIT_FAILED' } };
+
+        workers[0].listeners.message({ data: initError });
+        await vi.waitFor(() => expect(restarted).toHaveBeenCalledTimes(1));
+
+        const pending = plugin.loadMarker('/data/a.patt');
+        workers[1].listeners.message({ data: initError });
+        expect(failed).toHaveBeenCalledWith({ worker: 0, reason: 'ARToolKit init failed', restarts: 1 });
+        await expect(pending).rejects.toThrow(/Worker failed/);
+        await expect(plugin.loadMarker('/data/b.patt')).rejects.toThrow(/Worker not available/);
+        expect(workers).toHaveLength(2);
+        await plugin.disable();
+    });
+});
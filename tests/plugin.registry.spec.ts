@@ -0,0 +1,74 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ArtoolkitPlugin } from '../src/plugin.js';
+import { createEventBus } from './setupTests';
+import { createTestPlugin } from './helpers';
+
+describe('ArtoolkitPlugin (marker registry)', () => {
+    let core: { eventBus: ReturnType<typeof createEventBus> };
+    const pose = Array.from({ length: 16 }, (_, i) => (i % 5 === 0 ? 1 : 0));
+
+    beforeEach(() => {
+        core = { eventBus: createEventBus() };
+    });
+
+    // Fake worker answering every marker request; pattern ids are handed out in load order
+    const setup = () => createTestPlugin({}, { core });
+
+    it('loads patterns from a URL, pattern text or an ArrayBuffer', async () => {
+        const { plugin, postMessage } = await setup();
+        const text = '234 222 0\n 12 33 1\n';
+
+        await plugin.loadMarker('/data/patt.hiro', 1);
+        await plugin.loadMarker(text, 2);
+        await plugin.loadMarker(new TextEncoder().encode(text).buffer, 3);
+
+        const payloads = postMessage.mock.calls.map(([msg]) => msg.payload);
+        expect(payloads[0]).toMatchObject({ patternUrl: '/data/patt.hiro', patternText: null, size: 1 });
+        expect(payloads[1]).toMatchObject({ patternUrl: null, patternText: text, size: 2 });
+        expect(payloads[2]).toMatchObject({ patternUrl: null, patternText: text, size: 3 });
+    });
+
+    it('rejects pattern sources it cannot use', async () => {
+        const { plugin, postMessage } = await setup();
+        // @ts-ignore
+        await expect(plugin.loadMarker(42)).rejects.toThrow(TypeError);
+        await expect(plugin.loadMarker(new ArrayBuffer(0))).rejects.toThrow('Pattern data is empty');
+        expect(postMessage).not.toHaveBeenCalled();
+    });
+
+    it('lists loaded markers with their source, size, kind and load time', async () => {
+        const { plugin } = await setup();
+        const before = Date.now();
+        await plugin.loadMarker('/data/patt.hiro', 1);
+        await plugin.loadMarker('234 222 0\n', 2);
+        await plugin.loadBarcodeMarker(5, 0.5);
+
+        const markers = plugin.listMarkers();
+        expect(markers.map(({ id, kind, url, size }) => ({ id, kind, url, size }))).toEqual([
+            { id: 0, kind: 'pattern', url: '/data/patt.hiro', size: 1 },
+            { id: 1, kind: 'pattern', url: null, size: 2 },
+            { id: 'barcode:5', kind: 'barcode', url: null, size: 0.5 }
+        ]);
+        expect(markers.every((m) => m.loadedAt >= before)).toBe(true);
+    });
+
+    it('unloadMarker stops tracking and reports a visible marker as lost', async () => {
+        const { plugin, postMessage } = await setup();
+        await plugin.loadBarcodeMarker(5, 1);
+        const lost = vi.fn();
+        core.eventBus.on('ar:markerLost', lost);
+        // @ts-ignore
+        plugin._applyDetections([{ id: 'barcode:5', kind: 'barcode', confidence: 0.9, poseMatrix: pose }]);
+
+        await expect(plugin.unloadMarker('barcode:5')).resolves.toBe(true);
+        expect(postMessage).toHaveBeenLastCalledWith({ type: 'unloadMarker', payload: expect.objectContaining({ kind: 'barcode', markerId: 5 }) });
+        expect(lost).toHaveBeenCalledWith(expect.objectContaining({ id: 'barcode:5', kind: 'barcode' }));
+        expect(plugin.listMarkers()).toEqual([]);
+        expect(plugin.getMarkerState('barcode:5')).toBeNull();
+
+        // unknown ids are not sent to the worker
+        const calls = postMessage.mock.calls.length;
+        await expect(plugin.unloadMarker('barcode:5')).resolves.toBe(false);
+        expect(postMessage).toHaveBeenCalledTimes(calls);
+    });
+});
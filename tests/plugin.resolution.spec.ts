@@ -0,0 +1,68 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { ArtoolkitPlugin } from '../src/plugin.js';
+import { DEFAULT_CAMERA_PARAMETERS, rotateCameraParameters } from '../src/utils/camera.js';
+import { markerPose, poseError, renderMarkerScene } from '../src/utils/synthetic.js';
+import { waitForFrameProcessed } from '../src/utils/session.js';
+import { createEventBus } from './setupTests';
+
+const HIRO = readFileSync(resolve(__dirname, '../examples/simple-marker/data/patt.hiro'), 'utf8');
+
+describe('ArtoolkitPlugin (processing resolution)', () => {
+    let core: { eventBus: ReturnType<typeof createEventBus> };
+
+    beforeEach(() => {
+        core = { eventBus: createEventBus() };
+    });
+
+    // every expected corner has a detected corner within maxDistance pixels
+    function expectCorners(detected: number[][], expected: number[][], maxDistance: number) {
+        expect(detected).toHaveLength(4);
+        for (const [x, y] of expected) {
+            expect(Math.min(...detected.map(([cx, cy]) => Math.hypot(cx - x, cy - y)))).toBeLessThan(maxDistance);
+        }
+    }
+
+    it('validates the option', () => {
+        expect(() => new ArtoolkitPlugin({ processingResolution: 2 })).toThrow(RangeError);
+        expect(() => new ArtoolkitPlugin({ processingResolution: { width: 320 } })).toThrow(TypeError);
+    });
+
+    it('detects at half resolution, reports frame pixels and reinitializes when the device rotates', async () => {
+        const plugin = new ArtoolkitPlugin({ worker: false, processingResolution: 0.5, logLevel: 'silent' });
+        await plugin.init(core);
+        const found = vi.fn();
+        const cameraParameters = vi.fn();
+        core.eventBus.on('ar:markerFound', found);
+        core.eventBus.on('ar:markerUpdated', found);
+        core.eventBus.on('ar:cameraParameters', cameraParameters);
+        await plugin.enable();
+        const { markerId } = await plugin.loadMarker(HIRO, 80);
+        let frameId = 0;
+        const process = async (scene: { data: Uint8ClampedArray, width: number, height: number }) => {
+            const processed = waitForFrameProcessed(core.eventBus, ++frameId, 10000);
+            core.eventBus.emit('engine:update', { id: frameId, data: scene.data, width: scene.width, height: scene.height });
+            expect(await processed).toBe(true);
+        };
+
+        const pose = markerPose({ translation: [10, -5, 300], rotation: [0.3, 0.2, 0] });
+        const landscape = renderMarkerScene({ marker: HIRO, pose, size: 80 });
+        await process(landscape);
+        expect(cameraParameters).toHaveBeenLastCalledWith(expect.objectContaining({ width: 640, height: 480, processingWidth: 320, processingHeight: 240 }));
+        expect(found).toHaveBeenCalledTimes(1);
+        expect(found.mock.calls[0][0].id).toBe(markerId);
+        expectCorners(found.mock.calls[0][0].corners, landscape.corners, 3);
+        expect(poseError(pose, found.mock.calls[0][0].poseMatrix).translation).toBeLessThan(0.05 * 300);
+
+        // portrait frames: a new controller with the calibration rotated, the pattern loaded again under its id
+        const portrait = renderMarkerScene({ marker: HIRO, pose, size: 80, camera: rotateCameraParameters(DEFAULT_CAMERA_PARAMETERS) });
+        await process(portrait);
+        expect(cameraParameters).toHaveBeenLastCalledWith(expect.objectContaining({ width: 480, height: 640, processingWidth: 240, processingHeight: 320 }));
+        expect(found).toHaveBeenCalledTimes(2);
+        expect(found.mock.calls[1][0].id).toBe(markerId);
+        expectCorners(found.mock.calls[1][0].corners, portrait.corners, 3);
+        expect(poseError(pose, found.mock.calls[1][0].poseMatrix).translation).toBeLessThan(0.05 * 300);
+        await plugin.disable();
+    }, 30000);
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { ArtoolkitPlugin } from '../src/plugin.js';
+import { cameraParametersFromIntrinsics } from '../src/utils/camera.js';
+import { markerPose, poseError, renderMarkerScene } from '../src/utils/synthetic.js';
+import { waitForFrameProcessed } from '../src/utils/session.js';
+import { createEventBus } from './setupTests';
+import { createTestPlugin } from './helpers';
+
+const HIRO = readFileSync(resolve(__dirname, '../examples/simple-marker/data/patt.hiro'), 'utf8');
+
+describe('ArtoolkitPlugin (camera sources)', () => {
+    let core: { eventBus: ReturnType<typeof createEventBus> };
+    const pose = Array.from({ length: 16 }, (_, i) => (i % 5 === 0 ? 1 : 0));
+
+    beforeEach(() => {
+        core = { eventBus: createEventBus() };
+    });
+
+    async function setup(options = {}) {
+        const { plugin, postMessage } = await createTestPlugin(options, { core, respond: null });
+        const poolPostMessage = vi.fn();
+        // @ts-ignore
+        plugin._poolWorkers = [{ postMessage: poolPostMessage }];
+        return { plugin, postMessage, poolPostMessage };
+    }
+
+    const frame = (id: number, sourceRef: string) => ({ id, sourceRef, data: new Uint8ClampedArray(4 * 4 * 4), width: 4, height: 4 });
+
+    it('routes a second source to its own detector and replays loaded markers into it', async () => {
+        const { plugin, postMessage } = await setup();
+        // @ts-ignore
+        plugin._poolWorkers = [];
+        const loading = plugin.loadMarker('/data/patt.hiro', 80);
+        const { requestId } = postMessage.mock.calls[0][0].payload;
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'loadMarkerResult', payload: { ok: true, requestId, markerId: 0, size: 80 } } });
+        await loading;
+        postMessage.mockClear();
+
+        // the first source is served by the primary detector, keeping the single-camera protocol
+        // @ts-ignore
+        plugin._onEngineUpdate(frame(1, 'front'));
+        expect(postMessage.mock.calls[0][0].payload.source).toBeUndefined();
+
+        // @ts-ignore
+        plugin._onEngineUpdate(frame(2, 'back'));
+        const [init, replay, processFrame] = postMessage.mock.calls.slice(1).map(([msg]) => msg);
+        expect(init).toMatchObject({ type: 'init', payload: { source: 1, width: 4, height: 4 } });
+        expect(replay).toMatchObject({ type: 'loadMarker', payload: { patternUrl: '/data/patt.hiro', size: 80, source: 1 } });
+        expect(replay.payload.requestId).toBeUndefined();
+        expect(processFrame).toMatchObject({ type: 'processFrame', payload: { frameId: 2, source: 1 } });
+
+        expect(plugin.listSources().map(({ source }) => source)).toEqual(['front', 'back']);
+    });
+
+    it('tags marker events with their source and tracks each source separately', async () => {
+        const { plugin } = await setup();
+        plugin.addSource('back');
+        const found = vi.fn();
+        const lost = vi.fn();
+        core.eventBus.on('ar:markerFound', found);
+        core.eventBus.on('ar:markerLost', lost);
+
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'detectionResult', payload: { seq: 0, frameId: 1, detections: [{ id: 0, poseMatrix: pose }] } } });
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'detectionResult', payload: { seq: 1, frameId: 2, source: 1, detections: [{ id: 0, poseMatrix: pose }] } } }, 1);
+
+        expect(found).toHaveBeenCalledTimes(2);
+        expect(found.mock.calls[0][0]).toMatchObject({ id: 0, source: null });
+        expect(found.mock.calls[1][0]).toMatchObject({ id: 0, source: 'back' });
+        expect(plugin.getMarkerState(0, 'back')?.visible).toBe(true);
+
+        expect(plugin.removeSource('back')).toBe(true);
+        expect(lost).toHaveBeenCalledTimes(1);
+        expect(lost.mock.calls[0][0]).toMatchObject({ id: 0, source: 'back' });
+        // the primary source still sees the marker
+        expect(plugin.getMarkerState(0)?.visible).toBe(true);
+        expect(plugin.removeSource('back')).toBe(false);
+    });
+
+    it('spreads sources over the worker pool with their own camera parameters', async () => {
+        const { plugin, postMessage, poolPostMessage } = await setup({ workerPoolSize: 2 });
+        const intrinsics = { width: 320, height: 240, fx: 300, fy: 300, cx: 160, cy: 120 };
+        plugin.addSource('side', { cameraParameters: intrinsics });
+
+        expect(postMessage).not.toHaveBeenCalled();
+        const init = poolPostMessage.mock.calls[0][0];
+        expect(init).toMatchObject({ type: 'init', payload: { source: 1, width: 320, height: 240 } });
+        expect(init.payload.cameraParametersData).toBeInstanceOf(Uint8Array);
+
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'cameraParameters', payload: { source: 1, width: 320, height: 240, projectionMatrix: pose } } }, 1);
+        expect(plugin.listSources()[1]).toMatchObject({ source: 'side', worker: 1, cameraParameters: { width: 320 } });
+        expect(plugin.getProjectionMatrix({ source: 'side' })).toBeInstanceOf(Float32Array);
+        expect(plugin.getProjectionMatrix()).toBeNull();
+
+        plugin.removeSource('side');
+        expect(poolPostMessage).toHaveBeenLastCalledWith({ type: 'disposeSource', payload: { source: 1 } });
+    });
+
+    it('detects with two ARToolKit controllers of different resolutions on one thread', async () => {
+        const plugin = new ArtoolkitPlugin({ worker: false });
+        await plugin.init(core);
+        await plugin.enable();
+        const { markerId } = await plugin.loadMarker(HIRO, 80);
+        const small = { fx: 300, fy: 300, cx: 160, cy: 120, width: 320, height: 240 };
+        plugin.addSource('small', { cameraParameters: small });
+
+        const found = vi.fn();
+        core.eventBus.on('ar:markerFound', found);
+        const pose = markerPose({ translation: [10, -5, 300], rotation: [0.3, 0.2, 0] });
+        const scenes = {
+            large: renderMarkerScene({ marker: HIRO, pose, size: 80, distortion: false }),
+            small: renderMarkerScene({ marker: HIRO, pose, size: 80, camera: cameraParametersFromIntrinsics(small, small) })
+        };
+        for (const [sourceRef, { data, width, height }] of Object.entries(scenes)) {
+            const processed = waitForFrameProcessed(core.eventBus, sourceRef, 10000);
+            core.eventBus.emit('engine:update', { id: sourceRef, sourceRef, data, width, height });
+            expect(await processed).toBe(true);
+        }
+        await plugin.disable();
+
+        expect(found.mock.calls.map(([e]) => [e.id, e.source])).toEqual([[markerId, 'large'], [markerId, 'small']]);
+        for (const [event] of found.mock.calls) {
+            expect(poseError(pose, event.poseMatrix).translation).toBeLessThan(0.03 * 300);
+        }
+    }, 30000);
+});
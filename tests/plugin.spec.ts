@@ -100,4 +100,70 @@ describe('ArtoolkitPlugin', () => {
 
         expect(ready).toHaveBeenCalledTimes(1);
     });
-});
\ No newline at end of file
+
+    it('adds convertedMatrix to marker events when matrixConvention is set', async () => {
+        const plugin = new ArtoolkitPlugin({ worker: false, matrixConvention: 'three' });
+        await plugin.init(core);
+
+        const found = vi.fn();
+        core.eventBus.on('ar:markerFound', found);
+
+        const pose = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 1, 2, 3, 1];
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'detectionResult', payload: { detections: [{ id: 1, confidence: 1, poseMatrix: pose }] } } });
+
+        const { convertedMatrix } = found.mock.calls[0][0];
+        expect(Array.from(convertedMatrix.slice(12, 15))).toEqual([1, -2, -3]);
+    });
+
+    it('converts the cameraParameters option to camera_para.dat bytes for the worker', async () => {
+        const plugin = new ArtoolkitPlugin({ worker: true, cameraParameters: { fx: 600, fy: 600, cx: 320, cy: 240, width: 640, height: 480 } });
+        // @ts-ignore
+        expect(plugin._cameraParametersData.byteLength).toBe(176);
+
+        expect(() => new ArtoolkitPlugin({ cameraParameters: { fx: 600 } })).toThrow();
+    });
+
+    it('builds projection matrices from the camera parameters the worker reports', async () => {
+        const plugin = new ArtoolkitPlugin({ worker: false });
+        await plugin.init(core);
+        expect(plugin.getProjectionMatrix()).toBeNull();
+
+        const projectionMatrix = [1.5, 0, 0, 0, 0, 2, 0, 0, 0.01, -0.02, -1.0002, -1, 0, 0, -0.20002, 0];
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'cameraParameters', payload: { width: 640, height: 480, projectionMatrix } } });
+
+        const p = plugin.getProjectionMatrix({ near: 1, far: 3 });
+        expect(p[0]).toBeCloseTo(1.5);
+        expect(p[10]).toBeCloseTo(-2);
+        expect(p[14]).toBeCloseTo(-3);
+    });
+
+    it('smooths poses, keeps the raw pose on request and resets on lost', async () => {
+        const plugin = new ArtoolkitPlugin({ worker: false, smoothing: { type: 'exponential', alpha: 0.5, keepRaw: true } });
+        await plugin.init(core);
+
+        const events: any[] = [];
+        core.eventBus.on('ar:markerFound', (e: any) => events.push(e));
+        core.eventBus.on('ar:markerUpdated', (e: any) => events.push(e));
+
+        const pose = (tx: number) => [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, tx, 0, 0, 1];
+        const send = (tx: number) => {
+            // @ts-ignore
+            plugin._onWorkerMessage({ data: { type: 'detectionResult', payload: { detections: [{ id: 1, confidence: 1, poseMatrix: pose(tx) }] } } });
+        };
+
+        send(0);
+        send(10);
+        expect(events[1].poseMatrix[12]).toBeCloseTo(5);
+        expect(events[1].rawPoseMatrix[12]).toBe(10);
+
+        // @ts-ignore simulate a stale marker and sweep it
+        plugin._markers.get(1).lastSeen = 0;
+        // @ts-ignore
+        plugin._sweepMarkers();
+
+        send(10);
+        expect(events[2].poseMatrix[12]).toBeCloseTo(10);
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { ArtoolkitPlugin } from '../src/plugin.js';
+import { createEventBus } from './setupTests';
+import { createTestPlugin } from './helpers';
+
+const HIRO = readFileSync(resolve(__dirname, '../examples/simple-marker/data/patt.hiro'), 'utf8');
+
+describe('ArtoolkitPlugin (logging and stats)', () => {
+    let core: { eventBus: ReturnType<typeof createEventBus> };
+    const pose = Array.from({ length: 16 }, (_, i) => (i % 5 === 0 ? 1 : 0));
+    const sink = () => ({ debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() });
+
+    beforeEach(() => {
+        core = { eventBus: createEventBus() };
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    async function setup(options = {}) {
+        const { plugin } = await createTestPlugin(options, { core, respond: null });
+        return plugin;
+    }
+
+    function processFrame(plugin: ArtoolkitPlugin, id: number, detections: any[], processingMs: number) {
+        // @ts-ignore
+        plugin._onEngineUpdate({ id, data: new Uint8ClampedArray(4 * 4 * 4), width: 4, height: 4 });
+        // @ts-ignore
+        const seq = [...plugin._primaryStream.inFlightFrames.keys()].pop();
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'detectionResult', payload: { seq, frameId: id, detections } } });
+        // @ts-ignore
+        plugin._onWorkerMessage({ data: { type: 'frameProcessed', payload: { seq, frameId: id, processingMs } } });
+    }
+
+    it('logs per-frame messages only at debug level', async () => {
+        const quiet = sink();
+        const plugin = await setup({ logger: quiet });
+        processFrame(plugin, 1, [{ id: 1, confidence: 1, poseMatrix: pose }], 5);
+        expect(quiet.debug).not.toHaveBeenCalled();
+
+        const verbose = sink();
+        const debugging = await setup({ logger: verbose, logLevel: 'debug' });
+        processFrame(debugging, 1, [{ id: 1, confidence: 1, poseMatrix: pose }], 5);
+        expect(verbose.debug).toHaveBeenCalledWith('[Plugin] Received detectionResult:', expect.any(Object));
+        expect(() => new ArtoolkitPlugin({ logLevel: 'loud' })).toThrow(/Unknown log level/);
+    });
+
+    it('reports frame counts, processing time percentiles and per-marker detections', async () => {
+        const plugin = await setup({ logLevel: 'silent' });
+        for (let i = 1; i <= 10; i++) {
+            const detections = [{ id: 1, confidence: 0.5 + i / 100, poseMatrix: pose }];
+            if (i % 2 === 0) detections.push({ id: 3, kind: 'barcode', confidence: 1, poseMatrix: pose });
+            processFrame(plugin, i, detections, i * 10);
+        }
+        // @ts-ignore
+        plugin._onEngineUpdate(null);
+
+        const stats = plugin.getStats();
+        expect(stats.frames).toMatchObject({ framesReceived: 10, framesSent: 10, framesProcessed: 10, framesDropped: 0, inFlight: 0 });
+        expect(stats.processingMs).toMatchObject({ count: 10, p50: 50, p90: 90, p99: 100, max: 100 });
+        expect(stats.markers).toEqual([
+            { id: 1, kind: 'pattern', detections: 10, meanConfidence: expect.closeTo(0.555, 6) },
+            { id: 'barcode:3', kind: 'barcode', detections: 5, meanConfidence: 1 }
+        ]);
+        expect(stats.init).toEqual({ workerReadyMs: null, artoolkitInitMs: null });
+    });
+
+    it('emits ar:stats periodically while enabled', async () => {
+        vi.useFakeTimers();
+        vi.stubGlobal('Worker', vi.fn(function (this: any) {
+            this.postMessage = vi.fn();
+            this.addEventListener = vi.fn();
+            this.removeEventListener = vi.fn();
+            this.terminate = vi.fn();
+        }));
+        const plugin = new ArtoolkitPlugin({ statsIntervalMs: 1000, heartbeatIntervalMs: 0, logLevel: 'silent' });
+        await plugin.init(core);
+        await plugin.enable();
+        const stats = vi.fn();
+        core.eventBus.on('ar:stats', stats);
+
+        await vi.advanceTimersByTimeAsync(3000);
+        expect(stats).toHaveBeenCalledTimes(3);
+        expect(stats.mock.calls[2][0]).toMatchObject({ frames: { framesReceived: 0 }, markers: [] });
+        await plugin.disable();
+        await vi.advanceTimersByTimeAsync(3000);
+        expect(stats).toHaveBeenCalledTimes(3);
+        vi.unstubAllGlobals();
+    });
+
+    it('passes the injected logger to in-thread detectors and measures init times', async () => {
+        const logs = sink();
+        const plugin = new ArtoolkitPlugin({ worker: false, logger: logs });
+        await plugin.init(core);
+        await plugin.enable();
+        await plugin.loadMarker(HIRO, 80);
+        await plugin.disable();
+
+        expect(logs.info).toHaveBeenCalledWith('[Worker] ARToolKit initialized:', true);
+        const { init } = plugin.getStats();
+        expect(init.workerReadyMs).toBeGreaterThanOrEqual(0);
+        expect(init.artoolkitInitMs).toBeGreaterThan(0);
+    }, 30000);
+});
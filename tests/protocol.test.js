@@ -0,0 +1,89 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    ERROR_CODES,
+    ArtoolkitError,
+    negotiateProtocol,
+    supportsMessage,
+    responseMessage,
+    errorMessage
+} from '../src/utils/protocol.js';
+import { createLogger } from '../src/utils/logger.js';
+import { createDetectorRouter } from '../src/worker/router.js';
+
+describe('worker protocol', () => {
+    it('negotiates the highest common version', () => {
+        expect(negotiateProtocol({ protocolVersion: PROTOCOL_VERSION + 3, minProtocolVersion: MIN_PROTOCOL_VERSION }))
+            .toEqual({ ok: true, version: PROTOCOL_VERSION });
+        // a side without version fields speaks version 1
+        expect(negotiateProtocol({})).toEqual({ ok: true, version: 1 });
+        expect(negotiateProtocol({ protocolVersion: PROTOCOL_VERSION + 2, minProtocolVersion: PROTOCOL_VERSION + 1 }).error)
+            .toMatch(/mismatch/);
+    });
+
+    it('knows which messages a version 1 peer lacks', () => {
+        expect(supportsMessage(1, 'cancel')).toBe(false);
+        expect(supportsMessage(1, 'loadMarker')).toBe(true);
+        expect(supportsMessage(PROTOCOL_VERSION, 'cancel')).toBe(true);
+        // not negotiated yet
+        expect(supportsMessage(null, 'cancel')).toBe(true);
+    });
+
+    it('builds responses and error responses', () => {
+        expect(responseMessage('loadBarcodeMarker', 4, { markerId: 7 }))
+            .toEqual({ type: 'loadMarkerResult', payload: { markerId: 7, ok: true, requestId: 4 } });
+        expect(errorMessage('unloadMarker', 5, ERROR_CODES.NOT_FOUND, 'Unknown marker'))
+            .toEqual({ type: 'unloadMarkerResult', payload: { ok: false, code: 'NOT_FOUND', error: 'Unknown marker', requestId: 5 } });
+        expect(errorMessage('teleport', 6, ERROR_CODES.UNKNOWN_MESSAGE, 'Unknown message type: teleport'))
+            .toEqual({ type: 'error', payload: { code: 'UNKNOWN_MESSAGE', message: 'Unknown message type: teleport', requestId: 6 } });
+
+        const cause = new Error('socket closed');
+        const err = new ArtoolkitError(ERROR_CODES.LOAD_FAILED, 'Could not load', { cause });
+        expect(err).toBeInstanceOf(Error);
+        expect(err).toMatchObject({ name: 'ArtoolkitError', code: 'LOAD_FAILED', message: 'Could not load', cause });
+    });
+
+    it('answers unknown messages, invalid commands and incompatible inits in the worker', async () => {
+        const sendMessage = vi.fn();
+        const router = createDetectorRouter(sendMessage);
+
+        await router.handleMessage({ type: 'teleport', payload: { requestId: 1 } });
+        await router.handleMessage({ type: 'loadMarker', payload: { requestId: 2 } });
+        await router.handleMessage({ type: 'init', payload: { requestId: 3, protocolVersion: PROTOCOL_VERSION + 2, minProtocolVersion: PROTOCOL_VERSION + 1 } });
+
+        const [unknown, invalid, mismatch] = sendMessage.mock.calls.map(([msg]) => msg);
+        expect(unknown).toMatchObject({ type: 'error', payload: { code: 'UNKNOWN_MESSAGE', requestId: 1 } });
+        expect(invalid).toMatchObject({ type: 'loadMarkerResult', payload: { ok: false, code: 'INVALID_ARGUMENT', requestId: 2 } });
+        expect(mismatch).toMatchObject({
+            type: 'initResult',
+            payload: { ok: false, code: 'PROTOCOL_MISMATCH', protocolVersion: PROTOCOL_VERSION, requestId: 3 }
+        });
+        // an incompatible plugin is not told the worker is ready
+        expect(sendMessage).toHaveBeenCalledTimes(3);
+    });
+
+    it('aborts the download of a load the plugin cancels', async () => {
+        const realFetch = globalThis.fetch;
+        const fetchConfig = vi.fn((url, { signal } = {}) => new Promise((resolve, reject) => {
+            signal?.addEventListener('abort', () => reject(signal.reason));
+        }));
+        vi.stubGlobal('fetch', (url, init) => String(url).endsWith('board.dat') ? fetchConfig(url, init) : realFetch(url, init));
+        try {
+            const sendMessage = vi.fn();
+            const router = createDetectorRouter(sendMessage, { logger: createLogger({ level: 'silent' }) });
+            const loading = router.handleMessage({ type: 'loadMultiMarker', payload: { configUrl: 'https://example.com/board.dat', requestId: 1 } });
+            await vi.waitFor(() => expect(fetchConfig).toHaveBeenCalled(), { timeout: 5000 });
+
+            await router.handleMessage({ type: 'cancel', payload: { requestId: 1 } });
+            await loading;
+            expect(fetchConfig.mock.calls[0][1].signal.aborted).toBe(true);
+            expect(sendMessage).toHaveBeenCalledWith({
+                type: 'loadMarkerResult',
+                payload: { ok: false, code: 'CANCELLED', error: 'Request cancelled', requestId: 1 }
+            });
+        } finally {
+            vi.unstubAllGlobals();
+        }
+    });
+});
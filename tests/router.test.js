@@ -0,0 +1,34 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createDetectorRouter } from '../src/worker/router.js';
+import { PROTOCOL_VERSION, MIN_PROTOCOL_VERSION } from '../src/utils/protocol.js';
+
+describe('detector router', () => {
+    it('tags messages of source detectors and disposes them', async () => {
+        const sendMessage = vi.fn();
+        const router = createDetectorRouter(sendMessage);
+
+        await router.handleMessage({ type: 'processFrame', payload: { seq: 0, frameId: 1 } });
+        await router.handleMessage({ type: 'processFrame', payload: { seq: 1, frameId: 2, source: 3 } });
+
+        const acks = sendMessage.mock.calls.map(([msg]) => msg).filter((msg) => msg.type === 'frameProcessed');
+        expect(acks[0].payload.source).toBeUndefined();
+        expect(acks[1].payload).toMatchObject({ frameId: 2, source: 3 });
+
+        await router.handleMessage({ type: 'disposeSource', payload: { source: 3 } });
+        sendMessage.mockClear();
+        // a removed source starts over with a fresh detector
+        await router.handleMessage({ type: 'init', payload: { source: 3, requestId: 5, protocolVersion: PROTOCOL_VERSION } });
+        expect(sendMessage).toHaveBeenCalledWith({ type: 'initResult', payload: { ok: true, protocolVersion: PROTOCOL_VERSION, requestId: 5, source: 3 } });
+        expect(sendMessage).toHaveBeenCalledWith({
+            type: 'ready',
+            payload: { protocolVersion: PROTOCOL_VERSION, minProtocolVersion: MIN_PROTOCOL_VERSION, source: 3 }
+        });
+    });
+
+    it('answers heartbeats without a detector', async () => {
+        const sendMessage = vi.fn();
+        const router = createDetectorRouter(sendMessage);
+        await router.handleMessage({ type: 'ping', payload: { sentAt: 42 } });
+        expect(sendMessage).toHaveBeenCalledWith({ type: 'pong', payload: { sentAt: 42 } });
+    });
+});
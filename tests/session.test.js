@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import {
+    SessionRecorder,
+    SessionReplay,
+    captureFramePixels,
+    encodeSession,
+    decodeSession,
+    diffSessionEvents
+} from '../src/utils/session.js';
+
+function createEventBus() {
+    const map = new Map();
+    return {
+        on(e, fn) { map.set(e, [...(map.get(e) || []), fn]); },
+        off(e, fn) { map.set(e, (map.get(e) || []).filter((x) => x !== fn)); },
+        emit(e, payload) { (map.get(e) || []).forEach((fn) => fn(payload)); }
+    };
+}
+
+// 4x2 RGBA frame: left half red, right half white
+function frame(id) {
+    const data = new Uint8ClampedArray(4 * 2 * 4);
+    for (let i = 0; i < 8; i++) data.set(i % 4 < 2 ? [255, 0, 0, 255] : [255, 255, 255, 255], i * 4);
+    return { id, timestamp: 1000 + id, data, width: 4, height: 2 };
+}
+
+function pose(tx, angle = 0) {
+    const c = Math.cos(angle), s = Math.sin(angle);
+    return [c, s, 0, 0, s ? -s : 0, c, 0, 0, 0, 0, 1, 0, tx, 0, 100, 1];
+}
+
+const event = (name, frameId, id, extra = {}) => ({ t: 0, name, payload: { id, frameId, ...extra } });
+
+describe('frame sessions', () => {
+    it('captures downscaled grayscale or RGBA pixels', () => {
+        const gray = captureFramePixels(frame(0), { format: 'gray', scale: 0.5 });
+        expect(gray).toMatchObject({ width: 2, height: 1, format: 'gray' });
+        expect(Array.from(gray.data)).toEqual([76, 255]);
+
+        const rgba = captureFramePixels(frame(0));
+        expect(rgba).toMatchObject({ width: 4, height: 2, format: 'rgba' });
+        expect(rgba.data).toHaveLength(4 * 2 * 4);
+        expect(captureFramePixels({ id: 1 })).toBeNull();
+    });
+
+    it('records frames and events and round-trips them through the file format', () => {
+        const eventBus = createEventBus();
+        const recorder = new SessionRecorder({ format: 'gray', scale: 0.5 }).start(eventBus);
+        recorder.recordFrame(frame(0), 0);
+        recorder.recordResult('detectionResult', { seq: 0, detections: [{ id: 1, poseMatrix: new Float32Array(16) }] });
+        eventBus.emit('ar:markerFound', { id: 1, frameId: 0, poseMatrix: new Float32Array(pose(5)) });
+        recorder.recordFrame({ id: 1, timestamp: 2000 }, 1);
+        const session = recorder.stop();
+
+        // listeners are removed on stop
+        eventBus.emit('ar:markerLost', { id: 1 });
+        expect(session.events).toHaveLength(1);
+        expect(session.events[0].payload.poseMatrix).toEqual(pose(5));
+        expect(session.results[0].payload.detections[0].poseMatrix).toHaveLength(16);
+
+        const decoded = decodeSession(encodeSession(session));
+        expect(decoded.meta).toMatchObject({ format: 'gray', scale: 0.5 });
+        expect(decoded.frames).toHaveLength(2);
+        expect(decoded.frames[0]).toMatchObject({ id: 0, seq: 0, width: 2, height: 1, sourceWidth: 4, sourceHeight: 2 });
+        expect(Array.from(decoded.frames[0].data)).toEqual([76, 255]);
+        // metadata-only frames keep their place without pixels
+        expect(decoded.frames[1]).toMatchObject({ id: 1, timestamp: 2000, data: null });
+        expect(decoded.events).toEqual(session.events);
+    });
+
+    it('rejects files that are not session recordings', () => {
+        expect(() => decodeSession(new Uint8Array(20))).toThrow('Not a session recording');
+        const bytes = encodeSession({ version: 1, meta: {}, frames: [], results: [], events: [] });
+        expect(() => decodeSession(bytes.subarray(0, bytes.byteLength - 2))).toThrow('truncated');
+    });
+
+    it('replays frames at their original size, waiting for each frame at maximum speed', async () => {
+        const eventBus = createEventBus();
+        const recorder = new SessionRecorder({ format: 'gray', scale: 0.5 }).start(null);
+        recorder.recordFrame(frame(0), 0);
+        recorder.recordFrame(frame(1), 1);
+        const session = recorder.stop();
+
+        // a fake plugin: detects marker 7 in every frame, then acknowledges it
+        const received = [];
+        eventBus.on('engine:update', (f) => {
+            received.push(f);
+            setTimeout(() => {
+                eventBus.emit(f.id === 0 ? 'ar:markerFound' : 'ar:markerUpdated', { id: 7, frameId: f.id, poseMatrix: pose(1) });
+                eventBus.emit('ar:frameProcessed', { frameId: f.id });
+            }, 5);
+        });
+
+        const { events, framesSent } = await new SessionReplay(session, { eventBus, speed: 'max' }).play();
+        expect(framesSent).toBe(2);
+        expect(received.map((f) => [f.id, f.width, f.height])).toEqual([[0, 4, 2], [1, 4, 2]]);
+        // grayscale pixels come back as RGBA
+        expect(Array.from(received[0].data.subarray(0, 4))).toEqual([76, 76, 76, 255]);
+        expect(events.map((e) => `${e.name}@${e.payload.frameId}`)).toEqual(['ar:markerFound@0', 'ar:markerUpdated@1']);
+    });
+
+    it('diffs event streams by frame, event and marker', () => {
+        const expected = [
+            event('ar:markerFound', 0, 1, { poseMatrix: pose(10), confidence: 0.9 }),
+            event('ar:markerUpdated', 1, 1, { poseMatrix: pose(10), confidence: 0.9 }),
+            event('ar:markerLost', 3, 1)
+        ];
+        expect(diffSessionEvents(expected, expected)).toEqual({ equal: true, differences: [] });
+
+        const actual = [
+            event('ar:markerFound', 0, 1, { poseMatrix: pose(10.05), confidence: 0.92 }),   // within tolerance
+            event('ar:markerUpdated', 1, 1, { poseMatrix: pose(10, 0.1), confidence: 0.9 }), // rotated
+            event('ar:markerFound', 2, 2)
+        ];
+        const { equal, differences } = diffSessionEvents(expected, actual);
+        expect(equal).toBe(false);
+        expect(differences.map((d) => `${d.type}:${d.name}@${d.frameId}`)).toEqual([
+            'pose:ar:markerUpdated@1',
+            'missing:ar:markerLost@3',
+            'extra:ar:markerFound@2'
+        ]);
+
+        const ignored = diffSessionEvents(expected, actual, { ignoreEvents: ['ar:markerLost', 'ar:markerUpdated', 'ar:markerFound'] });
+        expect(ignored.equal).toBe(true);
+        expect(diffSessionEvents([expected[0]], [actual[0]], { confidenceTolerance: 0.01 }).differences[0].type).toBe('confidence');
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { OneEuroFilter, ExponentialFilter, PoseSmoother, matrixToQuaternion, slerpQuaternion, composePoseMatrix } from '../src/utils/smoothing.js';
+
+function poseAt(angle, tx) {
+    const c = Math.cos(angle), s = Math.sin(angle);
+    return [c, s, 0, 0, -s, c, 0, 0, 0, 0, 1, 0, tx, 0, -500, 1];
+}
+
+describe('smoothing utils', () => {
+    it('exponential filter blends towards new values', () => {
+        const f = new ExponentialFilter({ alpha: 0.25 });
+        expect(f.filter(0)).toBe(0);
+        expect(f.filter(4)).toBe(1);
+        f.reset();
+        expect(f.filter(4)).toBe(4);
+    });
+
+    it('one-euro filter damps jitter but follows fast motion', () => {
+        const jitter = new OneEuroFilter({ minCutoff: 1, beta: 0 });
+        let t = 0;
+        const jittered = [0, 1, -1, 1, -1].map((v) => jitter.filter(v, (t += 33)));
+        expect(Math.max(...jittered.map(Math.abs))).toBeLessThan(0.5);
+
+        const fast = new OneEuroFilter({ minCutoff: 1, beta: 1 });
+        const slow = new OneEuroFilter({ minCutoff: 1, beta: 0 });
+        t = 0;
+        let a = 0, b = 0;
+        for (let i = 0; i <= 10; i++) {
+            t += 33;
+            a = fast.filter(i * 100, t);
+            b = slow.filter(i * 100, t);
+        }
+        expect(Math.abs(1000 - a)).toBeLessThan(Math.abs(1000 - b));
+    });
+
+    it('round-trips quaternions and slerps halfway', () => {
+        const m = poseAt(0.8, 0);
+        const back = composePoseMatrix(matrixToQuaternion(m), [0, 0, -500]);
+        for (let i = 0; i < 16; i++) expect(back[i]).toBeCloseTo(m[i], 5);
+
+        const half = slerpQuaternion(matrixToQuaternion(poseAt(0, 0)), matrixToQuaternion(poseAt(1, 0)), 0.5);
+        const expected = matrixToQuaternion(poseAt(0.5, 0));
+        half.forEach((v, i) => expect(v).toBeCloseTo(expected[i], 6));
+    });
+
+    it('keeps independent per-marker state and resets it', () => {
+        const smoother = new PoseSmoother({ type: 'exponential', alpha: 0.5 });
+        smoother.filter('a', poseAt(0, 0), 0);
+        smoother.filter('b', poseAt(0, 100), 0);
+
+        const a = smoother.filter('a', poseAt(0, 10), 33);
+        expect(a[12]).toBeCloseTo(5);
+        expect(smoother.filter('b', poseAt(0, 100), 33)[12]).toBeCloseTo(100);
+
+        smoother.reset('a');
+        expect(smoother.filter('a', poseAt(0, 10), 66)[12]).toBeCloseTo(10);
+    });
+
+    it('is deterministic for the same input sequence', () => {
+        const run = () => {
+            const smoother = new PoseSmoother({ minCutoff: 0.5, beta: 0.05 });
+            let out;
+            for (let i = 0; i < 20; i++) out = smoother.filter(1, poseAt(Math.sin(i) * 0.1, Math.cos(i) * 3), i * 33);
+            return Array.from(out);
+        };
+        expect(run()).toEqual(run());
+    });
+});
@@ -0,0 +1,15 @@
+import { describe, it, expect } from 'vitest';
+import { SampleWindow } from '../src/utils/stats.js';
+
+describe('sample window', () => {
+    it('summarizes the last samples with nearest-rank percentiles', () => {
+        const window = new SampleWindow(100);
+        expect(window.summary()).toEqual({ count: 0, mean: null, p50: null, p90: null, p99: null, max: null });
+        for (let i = 200; i >= 1; i--) window.push(i);
+        window.push(NaN);
+        // only 100..1 are kept
+        expect(window.summary()).toEqual({ count: 100, mean: 50.5, p50: 50, p90: 90, p99: 99, max: 100 });
+        window.clear();
+        expect(window.summary().count).toBe(0);
+    });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { markerPose, poseError, renderMarkerScene } from '../src/utils/synthetic.js';
+import { DEFAULT_CAMERA_PARAMETERS } from '../src/utils/camera.js';
+
+const HIRO = readFileSync(resolve(__dirname, '../examples/simple-marker/data/patt.hiro'), 'utf8');
+
+// 101x101 pinhole camera, principal point at the center pixel
+const CAMERA = { width: 101, height: 101, matrix: [300, 0, 50, 0, 0, 300, 50, 0, 0, 0, 1, 0], distortion: [0, 0, 0, 0, 300, 300, 50, 50, 1] };
+
+const gray = (image, x, y) => image.data[(y * image.width + x) * 4];
+
+describe('synthetic marker scenes', () => {
+    it('builds poses facing the camera', () => {
+        expect(Array.from(markerPose({ translation: [1, 2, 300] }), (v) => v + 0)).toEqual([1, 0, 0, 0, 0, -1, 0, 0, 0, 0, -1, 0, 1, 2, 300, 1]);
+
+        const tilted = markerPose({ translation: [0, 0, 100], rotation: [0.3, -0.2, 1] });
+        expect(poseError(tilted, tilted)).toEqual({ translation: 0, rotation: 0 });
+        const turned = markerPose({ translation: [0, 3, 104], rotation: [0.3, -0.2, 1.1] });
+        expect(poseError(tilted, turned).translation).toBeCloseTo(5);
+        expect(poseError(markerPose(), markerPose({ rotation: [0, 0, 0.1] })).rotation).toBeCloseTo(0.1);
+    });
+
+    it('projects the marker corners with the camera matrix', () => {
+        const scene = renderMarkerScene({ marker: HIRO, pose: markerPose({ translation: [0, 0, 300] }), size: 80, camera: CAMERA });
+        expect(scene.width).toBe(101);
+        // 80 units at distance 300 with f = 300 span 80 pixels around the center
+        expect(scene.corners).toEqual([[10, 10], [90, 10], [90, 90], [10, 90]]);
+        // white around the marker, black border inside it
+        expect(gray(scene, 5, 50)).toBe(255);
+        expect(gray(scene, 15, 50)).toBe(0);
+        expect(scene.data[3]).toBe(255);
+    });
+
+    it('renders in-plane rotations counter-clockwise on screen', () => {
+        const render = (rz) => renderMarkerScene({ marker: HIRO, pose: markerPose({ translation: [0, 0, 300], rotation: [0, 0, rz] }), size: 80, camera: CAMERA });
+        const upright = render(0);
+        const turned = render(Math.PI / 2);
+        expect(turned.corners[0][0]).toBeCloseTo(10);
+        expect(turned.corners[0][1]).toBeCloseTo(90);
+        for (let y = 0; y < 101; y += 3) {
+            for (let x = 0; x < 101; x += 3) expect(gray(turned, y, 100 - x)).toBe(gray(upright, x, y));
+        }
+    });
+
+    it('applies the lens distortion of version 4 camera parameters', () => {
+        const pose = markerPose({ translation: [60, 40, 300] });
+        const distorted = renderMarkerScene({ marker: HIRO, pose, size: 80 });
+        const ideal = renderMarkerScene({ marker: HIRO, pose, size: 80, distortion: false });
+        expect(distorted.width).toBe(DEFAULT_CAMERA_PARAMETERS.width);
+        expect(Math.abs(distorted.corners[2][0] - ideal.corners[2][0])).toBeGreaterThan(1);
+
+        // the rendered border ends where the projected corner lies
+        const [cx, cy] = distorted.corners[2].map(Math.round);
+        expect(gray(distorted, cx - 2, cy - 2)).toBe(0);
+        expect(gray(distorted, cx + 2, cy + 2)).toBe(255);
+
+        expect(() => renderMarkerScene({ marker: HIRO, pose, camera: { ...CAMERA, distortion: [0, 0, 0, 1] } })).toThrow('version 4');
+    });
+
+    it('adds reproducible noise, blur and lighting gradients', () => {
+        const pose = markerPose({ translation: [0, 0, 300] });
+        const options = { marker: HIRO, pose, size: 80, camera: CAMERA };
+        const noisy = renderMarkerScene({ ...options, noise: 10, seed: 7 });
+        expect(renderMarkerScene({ ...options, noise: 10, seed: 7 }).data).toEqual(noisy.data);
+        expect(renderMarkerScene({ ...options, noise: 10, seed: 8 }).data).not.toEqual(noisy.data);
+
+        // blur softens the outer edge of the border (x = 10)
+        const blurred = renderMarkerScene({ ...options, blur: 1.5 });
+        expect(gray(blurred, 10, 50)).toBeGreaterThan(0);
+        expect(gray(blurred, 10, 50)).toBeLessThan(255);
+
+        const lit = renderMarkerScene({ ...options, background: 200, lighting: { brightness: 0.9, gradient: [0.2, 0] } });
+        expect(gray(lit, 0, 0)).toBe(Math.round(200 * 0.8));
+        expect(gray(lit, 100, 0)).toBe(200);
+    });
+
+    it('rejects invalid input', () => {
+        expect(() => renderMarkerScene({ marker: HIRO, pose: [1, 0, 0] })).toThrow('4x4');
+        expect(() => renderMarkerScene({ marker: { data: new Uint8ClampedArray(3), width: 1, height: 1 }, pose: markerPose() })).toThrow('RGBA');
+    });
+});